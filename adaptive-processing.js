@@ -108,6 +108,21 @@ function getAdaptiveVideoTimeoutMs(mediaTuning = {}, { fileSizeMB = 0, pressure
   return timeoutMs;
 }
 
+/**
+ * 大视频分段并行编码的并发数：按 CPU 核数取一半，负载越高越保守，保证 Mac 前台仍然流畅。
+ */
+function getSegmentEncodeConcurrency(mediaTuning = {}, { pressure = null } = {}) {
+  const cfg = (mediaTuning.watcher || {}).segmentParallel || {};
+  const effectivePressure = pressure || getSystemPressure(mediaTuning);
+  const maxConcurrency = Math.max(1, Math.round(num(cfg.maxConcurrency, 4)));
+  let concurrency = Math.floor(effectivePressure.cpuCount / 2);
+  if (effectivePressure.level === 'medium') concurrency -= 1;
+  if (effectivePressure.level === 'high') concurrency = Math.min(concurrency, 2);
+  if (effectivePressure.level === 'critical') concurrency = 1;
+  if (effectivePressure.cpuCount <= effectivePressure.lowCoreCount) concurrency = Math.min(concurrency, 2);
+  return clamp(concurrency, 1, maxConcurrency);
+}
+
 function dedupeProfiles(profiles) {
   const seen = new Set();
   const output = [];
@@ -282,7 +297,7 @@ function buildComposerAttemptProfiles(mediaTuning = {}, {
     else if (score < 1200000 && modeSizeMB < 8 && mode !== 'fast') lossy = Math.min(lossy, 72);
 
     if (gifAlgorithm === 'less_noise') lossy -= 8;
-    if (gifAlgorithm === 'smooth_gradient') lossy += 4;
+    if (gifAlgorithm === 'smooth_gradient' || gifAlgorithm === 'scene_palette') lossy += 4;
 
     const timeoutScale = num(modeCfg.timeoutScale, mode === 'fast' ? 0.65 : 1.0);
     const pipelinePerFrameMs = num(modeCfg.pipelinePerFrameMs, mode === 'fast' ? 3500 : 5000);
@@ -336,10 +351,44 @@ function buildComposerAttemptProfiles(mediaTuning = {}, {
   };
 }
 
+/**
+ * 体积预算模式：在原有档位之后追加更激进的降档（帧率/颜色/有损/缩放），
+ * 保证主档位全部超预算时仍有机会压到目标体积以内。
+ * 同时兼容 composer 档位（videoFpsCap/paletteMaxColors）与 watcher 档位（fps/maxColors）。
+ */
+function extendProfilesForSizeBudget(mediaTuning = {}, profiles = []) {
+  const cfg = ((mediaTuning.composerExport || {}).sizeBudget) || {};
+  const extraSteps = clamp(Math.round(num(cfg.extraSteps, 3)), 0, 6);
+  const scaleStep = clamp(num(cfg.scaleStep, 0.85), 0.5, 0.95);
+  const minScale = clamp(num(cfg.minScale, 0.4), 0.1, 1);
+  const base = profiles[profiles.length - 1];
+  if (!base || extraSteps === 0) return profiles.slice();
+
+  const extended = profiles.slice();
+  for (let step = 1; step <= extraSteps; step++) {
+    const next = {
+      ...base,
+      label: `${base.label || 'adaptive'}-budget-${step}`,
+      lossy: clamp(Math.round(num(base.lossy, 88) + step * 15), 60, 200),
+      budgetScale: Math.max(minScale, Number(Math.pow(scaleStep, step).toFixed(3))),
+      effectiveDither: 'none',
+      dither: 'none'
+    };
+    if (Number.isFinite(base.videoFpsCap)) next.videoFpsCap = clamp(base.videoFpsCap - step * 2, 6, base.videoFpsCap);
+    if (Number.isFinite(base.fps)) next.fps = clamp(base.fps - step * 2, 6, base.fps);
+    if (Number.isFinite(base.paletteMaxColors)) next.paletteMaxColors = clamp(base.paletteMaxColors - step * 32, 48, 256);
+    if (Number.isFinite(base.maxColors)) next.maxColors = clamp(base.maxColors - step * 32, 48, 256);
+    extended.push(next);
+  }
+  return extended;
+}
+
 module.exports = {
   getSystemPressure,
   getDynamicUltraTriggerMb,
   getAdaptiveVideoTimeoutMs,
+  getSegmentEncodeConcurrency,
   buildWatcherAttemptProfiles,
-  buildComposerAttemptProfiles
+  buildComposerAttemptProfiles,
+  extendProfilesForSizeBudget
 };
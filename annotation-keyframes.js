@@ -0,0 +1,373 @@
+// annotation-keyframes.js
+// 标注图层关键帧：时间线编辑器为每个非 GIF 图层记录 { t, x, y, scale, opacity } 关键帧，
+// 随 timelineData[layerId].keyframes 传入合成器，按输出帧线性插值后逐帧渲染（位移 / 缩放 / 不透明度）。
+// 坐标约定：t 为时间线百分比 (0-100)；x / y 为相对原位置的偏移，单位为画框宽 / 高的比例；
+// scale 以图层中心为原点；opacity 0-1。
+// 入场 / 出场过渡：timelineData[layerId].transitions = { in, out }，每项 { type, duration(秒) }，
+// 在图层可见区间的起止处叠加到关键帧状态上；GIF 图层由 buildTransitionFilters 生成 FFmpeg 滤镜表达式。
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_KEYFRAMES = 64;
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 10;
+// 单条 magick 命令最多渲染的状态数（避免命令行过长）
+const RENDER_BATCH_SIZE = 24;
+
+const TRANSITION_TYPES = ['fade', 'slide-left', 'slide-right', 'slide-top', 'slide-bottom', 'scale'];
+const DEFAULT_TRANSITION_SEC = 0.3;
+const MIN_TRANSITION_SEC = 0.05;
+const MAX_TRANSITION_SEC = 5;
+
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, num));
+}
+
+/**
+ * 规范化关键帧：过滤非法项、限制取值范围、按时间排序，同一时间点只保留最后一个
+ * @returns {Array<{ t: number, x: number, y: number, scale: number, opacity: number }>}
+ */
+function normalizeKeyframes(raw) {
+  if (!Array.isArray(raw)) return [];
+  const byTime = new Map();
+  for (const item of raw) {
+    if (!item || typeof item !== 'object') continue;
+    const t = Number(item.t);
+    if (!Number.isFinite(t)) continue;
+    const time = Math.round(Math.max(0, Math.min(100, t)) * 1000) / 1000;
+    byTime.set(time, {
+      t: time,
+      x: clampNumber(item.x, -2, 2, 0),
+      y: clampNumber(item.y, -2, 2, 0),
+      scale: clampNumber(item.scale, MIN_SCALE, MAX_SCALE, 1),
+      opacity: clampNumber(item.opacity, 0, 1, 1)
+    });
+  }
+  return Array.from(byTime.values())
+    .sort((a, b) => a.t - b.t)
+    .slice(0, MAX_KEYFRAMES);
+}
+
+/**
+ * 取时间线条目中的关键帧（规范化后），无关键帧返回空数组
+ */
+function getLayerKeyframes(range) {
+  return range && Array.isArray(range.keyframes) ? normalizeKeyframes(range.keyframes) : [];
+}
+
+function hasLayerKeyframes(range) {
+  return getLayerKeyframes(range).length > 0;
+}
+
+function normalizeTransition(raw) {
+  if (!raw || typeof raw !== 'object' || !TRANSITION_TYPES.includes(raw.type)) return null;
+  return {
+    type: raw.type,
+    duration: clampNumber(raw.duration, MIN_TRANSITION_SEC, MAX_TRANSITION_SEC, DEFAULT_TRANSITION_SEC)
+  };
+}
+
+/**
+ * 取时间线条目中的入场 / 出场过渡，未设置的一侧为 null
+ * @returns {{ in: ?{ type: string, duration: number }, out: ?{ type: string, duration: number } }}
+ */
+function getLayerTransitions(range) {
+  const raw = range && range.transitions && typeof range.transitions === 'object' ? range.transitions : {};
+  return { in: normalizeTransition(raw.in), out: normalizeTransition(raw.out) };
+}
+
+function hasLayerTransitions(range) {
+  const transitions = getLayerTransitions(range);
+  return Boolean(transitions.in || transitions.out);
+}
+
+// 关键帧或过渡任一存在，图层就需要逐帧渲染
+function hasLayerMotion(range) {
+  return hasLayerKeyframes(range) || hasLayerTransitions(range);
+}
+
+/**
+ * 滑入 / 滑出的位移距离（像素）：移动到该方向完全离开画框
+ * @param {{ x: number, y: number, width: number, height: number }} rect - 图层像素矩形
+ */
+function getSlideDistances(rect, frameW, frameH) {
+  return {
+    left: Math.round(rect.x + rect.width),
+    right: Math.round(frameW - rect.x),
+    top: Math.round(rect.y + rect.height),
+    bottom: Math.round(frameH - rect.y)
+  };
+}
+
+/**
+ * 过渡时长（秒）：入场与出场同时存在时各不超过可见时长的一半
+ */
+function resolveTransitionDurations(transitions, visibleSec) {
+  const limit = transitions.in && transitions.out ? visibleSec / 2 : visibleSec;
+  const resolve = (item) => (item ? Math.max(0, Math.min(item.duration, limit)) : 0);
+  return { in: resolve(transitions.in), out: resolve(transitions.out) };
+}
+
+function applyTransitionEffect(state, type, hidden, slideDistances) {
+  if (hidden <= 0) return;
+  // 淡入淡出线性；滑动 / 缩放按 ease-out 曲线（hidden 已为平方）
+  if (type === 'fade') state.opacity *= 1 - hidden;
+  else if (type === 'scale') state.scale *= Math.max(MIN_SCALE, 1 - hidden);
+  else if (type === 'slide-left') state.dx -= slideDistances.left * hidden;
+  else if (type === 'slide-right') state.dx += slideDistances.right * hidden;
+  else if (type === 'slide-top') state.dy -= slideDistances.top * hidden;
+  else if (type === 'slide-bottom') state.dy += slideDistances.bottom * hidden;
+}
+
+/**
+ * 过渡在 percent 处的状态
+ * @param {object} options
+ * @param {object} options.transitions - getLayerTransitions 的结果
+ * @param {number} options.percent
+ * @param {number} options.start - 可见区间起点（百分比）
+ * @param {number} options.end - 可见区间终点（百分比）
+ * @param {number} options.durationSec - 时间线总时长
+ * @param {object} options.slideDistances - getSlideDistances 的结果
+ * @returns {{ opacity: number, scale: number, dx: number, dy: number }} opacity / scale 为乘数，dx / dy 为像素位移
+ */
+function sampleTransitionState({ transitions, percent, start, end, durationSec, slideDistances }) {
+  const state = { opacity: 1, scale: 1, dx: 0, dy: 0 };
+  if (!transitions || (!transitions.in && !transitions.out) || !(durationSec > 0)) return state;
+  const tSec = (percent / 100) * durationSec;
+  const startSec = (start / 100) * durationSec;
+  const endSec = (end / 100) * durationSec;
+  const durations = resolveTransitionDurations(transitions, Math.max(0, endSec - startSec));
+  const hiddenAmount = (type, elapsed, duration) => {
+    const p = duration > 0 ? Math.max(0, Math.min(1, elapsed / duration)) : 1;
+    return type === 'fade' ? 1 - p : (1 - p) * (1 - p);
+  };
+  if (transitions.in && durations.in > 0) {
+    const type = transitions.in.type;
+    applyTransitionEffect(state, type, hiddenAmount(type, tSec - startSec, durations.in), slideDistances);
+  }
+  if (transitions.out && durations.out > 0) {
+    const type = transitions.out.type;
+    applyTransitionEffect(state, type, hiddenAmount(type, endSec - tSec, durations.out), slideDistances);
+  }
+  return state;
+}
+
+/**
+ * GIF 图层的过渡滤镜（FFmpeg overlay 图）：淡入淡出用 fade（alpha），滑动用 overlay 的 x / y 表达式；
+ * 缩放用 scale=...:eval=frame 逐帧缩放整画框流，再由 overlay 的 x / y 表达式把图层中心放回原处。
+ * @param {object} options
+ * @param {object} options.transitions - getLayerTransitions 的结果
+ * @param {number} options.startSec - 可见区间起点（该 overlay 图中 t 的时间轴）
+ * @param {number} options.endSec - 可见区间终点
+ * @param {object} options.slideDistances - getSlideDistances 的结果
+ * @param {{ x: number, y: number }} [options.center] - 缩放中心（画框像素坐标，即图层中心）
+ * @returns {{ streamFilter: string, overlayPosition: string }} streamFilter 接在整画框图层流末尾（可为空）；overlayPosition 为 `x=..:y=..`
+ */
+function buildTransitionFilters({ transitions, startSec, endSec, slideDistances, center = { x: 0, y: 0 } }) {
+  const result = { streamFilter: '', overlayPosition: 'x=0:y=0' };
+  if (!transitions || (!transitions.in && !transitions.out)) return result;
+  const durations = resolveTransitionDurations(transitions, Math.max(0, endSec - startSec));
+  const fades = [];
+  const scaleTerms = [];
+  const xTerms = [];
+  const yTerms = [];
+  const addTransition = (item, duration, edge) => {
+    if (!item || !(duration > 0)) return;
+    const d = duration.toFixed(6);
+    if (item.type === 'fade') {
+      const st = edge === 'in' ? startSec : endSec - duration;
+      fades.push(`fade=t=${edge}:st=${Math.max(0, st).toFixed(6)}:d=${d}:alpha=1`);
+      return;
+    }
+    const elapsed = edge === 'in' ? `(t-${startSec.toFixed(6)})` : `(${endSec.toFixed(6)}-t)`;
+    const hidden = `pow(1-clip(${elapsed}/${d}\\,0\\,1)\\,2)`;
+    if (item.type === 'scale') scaleTerms.push(`max(${MIN_SCALE}\\,1-${hidden})`);
+    else if (item.type === 'slide-left') xTerms.push(`-${slideDistances.left}*${hidden}`);
+    else if (item.type === 'slide-right') xTerms.push(`${slideDistances.right}*${hidden}`);
+    else if (item.type === 'slide-top') yTerms.push(`-${slideDistances.top}*${hidden}`);
+    else if (item.type === 'slide-bottom') yTerms.push(`${slideDistances.bottom}*${hidden}`);
+  };
+  addTransition(transitions.in, durations.in, 'in');
+  addTransition(transitions.out, durations.out, 'out');
+  const streamFilters = fades.slice();
+  if (scaleTerms.length > 0) {
+    // 缩放后流尺寸为 w×h（画框为 W×H），中心 (cx, cy) 偏移到 (cx·w/W, cy·h/H)，用 x / y 抵消
+    const factor = scaleTerms.join('*');
+    streamFilters.push(`scale=w='max(1\\,iw*${factor})':h='max(1\\,ih*${factor})':eval=frame`);
+    xTerms.push(`${Math.round(center.x)}*(1-w/W)`);
+    yTerms.push(`${Math.round(center.y)}*(1-h/H)`);
+  }
+  if (streamFilters.length > 0) result.streamFilter = `format=rgba,${streamFilters.join(',')}`;
+  const toExpr = (terms) => (terms.length > 0 ? `'${terms.join('+')}'` : '0');
+  result.overlayPosition = `x=${toExpr(xTerms)}:y=${toExpr(yTerms)}`;
+  return result;
+}
+
+/**
+ * 在 percent 处线性插值；首个关键帧之前 / 最后一个之后保持端点值
+ */
+function sampleKeyframes(keyframes, percent) {
+  if (!keyframes || keyframes.length === 0) {
+    return { x: 0, y: 0, scale: 1, opacity: 1 };
+  }
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (percent <= first.t) return { x: first.x, y: first.y, scale: first.scale, opacity: first.opacity };
+  if (percent >= last.t) return { x: last.x, y: last.y, scale: last.scale, opacity: last.opacity };
+  for (let i = 1; i < keyframes.length; i++) {
+    const next = keyframes[i];
+    if (percent > next.t) continue;
+    const prev = keyframes[i - 1];
+    const span = next.t - prev.t;
+    const k = span > 0 ? (percent - prev.t) / span : 1;
+    const lerp = (a, b) => a + (b - a) * k;
+    return {
+      x: lerp(prev.x, next.x),
+      y: lerp(prev.y, next.y),
+      scale: lerp(prev.scale, next.scale),
+      opacity: lerp(prev.opacity, next.opacity)
+    };
+  }
+  return { x: last.x, y: last.y, scale: last.scale, opacity: last.opacity };
+}
+
+/**
+ * 关键帧图层渲染器：图层 PNG 为整画框尺寸，按状态（像素位移 / 缩放 / 不透明度）去重后用 ImageMagick 渲染；
+ * 传入 transitions 时在可见区间起止处叠加入场 / 出场过渡
+ * @param {object} options
+ * @param {Function} options.execAsync
+ * @param {string} options.magickBin
+ * @param {string} options.layerPath - 整画框尺寸的图层 PNG
+ * @param {Array} options.keyframes - normalizeKeyframes 的结果
+ * @param {object} [options.bounds] - 图层在画框中的位置 { x, y, width, height }（画框比例），缩放中心
+ * @param {number} options.frameW
+ * @param {number} options.frameH
+ * @param {string} options.workDir
+ * @param {{ start: number, end: number }} [options.visibleRange] - 可见区间外的帧沿用区间端点状态，减少渲染
+ * @param {object} [options.transitions] - getLayerTransitions 的结果
+ * @param {number} [options.durationSec] - 时间线总时长（过渡时长换算用）
+ */
+function createKeyframedLayerRenderer({ execAsync, magickBin, layerPath, keyframes, bounds, frameW, frameH, workDir, visibleRange = null, transitions = null, durationSec = 0 }) {
+  const hasBounds = bounds && [bounds.x, bounds.y, bounds.width, bounds.height].every(v => Number.isFinite(Number(v)));
+  const centerX = hasBounds ? (Number(bounds.x) + Number(bounds.width) / 2) * frameW : frameW / 2;
+  const centerY = hasBounds ? (Number(bounds.y) + Number(bounds.height) / 2) * frameH : frameH / 2;
+  const rangeStart = visibleRange ? clampNumber(visibleRange.start, 0, 100, 0) : 0;
+  const rangeEnd = visibleRange ? clampNumber(visibleRange.end, 0, 100, 100) : 100;
+  const slideDistances = hasBounds
+    ? getSlideDistances({ x: bounds.x * frameW, y: bounds.y * frameH, width: bounds.width * frameW, height: bounds.height * frameH }, frameW, frameH)
+    : getSlideDistances({ x: 0, y: 0, width: frameW, height: frameH }, frameW, frameH);
+  const rendered = new Map();
+  let stateCount = 0;
+
+  fs.mkdirSync(workDir, { recursive: true });
+
+  const getState = (percent) => {
+    const clamped = rangeEnd > rangeStart ? Math.max(rangeStart, Math.min(rangeEnd, percent)) : percent;
+    const s = sampleKeyframes(keyframes, clamped);
+    const tr = sampleTransitionState({ transitions, percent: clamped, start: rangeStart, end: rangeEnd, durationSec, slideDistances });
+    const state = {
+      dx: Math.round(s.x * frameW + tr.dx),
+      dy: Math.round(s.y * frameH + tr.dy),
+      scale: Math.round(s.scale * tr.scale * 1000) / 1000,
+      opacity: Math.round(s.opacity * tr.opacity * 100) / 100
+    };
+    state.key = `${state.dx}_${state.dy}_${state.scale}_${state.opacity}`;
+    return state;
+  };
+
+  const isIdentity = (state) => state.dx === 0 && state.dy === 0 && state.scale === 1 && state.opacity === 1;
+
+  const buildOps = (state) => {
+    const ops = [];
+    if (state.opacity < 1) {
+      ops.push(`-channel A -evaluate multiply ${state.opacity} +channel`);
+    }
+    if (state.dx !== 0 || state.dy !== 0 || state.scale !== 1) {
+      const cx = centerX.toFixed(2);
+      const cy = centerY.toFixed(2);
+      ops.push(`-virtual-pixel transparent -distort SRT "${cx},${cy} ${state.scale} 0 ${(centerX + state.dx).toFixed(2)},${(centerY + state.dy).toFixed(2)}"`);
+    }
+    return ops.join(' ');
+  };
+
+  const nextStatePath = () => path.join(workDir, `state_${String(stateCount++).padStart(4, '0')}.png`);
+
+  async function renderStates(states) {
+    const pendingByKey = new Map();
+    for (const state of states) {
+      if (!rendered.has(state.key) && !isIdentity(state)) pendingByKey.set(state.key, state);
+    }
+    const pending = Array.from(pendingByKey.values());
+    for (let i = 0; i < pending.length; i += RENDER_BATCH_SIZE) {
+      const batch = pending.slice(i, i + RENDER_BATCH_SIZE);
+      const outputs = batch.map(() => nextStatePath());
+      let cmd = `${magickBin} "${layerPath}" -write mpr:kf`;
+      batch.forEach((state, index) => {
+        cmd += ` \\( mpr:kf ${buildOps(state)} -write "${outputs[index]}" +delete \\)`;
+      });
+      cmd += ' null:';
+      await execAsync(cmd, { timeout: 120000, maxBuffer: 50 * 1024 * 1024 });
+      batch.forEach((state, index) => rendered.set(state.key, Promise.resolve(outputs[index])));
+    }
+  }
+
+  /**
+   * 单帧渲染（逐帧合成路径用），并发请求同一状态时共享结果
+   * @returns {Promise<string>} 该帧的图层 PNG 路径
+   */
+  function renderAt(percent) {
+    const state = getState(percent);
+    if (isIdentity(state)) return Promise.resolve(layerPath);
+    if (!rendered.has(state.key)) {
+      const outputPath = nextStatePath();
+      const task = execAsync(`${magickBin} "${layerPath}" ${buildOps(state)} "${outputPath}"`, { timeout: 60000, maxBuffer: 50 * 1024 * 1024 })
+        .then(() => outputPath);
+      task.catch(() => rendered.delete(state.key));
+      rendered.set(state.key, task);
+    }
+    return rendered.get(state.key);
+  }
+
+  /**
+   * 渲染 PNG 序列（FFmpeg 管道用）：第 i 帧对应 percents[i]
+   * @returns {Promise<{ pattern: string, frameCount: number, uniqueStates: number }>}
+   */
+  async function renderSequence(percents, sequenceDir) {
+    fs.mkdirSync(sequenceDir, { recursive: true });
+    const states = percents.map(getState);
+    await renderStates(states);
+    for (let i = 0; i < states.length; i++) {
+      const source = isIdentity(states[i]) ? layerPath : await rendered.get(states[i].key);
+      const target = path.join(sequenceDir, `kf_${String(i).padStart(4, '0')}.png`);
+      try {
+        fs.linkSync(source, target);
+      } catch (_) {
+        fs.copyFileSync(source, target);
+      }
+    }
+    return {
+      pattern: path.join(sequenceDir, 'kf_%04d.png'),
+      frameCount: states.length,
+      uniqueStates: new Set(states.map(state => state.key)).size
+    };
+  }
+
+  return { renderAt, renderSequence };
+}
+
+module.exports = {
+  normalizeKeyframes,
+  getLayerKeyframes,
+  hasLayerKeyframes,
+  getLayerTransitions,
+  hasLayerTransitions,
+  hasLayerMotion,
+  getSlideDistances,
+  sampleKeyframes,
+  sampleTransitionState,
+  buildTransitionFilters,
+  createKeyframedLayerRenderer
+};
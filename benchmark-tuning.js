@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+// benchmark-tuning.js
+// 调参基准测试：对本地样本录屏逐个「预设 × 导出模式 × GIF 算法」运行 transcodeVideoToGif（watcher 链路）
+// 与 composeAnnotatedGif（时间线导出链路），记录耗时 / 体积 / 帧数 / SSIM·PSNR / 命中档位，输出 JSON + HTML 报告。
+//
+// 用法：
+//   npm run benchmark -- <样本目录> [选项]
+//   node benchmark-tuning.js ~/Desktop/samples --presets quality,balanced,speed --modes auto,fast
+//
+// 选项：
+//   --presets <a,b>        预设名（内置 + 自定义），默认全部
+//   --modes <a,b>          导出模式 auto / fast / quality，默认 auto
+//   --algorithms <a,b>     GIF 算法 smooth_gradient / less_noise / scene_palette，默认 smooth_gradient
+//   --targets <a,b>        transcode / compose，默认两者都跑
+//   --out <目录>           报告与产物目录，默认 ./benchmark-results/<时间戳>
+//   --quality-seconds <n>  仅对开头 n 秒评分（0 = 全片），默认 10
+//   --compose-scale <n>    时间线导出画板尺寸 = 视频尺寸 × n（模拟 Figma 中的显示尺寸），默认 0.5
+//   --keep-outputs         保留生成的 GIF（默认评分后删除，只留报告）
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+
+const mediaTuning = require('./media-processing-tuning');
+const tuningPresets = require('./tuning-presets');
+const userConfig = require('./userConfig');
+const { transcodeVideoToGif, probeVideoMeta, measurePerceptualQuality } = require('./video-gif-pipeline');
+
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm']);
+const VALID_MODES = ['auto', 'fast', 'quality'];
+const VALID_ALGORITHMS = ['smooth_gradient', 'less_noise', 'scene_palette'];
+const VALID_TARGETS = ['transcode', 'compose'];
+
+// 与 server.js 一致：优先使用内置 runtime 中的 ffmpeg / gifsicle / ImageMagick
+(() => {
+  const prependPathOnce = (dir) => {
+    if (!dir || !fs.existsSync(dir)) return;
+    const current = process.env.PATH || '';
+    if (!current.split(':').includes(dir)) {
+      process.env.PATH = current ? `${dir}:${current}` : dir;
+    }
+  };
+  const archKey = process.arch === 'arm64' ? 'apple' : 'intel';
+  const dirs = [
+    path.join(__dirname, 'runtime', 'bin'),
+    path.join(__dirname, 'runtime', archKey, 'bin'),
+    path.join(__dirname, 'runtime', process.arch, 'bin'),
+    path.join(os.homedir(), '.screensync', 'bin'),
+    path.join(os.homedir(), '.screensync', 'deps', 'imagemagick', 'bin')
+  ];
+  for (const d of dirs.reverse()) prependPathOnce(d);
+})();
+
+function parseArgs(argv) {
+  const options = {
+    corpusDir: null,
+    presets: null,
+    modes: ['auto'],
+    algorithms: ['smooth_gradient'],
+    targets: VALID_TARGETS.slice(),
+    outDir: null,
+    qualitySeconds: 10,
+    composeScale: 0.5,
+    keepOutputs: false
+  };
+  const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--presets') options.presets = list(next());
+    else if (arg === '--modes') options.modes = list(next()).filter(item => VALID_MODES.includes(item));
+    else if (arg === '--algorithms') options.algorithms = list(next()).filter(item => VALID_ALGORITHMS.includes(item));
+    else if (arg === '--targets') options.targets = list(next()).filter(item => VALID_TARGETS.includes(item));
+    else if (arg === '--out') options.outDir = path.resolve(next());
+    else if (arg === '--quality-seconds') options.qualitySeconds = Math.max(0, Number(next()) || 0);
+    else if (arg === '--compose-scale') options.composeScale = Math.min(1, Math.max(0.1, Number(next()) || 0.5));
+    else if (arg === '--keep-outputs') options.keepOutputs = true;
+    else if (!arg.startsWith('--') && !options.corpusDir) options.corpusDir = path.resolve(arg);
+    else throw new Error(`未知参数: ${arg}`);
+  }
+  if (!options.corpusDir) {
+    throw new Error('缺少样本目录：node benchmark-tuning.js <样本目录> [选项]');
+  }
+  if (options.modes.length === 0) options.modes = ['auto'];
+  if (options.algorithms.length === 0) options.algorithms = ['smooth_gradient'];
+  if (options.targets.length === 0) options.targets = VALID_TARGETS.slice();
+  if (!options.outDir) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    options.outDir = path.join(process.cwd(), 'benchmark-results', stamp);
+  }
+  return options;
+}
+
+function listSamples(corpusDir) {
+  if (!fs.existsSync(corpusDir) || !fs.statSync(corpusDir).isDirectory()) {
+    throw new Error(`样本目录不存在: ${corpusDir}`);
+  }
+  return fs.readdirSync(corpusDir)
+    .filter(name => !name.startsWith('.') && VIDEO_EXTENSIONS.has(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(corpusDir, name));
+}
+
+// 输出帧数与时长（用于报告与评分时对齐参考视频帧率）
+async function probeOutput(outputPath) {
+  try {
+    const { stdout } = await execAsync(
+      `ffprobe -v error -count_frames -select_streams v:0 -show_entries stream=nb_read_frames:format=duration -of json "${outputPath}"`,
+      { timeout: 60000, maxBuffer: 20 * 1024 * 1024 }
+    );
+    const parsed = JSON.parse(stdout || '{}');
+    const stream = (parsed.streams && parsed.streams[0]) || {};
+    const frameCount = Number(stream.nb_read_frames) || 0;
+    const durationSec = Number(parsed.format && parsed.format.duration) || 0;
+    return { frameCount, durationSec };
+  } catch (_) {
+    return { frameCount: 0, durationSec: 0 };
+  }
+}
+
+async function scoreOutput(samplePath, outputPath, outputInfo, qualitySeconds) {
+  const fps = outputInfo.durationSec > 0 ? outputInfo.frameCount / outputInfo.durationSec : 0;
+  return measurePerceptualQuality({
+    execAsync,
+    ffmpegBin: 'ffmpeg',
+    referencePath: samplePath,
+    candidatePath: outputPath,
+    referenceFilter: fps > 0 ? `fps=${Math.round(fps * 100) / 100}` : '',
+    sampleSeconds: qualitySeconds,
+    timeoutMs: 120000
+  });
+}
+
+// 命中档位：首档 = primary，之后为 retry-N，共享保底压缩路径 = shared-fallback
+function describeTranscodeStage(result) {
+  const label = (result.profile && result.profile.label) || '';
+  if (/-fallback$/.test(label)) return 'shared-fallback';
+  const profiles = (result.plan && result.plan.profiles) || [];
+  const index = profiles.findIndex(profile => profile.label === label);
+  if (index === 0) return 'primary';
+  if (index > 0) return `retry-${index}`;
+  return result.sizeBudget ? 'size-budget' : 'unknown';
+}
+
+function runTranscode({ samplePath, meta, mode, algorithm, outputPath, workDir }) {
+  const sizeMB = fs.statSync(samplePath).size / 1024 / 1024;
+  return transcodeVideoToGif({
+    execAsync,
+    ffmpegBin: 'ffmpeg',
+    ffprobeBin: 'ffprobe',
+    gifsicleBin: 'gifsicle',
+    sourcePath: samplePath,
+    outputPath,
+    tempDir: workDir,
+    mediaTuning,
+    requestedMode: mode,
+    gifAlgorithm: algorithm,
+    decisionSizeMB: sizeMB,
+    pixels: meta ? meta.width * meta.height : 0,
+    frameCount: meta ? Math.round((meta.fps || 0) * (meta.duration || 0)) : 0,
+    optimizeOutput: true,
+    enableHalfScalePrepass: true
+  }).then(result => ({
+    outputPath: result.outputPath,
+    stage: describeTranscodeStage(result),
+    profileLabel: result.profile ? result.profile.label : null
+  }));
+}
+
+function createBenchComposer(samplePath, composeDir) {
+  const execAsyncCancellable = (cmd, options = {}) => execAsync(cmd, options);
+  const removeDirRecursive = (dirPath) => fs.rmSync(dirPath, { recursive: true, force: true });
+  // 注入的 userConfig：缓存查找直接指向样本视频，导出写到基准目录；
+  // 去掉转换缓存，保证计时为真实转换，也不读写 / 淘汰用户的真实缓存
+  const benchUserConfig = {
+    ...userConfig,
+    getLocalDownloadFolder: () => composeDir,
+    getGifFromCache: () => ({ path: samplePath }),
+    getConversionFromCache: undefined,
+    saveConversionToCache: undefined
+  };
+  return require('./gif-composer')({ execAsyncCancellable, removeDirRecursive, userConfig: benchUserConfig });
+}
+
+async function runCompose({ samplePath, meta, mode, algorithm, composeDir, composeScale, runIndex }) {
+  const composeAnnotatedGif = createBenchComposer(samplePath, composeDir);
+  const width = Math.max(2, Math.round(((meta && meta.width) || 750) * composeScale));
+  const height = Math.max(2, Math.round(((meta && meta.height) || 1334) * composeScale));
+  const result = await composeAnnotatedGif({
+    frameName: `bench_${runIndex}`,
+    frameBounds: { x: 0, y: 0, width, height },
+    gifInfos: [{
+      layerId: 'bench-layer',
+      filename: path.basename(samplePath),
+      cacheId: `bench_${runIndex}`,
+      bounds: { x: 0, y: 0, width, height },
+      zIndex: 0,
+      sourceSizeMB: fs.statSync(samplePath).size / 1024 / 1024
+    }],
+    staticLayers: [],
+    annotationLayers: [],
+    timelineData: {},
+    gifAlgorithm: algorithm,
+    exportMode: mode,
+    outputFormat: 'gif',
+    connectionId: `bench_${runIndex}`
+  });
+  return {
+    outputPath: result.outputPath,
+    stage: result.exportModeLog || null,
+    profileLabel: null
+  };
+}
+
+function formatMB(bytes) {
+  return bytes ? (bytes / 1024 / 1024).toFixed(2) : '-';
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 按「目标 × 预设 × 模式 × 算法」汇总：平均耗时 / 体积 / SSIM 与失败数
+function summarize(runs) {
+  const groups = new Map();
+  for (const run of runs) {
+    const key = [run.target, run.preset, run.mode, run.algorithm].join('|');
+    if (!groups.has(key)) {
+      groups.set(key, { target: run.target, preset: run.preset, mode: run.mode, algorithm: run.algorithm, runs: [], failures: 0 });
+    }
+    const group = groups.get(key);
+    if (run.ok) group.runs.push(run);
+    else group.failures++;
+  }
+  const avg = (items, pick) => {
+    const values = items.map(pick).filter(value => Number.isFinite(value));
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  };
+  return Array.from(groups.values()).map(group => ({
+    target: group.target,
+    preset: group.preset,
+    mode: group.mode,
+    algorithm: group.algorithm,
+    samples: group.runs.length,
+    failures: group.failures,
+    avgWallMs: avg(group.runs, run => run.wallMs),
+    avgSizeBytes: avg(group.runs, run => run.sizeBytes),
+    avgSsim: avg(group.runs, run => run.quality && run.quality.ssim),
+    avgPsnr: avg(group.runs, run => run.quality && run.quality.psnr)
+  }));
+}
+
+function renderHtmlReport(report) {
+  const fmt = (value, digits) => (value === null || value === undefined ? '-' : Number(value).toFixed(digits));
+  const summaryRows = report.summary.map(row => `
+      <tr>
+        <td>${escapeHtml(row.target)}</td><td>${escapeHtml(row.preset)}</td><td>${escapeHtml(row.mode)}</td><td>${escapeHtml(row.algorithm)}</td>
+        <td>${row.samples}</td><td class="${row.failures ? 'bad' : ''}">${row.failures}</td>
+        <td>${fmt(row.avgWallMs !== null ? row.avgWallMs / 1000 : null, 1)}</td><td>${formatMB(row.avgSizeBytes)}</td>
+        <td>${fmt(row.avgSsim, 4)}</td><td>${fmt(row.avgPsnr, 2)}</td>
+      </tr>`).join('');
+  const runRows = report.runs.map(run => `
+      <tr class="${run.ok ? '' : 'bad'}">
+        <td>${escapeHtml(run.sample)}</td><td>${escapeHtml(run.target)}</td><td>${escapeHtml(run.preset)}</td>
+        <td>${escapeHtml(run.mode)}</td><td>${escapeHtml(run.algorithm)}</td>
+        <td>${fmt(run.wallMs / 1000, 1)}</td><td>${formatMB(run.sizeBytes)}</td><td>${run.frameCount || '-'}</td>
+        <td>${fmt(run.quality && run.quality.ssim, 4)}</td><td>${fmt(run.quality && run.quality.psnr, 2)}</td>
+        <td>${escapeHtml(run.ok ? (run.stage || '-') : run.error)}</td>
+      </tr>`).join('');
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>ScreenSync 调参基准 ${escapeHtml(report.startedAt)}</title>
+<style>
+  body { font: 13px -apple-system, BlinkMacSystemFont, sans-serif; margin: 24px; color: #1c1c1e; }
+  h1 { font-size: 18px; } h2 { font-size: 15px; margin-top: 28px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #e5e5ea; padding: 6px 8px; text-align: left; white-space: nowrap; }
+  th { background: #f2f2f7; position: sticky; top: 0; }
+  td:nth-child(n+6) { font-variant-numeric: tabular-nums; }
+  .bad { color: #d70015; }
+  .meta { color: #636366; }
+</style>
+</head>
+<body>
+<h1>调参基准报告</h1>
+<p class="meta">${escapeHtml(report.startedAt)} · ${escapeHtml(report.host)} · 样本 ${report.samples.length} 个 · 运行 ${report.runs.length} 次 · SSIM 评分取开头 ${report.options.qualitySeconds || '全部'} 秒</p>
+<h2>汇总</h2>
+<table>
+  <thead><tr><th>链路</th><th>预设</th><th>模式</th><th>算法</th><th>样本</th><th>失败</th><th>平均耗时(s)</th><th>平均体积(MB)</th><th>平均 SSIM</th><th>平均 PSNR</th></tr></thead>
+  <tbody>${summaryRows}</tbody>
+</table>
+<h2>明细</h2>
+<table>
+  <thead><tr><th>样本</th><th>链路</th><th>预设</th><th>模式</th><th>算法</th><th>耗时(s)</th><th>体积(MB)</th><th>帧数</th><th>SSIM</th><th>PSNR</th><th>命中档位 / 错误</th></tr></thead>
+  <tbody>${runRows}</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const samples = listSamples(options.corpusDir);
+  if (samples.length === 0) {
+    throw new Error(`样本目录中没有视频文件（${Array.from(VIDEO_EXTENSIONS).join(' / ')}）: ${options.corpusDir}`);
+  }
+
+  const available = tuningPresets.listTuningPresets().presets.map(preset => preset.name);
+  const presets = options.presets ? options.presets.filter(name => available.includes(name)) : available;
+  if (presets.length === 0) {
+    throw new Error(`没有可用的预设，可选: ${available.join(', ')}`);
+  }
+
+  const outputsDir = path.join(options.outDir, 'outputs');
+  const workRoot = path.join(options.outDir, 'work');
+  fs.mkdirSync(outputsDir, { recursive: true });
+  fs.mkdirSync(workRoot, { recursive: true });
+  // 时间线导出按 SYNC_MODE 决定输出目录，固定走注入的 getLocalDownloadFolder
+  process.env.SYNC_MODE = 'drive';
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    host: `${os.hostname()} (${os.cpus().length} cores, ${Math.round(os.totalmem() / 1024 / 1024 / 1024)}GB)`,
+    options: { ...options, presets },
+    samples: [],
+    runs: [],
+    summary: []
+  };
+  const total = samples.length * presets.length * options.modes.length * options.algorithms.length * options.targets.length;
+  console.log(`\n📊 [Benchmark] 样本 ${samples.length} 个 × 预设 ${presets.join('/')} × 模式 ${options.modes.join('/')} × 算法 ${options.algorithms.join('/')} × 链路 ${options.targets.join('/')} = ${total} 次运行`);
+  console.log(`   📁 输出目录: ${options.outDir}\n`);
+
+  let runIndex = 0;
+  for (const samplePath of samples) {
+    const sample = path.basename(samplePath);
+    const meta = await probeVideoMeta(execAsync, 'ffprobe', samplePath);
+    report.samples.push({
+      name: sample,
+      sizeBytes: fs.statSync(samplePath).size,
+      width: meta ? meta.width : null,
+      height: meta ? meta.height : null,
+      fps: meta ? meta.fps : null,
+      durationSec: meta ? meta.duration : null,
+      hdrFormat: meta ? meta.hdrFormat || null : null
+    });
+
+    for (const preset of presets) {
+      tuningPresets.applyTuningPreset(preset);
+      for (const mode of options.modes) {
+        for (const algorithm of options.algorithms) {
+          for (const target of options.targets) {
+            runIndex++;
+            const tag = `${path.parse(sample).name}__${target}__${preset}__${mode}__${algorithm}`;
+            const workDir = path.join(workRoot, `run-${runIndex}`);
+            fs.mkdirSync(workDir, { recursive: true });
+            const run = { sample, target, preset, mode, algorithm, ok: false, wallMs: 0, sizeBytes: 0, frameCount: 0, quality: null, stage: null, profileLabel: null, error: null };
+            console.log(`▶️  [${runIndex}/${total}] ${tag}`);
+            const startedAt = Date.now();
+            try {
+              const outcome = target === 'transcode'
+                ? await runTranscode({ samplePath, meta, mode, algorithm, outputPath: path.join(outputsDir, `${tag}.gif`), workDir })
+                : await runCompose({ samplePath, meta, mode, algorithm, composeDir: workDir, composeScale: options.composeScale, runIndex });
+              run.wallMs = Date.now() - startedAt;
+              let outputPath = outcome.outputPath;
+              if (target === 'compose') {
+                const keptPath = path.join(outputsDir, `${tag}.gif`);
+                fs.renameSync(outputPath, keptPath);
+                outputPath = keptPath;
+              }
+              run.sizeBytes = fs.statSync(outputPath).size;
+              const outputInfo = await probeOutput(outputPath);
+              run.frameCount = outputInfo.frameCount;
+              run.quality = await scoreOutput(samplePath, outputPath, outputInfo, options.qualitySeconds);
+              run.stage = outcome.stage;
+              run.profileLabel = outcome.profileLabel;
+              run.ok = true;
+              if (!options.keepOutputs) {
+                try { fs.unlinkSync(outputPath); } catch (_) {}
+              }
+              console.log(`   ✅ ${(run.wallMs / 1000).toFixed(1)}s · ${formatMB(run.sizeBytes)}MB · ${run.frameCount} 帧 · SSIM=${run.quality ? run.quality.ssim : 'n/a'} · ${run.stage || '-'}`);
+            } catch (error) {
+              run.wallMs = Date.now() - startedAt;
+              run.error = error.message;
+              console.warn(`   ❌ 失败: ${error.message}`);
+            } finally {
+              try { fs.rmSync(workDir, { recursive: true, force: true }); } catch (_) {}
+            }
+            report.runs.push(run);
+          }
+        }
+      }
+    }
+  }
+
+  // 恢复本进程的当前预设，避免影响同进程的后续调用
+  tuningPresets.applyTuningPreset(tuningPresets.listTuningPresets().active);
+  try { fs.rmSync(workRoot, { recursive: true, force: true }); } catch (_) {}
+  if (!options.keepOutputs) {
+    try { fs.rmSync(outputsDir, { recursive: true, force: true }); } catch (_) {}
+  }
+
+  report.finishedAt = new Date().toISOString();
+  report.summary = summarize(report.runs);
+  const jsonPath = path.join(options.outDir, 'report.json');
+  const htmlPath = path.join(options.outDir, 'report.html');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  fs.writeFileSync(htmlPath, renderHtmlReport(report), 'utf8');
+
+  const failures = report.runs.filter(run => !run.ok).length;
+  console.log(`\n📊 [Benchmark] 完成：${report.runs.length - failures} 成功 / ${failures} 失败`);
+  console.log(`   📄 ${jsonPath}`);
+  console.log(`   🌐 ${htmlPath}\n`);
+}
+
+main().catch((error) => {
+  console.error(`❌ [Benchmark] ${error.message}`);
+  process.exit(1);
+});
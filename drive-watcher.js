@@ -49,11 +49,13 @@ const {
 const userConfig = require('./userConfig');
 const recordingTaskStore = require('./recording-task-store');
 const mediaTuning = require('./media-processing-tuning');
+const { startTuningPresetSync } = require('./tuning-presets');
+const { createRemoteJobClient } = require('./media-job-scheduler');
 const {
   getSystemPressure,
   getAdaptiveVideoTimeoutMs
 } = require('./adaptive-processing');
-const { transcodeVideoToGif, probeVideoMeta } = require('./video-gif-pipeline');
+const { transcodeVideoToGif, transcodeVideoToGifChapters, probeVideoMeta, getOutputFormatInfo, copyExtraOutputs } = require('./video-gif-pipeline');
 
 const {
   getUserIdentifier,
@@ -403,7 +405,6 @@ const CONFIG = {
     return userConfig.getBackupGif();
   }
 };
-const LARGE_GIF_URL_THRESHOLD = mediaTuning.thresholds.largeGifUrlMb * 1024 * 1024;
 
 /**
  * 快速探测视频元数据（fps/宽高/时长），用于跳过不必要的滤镜。
@@ -449,6 +450,59 @@ function parseGifDimensionsFromFile(filePath) {
   }
 }
 
+/**
+ * 保存按场景拆分出的录屏章节：第 1 章沿用主流程的缓存结果，其余章节命名为 xxx_part2.gif 等，
+ * 写入 GIF 缓存，并按备份模式备份到本地下载文件夹。
+ * @returns {Promise<Array>} 写入录屏任务的章节列表（按顺序）
+ */
+async function saveRecordingChapters(chapterResults, gifFilename, driveFileId, firstChapter) {
+  const baseName = path.basename(gifFilename, path.extname(gifFilename));
+  const backupMode = userConfig.getBackupMode();
+  const chapters = [];
+  for (const result of chapterResults) {
+    const { chapterIndex, startSec, endSec } = result;
+    if (chapterIndex === 0) {
+      chapters.push({ index: 0, filename: gifFilename, ...firstChapter, startSec, endSec });
+      continue;
+    }
+    const filename = `${baseName}_part${chapterIndex + 1}.gif`;
+    let gifCacheId = null;
+    try {
+      const cacheResult = userConfig.saveGifFileToCache(result.outputPath, filename, `${driveFileId}_part${chapterIndex + 1}`);
+      if (cacheResult) gifCacheId = cacheResult.cacheId;
+    } catch (_) {}
+    const dims = parseGifDimensionsFromFile(result.outputPath);
+    if (result.extraOutputs && result.extraOutputs.length > 0) {
+      const localFolder = ensureLocalDownloadFolder();
+      if (localFolder) {
+        copyExtraOutputs({
+          extraOutputs: result.extraOutputs,
+          targetDir: path.join(localFolder, 'GIF'),
+          baseName: `${baseName}_part${chapterIndex + 1}`,
+          log: (message) => console.log(message)
+        });
+      }
+    }
+    if (backupMode === 'gif_only' || backupMode === 'all') {
+      try {
+        const sr = await saveFileToLocalFolder(fs.readFileSync(result.outputPath), filename, 'image/gif');
+        if (sr && sr.success && sr.isNew) notifyLocalGifSaved(filename);
+      } catch (_) {}
+    }
+    chapters.push({
+      index: chapterIndex,
+      filename,
+      gifCacheId,
+      imageWidth: dims ? dims.width : null,
+      imageHeight: dims ? dims.height : null,
+      startSec,
+      endSec
+    });
+  }
+  console.log(`   📚 [Video→GIF] 已保存 ${chapters.length} 个章节: ${chapters.map(item => item.filename).join(', ')}`);
+  return chapters;
+}
+
 /**
  * 初始化用户文件夹
  * 如果用户文件夹不存在，则创建
@@ -543,6 +597,8 @@ async function initializeUserFolder() {
 let ws = null;
 let pollTimer = null;
 let isRealTimeMode = false;
+// 视频转换前向 server 申请全局调度槽位，避免与插件导出 / iCloud 转换抢占全部 CPU
+const mediaJobClient = createRemoteJobClient({ getSocket: () => ws, source: 'drive', mediaTuning });
 
 function sendProgress(type, data) {
   if (ws && ws.readyState === WebSocket.OPEN) {
@@ -1364,6 +1420,10 @@ async function handleDriveFile(file, deleteAfterSync = false, progressCb = null,
       const videoExt = fileName.endsWith('.mov') ? '.mov' : '.mp4';
       const tempVideoPath = downloadedVideoPath || path.join(tempDir, `input${videoExt}`);
       const tempGifOut = path.join(tempDir, 'output.gif');
+      const recordingOutputFormat = userConfig.getRecordingOutputFormat();
+      const extraOutputs = recordingOutputFormat !== 'gif'
+        ? [{ format: recordingOutputFormat, outputPath: path.join(tempDir, `output${getOutputFormatInfo(recordingOutputFormat).ext}`) }]
+        : [];
       const sourceMeta = await ffprobeVideoMeta(tempVideoPath);
       const sourcePixels = Math.max(1, (sourceMeta?.width || 1) * (sourceMeta?.height || 1));
       const sourceFrames = Math.max(0, Math.round((sourceMeta?.duration || 0) * (sourceMeta?.fps || 0)));
@@ -1386,7 +1446,7 @@ async function handleDriveFile(file, deleteAfterSync = false, progressCb = null,
 
       try {
         throwIfAborted();
-        await transcodeVideoToGif({
+        const transcodeOptions = {
           execAsync,
           ffmpegBin: 'ffmpeg',
           ffprobeBin: 'ffprobe',
@@ -1402,6 +1462,13 @@ async function handleDriveFile(file, deleteAfterSync = false, progressCb = null,
           frameCount: sourceFrames,
           optimizeOutput: true,
           enableHalfScalePrepass: true,
+          extraOutputs,
+          maxSizeBytes: userConfig.getRecordingMaxSizeMB() * 1024 * 1024,
+          dedupeFrames: userConfig.getRecordingDedupeFrames(),
+          loopOptions: { loopCount: userConfig.getRecordingLoopCount() },
+          autoTrim: userConfig.getRecordingAutoTrim(),
+          // 同一录屏重复同步时直接复用转换结果
+          conversionCache: userConfig,
           shouldCancel: () => _abortAllConversions || (typeof shouldAbort === 'function' && shouldAbort()),
           onProgress: (percent, extra = {}) => {
             emitProgress('converting', percent, {
@@ -1413,14 +1480,44 @@ async function handleDriveFile(file, deleteAfterSync = false, progressCb = null,
           progressBase: 28,
           progressSpan: 58,
           log: (message) => console.log(message)
-        });
+        };
+        // 手动同步 > 实时重试（补处理）；实时首次导入优先级仅次于插件导出
+        const jobKind = syncSource === 'manual' ? 'manual' : (file._realtimeAttempt ? 'backfill' : 'realtime');
+        const { chapterResult, transcodeResult } = await mediaJobClient.run({
+          kind: jobKind,
+          label: file.name,
+          shouldCancel: transcodeOptions.shouldCancel
+        }, async () => {
           throwIfAborted();
+          // 开启「拆分章节」时先尝试按场景拆分，不满足条件（时长不足/切换点不够）则回退单个 GIF
+          const chapters = recordingTaskId && userConfig.getRecordingSplitChapters()
+            ? await transcodeVideoToGifChapters(transcodeOptions)
+            : null;
+          return {
+            chapterResult: chapters,
+            transcodeResult: chapters
+              ? { ...chapters.chapters[0], autoTrim: chapters.autoTrim }
+              : await transcodeVideoToGif(transcodeOptions)
+          };
+        });
+        throwIfAborted();
         
         const gifSizeBytes = fs.statSync(tempGifOut).size;
         const gifSizeMB = (gifSizeBytes / 1024 / 1024).toFixed(1);
         const convTime = ((Date.now() - convStartTime) / 1000).toFixed(1);
         emitProgress('converting', 88, { estimatedSec, isVideo: true, stageDetail: 'shared-gif-ready' });
         console.log(`   ✅ [Video→GIF] 共享链路完成 ${videoSizeMB}MB → ${gifSizeMB}MB (${convTime}秒)`);
+        const localFolderForExtras = transcodeResult.extraOutputs && transcodeResult.extraOutputs.length > 0
+          ? ensureLocalDownloadFolder()
+          : null;
+        const savedExtraOutputs = localFolderForExtras
+          ? copyExtraOutputs({
+              extraOutputs: transcodeResult.extraOutputs,
+              targetDir: path.join(localFolderForExtras, 'GIF'),
+              baseName: path.basename(file.name, path.extname(file.name)),
+              log: (message) => console.log(message)
+            })
+          : [];
 
         file.name = file.name.replace(/\.(mov|mp4)$/i, '.gif');
         file.mimeType = 'image/gif';
@@ -1433,6 +1530,21 @@ async function handleDriveFile(file, deleteAfterSync = false, progressCb = null,
           if (gifCacheResult) gifCacheId = gifCacheResult.cacheId;
         } catch (_) {}
         const gifDims = parseGifDimensionsFromFile(tempGifOut);
+        const chapters = chapterResult
+          ? await saveRecordingChapters(chapterResult.chapters, file.name, file.id, {
+              gifCacheId,
+              imageWidth: gifDims ? gifDims.width : null,
+              imageHeight: gifDims ? gifDims.height : null
+            })
+          : null;
+        // 自动裁剪 / 拆分章节的录屏在撤销裁剪、重新剪辑时需要源视频；临时目录会在 finally 中删除，先挂到 GIF 缓存项下保留
+        const keptSourceVideoPath = recordingTaskId && gifCacheId && (transcodeResult.autoTrim || chapters)
+          ? userConfig.saveGifSourceVideo(
+              tempVideoPath,
+              [gifCacheId].concat((chapters || []).map(chapter => chapter.gifCacheId)),
+              originalFilename
+            )
+          : null;
         if (recordingTaskId) {
           recordingTaskStore.updateStage(recordingTaskId, 'gif-ready', {
             progress: 100,
@@ -1441,13 +1553,20 @@ async function handleDriveFile(file, deleteAfterSync = false, progressCb = null,
             imageWidth: gifDims ? gifDims.width : null,
             imageHeight: gifDims ? gifDims.height : null,
             backedUpLocally: backedUpLocally || false,
-            sourceVideoFilename: originalFilename
+            sourceVideoFilename: originalFilename,
+            sourceVideoPath: keptSourceVideoPath,
+            extraOutputs: savedExtraOutputs,
+            sizeBudget: transcodeResult.sizeBudget || null,
+            qualityScore: transcodeResult.quality || null,
+            autoTrim: transcodeResult.autoTrim || null,
+            chapters,
+            importedChapters: []
           });
         }
         
         const backupMode = userConfig.getBackupMode();
         if (backupMode === 'gif_only' || backupMode === 'all') {
-          if (gifSizeBytes > LARGE_GIF_URL_THRESHOLD) {
+          if (gifSizeBytes > mediaTuning.thresholds.largeGifUrlMb * 1024 * 1024) {
             const nameForBackup = file.name;
             deferredLocalBackup = async () => {
               try {
@@ -2445,6 +2564,8 @@ function connectWebSocket() {
     try {
       const message = JSON.parse(data);
 
+      if (mediaJobClient.handleMessage(message)) return;
+
       if (message.type === 'switch-sync-mode') {
         if (message.mode !== 'drive' && message.mode !== 'google') {
           console.log('🔄 [Drive] 切换到其他模式，退出当前 watcher...');
@@ -2609,6 +2730,7 @@ function connectWebSocket() {
 
   ws.on('close', () => {
     console.log('⚠️  [Drive] 服务器连接断开，5秒后重连');
+    mediaJobClient.handleDisconnect();
     wasRealTimeMode = isRealTimeMode;
     isRealTimeMode = false;
     releaseRuntimeResources({ preserveKnown: true });
@@ -2812,6 +2934,8 @@ async function start() {
   // 不再在启动时初始化已知文件列表
   // 改为在实时模式首次启动时初始化，这样手动模式可以同步所有历史文件
   // await initializeKnownFiles();
+  // 调参预设：插件切换后通过预设文件同步到本进程
+  startTuningPresetSync();
   connectWebSocket();
 
   // 启动定期缓存清理
@@ -1380,6 +1380,12 @@ REQUIRED_FILES=(
   "image-processor.js"
   "adaptive-processing.js"
   "media-processing-tuning.js"
+  "tuning-presets.js"
+  "media-job-scheduler.js"
+  "gif-cache-archive.js"
+  "annotation-keyframes.js"
+  "layer-playback.js"
+  "timeline-captions.js"
   "figma-plugin/manifest.json"
   "update-manifest.json"
   "README.md"
@@ -61,6 +61,7 @@ const timelineThumbnailRetryTimers = new Map(); // Map<frameId, number[]>
 // 时间线编辑器状态
 let isTimelineEditorOpen = false;
 let timelineFrameId = null;
+const TIMELINE_CAPTIONS_KEY = 'timelineCaptions'; // Frame pluginData：时间线字幕轨
 let lastTimelineLayerIds = []; // 用于检测图层顺序变化
 let structuralRefreshTimer = null; // debounce 定时器
 
@@ -798,6 +799,30 @@ function scheduleFocusOnNode(node) {
   }, 120);
 }
 
+/**
+ * 读取图层图片填充上的原生裁剪（scaleMode CROP），换算成相对源画面的裁剪比例。
+ * 当前 GIF 已是裁剪结果时（baseCrop），在其基础上叠加；带旋转的变换不支持，返回 null
+ */
+function getCanvasCropOfGifNode(node, baseCrop) {
+  try {
+    if (!('fills' in node) || !Array.isArray(node.fills)) return null;
+    const fill = node.fills.find(item => item.type === 'IMAGE');
+    if (!fill || fill.scaleMode !== 'CROP' || !fill.imageTransform) return null;
+    const t = fill.imageTransform;
+    if (Math.abs(t[0][1]) > 0.0001 || Math.abs(t[1][0]) > 0.0001) return null;
+    const crop = { x: t[0][2], y: t[1][2], width: t[0][0], height: t[1][1] };
+    if (!baseCrop) return crop;
+    return {
+      x: baseCrop.x + crop.x * baseCrop.width,
+      y: baseCrop.y + crop.y * baseCrop.height,
+      width: crop.width * baseCrop.width,
+      height: crop.height * baseCrop.height
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
 async function createImageFromUrlWithTimeout(url, timeoutMs) {
   let timeoutId = null;
   try {
@@ -894,6 +919,18 @@ function scheduleTimelineThumbnailRetry(frameId, layerIds) {
   timelineThumbnailRetryTimers.set(frameId, timers);
 }
 
+// 时间线字幕轨保存在 Frame 的 pluginData 中（fontSize 为 Frame 坐标下的像素字号）
+// scale 用于导出时换算到 exportScale 后的分辨率
+function getTimelineCaptions(frame, scale = 1) {
+  if (!frame || !frame.getPluginData) return [];
+  let captions = [];
+  try { captions = JSON.parse(frame.getPluginData(TIMELINE_CAPTIONS_KEY) || '[]'); } catch (e) {}
+  if (!Array.isArray(captions)) return [];
+  return captions.map(caption => Object.assign({}, caption, {
+    fontSize: Math.max(1, Math.round((Number(caption.fontSize) || 24) * scale))
+  }));
+}
+
 // 查找画板上第一个空位
 function findFirstEmptyPosition() {
   if (!isFrameValid()) {
@@ -1644,7 +1681,9 @@ figma.ui.onmessage = async (msg) => {
         
         // 🎬 判断是否有时间线编辑数据
         const hasTimelineEdits = msg.timelineData && Object.keys(msg.timelineData).length > 0 &&
-                                 Object.values(msg.timelineData).some(range => range.start > 0 || range.end < 100);
+                                 Object.values(msg.timelineData).some(range => range && (range.start > 0 || range.end < 100 ||
+                                   (Array.isArray(range.keyframes) && range.keyframes.length > 0) ||
+                                   (range.transitions && (range.transitions.in || range.transitions.out))));
         
         // 只有当 GIF 下面有图层时才导出 Bottom Layer
         let bottomLayerBytes = null;
@@ -1772,6 +1811,18 @@ figma.ui.onmessage = async (msg) => {
           return layerBytes;
         }
         
+        // 🎞️ 图层在画框中的位置（画框比例），合成器按此计算关键帧缩放中心
+        function getLayerBoundsInFrame(layerInfo) {
+          const child = frame.children[layerInfo.index];
+          if (!child || !frame.width || !frame.height) return null;
+          return {
+            x: child.x / frame.width,
+            y: child.y / frame.height,
+            width: child.width / frame.width,
+            height: child.height / frame.height
+          };
+        }
+        
         // 导出每个静态图层
         const staticLayerExports = [];
         for (const layerInfo of staticLayers) {
@@ -1781,7 +1832,8 @@ figma.ui.onmessage = async (msg) => {
             index: layerInfo.index,
             name: layerInfo.name,
             bytes: Array.from(layerBytes),
-            layerId: layerInfo.layerId
+            layerId: layerInfo.layerId,
+            bounds: getLayerBoundsInFrame(layerInfo)
           });
         }
         
@@ -1794,7 +1846,8 @@ figma.ui.onmessage = async (msg) => {
             index: layerInfo.index,
             name: layerInfo.name,
             bytes: Array.from(layerBytes),
-            layerId: layerInfo.layerId
+            layerId: layerInfo.layerId,
+            bounds: getLayerBoundsInFrame(layerInfo)
           });
         }
         
@@ -1837,6 +1890,7 @@ figma.ui.onmessage = async (msg) => {
           frameBackground: frameBackground, // Frame的背景色
           gifInfos: gifInfos, // 所有 GIF 的信息（包含每个 GIF 的 index）
           timelineData: msg.timelineData, // ✅ Pass timeline data
+          captions: getTimelineCaptions(frame, exportScale), // 💬 字幕轨随 Frame 保存，重新导出时同样生效
           exportTraceId: msg.exportTraceId || null,
           batchIndex: i,
           batchTotal: validTasks.length
@@ -2038,6 +2092,34 @@ figma.ui.onmessage = async (msg) => {
     return;
   }
   
+  // 处理导出格式设置（GIF / WebP / APNG / MP4）
+  if (msg.type === 'get-export-format') {
+    try {
+      const format = await figma.clientStorage.getAsync('exportOutputFormat');
+      const maxSizeMB = await figma.clientStorage.getAsync('exportMaxSizeMB');
+      const dedupeFrames = await figma.clientStorage.getAsync('exportDedupeFrames');
+      const playbackSpeed = await figma.clientStorage.getAsync('exportPlaybackSpeed');
+      const loopSettings = await figma.clientStorage.getAsync('exportLoopSettings');
+      figma.ui.postMessage({ type: 'export-format-response', format: format || 'gif', maxSizeMB: maxSizeMB || 0, dedupeFrames: dedupeFrames === true, playbackSpeed: playbackSpeed || 1, loopSettings: loopSettings || null });
+    } catch (error) {
+      figma.ui.postMessage({ type: 'export-format-response', format: 'gif', maxSizeMB: 0, dedupeFrames: false, playbackSpeed: 1, loopSettings: null });
+    }
+    return;
+  }
+  
+  if (msg.type === 'set-export-format') {
+    try {
+      if (msg.format !== undefined) await figma.clientStorage.setAsync('exportOutputFormat', msg.format);
+      if (msg.maxSizeMB !== undefined) await figma.clientStorage.setAsync('exportMaxSizeMB', msg.maxSizeMB);
+      if (msg.dedupeFrames !== undefined) await figma.clientStorage.setAsync('exportDedupeFrames', msg.dedupeFrames === true);
+      if (msg.playbackSpeed !== undefined) await figma.clientStorage.setAsync('exportPlaybackSpeed', Number(msg.playbackSpeed) || 1);
+      if (msg.loopSettings !== undefined) await figma.clientStorage.setAsync('exportLoopSettings', msg.loopSettings);
+    } catch (error) {
+      console.error('📦 [code.js] 导出格式保存失败:', error);
+    }
+    return;
+  }
+  
   // 处理语言设置
   if (msg.type === 'get-language') {
     try {
@@ -2077,6 +2159,200 @@ figma.ui.onmessage = async (msg) => {
     return;
   }
 
+  // 收集当前文件所有页面中图层引用的 gifCacheId（服务器据此保护源文件不被 LRU 淘汰、报告源文件丢失的图层）
+  if (msg.type === 'collect-gif-cache-pins') {
+    const cacheIds = new Set();
+    const layers = [];
+    try {
+      for (const page of figma.root.children) {
+        const nodes = typeof page.findAllWithCriteria === 'function'
+          ? page.findAllWithCriteria({ pluginData: { keys: ['gifCacheId'] } })
+          : page.findAll(n => !!n.getPluginData('gifCacheId'));
+        for (const node of nodes || []) {
+          const id = node.getPluginData('gifCacheId');
+          if (!id) continue;
+          cacheIds.add(id);
+          // 剪辑过的图层还依赖原始源（再次剪辑时从源重新生成）
+          const sourceId = node.getPluginData('gifSourceCacheId');
+          if (sourceId) cacheIds.add(sourceId);
+          layers.push({ layerId: node.id, name: node.name, pageName: page.name, cacheId: id });
+        }
+      }
+    } catch (e) {
+      console.warn('⚠️ 收集 gifCacheId 失败:', e);
+    }
+    figma.ui.postMessage({ type: 'gif-cache-pins', cacheIds: Array.from(cacheIds), layers });
+    return;
+  }
+
+  // 收集当前选中画板（含子图层）引用的 gifCacheId，用于按画板导出缓存包
+  if (msg.type === 'collect-gif-cache-selection') {
+    const cacheIds = new Set();
+    const names = [];
+    try {
+      for (const node of figma.currentPage.selection) {
+        names.push(node.name);
+        const own = node.getPluginData('gifCacheId');
+        if (own) cacheIds.add(own);
+        const ownSource = node.getPluginData('gifSourceCacheId');
+        if (ownSource) cacheIds.add(ownSource);
+        if (!('children' in node)) continue;
+        const nodes = typeof node.findAllWithCriteria === 'function'
+          ? node.findAllWithCriteria({ pluginData: { keys: ['gifCacheId'] } })
+          : node.findAll(n => !!n.getPluginData('gifCacheId'));
+        for (const child of nodes || []) {
+          const id = child.getPluginData('gifCacheId');
+          if (id) cacheIds.add(id);
+          const sourceId = child.getPluginData('gifSourceCacheId');
+          if (sourceId) cacheIds.add(sourceId);
+        }
+      }
+    } catch (e) {
+      console.warn('⚠️ 收集选中画板的 gifCacheId 失败:', e);
+    }
+    figma.ui.postMessage({ type: 'gif-cache-selection', cacheIds: Array.from(cacheIds), names });
+    return;
+  }
+
+  // 定位源文件丢失的图层
+  if (msg.type === 'focus-gif-cache-layer') {
+    try {
+      const node = msg.layerId ? figma.getNodeById(msg.layerId) : null;
+      if (node && node.type !== 'PAGE' && node.type !== 'DOCUMENT') {
+        let page = node.parent;
+        while (page && page.type !== 'PAGE') page = page.parent;
+        if (page && figma.currentPage !== page) figma.currentPage = page;
+        figma.currentPage.selection = [node];
+        figma.viewport.scrollAndZoomIntoView([node]);
+      }
+    } catch (e) {
+      console.warn('⚠️ 定位图层失败:', e);
+    }
+    return;
+  }
+
+  // 当前选中的 GIF 图层（带 gifCacheId），用于重新编码 / 剪辑
+  if (msg.type === 'get-selected-gif-node') {
+    let node = null;
+    try {
+      const selection = figma.currentPage.selection;
+      if (selection.length === 1 && selection[0].getPluginData('gifCacheId')) {
+        const selected = selection[0];
+        let settings = null;
+        let edit = null;
+        try { settings = JSON.parse(selected.getPluginData('gifReencodeSettings') || 'null'); } catch (e) {}
+        try { edit = JSON.parse(selected.getPluginData('gifEdit') || 'null'); } catch (e) {}
+        node = {
+          layerId: selected.id,
+          name: selected.name,
+          gifCacheId: selected.getPluginData('gifSourceCacheId') || selected.getPluginData('gifCacheId'),
+          // 画布上当前显示的（剪辑 / 重新编码后的）GIF，帧选择器的缩略图与之对应
+          renderedCacheId: selected.getPluginData('gifCacheId'),
+          filename: selected.getPluginData('originalFilename') || selected.name,
+          width: selected.width,
+          height: selected.height,
+          settings: settings,
+          edit: edit,
+          canvasCrop: getCanvasCropOfGifNode(selected, edit && edit.crop)
+        };
+      }
+    } catch (e) {
+      console.warn('⚠️ 读取选中 GIF 图层失败:', e);
+    }
+    figma.ui.postMessage({ type: 'selected-gif-node', node: node, purpose: msg.purpose || null });
+    return;
+  }
+
+  // 重新编码完成：原地替换图片填充，位置、尺寸、名称、时间线数据保持不变；gifCacheId 指向新生成的 GIF
+  if (msg.type === 'replace-gif-node-fill') {
+    try {
+      const node = msg.layerId ? figma.getNodeById(msg.layerId) : null;
+      if (!node || !('fills' in node) || !Array.isArray(node.fills)) {
+        throw new Error('图层不存在或不支持填充');
+      }
+      const image = await createImageFromUrlWithTimeout(msg.gifUrl, GIF_IMPORT_TIMEOUT_MS);
+      let previousEdit = null;
+      try { previousEdit = JSON.parse(node.getPluginData('gifEdit') || 'null'); } catch (e) {}
+      let replaced = false;
+      let bakedCanvasCrop = false;
+      node.fills = node.fills.map(fill => {
+        if (replaced || fill.type !== 'IMAGE') return fill;
+        replaced = true;
+        const next = Object.assign({}, fill, { imageHash: image.hash });
+        // 画布上的原生裁剪已写进新 GIF，恢复为普通填充
+        if (fill.scaleMode === 'CROP') {
+          next.scaleMode = 'FILL';
+          delete next.imageTransform;
+          bakedCanvasCrop = true;
+        }
+        return next;
+      });
+      if (!replaced) {
+        throw new Error('图层没有图片填充');
+      }
+      // 面板里改了裁剪区域：保持宽度，按新画面比例调整高度
+      const previousCrop = JSON.stringify((previousEdit && previousEdit.crop) || null);
+      const nextCrop = JSON.stringify((msg.edit && msg.edit.crop) || null);
+      if (!bakedCanvasCrop && previousCrop !== nextCrop && msg.imageWidth > 0 && msg.imageHeight > 0 && typeof node.resize === 'function') {
+        node.resize(node.width, Math.max(1, node.width * msg.imageHeight / msg.imageWidth));
+      }
+      if (msg.settings) {
+        node.setPluginData('gifReencodeSettings', JSON.stringify(msg.settings));
+      }
+      node.setPluginData('gifEdit', msg.edit ? JSON.stringify(msg.edit) : '');
+      // 导出合成按 gifCacheId 取缓存 GIF，需指向剪辑 / 重新编码后的结果；
+      // 首次替换前的 ID 另存为 gifSourceCacheId，之后的剪辑 / 重新编码 / 截帧仍从原始源生成
+      if (msg.gifCacheId) {
+        if (!node.getPluginData('gifSourceCacheId')) {
+          node.setPluginData('gifSourceCacheId', node.getPluginData('gifCacheId'));
+        }
+        node.setPluginData('gifCacheId', msg.gifCacheId);
+      }
+      figma.ui.postMessage({ type: 'gif-node-fill-replaced', layerId: node.id, success: true, name: node.name });
+    } catch (e) {
+      const message = (e && e.message) ? e.message : String(e || '未知错误');
+      console.warn('⚠️ 替换 GIF 填充失败:', e);
+      figma.ui.postMessage({ type: 'gif-node-fill-replaced', layerId: msg.layerId || null, success: false, error: message });
+    }
+    return;
+  }
+
+  // 帧选择器：把截取的静帧 PNG 作为新图片图层插入到 GIF 图层旁边（同一父级、紧随其后）
+  if (msg.type === 'insert-gif-frame-image') {
+    try {
+      const gifNode = msg.layerId ? figma.getNodeById(msg.layerId) : null;
+      if (!gifNode || !gifNode.parent) {
+        throw new Error('GIF 图层不存在');
+      }
+      const image = await createImageFromUrlWithTimeout(msg.imageUrl, GIF_IMPORT_TIMEOUT_MS);
+      const rect = figma.createRectangle();
+      // 与 GIF 图层同宽，高度按静帧比例
+      const width = gifNode.width;
+      const height = msg.imageWidth > 0 && msg.imageHeight > 0 ? width * msg.imageHeight / msg.imageWidth : gifNode.height;
+      rect.resize(width, Math.max(1, height));
+      rect.fills = [{ type: 'IMAGE', imageHash: image.hash, scaleMode: 'FILL' }];
+      screenshotIndex++;
+      rect.name = `Screenshot_${String(screenshotIndex).padStart(3, '0')}`;
+      rect.setPluginData('frameOfLayerId', gifNode.id);
+      rect.setPluginData('frameTimeSec', String(msg.timeSec || 0));
+
+      const parent = gifNode.parent;
+      parent.insertChild(parent.children.indexOf(gifNode) + 1, rect);
+      if (!('layoutMode' in parent) || parent.layoutMode === 'NONE') {
+        rect.x = gifNode.x + gifNode.width + 20;
+        rect.y = gifNode.y;
+      }
+      figma.currentPage.selection = [rect];
+      figma.viewport.scrollAndZoomIntoView([gifNode, rect]);
+      figma.ui.postMessage({ type: 'gif-frame-image-inserted', success: true, name: rect.name });
+    } catch (e) {
+      const message = (e && e.message) ? e.message : String(e || '未知错误');
+      console.warn('⚠️ 插入静帧失败:', e);
+      figma.ui.postMessage({ type: 'gif-frame-image-inserted', success: false, error: message });
+    }
+    return;
+  }
+
   // 处理保存服务器路径请求
   if (msg.type === 'save-server-path') {
     try {
@@ -2180,7 +2456,7 @@ figma.ui.onmessage = async (msg) => {
   
   if (msg.type === 'add-screenshot') {
     try {
-      const { bytes, gifUrl, imageWidth, imageHeight, timestamp, filename, driveFileId, ossFileId, gifCacheId, taskId, recordingImportTask } = msg;
+      const { bytes, gifUrl, imageWidth, imageHeight, timestamp, filename, driveFileId, ossFileId, gifCacheId, taskId, recordingImportTask, chapterIndex, chapterCount } = msg;
       
       // ✅ 缓存文件信息（即使后续创建失败，也要保留信息以便手动拖入后关联）
       if (filename) {
@@ -2498,6 +2774,8 @@ figma.ui.onmessage = async (msg) => {
         filename: filename || '未命名文件',
         taskId: taskId || null,
         recordingImportTask: recordingImportTask === true,
+        chapterIndex: Number.isInteger(chapterIndex) ? chapterIndex : null,
+        chapterCount: Number.isInteger(chapterCount) ? chapterCount : null,
         driveFileId: driveFileId,
         ossFileId: ossFileId
       });
@@ -2521,6 +2799,8 @@ figma.ui.onmessage = async (msg) => {
           filename: msg.filename || '未命名文件',
           taskId: msg.taskId || null,
           recordingImportTask: recordingImportTask === true,
+          chapterIndex: Number.isInteger(chapterIndex) ? chapterIndex : null,
+          chapterCount: Number.isInteger(chapterCount) ? chapterCount : null,
           gifCacheId: msg.gifCacheId || null,
           driveFileId: msg.driveFileId,
           ossFileId: msg.ossFileId,
@@ -2537,6 +2817,8 @@ figma.ui.onmessage = async (msg) => {
           filename: msg.filename || '未命名文件',
           taskId: msg.taskId || null,
           recordingImportTask: recordingImportTask === true,
+          chapterIndex: Number.isInteger(chapterIndex) ? chapterIndex : null,
+          chapterCount: Number.isInteger(chapterCount) ? chapterCount : null,
           reason: 'undefined-error',
           error: errorText,
           driveFileId: msg.driveFileId,
@@ -2549,6 +2831,8 @@ figma.ui.onmessage = async (msg) => {
           success: false,
           taskId: msg.taskId || null,
           recordingImportTask: recordingImportTask === true,
+          chapterIndex: Number.isInteger(chapterIndex) ? chapterIndex : null,
+          chapterCount: Number.isInteger(chapterCount) ? chapterCount : null,
           error: errorMessage,
           driveFileId: msg.driveFileId,
           ossFileId: msg.ossFileId
@@ -2961,7 +3245,8 @@ figma.ui.onmessage = async (msg) => {
         layers: processedLayers,
         frameWidth: frame.width,
         frameHeight: frame.height,
-        frameId: frame.id // 传递 Frame ID 供导出时使用
+        frameId: frame.id, // 传递 Frame ID 供导出时使用
+        captions: getTimelineCaptions(frame)
       });
     } catch (e) {
       // ignore
@@ -2969,6 +3254,19 @@ figma.ui.onmessage = async (msg) => {
     return;
   }
 
+  // 💬 保存时间线字幕轨（空列表时清除）
+  if (msg.type === 'save-timeline-captions') {
+    try {
+      const frame = msg.frameId ? figma.getNodeById(msg.frameId) : null;
+      if (!frame || frame.type !== 'FRAME') return;
+      const captions = Array.isArray(msg.captions) ? msg.captions : [];
+      frame.setPluginData(TIMELINE_CAPTIONS_KEY, captions.length > 0 ? JSON.stringify(captions) : '');
+    } catch (e) {
+      console.warn('⚠️ 保存时间线字幕失败:', e);
+    }
+    return;
+  }
+
   // 处理时间线编辑器关闭
   if (msg.type === 'timeline-editor-closed') {
     if (timelineFrameId) {
@@ -3005,6 +3303,7 @@ figma.ui.onmessage = async (msg) => {
               node.setPluginData('driveFileId', '');
               node.setPluginData('ossFileId', '');
               node.setPluginData('gifCacheId', '');
+              node.setPluginData('gifSourceCacheId', '');
               node.setPluginData('imageHash', '');
             }
           }
@@ -0,0 +1,136 @@
+// gif-cache-archive.js
+// GIF 缓存导出 / 导入：把选定的缓存项打包成单个 tar（manifest.json + <cacheId><ext>），
+// 在另一台 Mac 上按原 cacheId 导入，已有图层的 gifCacheId 无需重新绑定即可解析。
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const ARCHIVE_FORMAT = 'screensync-gif-cache';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_EXT = '.tar';
+const MANIFEST_FILENAME = 'manifest.json';
+const TAR_EXEC_OPTIONS = { timeout: 30 * 60 * 1000, maxBuffer: 10 * 1024 * 1024 };
+
+function createTempDir(prefix) {
+  const dir = path.join(os.tmpdir(), `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * 导出缓存项
+ * @param {object} options
+ * @param {object} options.userConfig
+ * @param {string[]} options.cacheIds
+ * @param {string} options.outputPath - 目标 .tar 路径
+ * @returns {Promise<{ outputPath: string, count: number, size: number, missing: string[] }>}
+ */
+async function exportGifCacheArchive({ userConfig, cacheIds, outputPath }) {
+  const ids = Array.from(new Set((Array.isArray(cacheIds) ? cacheIds : []).filter(Boolean)));
+  const entries = [];
+  const missing = [];
+  for (const cacheId of ids) {
+    const item = userConfig.getGifCacheItem(cacheId);
+    if (!item) {
+      missing.push(cacheId);
+      continue;
+    }
+    entries.push(item);
+  }
+  if (entries.length === 0) {
+    throw new Error('没有可导出的缓存项');
+  }
+
+  const stagingDir = createTempDir('screensync-cache-export');
+  try {
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      host: os.hostname(),
+      entries: entries.map(item => ({
+        cacheId: item.cacheId,
+        originalFilename: item.originalFilename,
+        driveFileId: item.driveFileId,
+        timestamp: item.timestamp,
+        size: item.size,
+        ext: item.ext
+      }))
+    };
+    fs.writeFileSync(path.join(stagingDir, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2));
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    // 缓存文件直接从缓存目录打包，不复制到临时目录（视频可能很大）；
+    // 参数数组直接传给 tar，不经过 shell，文件名中的 $() / 反引号不会被执行
+    const cacheDir = path.dirname(entries[0].path);
+    const fileArgs = entries.map(item => path.basename(item.path));
+    await execFileAsync(
+      'tar',
+      ['-cf', outputPath, '-C', stagingDir, MANIFEST_FILENAME, '-C', cacheDir, '--', ...fileArgs],
+      TAR_EXEC_OPTIONS
+    );
+    const size = fs.statSync(outputPath).size;
+    console.log(`📦 [GIF Cache] 已导出 ${entries.length} 项 → ${outputPath} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+    return { outputPath, count: entries.length, size, missing };
+  } catch (error) {
+    try { fs.unlinkSync(outputPath); } catch (_) {}
+    throw error;
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 导入缓存包；cacheId 已存在的项跳过
+ * @param {object} options
+ * @param {object} options.userConfig
+ * @param {string} options.archivePath
+ * @returns {Promise<{ imported: string[], skipped: string[], invalid: string[] }>}
+ */
+async function importGifCacheArchive({ userConfig, archivePath }) {
+  if (!archivePath || !fs.existsSync(archivePath)) {
+    throw new Error('缓存包不存在');
+  }
+  const extractDir = createTempDir('screensync-cache-import');
+  try {
+    await execFileAsync('tar', ['-xf', archivePath, '-C', extractDir], TAR_EXEC_OPTIONS);
+    let manifest = null;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(extractDir, MANIFEST_FILENAME), 'utf8'));
+    } catch (_) {}
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.entries)) {
+      throw new Error('不是有效的 ScreenSync 缓存包');
+    }
+    if (Number(manifest.version) > ARCHIVE_VERSION) {
+      throw new Error(`缓存包版本过新 (v${manifest.version})，请先更新 ScreenSync`);
+    }
+
+    const result = { imported: [], skipped: [], invalid: [] };
+    for (const entry of manifest.entries) {
+      const cacheId = entry && entry.cacheId ? String(entry.cacheId) : '';
+      const filePath = path.join(extractDir, path.basename(`${cacheId}${entry && entry.ext ? entry.ext : ''}`));
+      const status = userConfig.importGifCacheEntry(filePath, entry);
+      if (status === 'imported') result.imported.push(cacheId);
+      else if (status === 'exists') result.skipped.push(cacheId);
+      else result.invalid.push(cacheId);
+    }
+    console.log(`📦 [GIF Cache] 已导入缓存包: 新增 ${result.imported.length}，已存在 ${result.skipped.length}，无效 ${result.invalid.length}`);
+    if (result.imported.length > 0) {
+      userConfig.enforceGifCacheSizeLimit({ reason: 'import' });
+    }
+    return result;
+  } finally {
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  ARCHIVE_EXT,
+  exportGifCacheArchive,
+  importGifCacheArchive
+};
@@ -4,10 +4,12 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const crypto = require('crypto');
 const mediaTuning = require('./media-processing-tuning');
-const { buildComposerAttemptProfiles } = require('./adaptive-processing');
-const { transcodeVideoToGif, probeVideoMeta } = require('./video-gif-pipeline');
+const { buildComposerAttemptProfiles, extendProfilesForSizeBudget, getSegmentEncodeConcurrency } = require('./adaptive-processing');
+const { transcodeVideoToGif, probeVideoMeta, getOutputFormatInfo, encodeAnimatedOutput, buildFrameDedupFilter, normalizeLoopOptions, buildLoopMuxerArgs, applyLoopToFrameSequence, searchProfilesWithinBudget, detectScenePaletteSegments, encodeGifWithScenePalettes } = require('./video-gif-pipeline');
+const { getLayerKeyframes, getLayerTransitions, hasLayerMotion, getSlideDistances, sampleTransitionState, buildTransitionFilters, createKeyframedLayerRenderer } = require('./annotation-keyframes');
+const { hasLayerPlaybackEdits, resolveLayerPlayback, mapPlaybackTime, buildPlaybackFilter } = require('./layer-playback');
+const { normalizeCaptions, renderCaptionLayers } = require('./timeline-captions');
 
 // 🔒 并发导出序号锁：防止多个导出同时扫描文件夹时拿到相同序号
 const _reservedExportNumbers = new Set();
@@ -22,7 +24,7 @@ const _reservedExportNumbers = new Set();
  */
 module.exports = function createComposer({ execAsyncCancellable, removeDirRecursive, userConfig }) {
 
-async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers, annotationLayers, annotationBytes, frameBounds, frameBackground, gifInfos, timelineData, gifAlgorithm, exportMode, connectionId, shouldCancel, onProgress }) {
+async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers, annotationLayers, annotationBytes, frameBounds, frameBackground, gifInfos, timelineData, captions, playbackSpeed, gifAlgorithm, exportMode, outputFormat, maxSizeBytes, dedupeFrames, loopOptions, connectionId, shouldCancel, onProgress }) {
   // 🎨 根据 gifAlgorithm 设置选择抖动算法
   // ═══════════════════════════════════════════════════════════════════════════
   // less_noise (更少噪点): 
@@ -34,11 +36,38 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
   //   - FFmpeg: dither=bayer:bayer_scale=3 - 有序抖动，产生细腻的抖动图案
   //   - ImageMagick: -dither Riemersma（比 FloydSteinberg 更适合渐变）
   //   - 适合: 照片、渐变背景、复杂色彩
+  //
+  // scene_palette (分场景调色板):
+  //   - 抖动同 smooth_gradient，但按场景切换分段，每段单独生成调色板
+  //   - 适合: 白色设置页 ↔ 深色相册等亮暗场景切换的录屏
   // ═══════════════════════════════════════════════════════════════════════════
   // sierra2_4a: 最佳 GIF 抖动算法，渐变过渡自然无色带，LZW 压缩率更高
-  const ditherMode = gifAlgorithm === 'smooth_gradient' ? 'sierra2_4a' : 'none';
-  const imageMagickDither = gifAlgorithm === 'smooth_gradient' ? 'FloydSteinberg' : 'None';
+  const isSmoothDither = gifAlgorithm === 'smooth_gradient' || gifAlgorithm === 'scene_palette';
+  const ditherMode = isSmoothDither ? 'sierra2_4a' : 'none';
+  const imageMagickDither = isSmoothDither ? 'FloydSteinberg' : 'None';
   console.log(`\n🎨 GIF算法: ${gifAlgorithm || 'smooth_gradient'} → FFmpeg dither=${ditherMode}, ImageMagick dither=${imageMagickDither}\n`);
+  // 📦 输出格式：GIF 走调色板 + gifsicle；WebP/APNG/MP4 直接由合成帧编码，回退路径先出 GIF 再转换
+  const outputFormatInfo = getOutputFormatInfo(outputFormat);
+  const isGifOutput = outputFormatInfo.format === 'gif';
+  // 📏 体积预算（字节，0 = 不限制）：FFmpeg 管道会在档位间搜索不超过预算的最高画质结果
+  const sizeBudgetBytes = Number(maxSizeBytes) > 0 ? Math.round(Number(maxSizeBytes)) : 0;
+  // 🧊 静止帧合并：最终编码时丢弃重复帧，由时间戳拉长上一帧延时（可变帧时长）
+  const dedupFilter = dedupeFrames ? buildFrameDedupFilter(mediaTuning) : '';
+  const vsyncArg = dedupFilter ? '-vsync vfr ' : '';
+  const dedupChain = dedupFilter ? `[0:v]${dedupFilter}[dd];[dd][1:v]` : '[0:v][1:v]';
+  const dedupPrefix = dedupFilter ? `${dedupFilter},` : '';
+  if (dedupFilter) console.log(`🧊 静止帧合并已开启: ${dedupFilter}`);
+  // 🔁 循环：次数写入封装参数（GIF/WebP/APNG），乒乓 / 末帧停留直接在合成好的 PNG 帧序列上追加帧
+  const loop = normalizeLoopOptions(loopOptions);
+  const gifLoopArg = `${buildLoopMuxerArgs('gif', loop.loopCount)} `;
+  const magickLoopArg = `-loop ${loop.loopCount} `;
+  const extendFramesForLoop = (framesDir, fps) => {
+    if (!loop.pingPong && loop.holdSec <= 0) return;
+    const total = applyLoopToFrameSequence({ framesDir, fps, loopOptions: loop });
+    console.log(`   🔁 循环处理: ${loop.pingPong ? '乒乓 ' : ''}${loop.holdSec > 0 ? `末帧停留 ${loop.holdSec}s ` : ''}→ ${total} 帧`);
+  };
+  if (loop.loopCount > 0) console.log(`🔁 循环次数: ${loop.loopCount}`);
+  let sizeBudgetReport = null;
   
 
   // ✅ 使用可取消的 execAsync 包装函数，自动跟踪子进程
@@ -189,7 +218,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
 
   const composeGifWithOverlayViaFfmpeg = async ({ baseGifPath, overlayPath, outputGifPath }) => {
     const filter = `[0:v][1:v]overlay=0:0:format=auto,split[o1][o2];[o1]palettegen=reserve_transparent=0:stats_mode=full[p];[o2][p]paletteuse=dither=sierra2_4a:diff_mode=rectangle`;
-    const cmd = `${FFMPEG_BIN} -v warning -i "${baseGifPath}" -i "${overlayPath}" -filter_complex "${filter}" -loop 0 -y "${outputGifPath}"`;
+    const cmd = `${FFMPEG_BIN} -v warning -i "${baseGifPath}" -i "${overlayPath}" -filter_complex "${filter}" ${gifLoopArg}-y "${outputGifPath}"`;
     await execAsync(cmd, { timeout: 300000, maxBuffer: 200 * 1024 * 1024 });
     return outputGifPath;
   };
@@ -331,6 +360,148 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
     const profile = plan.profiles[Math.min(Math.max(0, attemptIndex), Math.max(0, plan.profiles.length - 1))];
     return { ...profile, _plan: plan };
   };
+
+  // 按单个档位把合成好的 PNG 帧序列编码为最终输出（体积预算搜索使用）
+  const encodeFramesWithProfile = async ({ framesDir, inputFps, profile, targetPath }) => {
+    const filters = [];
+    const fpsCap = Number.isFinite(profile.videoFpsCap) ? profile.videoFpsCap : inputFps;
+    if (inputFps > fpsCap + 0.5) filters.push(`fps=${fpsCap}`);
+    const budgetScale = Number.isFinite(profile.budgetScale) ? profile.budgetScale : 1;
+    if (budgetScale < 0.999) {
+      filters.push(`scale='trunc(iw*${budgetScale}/2)*2':'trunc(ih*${budgetScale}/2)*2':flags=lanczos`);
+    }
+    if (dedupFilter) filters.push(dedupFilter);
+    const inputArgs = `-framerate ${inputFps} -i "${framesDir}/frame_%04d.png"`;
+
+    if (!isGifOutput) {
+      await encodeAnimatedOutput({
+        execAsync,
+        ffmpegBin: FFMPEG_BIN,
+        inputArgs,
+        filter: filters.join(','),
+        outputPath: targetPath,
+        outputFormat: outputFormatInfo.format,
+        lossy: profile.lossy,
+        timeoutMs: profile.paletteUseTimeoutMs,
+        variableFrameRate: Boolean(dedupFilter),
+        loopCount: loop.loopCount
+      });
+      return profile;
+    }
+
+    const budgetPalettePath = path.join(tempDir, 'budget_palette.png');
+    const budgetRawGifPath = path.join(tempDir, 'budget_raw.gif');
+    const effectiveDither = profile.effectiveDither || ditherMode;
+    const paletteGenFilter = [...filters, `palettegen=max_colors=${profile.paletteMaxColors}:stats_mode=full`].join(',');
+    const paletteUseFilter = filters.length > 0
+      ? `[0:v]${filters.join(',')}[v];[v][1:v]paletteuse=dither=${effectiveDither}:diff_mode=rectangle`
+      : `[0:v][1:v]paletteuse=dither=${effectiveDither}:diff_mode=rectangle`;
+    try {
+      // 分场景调色板不叠加降帧/预算缩放（有这些滤镜时走全局调色板）
+      const encodedWithScenePalettes = useScenePalette && filters.every(item => item === dedupFilter)
+        ? await encodeFramesWithScenePalettes({ framesDir, inputFps, profile, targetPath: budgetRawGifPath })
+        : false;
+      if (!encodedWithScenePalettes) {
+        await execAsync(`${FFMPEG_BIN} -threads 0 ${inputArgs} -vf "${paletteGenFilter}" -threads 0 -y "${budgetPalettePath}"`,
+          { maxBuffer: 50 * 1024 * 1024, timeout: Math.max(30000, profile.paletteGenTimeoutMs) });
+        await execAsync(`${FFMPEG_BIN} -threads 0 ${inputArgs} -i "${budgetPalettePath}" -lavfi "${paletteUseFilter}" ${vsyncArg}-threads 0 ${gifLoopArg}-y "${budgetRawGifPath}"`,
+          { maxBuffer: 200 * 1024 * 1024, timeout: Math.max(60000, profile.paletteUseTimeoutMs) });
+      }
+      if (!fs.existsSync(budgetRawGifPath) || fs.statSync(budgetRawGifPath).size < 100) {
+        throw new Error('FFmpeg 管道输出文件为空或过小');
+      }
+      try {
+        const rawStats = fs.statSync(budgetRawGifPath);
+        const gifsicleTimeout = Math.max(60000, Math.ceil(rawStats.size / (1024 * 1024)) * profile.gifsicleTimeoutPerMbMs);
+        await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${profile.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${budgetRawGifPath}" -o "${targetPath}"`,
+          { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
+      } catch (e) {
+        if (e.message === 'GIF_EXPORT_CANCELLED') throw e;
+        fs.copyFileSync(budgetRawGifPath, targetPath);
+      }
+    } finally {
+      try { if (fs.existsSync(budgetPalettePath)) fs.unlinkSync(budgetPalettePath); } catch (_) {}
+      try { if (fs.existsSync(budgetRawGifPath)) fs.unlinkSync(budgetRawGifPath); } catch (_) {}
+    }
+    return profile;
+  };
+
+  // 🎨 分场景调色板：选择 scene_palette（或调参强制开启）时，PNG 帧序列按场景分段各自生成调色板。
+  // 返回 false 表示不足两段或编码失败（调用方继续走全局调色板）；取消会直接抛出。
+  const scenePaletteConfig = mediaTuning.scenePalette || {};
+  const useScenePalette = isGifOutput && (gifAlgorithm === 'scene_palette' || Number(scenePaletteConfig.enabled) === 1);
+  const encodeFramesWithScenePalettes = async ({ framesDir, inputFps, profile, targetPath }) => {
+    const frameInput = (segment) => {
+      const seek = segment ? `-ss ${segment.startSec} ${segment.durationSec ? `-t ${segment.durationSec} ` : ''}` : '';
+      return `-framerate ${inputFps} ${seek}-i "${framesDir}/frame_%04d.png"`;
+    };
+    const frameCount = fs.readdirSync(framesDir).filter(name => /^frame_\d+\.png$/.test(name)).length;
+    const segments = await detectScenePaletteSegments({
+      execAsync,
+      ffmpegBin: FFMPEG_BIN,
+      inputArgs: frameInput(null),
+      durationSec: frameCount / Math.max(1, inputFps),
+      fps: inputFps,
+      config: scenePaletteConfig,
+      log: (message) => console.log(message)
+    });
+    if (!segments) return false;
+    const concurrency = getSegmentEncodeConcurrency(mediaTuning);
+    try {
+      await encodeGifWithScenePalettes({
+        execAsync,
+        ffmpegBin: FFMPEG_BIN,
+        gifsicleBin: GIFSICLE_BIN,
+        buildInputArgs: frameInput,
+        segments,
+        filter: dedupFilter,
+        maxColors: profile.paletteMaxColors,
+        dither: profile.effectiveDither || ditherMode,
+        outputArgs: `${vsyncArg}${gifLoopArg}`,
+        workDir: path.join(tempDir, 'scene_palettes'),
+        outputPath: targetPath,
+        concurrency,
+        threadsPerSegment: Math.max(1, Math.floor((os.cpus() || []).length / concurrency)),
+        paletteGenTimeoutMs: profile.paletteGenTimeoutMs,
+        paletteUseTimeoutMs: profile.paletteUseTimeoutMs,
+        checkCancelled
+      });
+    } catch (error) {
+      if (error.message === 'GIF_EXPORT_CANCELLED' || (shouldCancel && shouldCancel())) throw error;
+      console.warn(`   ⚠️  分场景调色板编码失败，回退全局调色板: ${error.message}`);
+      return false;
+    }
+    console.log(`   🎨 分场景调色板编码完成: ${segments.length} 段`);
+    return true;
+  };
+
+  // 📏 体积预算搜索：在自适应档位 + 预算追加档位之间二分，取不超过预算的最高画质
+  const runFramesBudgetSearch = async ({ framesDir, inputFps, plan }) => {
+    const profiles = extendProfilesForSizeBudget(mediaTuning, plan.profiles);
+    console.log(`   📏 体积预算模式: ≤ ${(sizeBudgetBytes / 1024 / 1024).toFixed(2)}MB，候选档位 ${profiles.length} 个`);
+    const result = await searchProfilesWithinBudget({
+      profiles,
+      budgetBytes: sizeBudgetBytes,
+      outputPath: finalOutputPath,
+      tempDir,
+      encode: (profile) => encodeFramesWithProfile({ framesDir, inputFps, profile, targetPath: finalOutputPath }),
+      onError: (error, profile) => {
+        if (error.message === 'GIF_EXPORT_CANCELLED' || (shouldCancel && shouldCancel())) throw error;
+        console.warn(`   ⚠️  体积预算档位失败: ${profile.label} (${error.message})`);
+      },
+      log: (message) => console.log(message)
+    });
+    if (!result) {
+      throw new Error('体积预算模式：所有档位均编码失败');
+    }
+    sizeBudgetReport = {
+      maxSizeBytes: sizeBudgetBytes,
+      withinBudget: result.withinBudget,
+      winningProfile: result.profile.label,
+      attempts: result.attempts
+    };
+    console.log(`   📏 体积预算命中档位: ${result.profile.label} (${(result.sizeBytes / 1024 / 1024).toFixed(2)}MB${result.withinBudget ? '' : '，仍超出预算'})`);
+  };
   
   console.log('🎬 开始合成 GIF...');
   reportProgress(0, '正在初始化导出环境...');
@@ -559,7 +730,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
   try {
     const files = fs.readdirSync(downloadFolder);
     files.forEach(file => {
-      const match = file.match(/^ExportedGIF_(\d+)\.gif$/);
+      const match = file.match(/^ExportedGIF_(\d+)\.(gif|webp|png|mp4)$/i);
       if (match) {
         occupiedNumbers.add(parseInt(match[1], 10));
       }
@@ -578,13 +749,13 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
   _reservedExportNumbers.add(sequenceNumber);
   
   const paddedNumber = sequenceNumber.toString().padStart(3, '0');
-  const outputFilename = `ExportedGIF_${paddedNumber}.gif`;
-  const outputPath = path.join(downloadFolder, outputFilename);
+  const outputFilename = `ExportedGIF_${paddedNumber}${outputFormatInfo.ext}`;
+  const finalOutputPath = path.join(downloadFolder, outputFilename);
   
   // 如果文件已存在，直接跳过所有处理
-  if (fs.existsSync(outputPath)) {
+  if (fs.existsSync(finalOutputPath)) {
     console.log(`\n⏭️  文件已存在，跳过所有处理: ${outputFilename}`);
-    const stats = fs.statSync(outputPath);
+    const stats = fs.statSync(finalOutputPath);
     reportProgress(100, '文件已存在，已跳过');
     _reservedExportNumbers.delete(sequenceNumber); // 🔒 释放预留序号
     if (!_exportModeLogText) {
@@ -592,9 +763,10 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
     }
     
     return {
-      outputPath,
+      outputPath: finalOutputPath,
       filename: outputFilename,
       size: stats.size,
+      outputFormat: outputFormatInfo.format,
       skipped: true,
       exportModeLog: _exportModeLogText || null,
       exportModeEvaluated: _exportModeLogged
@@ -608,6 +780,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
   if (!fs.existsSync(tempDir)) {
     fs.mkdirSync(tempDir, { recursive: true });
   }
+  // 非 GIF 格式时，GIF 链路（ImageMagick 回退）的产物先落在临时目录，最后统一转换
+  const outputPath = isGifOutput ? finalOutputPath : path.join(tempDir, 'intermediate_output.gif');
   // 2. 验证并查找所有原始 GIF/视频 文件
   
   // 验证 gifInfos 数据结构
@@ -984,47 +1158,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
       const targetH = Math.round(item.bounds.height);
       reportProgress(4, `正在预压缩视频 (${finishedVideoCount + 1}/${totalVideoCount})...`);
       
-      // 🚀 缓存：源视频→GIF 的转换结果（包含目标尺寸+抖动算法+当前帧率上限配置）
-      // 这个缓存是安全的，因为它只缓存源视频/GIF 文件本身的转换，
-      // 不影响后续的帧合成步骤（帧合成每次都会重新读取所有图层）
-      const fileStats = fs.statSync(item.path);
-      const adaptive = getAdaptiveProfile({
-        preSizeMB: fileStats.size / (1024 * 1024),
-        decisionSizeMB: Number.isFinite(item.sourceSizeMB) ? item.sourceSizeMB : null,
-        hasVideoLayers: true
-      });
-      const composerCfg = mediaTuning.composer || {};
-      const exportCfg = mediaTuning.composerExport || {};
-      const fastCfg = exportCfg.fast || {};
-      const qualityCfg = exportCfg.quality || {};
-      const composerSig = [
-        `c${composerCfg.fpsCap || 24}_${composerCfg.fpsCapMedium || 22}_${composerCfg.fpsCapLarge || 20}_${composerCfg.fpsCapXLarge || 16}`,
-        `f${fastCfg.fpsCap || 24}_${fastCfg.fpsCapMedium || 20}_${fastCfg.fpsCapLarge || 16}_${fastCfg.fpsCapXLarge || 12}`,
-        `q${qualityCfg.fpsCap || 60}_${qualityCfg.fpsCapMedium || 50}_${qualityCfg.fpsCapLarge || 30}_${qualityCfg.fpsCapXLarge || 15}`
-      ].join('_');
-      // v9: 共享 GIF 转码模块签名，避免旧缓存与新链路混用
-      const cacheKey = crypto.createHash('md5')
-        .update(`v9_shared_${item.path}_${fileStats.size}_${fileStats.mtime.getTime()}_${targetW}x${targetH}_dither_${ditherMode}_vf${adaptive.videoFpsCap}_${composerSig}`)
-        .digest('hex');
-      
-      const localFolder = userConfig.getLocalDownloadFolder();
-      const processCacheDir = path.join(localFolder, '.gif_process_cache');
-      if (!fs.existsSync(processCacheDir)) {
-        fs.mkdirSync(processCacheDir, { recursive: true });
-      }
-      
-      const cachedGifPath = path.join(processCacheDir, `${cacheKey}.gif`);
-      
-      if (fs.existsSync(cachedGifPath)) {
-        fs.copyFileSync(cachedGifPath, processedGifPath);
-        item.path = processedGifPath;
-        console.log(`   ⚡ 命中缓存，跳过转换 (${targetW}x${targetH})`);
-        finishedVideoCount++;
-        const preProgress = Math.min(6, Math.round(4 + (finishedVideoCount / Math.max(1, totalVideoCount)) * 2));
-        reportProgress(preProgress, `正在预处理视频 (${finishedVideoCount}/${totalVideoCount})...`);
-        return;
-      }
-      
+      // 🚀 缓存：源视频→GIF 的转换结果由 transcodeVideoToGif 按「源内容哈希 + 生效档位 + 目标尺寸/抖动」查找，
+      // 命中时不启动 ffmpeg。只缓存源视频本身的转换，不影响后续的帧合成步骤（帧合成每次都会重新读取所有图层）
       const isVideo = true;
       console.log(`   🔄 ${isVideo ? '转换视频' : '重新处理 GIF'} (${targetW}x${targetH}, dither=${ditherMode})...`);
       const conversionStartTime = Date.now();
@@ -1052,11 +1187,13 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         shouldCancel,
         progressBase: 4,
         progressSpan: 2,
+        // 基准测试注入的精简 userConfig 不带转换缓存，保证计时为真实转换
+        conversionCache: typeof userConfig.getConversionFromCache === 'function' ? userConfig : null,
         log: (message) => console.log(message)
       });
       
       const conversionTime = ((Date.now() - conversionStartTime) / 1000).toFixed(1);
-      console.log(`   ✅ ${isVideo ? '视频转GIF' : 'GIF重新处理'}完成 (${conversionTime}s, mode=${sharedResult.profile.mode}, dither=${sharedResult.profile.effectiveDither || ditherMode})`);
+      console.log(`   ✅ ${isVideo ? '视频转GIF' : 'GIF重新处理'}完成 (${conversionTime}s, mode=${sharedResult.profile.mode}, dither=${sharedResult.profile.effectiveDither || ditherMode}${sharedResult.cacheHit ? ', 命中缓存' : ''})`);
       
       try {
         // 快速验证：文件存在且非空即可（FFmpeg 出错时会抛异常，不需要再 identify）
@@ -1064,13 +1201,6 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
           throw new Error(`GIF 文件未生成或为空`);
         }
         
-        // 🚀 保存到缓存
-        try {
-          fs.copyFileSync(processedGifPath, cachedGifPath);
-        } catch (cacheErr) {
-          // 缓存保存失败不影响导出
-        }
-        
         // 更新路径为处理后的 GIF
         item.path = processedGifPath;
         finishedVideoCount++;
@@ -1116,7 +1246,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         path: layerPath,
         index: layer.index,  // z-index in frame.children
         name: layer.name,
-        layerId: layer.layerId // ✅ 传递 layerId 用于时间线功能
+        layerId: layer.layerId, // ✅ 传递 layerId 用于时间线功能
+        bounds: layer.bounds || null
       });
       
     }
@@ -1135,7 +1266,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         path: layerPath,
         index: layer.index,
         name: layer.name,
-        layerId: layer.layerId
+        layerId: layer.layerId,
+        bounds: layer.bounds || null
       });
     }
   }
@@ -1155,9 +1287,76 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
     const frameW = Math.round(frameBounds.width);
     const frameH = Math.round(frameBounds.height);
     
+    // 💬 时间线字幕轨：每条字幕渲染为整帧透明 PNG，作为带时间范围的标注图层叠在最上层
+    const normalizedCaptions = normalizeCaptions(captions);
+    if (normalizedCaptions.length > 0) {
+      const captionLayers = await renderCaptionLayers({
+        execAsync,
+        magickBin: MAGICK_BIN,
+        captions: normalizedCaptions,
+        frameW,
+        frameH,
+        workDir: path.join(tempDir, 'captions'),
+        config: mediaTuning.captions
+      });
+      // 多 GIF 模式按 z-index 统一排序，字幕（及并入的 Top Layer）需排在所有图层之上
+      let captionIndex = Math.max(
+        0,
+        ...gifPaths.map(g => Number(g.zIndex) || 0),
+        ...staticLayerPaths.map(l => Number(l.index) || 0),
+        ...annotationLayerPaths.map(l => Number(l.index) || 0)
+      );
+      // 合成的 Top Layer 只在没有独立标注图层时使用，字幕加入后需并入标注图层列表
+      if (annotationPath) {
+        annotationLayerPaths.push({ path: annotationPath, index: ++captionIndex, name: 'annotation', layerId: null, bounds: null });
+        annotationPath = null;
+      }
+      timelineData = { ...(timelineData || {}) };
+      for (const caption of captionLayers) {
+        const layerId = `caption:${caption.id}`;
+        annotationLayerPaths.push({ path: caption.path, index: ++captionIndex, name: caption.label, layerId, bounds: null, isCaption: true });
+        timelineData[layerId] = { start: caption.start, end: caption.end };
+      }
+      console.log(`   💬 字幕轨: ${captionLayers.length} 条`);
+    }
+    
     // 🕐 如果有时间线数据，强制使用多 GIF 模式（支持按帧控制可见性）
+    // 🎞️ 关键帧动画 / 入场出场过渡同样需要逐层合成
     const hasTimelineEdits = timelineData && Object.keys(timelineData).length > 0 &&
-                             Object.values(timelineData).some(range => range.start > 0 || range.end < 100);
+                             Object.values(timelineData).some(range => range && (range.start > 0 || range.end < 100 || hasLayerMotion(range)));
+
+    // 🎞️ 关键帧 / 过渡图层渲染器（按 layerId 懒创建，FFmpeg 管道与逐帧回退共用）
+    // durationSec 为当前路径的时间线总时长，用于把过渡时长（秒）换算到时间线百分比
+    const keyframeRenderers = new Map();
+    const getKeyframeRenderer = (layer, durationSec) => {
+      if (!hasTimelineEdits || !timelineData || !layer || !layer.layerId || !layer.path) return null;
+      const range = timelineData[layer.layerId];
+      if (!hasLayerMotion(range)) return null;
+      const keyframes = getLayerKeyframes(range);
+      if (!keyframeRenderers.has(layer.layerId)) {
+        keyframeRenderers.set(layer.layerId, createKeyframedLayerRenderer({
+          execAsync,
+          magickBin: MAGICK_BIN,
+          layerPath: layer.path,
+          keyframes,
+          bounds: layer.bounds,
+          frameW,
+          frameH,
+          workDir: path.join(tempDir, `keyframes_${keyframeRenderers.size}`),
+          visibleRange: range,
+          transitions: getLayerTransitions(range),
+          durationSec
+        }));
+      }
+      return keyframeRenderers.get(layer.layerId);
+    };
+
+    // ⏩ GIF 图层倍速 / 起始偏移（与整体导出倍速相乘），未设置时为原速
+    const getGifPlayback = (gif, sourceDurationSec) => resolveLayerPlayback(
+      timelineData && gif && gif.layerId ? timelineData[gif.layerId] : null,
+      sourceDurationSec,
+      playbackSpeed
+    );
 
     // 基于“所有参与导出的图层实际覆盖区间”计算时间线裁剪范围。
     // 关键点：
@@ -1177,7 +1376,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         staticLayerPaths.forEach(l => { if (l && l.layerId) exportLayerIds.add(l.layerId); });
       }
       if (annotationLayerPaths && Array.isArray(annotationLayerPaths)) {
-        annotationLayerPaths.forEach(l => { if (l && l.layerId) exportLayerIds.add(l.layerId); });
+        // 字幕只是叠加说明，不参与决定导出覆盖区间
+        annotationLayerPaths.forEach(l => { if (l && l.layerId && !l.isCaption) exportLayerIds.add(l.layerId); });
       }
 
       const coverageRanges = [];
@@ -1320,10 +1520,17 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         const pipeOrigH = pipeMeta.height;
         let pipeTotalFrames = pipeMeta.frameCount || 1;
         let pipeOutputFps = pipeMeta.exactFps || 20;
-        const pipeSourceDurationSec = Math.max(
+        const pipeRawDurationSec = Math.max(
           0.01,
           Number(pipeMeta.totalDuration) || (pipeTotalFrames / Math.max(0.1, pipeMeta.exactFps || 20)) || 0.01
         );
+        // ⏩ 倍速 / 起始偏移：时间线总时长改为 GIF 在输出时间线上的时长，帧数按比例换算
+        const pipePlayback = getGifPlayback(gifInfo, pipeRawDurationSec);
+        const pipeSourceDurationSec = Math.max(0.01, pipePlayback.durationSec);
+        if (pipeSourceDurationSec !== pipeRawDurationSec) {
+          pipeTotalFrames = Math.max(1, Math.round(pipeTotalFrames * (pipeSourceDurationSec / pipeRawDurationSec)));
+          console.log(`   ⏩ GIF 播放: ${pipePlayback.speed}x, 偏移 ${pipePlayback.offset.toFixed(2)}s → 时长 ${pipeSourceDurationSec.toFixed(2)}s`);
+        }
         
         reportProgress(15, '正在构建 FFmpeg 合成管道...');
 
@@ -1458,7 +1665,9 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         }
         
         // 构建 GIF 滤镜表达式
-        let gifFilterExpr = pipeScaleFilters.length > 0 ? pipeScaleFilters.join(',') + ',' : '';
+        const pipePlaybackFilter = buildPlaybackFilter(pipePlayback);
+        let gifFilterExpr = pipePlaybackFilter ? pipePlaybackFilter + ',' : '';
+        if (pipeScaleFilters.length > 0) gifFilterExpr += pipeScaleFilters.join(',') + ',';
         gifFilterExpr += 'format=rgba';
         
         // 圆角遮罩
@@ -1531,7 +1740,25 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
               : `:enable='0'`;
           }
         }
-        filterParts.push(`[${prevStream}][${gifStream}]overlay=0:0${gifEnableExpr}[composited]`);
+        // 🎞️ GIF 入场 / 出场过渡：fade / scale 接在 GIF 流末尾，滑动与缩放中心写入 overlay 的 x / y 表达式
+        let gifOverlayPosition = '0:0';
+        const gifTransitionRange = hasTimelineEdits && timelineData ? timelineData[gifInfo.layerId] : null;
+        const gifTransitions = getLayerTransitions(gifTransitionRange);
+        if (gifTransitions.in || gifTransitions.out) {
+          const transitionFilters = buildTransitionFilters({
+            transitions: gifTransitions,
+            startSec: pipeSourceDurationSec * (Math.max(0, Math.min(100, Number(gifTransitionRange.start) || 0)) / 100),
+            endSec: pipeSourceDurationSec * (Math.max(0, Math.min(100, Number(gifTransitionRange.end) || 0)) / 100),
+            slideDistances: getSlideDistances({ x: pipeOffsetX, y: pipeOffsetY, width: effectiveGifW, height: effectiveGifH }, frameW, frameH),
+            center: { x: pipeOffsetX + effectiveGifW / 2, y: pipeOffsetY + effectiveGifH / 2 }
+          });
+          if (transitionFilters.streamFilter) {
+            filterParts.push(`[${gifStream}]${transitionFilters.streamFilter}[g_trans]`);
+            gifStream = 'g_trans';
+          }
+          gifOverlayPosition = transitionFilters.overlayPosition;
+        }
+        filterParts.push(`[${prevStream}][${gifStream}]overlay=${gifOverlayPosition}${gifEnableExpr}[composited]`);
         prevStream = 'composited';
         
         // 3. 顶层（staticLayers + annotationLayers + annotation，支持时间线控制）
@@ -1540,7 +1767,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         const pipeHasTimelineOnLayer = (layerId) => {
           if (!hasTimelineEdits || !timelineData || !timelineData[layerId]) return false;
           const range = timelineData[layerId];
-          return range.start > 0 || range.end < 100;
+          return range.start > 0 || range.end < 100 || hasLayerMotion(range);
         };
         
         const pipeTopNoTimeline = [];
@@ -1592,7 +1819,19 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         // 再逐一叠加有时间线的图层（每层独立 FFmpeg 输入 + enable 表达式）
         for (let tli = 0; tli < pipeTopWithTimeline.length; tli++) {
           const tlLayer = pipeTopWithTimeline[tli];
-          ffInputs.push(`-loop 1 -framerate ${pipeOutputFps} -i "${tlLayer.path}"`);
+          const tlKeyframeRenderer = getKeyframeRenderer(tlLayer, pipeSourceDurationSec);
+          if (tlKeyframeRenderer) {
+            // 🎞️ 关键帧图层：按输出帧时间采样，渲染为 PNG 序列（第 i 帧对应 t = i / fps）
+            const kfFrameCount = Math.max(1, Math.ceil(pipeSourceDurationSec * pipeOutputFps) + 1);
+            const kfPercents = Array.from({ length: kfFrameCount }, (_, i) =>
+              pipeSourceDurationSec > 0 ? Math.min(100, (i / pipeOutputFps / pipeSourceDurationSec) * 100) : 0
+            );
+            const kfSequence = await tlKeyframeRenderer.renderSequence(kfPercents, path.join(tempDir, `pipe_keyframes_${tli}`));
+            console.log(`   🎞️ 关键帧图层 "${tlLayer.name}": ${kfSequence.frameCount} 帧, ${kfSequence.uniqueStates} 个状态`);
+            ffInputs.push(`-framerate ${pipeOutputFps} -start_number 0 -i "${kfSequence.pattern}"`);
+          } else {
+            ffInputs.push(`-loop 1 -framerate ${pipeOutputFps} -i "${tlLayer.path}"`);
+          }
           const tlIdx = inputIdx++;
           
           const tlRange = timelineData[tlLayer.layerId];
@@ -1632,72 +1871,102 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         console.log(`   🚀 单 GIF 管道 Step 1/2: ${ffInputs.length} 输入, ${pipeOutputFrames || '?'} 帧 → PNG 序列`);
         reportProgress(20, `正在合成帧 (流式)...`);
         await execAsync(pipeCompositeCmd, { maxBuffer: 200 * 1024 * 1024, timeout: pipelineTimeout });
-        
-        // ── Step 2: 两阶段调色板 → GIF ──────────────────────────────
-        reportProgress(70, '正在生成调色板并编码 GIF...');
-        const pipePalPath = path.join(tempDir, 'pipe_palette.png');
-        const pipePlan = adaptivePipeMode._plan;
-        let optimizedPipeProfile = adaptivePipeMode;
-        for (let attemptIndex = 0; attemptIndex < pipePlan.profiles.length; attemptIndex++) {
-          const attemptProfile = getAdaptiveProfile({
-            preSizeMB: pipeSourceStats ? (pipeSourceStats.size / (1024 * 1024)) : 0,
-            decisionSizeMB: Number.isFinite(gifInfo.sourceSizeMB) ? gifInfo.sourceSizeMB : null,
-            frameCount: pipeOutputFrames || pipeSourceFramesAfterTrim || pipeTotalFrames || 0,
-            hasVideoLayers: hasVideo
-          }, attemptIndex);
-          const effectiveDither = attemptProfile.effectiveDither || ditherMode;
-          try {
-            await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${pipeOutputFps} -i "${pipeFramesDir}/frame_%04d.png" -vf "palettegen=max_colors=${attemptProfile.paletteMaxColors}:stats_mode=full" -threads 0 -y "${pipePalPath}"`,
-              { maxBuffer: 50 * 1024 * 1024, timeout: Math.max(30000, attemptProfile.paletteGenTimeoutMs) });
-
-            await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${pipeOutputFps} -i "${pipeFramesDir}/frame_%04d.png" -i "${pipePalPath}" -lavfi "[0:v][1:v]paletteuse=dither=${effectiveDither}:diff_mode=rectangle" -threads 0 -loop 0 -y "${pipeTempGifPath}"`,
-              { maxBuffer: 200 * 1024 * 1024, timeout: Math.max(60000, attemptProfile.paletteUseTimeoutMs) });
-            optimizedPipeProfile = attemptProfile;
-            break;
-          } catch (pipeEncodeErr) {
-            try { if (fs.existsSync(pipePalPath)) fs.unlinkSync(pipePalPath); } catch (_) {}
-            try { if (fs.existsSync(pipeTempGifPath)) fs.unlinkSync(pipeTempGifPath); } catch (_) {}
-            if (attemptIndex >= pipePlan.profiles.length - 1) throw pipeEncodeErr;
-            console.warn(`   ⚠️  单 GIF 编码档位失败，降档重试: ${attemptProfile.label} -> ${pipePlan.profiles[attemptIndex + 1].label} (${pipeEncodeErr.message})`);
+        extendFramesForLoop(pipeFramesDir, pipeOutputFps);
+        
+        if (sizeBudgetBytes > 0) {
+          // ── Step 2: 体积预算模式，在档位之间搜索 ──
+          reportProgress(70, '正在按体积预算搜索编码档位...');
+          await runFramesBudgetSearch({ framesDir: pipeFramesDir, inputFps: pipeOutputFps, plan: adaptivePipeMode._plan });
+          setImmediate(() => { try { removeDirRecursive(pipeFramesDir); } catch(e){} });
+        } else if (!isGifOutput) {
+          // ── Step 2: 合成帧直接编码为目标格式（无需调色板 / gifsicle）──
+          reportProgress(70, `正在编码 ${outputFormatInfo.format.toUpperCase()}...`);
+          await encodeAnimatedOutput({
+            execAsync,
+            ffmpegBin: FFMPEG_BIN,
+            inputArgs: `-framerate ${pipeOutputFps} -i "${pipeFramesDir}/frame_%04d.png"`,
+            filter: dedupFilter,
+            outputPath: finalOutputPath,
+            outputFormat: outputFormatInfo.format,
+            lossy: adaptivePipeMode.lossy,
+            timeoutMs: adaptivePipeMode.paletteUseTimeoutMs,
+            variableFrameRate: Boolean(dedupFilter),
+            loopCount: loop.loopCount
+          });
+          setImmediate(() => { try { removeDirRecursive(pipeFramesDir); } catch(e){} });
+        } else {
+          // ── Step 2: 两阶段调色板 → GIF ──────────────────────────────
+          reportProgress(70, '正在生成调色板并编码 GIF...');
+          const pipePalPath = path.join(tempDir, 'pipe_palette.png');
+          const pipePlan = adaptivePipeMode._plan;
+          let optimizedPipeProfile = adaptivePipeMode;
+          for (let attemptIndex = 0; attemptIndex < pipePlan.profiles.length; attemptIndex++) {
+            const attemptProfile = getAdaptiveProfile({
+              preSizeMB: pipeSourceStats ? (pipeSourceStats.size / (1024 * 1024)) : 0,
+              decisionSizeMB: Number.isFinite(gifInfo.sourceSizeMB) ? gifInfo.sourceSizeMB : null,
+              frameCount: pipeOutputFrames || pipeSourceFramesAfterTrim || pipeTotalFrames || 0,
+              hasVideoLayers: hasVideo
+            }, attemptIndex);
+            const effectiveDither = attemptProfile.effectiveDither || ditherMode;
+            try {
+              const encodedWithScenePalettes = useScenePalette
+                ? await encodeFramesWithScenePalettes({ framesDir: pipeFramesDir, inputFps: pipeOutputFps, profile: attemptProfile, targetPath: pipeTempGifPath })
+                : false;
+              if (!encodedWithScenePalettes) {
+                await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${pipeOutputFps} -i "${pipeFramesDir}/frame_%04d.png" -vf "${dedupPrefix}palettegen=max_colors=${attemptProfile.paletteMaxColors}:stats_mode=full" -threads 0 -y "${pipePalPath}"`,
+                  { maxBuffer: 50 * 1024 * 1024, timeout: Math.max(30000, attemptProfile.paletteGenTimeoutMs) });
+
+                await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${pipeOutputFps} -i "${pipeFramesDir}/frame_%04d.png" -i "${pipePalPath}" -lavfi "${dedupChain}paletteuse=dither=${effectiveDither}:diff_mode=rectangle" ${vsyncArg}-threads 0 ${gifLoopArg}-y "${pipeTempGifPath}"`,
+                  { maxBuffer: 200 * 1024 * 1024, timeout: Math.max(60000, attemptProfile.paletteUseTimeoutMs) });
+              }
+              optimizedPipeProfile = attemptProfile;
+              break;
+            } catch (pipeEncodeErr) {
+              try { if (fs.existsSync(pipePalPath)) fs.unlinkSync(pipePalPath); } catch (_) {}
+              try { if (fs.existsSync(pipeTempGifPath)) fs.unlinkSync(pipeTempGifPath); } catch (_) {}
+              if (attemptIndex >= pipePlan.profiles.length - 1) throw pipeEncodeErr;
+              console.warn(`   ⚠️  单 GIF 编码档位失败，降档重试: ${attemptProfile.label} -> ${pipePlan.profiles[attemptIndex + 1].label} (${pipeEncodeErr.message})`);
+            }
           }
-        }
         
-        // 异步清理临时 PNG
-        setImmediate(() => { try { removeDirRecursive(pipeFramesDir); } catch(e){} });
-        if (fs.existsSync(pipePalPath)) try { fs.unlinkSync(pipePalPath); } catch(e){}
+          // 异步清理临时 PNG
+          setImmediate(() => { try { removeDirRecursive(pipeFramesDir); } catch(e){} });
+          if (fs.existsSync(pipePalPath)) try { fs.unlinkSync(pipePalPath); } catch(e){}
         
-        // 验证输出
-        if (!fs.existsSync(pipeTempGifPath) || fs.statSync(pipeTempGifPath).size < 100) {
-          throw new Error('FFmpeg 管道输出文件为空或过小');
-        }
+          // 验证输出
+          if (!fs.existsSync(pipeTempGifPath) || fs.statSync(pipeTempGifPath).size < 100) {
+            throw new Error('FFmpeg 管道输出文件为空或过小');
+          }
         
-        reportProgress(85, '正在压缩优化...');
+          reportProgress(85, '正在压缩优化...');
         
-        // 🗜️ gifsicle 深度优化
-        try {
-          await execAsync(`${GIFSICLE_BIN} --version`);
-          const pipePreStats = fs.statSync(pipeTempGifPath);
-          const adaptivePipe = getAdaptiveProfile({
-            preSizeMB: pipePreStats.size / (1024 * 1024),
-            decisionSizeMB: Number.isFinite(gifInfo.sourceSizeMB) ? gifInfo.sourceSizeMB : null,
-            frameCount: pipeOutputFrames || pipeSourceFramesAfterTrim || 0,
-            hasVideoLayers: hasVideo
-          });
-          const gifsicleTimeout = Math.max(60000, Math.ceil(pipePreStats.size / (1024 * 1024)) * Math.min(adaptivePipe.gifsicleTimeoutPerMbMs, optimizedPipeProfile.gifsicleTimeoutPerMbMs));
+          // 🗜️ gifsicle 深度优化
+          try {
+            await execAsync(`${GIFSICLE_BIN} --version`);
+            const pipePreStats = fs.statSync(pipeTempGifPath);
+            const adaptivePipe = getAdaptiveProfile({
+              preSizeMB: pipePreStats.size / (1024 * 1024),
+              decisionSizeMB: Number.isFinite(gifInfo.sourceSizeMB) ? gifInfo.sourceSizeMB : null,
+              frameCount: pipeOutputFrames || pipeSourceFramesAfterTrim || 0,
+              hasVideoLayers: hasVideo
+            });
+            const gifsicleTimeout = Math.max(60000, Math.ceil(pipePreStats.size / (1024 * 1024)) * Math.min(adaptivePipe.gifsicleTimeoutPerMbMs, optimizedPipeProfile.gifsicleTimeoutPerMbMs));
           
-          await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${adaptivePipe.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${pipeTempGifPath}" -o "${outputPath}"`,
-            { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
+            await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${adaptivePipe.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${pipeTempGifPath}" -o "${outputPath}"`,
+              { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
           
-          if (fs.existsSync(pipeTempGifPath)) fs.unlinkSync(pipeTempGifPath);
+            if (fs.existsSync(pipeTempGifPath)) fs.unlinkSync(pipeTempGifPath);
           
-          const pipePostStats = fs.statSync(outputPath);
-          console.log(`   🗜️  gifsicle: ${(pipePreStats.size / 1024 / 1024).toFixed(2)} MB → ${(pipePostStats.size / 1024 / 1024).toFixed(2)} MB (节省 ${((1 - pipePostStats.size / pipePreStats.size) * 100).toFixed(1)}%)`);
-        } catch (e) {
-          if (!fs.existsSync(outputPath)) {
-            fs.renameSync(pipeTempGifPath, outputPath);
-          } else if (fs.existsSync(pipeTempGifPath)) {
-            fs.unlinkSync(pipeTempGifPath);
+            const pipePostStats = fs.statSync(outputPath);
+            console.log(`   🗜️  gifsicle: ${(pipePreStats.size / 1024 / 1024).toFixed(2)} MB → ${(pipePostStats.size / 1024 / 1024).toFixed(2)} MB (节省 ${((1 - pipePostStats.size / pipePreStats.size) * 100).toFixed(1)}%)`);
+          } catch (e) {
+            if (!fs.existsSync(outputPath)) {
+              fs.renameSync(pipeTempGifPath, outputPath);
+            } else if (fs.existsSync(pipeTempGifPath)) {
+              fs.unlinkSync(pipeTempGifPath);
+            }
           }
+        
         }
         
         singleGifPipelineSucceeded = true;
@@ -1711,6 +1980,12 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
       }
       
       if (!singleGifPipelineSucceeded) {
+      if ((timelineData && hasLayerPlaybackEdits(timelineData[gifInfo.layerId])) || (Number(playbackSpeed) || 1) !== 1) {
+        console.warn('   ⚠️  ImageMagick 回退路径不支持倍速 / 起始偏移，按原速导出');
+      }
+      if (loop.pingPong || loop.holdSec > 0) {
+        console.warn('   ⚠️  ImageMagick 回退路径不支持乒乓 / 末帧停留，仅应用循环次数');
+      }
       
       let offsetX = Math.round(gifInfo.bounds.x);
       let offsetY = Math.round(gifInfo.bounds.y);
@@ -2120,7 +2395,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
             height: frameH
           });
         }
-        const compositeCmd = `${MAGICK_BIN} "${baseLayer}" -coalesce null: \\( "${topPng}" \\) -layers composite -loop 0 "${outputPath}"`;
+        const compositeCmd = `${MAGICK_BIN} "${baseLayer}" -coalesce null: \\( "${topPng}" \\) -layers composite ${magickLoopArg}"${outputPath}"`;
         try {
           await execAsync(compositeCmd, { maxBuffer: 200 * 1024 * 1024, timeout: 300000 });
         } catch (e) {
@@ -2137,7 +2412,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         }
       } else {
         // 没有上层，直接设置循环并输出
-        const outputCmd = `${MAGICK_BIN} "${baseLayer}" -loop 0 "${outputPath}"`;
+        const outputCmd = `${MAGICK_BIN} "${baseLayer}" ${magickLoopArg}"${outputPath}"`;
         await execAsync(outputCmd, { maxBuffer: 200 * 1024 * 1024, timeout: 300000 });
       }
       
@@ -2241,18 +2516,24 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         const exactFps = gifMeta.exactFps || 20;
         // 内部帧索引用的整数延迟（仅用于帧采样计算，不影响输出 fps）
         const intDelay = gifMeta.delay || 5;
+        // ⏩ totalDuration 为倍速 / 偏移后在输出时间线上的时长，帧采样仍按源时间
+        const playback = getGifPlayback(gifInfo, totalDuration);
+        if (playback.speed !== 1 || playback.offset !== 0) {
+          console.log(`   ⏩ GIF ${i + 1} 播放: ${playback.speed}x, 偏移 ${playback.offset.toFixed(2)}s → 时长 ${playback.durationSec.toFixed(2)}s`);
+        }
         
         gifInfoArray.push({
           frameCount,
           delay: intDelay,
           exactFps,
-          totalDuration
+          totalDuration: playback.durationSec,
+          playback
         });
         
         
       }
       
-      // 找到最长的 GIF 时长（这将是输出GIF的总时长）
+      // 找到最长的 GIF 时长（这将是输出GIF的总时长，已按倍速 / 偏移换算）
       const maxDuration = Math.max(...gifInfoArray.map(g => g.totalDuration));
       
       // 使用最高精确 fps 作为“源时间轴”参考；输出 fps 允许降档，但不能改变总时长。
@@ -2568,6 +2849,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
           frameCount: gifData.frameCount,
           delay: gifData.delay,
           totalDuration: gifData.totalDuration,
+          playback: gifData.playback,
           zIndex: gifInfo.zIndex || 0, // ✅ 保存 GIF 的 z-index
           layerId: gifInfo.layerId, // ✅ Pass layerId
           type: 'gif' // ✅ 标记为 GIF 类型
@@ -2601,7 +2883,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
             zIndex: staticLayer.index,
             path: staticLayer.path,
             name: staticLayer.name,
-            layerId: staticLayer.layerId // ✅ Pass layerId
+            layerId: staticLayer.layerId, // ✅ Pass layerId
+            bounds: staticLayer.bounds
           });
         });
       }
@@ -2614,7 +2897,8 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
             zIndex: annotationLayer.index,
             path: annotationLayer.path,
             name: annotationLayer.name,
-            layerId: annotationLayer.layerId // ✅ Pass layerId
+            layerId: annotationLayer.layerId, // ✅ Pass layerId
+            bounds: annotationLayer.bounds
           });
         });
       }
@@ -2664,7 +2948,7 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         const hasTimelineOnLayer = (layerId) => {
           if (!hasTimelineEdits || !timelineData || !timelineData[layerId]) return false;
           const range = timelineData[layerId];
-          return range.start > 0 || range.end < 100;
+          return range.start > 0 || range.end < 100 || hasLayerMotion(range);
         };
         
         // base: bg + bottom + static below GIF (无时间线的)
@@ -2751,7 +3035,25 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
             const gIdx = inputIdx++;
             
             // fps 转换 + 定位到画布 (pad)
-            filterParts.push(`[${gIdx}:v]trim=start=${trimStartTime.toFixed(6)}:end=${trimEndTime.toFixed(6)},setpts=PTS-STARTPTS,fps=${outputFps},pad=${frameW}:${frameH}:${gifInfo.finalOffsetX}:${gifInfo.finalOffsetY}:color=black@0.0[g${gIdx}]`);
+            // 🎞️ 入场 / 出场过渡（该流已裁剪，t 从 trimStartTime 起算）
+            let gifTransitionFilter = '';
+            let gifOverlayPosition = '0:0';
+            const gifTransitionRange = hasTimelineEdits && timelineData ? timelineData[layer.layerId] : null;
+            const gifTransitions = getLayerTransitions(gifTransitionRange);
+            const gifSourceBounds = gifPaths[layer.gifIndex] && gifPaths[layer.gifIndex].bounds;
+            if ((gifTransitions.in || gifTransitions.out) && gifSourceBounds) {
+              const transitionFilters = buildTransitionFilters({
+                transitions: gifTransitions,
+                startSec: maxDuration * (Math.max(0, Math.min(100, Number(gifTransitionRange.start) || 0)) / 100) - trimStartTime,
+                endSec: maxDuration * (Math.max(0, Math.min(100, Number(gifTransitionRange.end) || 0)) / 100) - trimStartTime,
+                slideDistances: getSlideDistances(gifSourceBounds, frameW, frameH),
+                center: { x: gifSourceBounds.x + gifSourceBounds.width / 2, y: gifSourceBounds.y + gifSourceBounds.height / 2 }
+              });
+              if (transitionFilters.streamFilter) gifTransitionFilter = `,${transitionFilters.streamFilter}`;
+              gifOverlayPosition = transitionFilters.overlayPosition;
+            }
+            const gifPlaybackFilter = buildPlaybackFilter(gifInfo.playback);
+            filterParts.push(`[${gIdx}:v]${gifPlaybackFilter ? gifPlaybackFilter + ',' : ''}trim=start=${trimStartTime.toFixed(6)}:end=${trimEndTime.toFixed(6)},setpts=PTS-STARTPTS,fps=${outputFps},pad=${frameW}:${frameH}:${gifInfo.finalOffsetX}:${gifInfo.finalOffsetY}:color=black@0.0${gifTransitionFilter}[g${gIdx}]`);
             
             // Overlay + 可选的时间线 enable
             let enableExpr = '';
@@ -2763,12 +3065,23 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
             }
             
             const next = `p${inputIdx}`;
-            filterParts.push(`[${prevStream}][g${gIdx}]overlay=0:0${enableExpr}[${next}]`);
+            filterParts.push(`[${prevStream}][g${gIdx}]overlay=${gifOverlayPosition}${enableExpr}[${next}]`);
             prevStream = next;
             
           } else {
             // 静态/标注层 (有时间线或在 GIF 之间)
-            ffInputs.push(`-loop 1 -framerate ${outputFps} -i "${layer.path}"`);
+            const layerKeyframeRenderer = getKeyframeRenderer(layer, maxDuration);
+            if (layerKeyframeRenderer) {
+              // 🎞️ 关键帧图层：第 n 个输出帧对应源时间轴 trimStartTime + n / fps
+              const kfPercents = Array.from({ length: totalOutputFrames }, (_, n) =>
+                maxDuration > 0 ? Math.min(100, ((trimStartTime + n / outputFps) / maxDuration) * 100) : 0
+              );
+              const kfSequence = await layerKeyframeRenderer.renderSequence(kfPercents, path.join(tempDir, `ffpipe_keyframes_${inputIdx}`));
+              console.log(`   🎞️ 关键帧图层 "${layer.name}": ${kfSequence.frameCount} 帧, ${kfSequence.uniqueStates} 个状态`);
+              ffInputs.push(`-framerate ${outputFps} -start_number 0 -i "${kfSequence.pattern}"`);
+            } else {
+              ffInputs.push(`-loop 1 -framerate ${outputFps} -i "${layer.path}"`);
+            }
             const sIdx = inputIdx++;
             
             let enableExpr = '';
@@ -2821,67 +3134,98 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
         
         reportProgress(30, `正在合成 ${totalOutputFrames} 帧...`);
         await execAsync(compositeCmd, { maxBuffer: 200 * 1024 * 1024, timeout: pipelineTimeout });
-        
-        // ── Step 2: 两阶段调色板 → GIF ──────────────────────────────
-        reportProgress(70, '正在生成调色板并编码 GIF...');
-        const multiPipePalettePath = path.join(tempDir, 'pipe_palette.png');
-        const multiPlan = adaptiveMultiExport._plan;
-        let optimizedMultiProfile = adaptiveMultiExport;
-        for (let attemptIndex = 0; attemptIndex < multiPlan.profiles.length; attemptIndex++) {
-          const attemptProfile = getAdaptiveProfile({
-            preSizeMB: gifPaths.reduce((sum, item) => sum + (Number(item.sourceSizeMB) || 0), 0),
-            frameCount: totalOutputFrames,
-            hasVideoLayers: hasVideo
-          }, attemptIndex);
-          const effectiveDither = attemptProfile.effectiveDither || ditherMode;
-          try {
-            await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${outputFps} -i "${multiPipeFramesDir}/frame_%04d.png" -vf "palettegen=max_colors=${attemptProfile.paletteMaxColors}:stats_mode=full" -threads 0 -y "${multiPipePalettePath}"`,
-              { maxBuffer: 50 * 1024 * 1024, timeout: Math.max(30000, attemptProfile.paletteGenTimeoutMs) });
-
-            await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${outputFps} -i "${multiPipeFramesDir}/frame_%04d.png" -i "${multiPipePalettePath}" -lavfi "[0:v][1:v]paletteuse=dither=${effectiveDither}:diff_mode=rectangle" -threads 0 -loop 0 -y "${tempGifPath}"`,
-              { maxBuffer: 200 * 1024 * 1024, timeout: Math.max(60000, attemptProfile.paletteUseTimeoutMs) });
-            optimizedMultiProfile = attemptProfile;
-            break;
-          } catch (multiEncodeErr) {
-            try { if (fs.existsSync(multiPipePalettePath)) fs.unlinkSync(multiPipePalettePath); } catch (_) {}
-            try { if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath); } catch (_) {}
-            if (attemptIndex >= multiPlan.profiles.length - 1) throw multiEncodeErr;
-            console.warn(`   ⚠️  多 GIF 编码档位失败，降档重试: ${attemptProfile.label} -> ${multiPlan.profiles[attemptIndex + 1].label} (${multiEncodeErr.message})`);
+        extendFramesForLoop(multiPipeFramesDir, outputFps);
+        
+        if (sizeBudgetBytes > 0) {
+          // ── Step 2: 体积预算模式，在档位之间搜索 ──
+          reportProgress(70, '正在按体积预算搜索编码档位...');
+          await runFramesBudgetSearch({ framesDir: multiPipeFramesDir, inputFps: outputFps, plan: adaptiveMultiExport._plan });
+          setImmediate(() => { try { removeDirRecursive(multiPipeFramesDir); } catch(e){} });
+        } else if (!isGifOutput) {
+          // ── Step 2: 合成帧直接编码为目标格式（无需调色板 / gifsicle）──
+          reportProgress(70, `正在编码 ${outputFormatInfo.format.toUpperCase()}...`);
+          await encodeAnimatedOutput({
+            execAsync,
+            ffmpegBin: FFMPEG_BIN,
+            inputArgs: `-framerate ${outputFps} -i "${multiPipeFramesDir}/frame_%04d.png"`,
+            filter: dedupFilter,
+            outputPath: finalOutputPath,
+            outputFormat: outputFormatInfo.format,
+            lossy: adaptiveMultiExport.lossy,
+            timeoutMs: adaptiveMultiExport.paletteUseTimeoutMs,
+            variableFrameRate: Boolean(dedupFilter),
+            loopCount: loop.loopCount
+          });
+          setImmediate(() => { try { removeDirRecursive(multiPipeFramesDir); } catch(e){} });
+          console.log(`   🚀 FFmpeg 管道 Step 2/2: ${outputFormatInfo.format.toUpperCase()} 编码完成`);
+        } else {
+          // ── Step 2: 两阶段调色板 → GIF ──────────────────────────────
+          reportProgress(70, '正在生成调色板并编码 GIF...');
+          const multiPipePalettePath = path.join(tempDir, 'pipe_palette.png');
+          const multiPlan = adaptiveMultiExport._plan;
+          let optimizedMultiProfile = adaptiveMultiExport;
+          for (let attemptIndex = 0; attemptIndex < multiPlan.profiles.length; attemptIndex++) {
+            const attemptProfile = getAdaptiveProfile({
+              preSizeMB: gifPaths.reduce((sum, item) => sum + (Number(item.sourceSizeMB) || 0), 0),
+              frameCount: totalOutputFrames,
+              hasVideoLayers: hasVideo
+            }, attemptIndex);
+            const effectiveDither = attemptProfile.effectiveDither || ditherMode;
+            try {
+              const encodedWithScenePalettes = useScenePalette
+                ? await encodeFramesWithScenePalettes({ framesDir: multiPipeFramesDir, inputFps: outputFps, profile: attemptProfile, targetPath: tempGifPath })
+                : false;
+              if (!encodedWithScenePalettes) {
+                await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${outputFps} -i "${multiPipeFramesDir}/frame_%04d.png" -vf "${dedupPrefix}palettegen=max_colors=${attemptProfile.paletteMaxColors}:stats_mode=full" -threads 0 -y "${multiPipePalettePath}"`,
+                  { maxBuffer: 50 * 1024 * 1024, timeout: Math.max(30000, attemptProfile.paletteGenTimeoutMs) });
+
+                await execAsync(`${FFMPEG_BIN} -threads 0 -framerate ${outputFps} -i "${multiPipeFramesDir}/frame_%04d.png" -i "${multiPipePalettePath}" -lavfi "${dedupChain}paletteuse=dither=${effectiveDither}:diff_mode=rectangle" ${vsyncArg}-threads 0 ${gifLoopArg}-y "${tempGifPath}"`,
+                  { maxBuffer: 200 * 1024 * 1024, timeout: Math.max(60000, attemptProfile.paletteUseTimeoutMs) });
+              }
+              optimizedMultiProfile = attemptProfile;
+              break;
+            } catch (multiEncodeErr) {
+              try { if (fs.existsSync(multiPipePalettePath)) fs.unlinkSync(multiPipePalettePath); } catch (_) {}
+              try { if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath); } catch (_) {}
+              if (attemptIndex >= multiPlan.profiles.length - 1) throw multiEncodeErr;
+              console.warn(`   ⚠️  多 GIF 编码档位失败，降档重试: ${attemptProfile.label} -> ${multiPlan.profiles[attemptIndex + 1].label} (${multiEncodeErr.message})`);
+            }
           }
-        }
         
-        // 异步清理临时 PNG 和调色板
-        setImmediate(() => { try { removeDirRecursive(multiPipeFramesDir); } catch(e){} });
-        if (fs.existsSync(multiPipePalettePath)) try { fs.unlinkSync(multiPipePalettePath); } catch(e){}
+          // 异步清理临时 PNG 和调色板
+          setImmediate(() => { try { removeDirRecursive(multiPipeFramesDir); } catch(e){} });
+          if (fs.existsSync(multiPipePalettePath)) try { fs.unlinkSync(multiPipePalettePath); } catch(e){}
         
-        console.log(`   🚀 FFmpeg 管道 Step 2/2: 两阶段调色板编码完成`);
+          console.log(`   🚀 FFmpeg 管道 Step 2/2: 两阶段调色板编码完成`);
         
-        // 验证输出
-        if (!fs.existsSync(tempGifPath) || fs.statSync(tempGifPath).size < 100) {
-          throw new Error('FFmpeg 管道输出文件为空或过小');
-        }
+          // 验证输出
+          if (!fs.existsSync(tempGifPath) || fs.statSync(tempGifPath).size < 100) {
+            throw new Error('FFmpeg 管道输出文件为空或过小');
+          }
         
-        reportProgress(85, '正在压缩优化...');
+          reportProgress(85, '正在压缩优化...');
         
-        // ── 5. gifsicle 优化 ───────────────────────────────────────────
-        try {
-          await execAsync(`${GIFSICLE_BIN} --version`);
-          const tempStats = fs.statSync(tempGifPath);
-          const gifsicleTimeout = Math.max(60000, Math.ceil(tempStats.size / (1024 * 1024)) * optimizedMultiProfile.gifsicleTimeoutPerMbMs);
+          // ── 5. gifsicle 优化 ───────────────────────────────────────────
+          try {
+            await execAsync(`${GIFSICLE_BIN} --version`);
+            const tempStats = fs.statSync(tempGifPath);
+            const gifsicleTimeout = Math.max(60000, Math.ceil(tempStats.size / (1024 * 1024)) * optimizedMultiProfile.gifsicleTimeoutPerMbMs);
           
-          await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${optimizedMultiProfile.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${tempGifPath}" -o "${outputPath}"`, 
-            { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
+            await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${optimizedMultiProfile.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${tempGifPath}" -o "${outputPath}"`, 
+              { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
           
-          if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath);
+            if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath);
           
-          const optimizedStats = fs.statSync(outputPath);
-          console.log(`   🗜️  gifsicle: ${(tempStats.size / 1024 / 1024).toFixed(2)} MB → ${(optimizedStats.size / 1024 / 1024).toFixed(2)} MB`);
-        } catch (e) {
-          if (!fs.existsSync(outputPath)) {
-            fs.renameSync(tempGifPath, outputPath);
-          } else if (fs.existsSync(tempGifPath)) {
-            fs.unlinkSync(tempGifPath);
+            const optimizedStats = fs.statSync(outputPath);
+            console.log(`   🗜️  gifsicle: ${(tempStats.size / 1024 / 1024).toFixed(2)} MB → ${(optimizedStats.size / 1024 / 1024).toFixed(2)} MB`);
+          } catch (e) {
+            if (!fs.existsSync(outputPath)) {
+              fs.renameSync(tempGifPath, outputPath);
+            } else if (fs.existsSync(tempGifPath)) {
+              fs.unlinkSync(tempGifPath);
+            }
           }
+        
         }
         
         endStep('Step 4 FFmpeg管道合成');
@@ -2977,11 +3321,35 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
                 }
             }
 
-            const gifTime = currentTime % gifInfo.totalDuration;
+            const gifTime = mapPlaybackTime(gifInfo.playback, currentTime);
             const gifFrameIdx = Math.floor(gifTime / (gifInfo.delay / 100));
             const actualGifFrameIdx = Math.min(gifFrameIdx, gifInfo.frameCount - 1);
             const framePath = path.join(gifInfo.dir, `frame_${String(actualGifFrameIdx).padStart(4, '0')}.png`);
-            allLayerPaths.push(framePath);
+            // 🎞️ 入场 / 出场过渡：帧为整画框 PNG，直接在合成命令内调整不透明度并平移
+            const gifTransitionRange = hasTimelineEdits && timelineData ? timelineData[gifInfo.layerId] : null;
+            const gifTransitions = getLayerTransitions(gifTransitionRange);
+            const gifSourceBounds = gifPaths[layer.gifIndex] && gifPaths[layer.gifIndex].bounds;
+            if ((gifTransitions.in || gifTransitions.out) && gifSourceBounds) {
+              const transition = sampleTransitionState({
+                transitions: gifTransitions,
+                percent: totalSourceFrames > 1 ? (frameIdx / (totalSourceFrames - 1)) * 100 : 0,
+                start: Math.max(0, Math.min(100, Number(gifTransitionRange.start) || 0)),
+                end: Math.max(0, Math.min(100, Number(gifTransitionRange.end) || 0)),
+                durationSec: maxDuration,
+                slideDistances: getSlideDistances(gifSourceBounds, frameW, frameH)
+              });
+              const ops = [];
+              if (transition.opacity < 1) ops.push(`-channel A -evaluate multiply ${transition.opacity.toFixed(3)} +channel`);
+              if (transition.scale !== 1 || Math.round(transition.dx) !== 0 || Math.round(transition.dy) !== 0) {
+                // 以图层中心为原点缩放，再平移到滑动位置
+                const cx = Math.round(gifSourceBounds.x + gifSourceBounds.width / 2);
+                const cy = Math.round(gifSourceBounds.y + gifSourceBounds.height / 2);
+                ops.push(`-virtual-pixel transparent -distort SRT "${cx},${cy} ${transition.scale.toFixed(4)} 0 ${cx + Math.round(transition.dx)},${cy + Math.round(transition.dy)}"`);
+              }
+              allLayerPaths.push(ops.length > 0 ? { path: framePath, ops: ops.join(' ') } : framePath);
+            } else {
+              allLayerPaths.push(framePath);
+            }
           } else if (layer.type === 'static') {
             // Check timeline visibility
             if (timelineData && timelineData[layer.layerId]) {
@@ -2992,7 +3360,10 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
                     continue; // Skip this layer for this frame
                 }
             }
-            allLayerPaths.push(layer.path);
+            const staticKeyframeRenderer = getKeyframeRenderer(layer, maxDuration);
+            allLayerPaths.push(staticKeyframeRenderer
+              ? await staticKeyframeRenderer.renderAt(totalSourceFrames > 1 ? (frameIdx / (totalSourceFrames - 1)) * 100 : 0)
+              : layer.path);
           } else if (layer.type === 'annotation') {
             // Check timeline visibility for annotation layers
             if (timelineData && timelineData[layer.layerId]) {
@@ -3003,7 +3374,11 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
                     continue; // Skip this layer for this frame
                 }
             }
-            allLayerPaths.push(layer.path);
+            // 🎞️ 关键帧图层：按当前帧进度取插值后的渲染结果
+            const annotationKeyframeRenderer = getKeyframeRenderer(layer, maxDuration);
+            allLayerPaths.push(annotationKeyframeRenderer
+              ? await annotationKeyframeRenderer.renderAt(totalSourceFrames > 1 ? (frameIdx / (totalSourceFrames - 1)) * 100 : 0)
+              : layer.path);
           }
         }
         
@@ -3016,14 +3391,17 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
           return;
         }
         
-        if (allLayerPaths.length === 1) {
+        // 带过渡的 GIF 帧为 { path, ops }，在括号内先处理再合成
+        const layerArg = (entry) => (typeof entry === 'string' ? `"${entry}"` : `\\( "${entry.path}" ${entry.ops} \\)`);
+        
+        if (allLayerPaths.length === 1 && typeof allLayerPaths[0] === 'string') {
           // 只有一层，直接复制
           fs.copyFileSync(allLayerPaths[0], outputFrame);
         } else {
           // 🚀 使用单个 magick 命令一次性合成所有层，启用多线程
-          let composeCmd = `${MAGICK_BIN} -limit thread 0 "${allLayerPaths[0]}"`;
+          let composeCmd = `${MAGICK_BIN} -limit thread 0 ${layerArg(allLayerPaths[0])}`;
           for (let i = 1; i < allLayerPaths.length; i++) {
-            composeCmd += ` "${allLayerPaths[i]}" -composite`;
+            composeCmd += ` ${layerArg(allLayerPaths[i])} -composite`;
           }
           composeCmd += ` "${outputFrame}"`;
           
@@ -3066,93 +3444,109 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
       const tempGifPath = path.join(tempDir, 'temp_output.gif');
       
       const outputFps = exportOutputFps;
+      extendFramesForLoop(annotatedFramesDir, outputFps);
       
-      let usedFfmpeg = false;
-      try {
-        // 尝试用 ffmpeg 生成（速度更快）
-        // -framerate: 输入帧率
-        // 🎨 根据用户设置使用相应的抖动算法
-        const palettePath = path.join(tempDir, 'palette.png');
+      // 📏 体积预算模式：与管道路径一致，在合成帧上搜索档位；搜索失败再走下面的常规生成
+      let encodedByBudgetSearch = false;
+      if (sizeBudgetBytes > 0) {
+        try {
+          reportProgress(82, '正在按体积预算搜索编码档位...');
+          await runFramesBudgetSearch({ framesDir: annotatedFramesDir, inputFps: outputFps, plan: exportAdaptiveProfile._plan });
+          encodedByBudgetSearch = true;
+        } catch (budgetErr) {
+          if (budgetErr.message === 'GIF_EXPORT_CANCELLED' || (shouldCancel && shouldCancel())) throw budgetErr;
+          console.warn(`      ⚠️  体积预算搜索失败，按常规方式生成: ${budgetErr.message}`);
+        }
+      }
+      
+      if (!encodedByBudgetSearch) {
+        let usedFfmpeg = false;
+        try {
+          // 尝试用 ffmpeg 生成（速度更快）
+          // -framerate: 输入帧率
+          // 🎨 根据用户设置使用相应的抖动算法
+          const palettePath = path.join(tempDir, 'palette.png');
+        
+          // 🗜️ 剪映级 GIF 压缩流水线 - 第 1 阶段：FFmpeg 帧差分编码
+          //
+          // 技术 ①：帧差分 + 脏矩形裁剪 (diff_mode=rectangle)
+          //   → 每帧只存储相对于前帧变化的矩形区域，未变化像素设为透明
+          //   → LZW 对大面积透明像素（连续游程）压缩率极高
+          //   → 单项可贡献 50-70% 体积降低
+          //
+          // 技术 ②：帧间差异调色板 (stats_mode=full)
+          //   → 调色板颜色集中分配给帧间变化的像素（而非全局均匀分配）
+          //   → 变化区域获得更精准的色彩表达
+          //
+          // 技术 ③：感知抖动 (dither=floyd_steinberg/bayer)
+          //   → 用误差扩散模拟更多颜色，减少色带
+          //   → 抖动噪声的结构性反而有利于 LZW 编码
+          //
+          // max_colors=256：保留最大色彩精度，让后续 gifsicle 做更精准的 LZW 优化
+          const paletteCmd = `${FFMPEG_BIN} -threads 0 -y -framerate ${outputFps} -i "${annotatedFramesDir}/frame_%04d.png" -vf "palettegen=max_colors=256:stats_mode=full" -threads 0 "${palettePath}"`;
+          await execAsync(paletteCmd, {
+            maxBuffer: 100 * 1024 * 1024,
+            timeout: Math.max(30000, exportAdaptiveProfile.paletteGenTimeoutMs)
+          });
         
-        // 🗜️ 剪映级 GIF 压缩流水线 - 第 1 阶段：FFmpeg 帧差分编码
+          const ffmpegGifCmd = `${FFMPEG_BIN} -threads 0 -y -framerate ${outputFps} -i "${annotatedFramesDir}/frame_%04d.png" -i "${palettePath}" -lavfi "paletteuse=dither=${ditherMode}:diff_mode=rectangle" -threads 0 ${gifLoopArg}"${tempGifPath}"`;
+          await execAsync(ffmpegGifCmd, {
+            maxBuffer: 200 * 1024 * 1024,
+            timeout: Math.max(60000, exportAdaptiveProfile.paletteUseTimeoutMs)
+          });
+        
+          // 清理调色板
+          if (fs.existsSync(palettePath)) fs.unlinkSync(palettePath);
+          usedFfmpeg = true;
+          console.log(`      ✅ 使用 ffmpeg 生成 GIF (更快, dither=${ditherMode})`);
+        } catch (ffmpegErr) {
+          // ffmpeg 失败，回退到 ImageMagick
+          console.log(`      ⚠️  ffmpeg 不可用，使用 ImageMagick 生成...`);
+          // 根据用户设置使用相应的抖动算法（ImageMagick 回退方案）
+          const generateCmd = `${CONVERT_CMD} -limit thread 0 -delay ${outputDelay} ${magickLoopArg}"${annotatedFramesDir}/frame_*.png" -colors 256 -dither ${imageMagickDither} "${tempGifPath}"`;
+          await execAsync(generateCmd, { maxBuffer: 200 * 1024 * 1024, timeout: 120000 });
+        }
+      
+        // 🗜️ 剪映级 GIF 压缩流水线 - 第 2 阶段：gifsicle 深度优化
         //
-        // 技术 ①：帧差分 + 脏矩形裁剪 (diff_mode=rectangle)
-        //   → 每帧只存储相对于前帧变化的矩形区域，未变化像素设为透明
-        //   → LZW 对大面积透明像素（连续游程）压缩率极高
-        //   → 单项可贡献 50-70% 体积降低
+        // FFmpeg 已完成：帧差分 + 脏矩形裁剪 + 调色板优化
+        // gifsicle 负责 FFmpeg 做不了的事：
         //
-        // 技术 ②：帧间差异调色板 (stats_mode=full)
-        //   → 调色板颜色集中分配给帧间变化的像素（而非全局均匀分配）
-        //   → 变化区域获得更精准的色彩表达
+        // 技术 ④：像素级透明优化 (-O3)
+        //   → FFmpeg 的 diff_mode=rectangle 只裁切到矩形框
+        //   → gifsicle -O3 在矩形框内部进一步将未变化的单个像素设为透明
+        //   → LZW 对透明连续游程压缩率极高
         //
-        // 技术 ③：感知抖动 (dither=floyd_steinberg/bayer)
-        //   → 用误差扩散模拟更多颜色，减少色带
-        //   → 抖动噪声的结构性反而有利于 LZW 编码
+        // 技术 ⑤：LZW 编码优化 (-O3)
+        //   → 尝试所有压缩方法并选择最优结果
+        //   → 优化码表管理策略，延迟清空 LZW 码表让长匹配串积累
+        //   → 自动选择最优最小码字长度 (min LZW code size)
         //
-        // max_colors=256：保留最大色彩精度，让后续 gifsicle 做更精准的 LZW 优化
-        const paletteCmd = `${FFMPEG_BIN} -threads 0 -y -framerate ${outputFps} -i "${annotatedFramesDir}/frame_%04d.png" -vf "palettegen=max_colors=256:stats_mode=full" -threads 0 "${palettePath}"`;
-        await execAsync(paletteCmd, {
-          maxBuffer: 100 * 1024 * 1024,
-          timeout: Math.max(30000, exportAdaptiveProfile.paletteGenTimeoutMs)
-        });
-        
-        const ffmpegGifCmd = `${FFMPEG_BIN} -threads 0 -y -framerate ${outputFps} -i "${annotatedFramesDir}/frame_%04d.png" -i "${palettePath}" -lavfi "paletteuse=dither=${ditherMode}:diff_mode=rectangle" -threads 0 -loop 0 "${tempGifPath}"`;
-        await execAsync(ffmpegGifCmd, {
-          maxBuffer: 200 * 1024 * 1024,
-          timeout: Math.max(60000, exportAdaptiveProfile.paletteUseTimeoutMs)
-        });
-        
-        // 清理调色板
-        if (fs.existsSync(palettePath)) fs.unlinkSync(palettePath);
-        usedFfmpeg = true;
-        console.log(`      ✅ 使用 ffmpeg 生成 GIF (更快, dither=${ditherMode})`);
-      } catch (ffmpegErr) {
-        // ffmpeg 失败，回退到 ImageMagick
-        console.log(`      ⚠️  ffmpeg 不可用，使用 ImageMagick 生成...`);
-        // 根据用户设置使用相应的抖动算法（ImageMagick 回退方案）
-        const generateCmd = `${CONVERT_CMD} -limit thread 0 -delay ${outputDelay} -loop 0 "${annotatedFramesDir}/frame_*.png" -colors 256 -dither ${imageMagickDither} "${tempGifPath}"`;
-        await execAsync(generateCmd, { maxBuffer: 200 * 1024 * 1024, timeout: 120000 });
-      }
-      
-      // 🗜️ 剪映级 GIF 压缩流水线 - 第 2 阶段：gifsicle 深度优化
-      //
-      // FFmpeg 已完成：帧差分 + 脏矩形裁剪 + 调色板优化
-      // gifsicle 负责 FFmpeg 做不了的事：
-      //
-      // 技术 ④：像素级透明优化 (-O3)
-      //   → FFmpeg 的 diff_mode=rectangle 只裁切到矩形框
-      //   → gifsicle -O3 在矩形框内部进一步将未变化的单个像素设为透明
-      //   → LZW 对透明连续游程压缩率极高
-      //
-      // 技术 ⑤：LZW 编码优化 (-O3)
-      //   → 尝试所有压缩方法并选择最优结果
-      //   → 优化码表管理策略，延迟清空 LZW 码表让长匹配串积累
-      //   → 自动选择最优最小码字长度 (min LZW code size)
-      //
-      // 技术 ⑥：有损 LZW 扰动 (--lossy=80)
-      //   → 在编码时引入人眼不敏感的轻微噪声
-      //   → 使相邻像素值更规律，产生更长的 LZW 匹配串
-      //   → 额外减小 20-40% 体积，视觉几乎无损
-      //
-      // gifsicle 深度优化：像素级透明 + LZW + 有损扰动
-      try {
-        await execAsync(`${GIFSICLE_BIN} --version`);
-        const tempStats = fs.statSync(tempGifPath);
-        const gifsicleTimeout = Math.max(60000, Math.ceil(tempStats.size / (1024 * 1024)) * exportAdaptiveProfile.gifsicleTimeoutPerMbMs);
+        // 技术 ⑥：有损 LZW 扰动 (--lossy=80)
+        //   → 在编码时引入人眼不敏感的轻微噪声
+        //   → 使相邻像素值更规律，产生更长的 LZW 匹配串
+        //   → 额外减小 20-40% 体积，视觉几乎无损
+        //
+        // gifsicle 深度优化：像素级透明 + LZW + 有损扰动
+        try {
+          await execAsync(`${GIFSICLE_BIN} --version`);
+          const tempStats = fs.statSync(tempGifPath);
+          const gifsicleTimeout = Math.max(60000, Math.ceil(tempStats.size / (1024 * 1024)) * exportAdaptiveProfile.gifsicleTimeoutPerMbMs);
         
-        await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${exportAdaptiveProfile.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${tempGifPath}" -o "${outputPath}"`, 
-          { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
+          await execAsync(`${GIFSICLE_BIN} -O3 --lossy=${exportAdaptiveProfile.lossy} --no-conserve-memory --no-comments --no-names --no-extensions "${tempGifPath}" -o "${outputPath}"`, 
+            { maxBuffer: 200 * 1024 * 1024, timeout: gifsicleTimeout });
         
-        if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath);
+          if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath);
         
-        const optimizedStats = fs.statSync(outputPath);
-        console.log(`      🗜️  gifsicle: ${(tempStats.size / 1024 / 1024).toFixed(2)} MB → ${(optimizedStats.size / 1024 / 1024).toFixed(2)} MB`);
-      } catch (e) {
-        // gifsicle 不可用或失败，直接使用 FFmpeg 输出
-        if (!fs.existsSync(outputPath)) {
-          fs.renameSync(tempGifPath, outputPath);
-        } else if (fs.existsSync(tempGifPath)) {
-          fs.unlinkSync(tempGifPath);
+          const optimizedStats = fs.statSync(outputPath);
+          console.log(`      🗜️  gifsicle: ${(tempStats.size / 1024 / 1024).toFixed(2)} MB → ${(optimizedStats.size / 1024 / 1024).toFixed(2)} MB`);
+        } catch (e) {
+          // gifsicle 不可用或失败，直接使用 FFmpeg 输出
+          if (!fs.existsSync(outputPath)) {
+            fs.renameSync(tempGifPath, outputPath);
+          } else if (fs.existsSync(tempGifPath)) {
+            fs.unlinkSync(tempGifPath);
+          }
         }
       }
       endStep('Step 6 生成GIF');
@@ -3177,8 +3571,30 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
     }
     
     
+    // 4.5 回退路径只产出 GIF：非 GIF 格式在这里统一转换
+    if (!isGifOutput && fs.existsSync(outputPath)) {
+      reportProgress(97, `正在转换为 ${outputFormatInfo.format.toUpperCase()}...`);
+      await encodeAnimatedOutput({
+        execAsync,
+        ffmpegBin: FFMPEG_BIN,
+        inputArgs: `-i "${outputPath}"`,
+        outputPath: finalOutputPath,
+        outputFormat: outputFormatInfo.format,
+        loopCount: loop.loopCount
+      });
+    }
+    
     // 5. GIF 已生成，立即报告 100%（不要等清理完再报告）
-    const stats = fs.statSync(outputPath);
+    const stats = fs.statSync(finalOutputPath);
+    if (sizeBudgetBytes > 0 && !sizeBudgetReport) {
+      // 回退路径的档位搜索失败时未经预算压缩，只如实报告是否满足预算
+      sizeBudgetReport = {
+        maxSizeBytes: sizeBudgetBytes,
+        withinBudget: stats.size <= sizeBudgetBytes,
+        winningProfile: 'imagemagick-fallback',
+        attempts: []
+      };
+    }
     reportProgress(100, '导出完成');
     
     // 6. 异步清理临时文件（不阻塞导出结果返回）
@@ -3195,9 +3611,11 @@ async function composeAnnotatedGif({ frameName, bottomLayerBytes, staticLayers,
     _reservedExportNumbers.delete(sequenceNumber); // 🔒 释放预留序号
     
     return {
-      outputPath,
+      outputPath: finalOutputPath,
       filename: outputFilename,
       size: stats.size,
+      outputFormat: outputFormatInfo.format,
+      sizeBudget: sizeBudgetReport,
       exportModeLog: _exportModeLogText || null,
       exportModeEvaluated: _exportModeLogged
     };
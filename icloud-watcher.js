@@ -128,7 +128,9 @@ function killAllChildProcesses() {
 // 引入用户配置
 const userConfig = require('./userConfig');
 const mediaTuning = require('./media-processing-tuning');
-const { transcodeVideoToGif, probeVideoMeta } = require('./video-gif-pipeline');
+const { startTuningPresetSync } = require('./tuning-presets');
+const { createRemoteJobClient } = require('./media-job-scheduler');
+const { transcodeVideoToGif, transcodeVideoToGifChapters, probeVideoMeta, getOutputFormatInfo, copyExtraOutputs } = require('./video-gif-pipeline');
 
 // ============= 配置 =============
 const CONFIG = {
@@ -149,6 +151,8 @@ const CONFIG = {
   }
 };
 let ws = null;
+// 视频转换前向 server 申请全局调度槽位，避免与插件导出 / Drive 转换抢占全部 CPU
+const mediaJobClient = createRemoteJobClient({ getSocket: () => ws, source: 'icloud', mediaTuning });
 let reconnectTimer = null;
 let syncCount = 0;
 let isRealTimeMode = false;
@@ -575,7 +579,8 @@ async function processRealtimeSyncTask(task) {
         });
         notifyRecordingTaskUpdate(recordingTaskId, { stage: 'converting' });
 
-        const result = await processVideoFile(finalPath, displayFilename, subfolder, emitProgress);
+        // 实时重试视为补处理，优先级低于新到的录屏
+        const result = await processVideoFile(finalPath, displayFilename, subfolder, emitProgress, task.attempt ? 'backfill' : 'realtime');
 
         const gifSubfolder = subfolder || CONFIG.subfolders.gif;
         const keepGif = !shouldCleanupFile(gifSubfolder);
@@ -588,6 +593,12 @@ async function processRealtimeSyncTask(task) {
           imageWidth: gifDims ? gifDims.width : null,
           imageHeight: gifDims ? gifDims.height : null,
           keptInIcloud: keepGif,
+          extraOutputs: result.extraOutputs || [],
+          sizeBudget: result.sizeBudget || null,
+          qualityScore: result.qualityScore || null,
+          autoTrim: result.autoTrim || null,
+          chapters: result.chapters || null,
+          importedChapters: [],
           sourcePath: finalPath
         });
         notifyRecordingTaskUpdate(recordingTaskId, {
@@ -764,7 +775,7 @@ async function ffprobeVideoMeta(videoPath) {
  *  4) ffprobe 预探测：源 fps <= 目标 fps 时跳过 fps 滤镜
  *  5) reserve_transparent=0：跳过透明色保留
  */
-async function convertVideoToGif(videoPath, displayFilename, progressCb) {
+async function convertVideoToGif(videoPath, displayFilename, progressCb, jobKind = 'realtime') {
   const stats = fs.statSync(videoPath);
   const videoSizeBytes = stats.size;
   const videoSizeMBNum = videoSizeBytes / 1024 / 1024;
@@ -784,12 +795,16 @@ async function convertVideoToGif(videoPath, displayFilename, progressCb) {
   fs.mkdirSync(tempDir, { recursive: true });
 
   const tempGifOut = path.join(tempDir, 'output.gif');
+  const recordingOutputFormat = userConfig.getRecordingOutputFormat();
+  const extraOutputs = recordingOutputFormat !== 'gif'
+    ? [{ format: recordingOutputFormat, outputPath: path.join(tempDir, `output${getOutputFormatInfo(recordingOutputFormat).ext}`) }]
+    : [];
 
   const isAborted = () => _abortAllConversions;
   const throwIfAborted = () => { if (isAborted()) throw Object.assign(new Error('Conversion aborted'), { code: 'CONVERSION_ABORTED' }); };
 
   try {
-    await transcodeVideoToGif({
+    const transcodeOptions = {
       execAsync,
       ffmpegBin: 'ffmpeg',
       ffprobeBin: 'ffprobe',
@@ -805,6 +820,13 @@ async function convertVideoToGif(videoPath, displayFilename, progressCb) {
       frameCount: sourceFrames,
       optimizeOutput: true,
       enableHalfScalePrepass: true,
+      extraOutputs,
+      maxSizeBytes: userConfig.getRecordingMaxSizeMB() * 1024 * 1024,
+      dedupeFrames: userConfig.getRecordingDedupeFrames(),
+      loopOptions: { loopCount: userConfig.getRecordingLoopCount() },
+      autoTrim: userConfig.getRecordingAutoTrim(),
+      // 同一录屏重复同步时直接复用转换结果
+      conversionCache: userConfig,
       shouldCancel: isAborted,
       onProgress: (percent, extra = {}) => {
         if (progressCb) {
@@ -818,6 +840,23 @@ async function convertVideoToGif(videoPath, displayFilename, progressCb) {
       progressBase: 18,
       progressSpan: 70,
       log: (message) => console.log(message)
+    };
+    const { chapterResult, transcodeResult } = await mediaJobClient.run({
+      kind: jobKind,
+      label: displayFilename,
+      shouldCancel: isAborted
+    }, async () => {
+      throwIfAborted();
+      // 开启「拆分章节」时先尝试按场景拆分，不满足条件则回退单个 GIF
+      const chapters = userConfig.getRecordingSplitChapters()
+        ? await transcodeVideoToGifChapters(transcodeOptions)
+        : null;
+      return {
+        chapterResult: chapters,
+        transcodeResult: chapters
+          ? { ...chapters.chapters[0], autoTrim: chapters.autoTrim }
+          : await transcodeVideoToGif(transcodeOptions)
+      };
     });
     throwIfAborted();
 
@@ -835,19 +874,77 @@ async function convertVideoToGif(videoPath, displayFilename, progressCb) {
     return {
       tempDir,
       outputPath: tempGifOut,
-      sizeBytes: gifSizeBytes
+      sizeBytes: gifSizeBytes,
+      extraOutputs: transcodeResult.extraOutputs || [],
+      sizeBudget: transcodeResult.sizeBudget || null,
+      quality: transcodeResult.quality || null,
+      autoTrim: transcodeResult.autoTrim || null,
+      chapters: chapterResult ? chapterResult.chapters : null
     };
   } finally {
     // 调用方负责在复制/缓存完成后清理 tempDir，避免再次读入大 Buffer。
   }
 }
 
+/**
+ * 保存按场景拆分出的录屏章节：第 1 章沿用主流程的结果，其余章节命名为 xxx_part2.gif 等，
+ * 与主 GIF 放在同一目录并写入 GIF 缓存。
+ * @returns {Array} 写入录屏任务的章节列表（按顺序）
+ */
+function saveRecordingChapters(chapterResults, gifPath, firstChapter) {
+  const gifFilename = path.basename(gifPath);
+  const baseName = path.basename(gifFilename, '.gif');
+  const chapters = [];
+  for (const result of chapterResults) {
+    const { chapterIndex, startSec, endSec } = result;
+    if (chapterIndex === 0) {
+      chapters.push({ index: 0, filename: gifFilename, ...firstChapter, startSec, endSec });
+      continue;
+    }
+    const filename = `${baseName}_part${chapterIndex + 1}.gif`;
+    const chapterPath = path.join(path.dirname(gifPath), filename);
+    try {
+      fs.copyFileSync(result.outputPath, chapterPath);
+    } catch (_) {}
+    if (result.extraOutputs && result.extraOutputs.length > 0) {
+      copyExtraOutputs({
+        extraOutputs: result.extraOutputs,
+        targetDir: path.join(userConfig.getLocalDownloadFolder(), 'GIF'),
+        baseName: `${baseName}_part${chapterIndex + 1}`,
+        log: (message) => console.log(message)
+      });
+    }
+    let gifCacheId = null;
+    try {
+      const cacheResult = userConfig.saveGifFileToCache(result.outputPath, filename, null);
+      if (cacheResult && cacheResult.cacheId) {
+        gifCacheId = cacheResult.cacheId;
+        saveCacheMapping(filename, gifCacheId);
+      }
+    } catch (cacheErr) {
+      console.error(`   ⚠️  [GIF Cache] 章节缓存失败:`, cacheErr.message);
+    }
+    const dims = parseGifDimensionsFromFile(result.outputPath);
+    chapters.push({
+      index: chapterIndex,
+      filename,
+      gifCacheId,
+      imageWidth: dims ? dims.width : null,
+      imageHeight: dims ? dims.height : null,
+      startSec,
+      endSec
+    });
+  }
+  console.log(`   📚 [Video→GIF] 已保存 ${chapters.length} 个章节: ${chapters.map(item => item.filename).join(', ')}`);
+  return chapters;
+}
+
 /**
  * 处理视频文件：转换为 GIF 并写入缓存，尽快返回用于同步到 Figma。
  * 注意：磁盘持久化/源视频删除由调用方按备份策略处理，减少 80→100 阶段阻塞。
- * @returns {{ gifPath, gifFilename, gifCacheId, sourceVideoPath, gifSizeBytes }} 或 null（失败时）
+ * @returns {{ gifPath, gifFilename, gifCacheId, sourceVideoPath, extraOutputs, sizeBudget, qualityScore, autoTrim, chapters, gifSizeBytes }} 或 null（失败时）
  */
-async function processVideoFile(videoPath, displayFilename, subfolder, progressCb) {
+async function processVideoFile(videoPath, displayFilename, subfolder, progressCb, jobKind = 'realtime') {
   let waitProgressTimer = null;
   if (progressCb) {
     let waitingPct = 10;
@@ -871,7 +968,7 @@ async function processVideoFile(videoPath, displayFilename, subfolder, progressC
     console.log(`   ⚠️  视频可能未完全下载，尝试继续转换...`);
   }
 
-  const gifOutput = await convertVideoToGif(videoPath, displayFilename, progressCb);
+  const gifOutput = await convertVideoToGif(videoPath, displayFilename, progressCb, jobKind);
 
   const gifFilename = displayFilename.replace(/\.(mp4|mov)$/i, '.gif');
   const gifPath = path.join(path.dirname(videoPath), gifFilename);
@@ -879,6 +976,17 @@ async function processVideoFile(videoPath, displayFilename, subfolder, progressC
     fs.copyFileSync(gifOutput.outputPath, gifPath);
   } catch (_) {}
 
+  // 附加格式写到本地下载文件夹（不能放回 iCloud 目录，否则会被监听器当作新素材再次处理）
+  let extraOutputFilenames = [];
+  if (gifOutput.extraOutputs.length > 0) {
+    extraOutputFilenames = copyExtraOutputs({
+      extraOutputs: gifOutput.extraOutputs,
+      targetDir: path.join(userConfig.getLocalDownloadFolder(), 'GIF'),
+      baseName: path.basename(gifFilename, '.gif'),
+      log: (message) => console.log(message)
+    });
+  }
+
   // 保存到 GIF 缓存
   let gifCacheId = null;
   try {
@@ -891,6 +999,14 @@ async function processVideoFile(videoPath, displayFilename, subfolder, progressC
   } catch (cacheErr) {
     console.error(`   ⚠️  [GIF Cache] 缓存失败:`, cacheErr.message);
   }
+  const gifDims = parseGifDimensionsFromFile(gifPath);
+  const chapters = gifOutput.chapters
+    ? saveRecordingChapters(gifOutput.chapters, gifPath, {
+        gifCacheId,
+        imageWidth: gifDims ? gifDims.width : null,
+        imageHeight: gifDims ? gifDims.height : null
+      })
+    : null;
   try {
     if (gifOutput && gifOutput.tempDir) {
       fs.rmSync(gifOutput.tempDir, { recursive: true, force: true });
@@ -902,6 +1018,11 @@ async function processVideoFile(videoPath, displayFilename, subfolder, progressC
     gifFilename,
     gifCacheId,
     sourceVideoPath: videoPath,
+    extraOutputs: extraOutputFilenames,
+    sizeBudget: gifOutput.sizeBudget,
+    qualityScore: gifOutput.quality || null,
+    autoTrim: gifOutput.autoTrim || null,
+    chapters,
     gifSizeBytes: gifOutput && Number.isFinite(gifOutput.sizeBytes) ? gifOutput.sizeBytes : (fs.existsSync(gifPath) ? fs.statSync(gifPath).size : 0)
   };
 }
@@ -1197,6 +1318,8 @@ function connectWebSocket() {
   ws.on('message', (data) => {
     try {
       const message = JSON.parse(data);
+
+      if (mediaJobClient.handleMessage(message)) return;
       
       // 处理文件导入失败消息（需要手动拖入，保留源文件）
       if (message.type === 'screenshot-failed') {
@@ -1360,6 +1483,7 @@ function connectWebSocket() {
   
   ws.on('close', () => {
     console.log('⚠️  服务器连接断开');
+    mediaJobClient.handleDisconnect();
     isRealTimeMode = false;
     releaseRuntimeResources({ preserveProcessedCache: true });
     realtimeSessionStartedAt = 0;
@@ -1990,7 +2114,7 @@ async function performManualSync() {
               sourcePath: filePath
             });
             notifyRecordingTaskUpdate(recordingTaskId, { stage: 'converting' });
-            const result = await processVideoFile(filePath, file, subfolder, fileProgressCb);
+            const result = await processVideoFile(filePath, file, subfolder, fileProgressCb, 'manual');
 
             const gifSub = subfolder || CONFIG.subfolders.gif;
             const keepGif = !shouldCleanupFile(gifSub);
@@ -2002,6 +2126,12 @@ async function performManualSync() {
               imageWidth: gifDims ? gifDims.width : null,
               imageHeight: gifDims ? gifDims.height : null,
               keptInIcloud: keepGif,
+              extraOutputs: result.extraOutputs || [],
+              sizeBudget: result.sizeBudget || null,
+              qualityScore: result.qualityScore || null,
+              autoTrim: result.autoTrim || null,
+              chapters: result.chapters || null,
+              importedChapters: [],
               sourcePath: filePath
             });
             notifyRecordingTaskUpdate(recordingTaskId, {
@@ -2380,6 +2510,8 @@ function start() {
   console.log('║  支持文件自动分类和选择性清理          ║');
   console.log('╚════════════════════════════════════════╝\n');
   
+  // 调参预设：插件切换后通过预设文件同步到本进程
+  startTuningPresetSync();
   connectWebSocket();
   
   console.log('📍 同步文件夹:', CONFIG.icloudPath);
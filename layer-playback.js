@@ -0,0 +1,76 @@
+// layer-playback.js
+// GIF 图层播放速度 / 起始偏移：时间线编辑器为每个 GIF 图层记录 timelineData[layerId].speed (0.5-4x)
+// 与 .offset(秒，输出时间线)，随 compose-annotated-gif 传入合成器。
+// 正偏移延后开始（停在首帧），负偏移跳过源开头；整体导出倍速与图层倍速相乘。
+// FFmpeg 管道用 buildPlaybackFilter 重定时，ImageMagick 逐帧路径用 mapPlaybackTime 取源帧。
+
+const MIN_PLAYBACK_SPEED = 0.5;
+const MAX_PLAYBACK_SPEED = 4;
+const MAX_PLAYBACK_OFFSET_SEC = 600;
+
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, num));
+}
+
+function normalizePlaybackSpeed(value) {
+  if (value === null || value === undefined || value === '') return 1;
+  return clampNumber(value, MIN_PLAYBACK_SPEED, MAX_PLAYBACK_SPEED, 1);
+}
+
+function hasLayerPlaybackEdits(range) {
+  if (!range) return false;
+  return normalizePlaybackSpeed(range.speed) !== 1 || clampNumber(range.offset, -MAX_PLAYBACK_OFFSET_SEC, MAX_PLAYBACK_OFFSET_SEC, 0) !== 0;
+}
+
+/**
+ * 解析 GIF 图层的播放参数
+ * @param {object} range - timelineData[layerId]
+ * @param {number} sourceDurationSec - 源 GIF 时长（秒）
+ * @param {number} [exportSpeed=1] - 整体导出倍速
+ * @returns {{ speed: number, offset: number, sourceSec: number, durationSec: number }}
+ *   durationSec 为该图层在输出时间线上的时长（含延后部分）
+ */
+function resolveLayerPlayback(range, sourceDurationSec, exportSpeed = 1) {
+  const sourceSec = Math.max(0, Number(sourceDurationSec) || 0);
+  const speed = normalizePlaybackSpeed(range && range.speed) * normalizePlaybackSpeed(exportSpeed);
+  // 负偏移最多跳到源末尾前一帧（按 100fps 计），避免图层整段为空
+  const minOffset = -Math.max(0, sourceSec - 0.01) / speed;
+  const offset = Math.max(minOffset, clampNumber(range && range.offset, -MAX_PLAYBACK_OFFSET_SEC, MAX_PLAYBACK_OFFSET_SEC, 0) / normalizePlaybackSpeed(exportSpeed));
+  return { speed, offset, sourceSec, durationSec: Math.max(0, sourceSec / speed + offset) };
+}
+
+/**
+ * 输出时间（秒）→ 源时间（秒）：延后段停在首帧，超出源时长后循环
+ */
+function mapPlaybackTime(playback, outputSec) {
+  if (!(playback.sourceSec > 0)) return 0;
+  const sourceTime = Math.max(0, (outputSec - playback.offset) * playback.speed);
+  return sourceTime % playback.sourceSec;
+}
+
+/**
+ * FFmpeg 重定时滤镜（接在 GIF 输入之后），无需重定时返回空字符串
+ */
+function buildPlaybackFilter(playback) {
+  const parts = [];
+  if (playback.offset < 0) {
+    parts.push(`trim=start=${(-playback.offset * playback.speed).toFixed(6)}`);
+  }
+  if (playback.speed !== 1 || playback.offset < 0) {
+    parts.push(`setpts=(PTS-STARTPTS)/${Number(playback.speed.toFixed(4))}`);
+  }
+  if (playback.offset > 0) {
+    parts.push(`tpad=start_duration=${playback.offset.toFixed(6)}:start_mode=clone`);
+  }
+  return parts.join(',');
+}
+
+module.exports = {
+  normalizePlaybackSpeed,
+  hasLayerPlaybackEdits,
+  resolveLayerPlayback,
+  mapPlaybackTime,
+  buildPlaybackFilter
+};
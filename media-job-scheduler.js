@@ -0,0 +1,343 @@
+// media-job-scheduler.js
+// 全局媒体任务调度：server 与 watcher 的 ffmpeg / ImageMagick 重任务统一排队，
+// 按 getSystemPressure + 可用内存计算并发预算，按优先级出队（交互导出 > 实时导入 > 手动同步 > 补处理）。
+// 调度器只在 server 进程中运行；watcher 通过 WebSocket 申请 / 归还槽位（createRemoteJobClient）。
+
+const os = require('os');
+const crypto = require('crypto');
+const { getSystemPressure } = require('./adaptive-processing');
+
+const JOB_PRIORITIES = {
+  interactive: 0,
+  realtime: 1,
+  manual: 2,
+  backfill: 3
+};
+
+const CANCELLED_CODE = 'MEDIA_JOB_CANCELLED';
+const POLL_INTERVAL_MS = 1000;
+
+function normalizeKind(kind) {
+  return Object.prototype.hasOwnProperty.call(JOB_PRIORITIES, kind) ? kind : 'backfill';
+}
+
+function createJobId(prefix = 'job') {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function getSchedulerConfig(mediaTuning = {}) {
+  const cfg = mediaTuning.scheduler || {};
+  const num = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+  return {
+    enabled: num(cfg.enabled, 1) !== 0,
+    maxSlots: Math.max(1, Math.round(num(cfg.maxSlots, 2))),
+    minFreeMemRatio: Math.min(0.9, Math.max(0, num(cfg.minFreeMemRatio, 0.12))),
+    interactiveBurst: Math.max(0, Math.round(num(cfg.interactiveBurst, 1))),
+    grantTimeoutMs: Math.max(1000, num(cfg.grantTimeoutMs, 600000))
+  };
+}
+
+/**
+ * 计算当前并发预算（槽位数）：CPU 负载越高、可用内存越少，槽位越少，最少 1 个
+ */
+function getJobBudget(mediaTuning = {}, { pressure = null } = {}) {
+  const cfg = getSchedulerConfig(mediaTuning);
+  const effectivePressure = pressure || getSystemPressure(mediaTuning);
+  let slots = Math.min(cfg.maxSlots, Math.max(1, Math.floor(effectivePressure.cpuCount / 2)));
+  if (effectivePressure.level === 'medium') slots -= 1;
+  if (effectivePressure.level === 'high' || effectivePressure.level === 'critical') slots = 1;
+
+  const totalMem = os.totalmem();
+  const freeMemRatio = totalMem > 0 ? os.freemem() / totalMem : 1;
+  const memoryLow = freeMemRatio < cfg.minFreeMemRatio;
+  if (memoryLow) slots = 1;
+
+  return {
+    slots: Math.max(1, slots),
+    pressure: effectivePressure.level,
+    freeMemRatio: Math.round(freeMemRatio * 100) / 100,
+    memoryLow
+  };
+}
+
+/**
+ * 本地调度器（server 进程内）
+ * @param {object} deps
+ * @param {object} deps.mediaTuning
+ * @param {Function} [deps.onChange] 队列变化回调，参数为 snapshot()
+ */
+function createMediaJobScheduler({ mediaTuning, onChange = null }) {
+  const queued = [];
+  const running = new Map();
+  let pollTimer = null;
+
+  const notify = () => {
+    if (typeof onChange !== 'function') return;
+    try {
+      onChange(snapshot());
+    } catch (error) {
+      console.warn(`⚠️ [Scheduler] 队列通知失败: ${error.message}`);
+    }
+  };
+
+  const toPublicJob = (job) => ({
+    jobId: job.jobId,
+    kind: job.kind,
+    label: job.label,
+    source: job.source,
+    enqueuedAt: job.enqueuedAt,
+    startedAt: job.startedAt || null
+  });
+
+  function snapshot() {
+    const budget = getJobBudget(mediaTuning);
+    return {
+      slots: budget.slots,
+      pressure: budget.pressure,
+      memoryLow: budget.memoryLow,
+      running: Array.from(running.values()).map(toPublicJob),
+      queued: queued.map((job, index) => ({ ...toPublicJob(job), position: index + 1 }))
+    };
+  }
+
+  const canStart = (job, budget) => {
+    if (running.size < budget.slots) return true;
+    // 交互式导出可小幅超出预算，避免被长时间的后台转换阻塞
+    if (job.kind !== 'interactive') return false;
+    const interactiveRunning = Array.from(running.values()).some(item => item.kind === 'interactive');
+    return !interactiveRunning && running.size < budget.slots + getSchedulerConfig(mediaTuning).interactiveBurst;
+  };
+
+  const rejectJob = (job, error) => {
+    const index = queued.indexOf(job);
+    if (index !== -1) queued.splice(index, 1);
+    job.reject(error);
+  };
+
+  function pump() {
+    let changed = false;
+    for (const job of queued.slice()) {
+      if (typeof job.shouldCancel === 'function' && job.shouldCancel()) {
+        rejectJob(job, createCancelledError(job.cancelMessage));
+        changed = true;
+      }
+    }
+
+    const budget = getJobBudget(mediaTuning);
+    while (queued.length > 0 && canStart(queued[0], budget)) {
+      const job = queued.shift();
+      job.startedAt = new Date().toISOString();
+      running.set(job.jobId, job);
+      changed = true;
+      const waitedMs = Date.now() - Date.parse(job.enqueuedAt);
+      console.log(`🚦 [Scheduler] 开始 ${job.kind}: ${job.label} (排队 ${(waitedMs / 1000).toFixed(1)}s, 运行 ${running.size}/${budget.slots}, 负载 ${budget.pressure})`);
+      job.resolve(job.jobId);
+    }
+
+    if (queued.length > 0 && !pollTimer) {
+      // 负载回落 / 排队任务被取消时需要重新评估，队列清空后停止轮询
+      pollTimer = setInterval(pump, POLL_INTERVAL_MS);
+      if (typeof pollTimer.unref === 'function') pollTimer.unref();
+    } else if (queued.length === 0 && pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    if (changed) notify();
+  }
+
+  /**
+   * 申请槽位，返回 jobId；任务结束后必须调用 release(jobId)
+   * @param {object} meta
+   * @param {string} meta.kind interactive / realtime / manual / backfill
+   * @param {string} [meta.label] 展示名（文件名 / 画板名）
+   * @param {string} [meta.source] 发起方（server / drive / icloud）
+   * @param {string} [meta.owner] 所属连接，连接断开时 releaseOwner 统一回收
+   * @param {string} [meta.jobId]
+   * @param {Function} [meta.shouldCancel] 排队期间返回 true 即取消
+   * @param {string} [meta.cancelMessage] 取消时抛出的错误消息
+   */
+  function acquire(meta = {}) {
+    const kind = normalizeKind(meta.kind);
+    const job = {
+      jobId: meta.jobId || createJobId(kind),
+      kind,
+      priority: JOB_PRIORITIES[kind],
+      label: meta.label || kind,
+      source: meta.source || 'server',
+      owner: meta.owner || null,
+      shouldCancel: meta.shouldCancel || null,
+      cancelMessage: meta.cancelMessage || null,
+      enqueuedAt: new Date().toISOString(),
+      startedAt: null
+    };
+    const granted = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    if (!getSchedulerConfig(mediaTuning).enabled) {
+      job.startedAt = job.enqueuedAt;
+      running.set(job.jobId, job);
+      job.resolve(job.jobId);
+      notify();
+      return granted;
+    }
+
+    // 同优先级按先来后到
+    let index = queued.length;
+    while (index > 0 && queued[index - 1].priority > job.priority) index--;
+    queued.splice(index, 0, job);
+    if (queued.length > 1 || running.size > 0) {
+      console.log(`🚦 [Scheduler] 排队 ${job.kind}: ${job.label} (队列 ${queued.length}, 运行 ${running.size})`);
+    }
+    notify();
+    pump();
+    return granted;
+  }
+
+  function release(jobId) {
+    const job = running.get(jobId);
+    if (job) {
+      running.delete(jobId);
+      notify();
+      pump();
+      return true;
+    }
+    const pending = queued.find(item => item.jobId === jobId);
+    if (pending) {
+      rejectJob(pending, createCancelledError(pending.cancelMessage));
+      notify();
+      return true;
+    }
+    return false;
+  }
+
+  // 连接断开：归还该连接占用的槽位并取消其排队任务
+  function releaseOwner(owner) {
+    if (!owner) return;
+    let changed = false;
+    for (const job of queued.slice()) {
+      if (job.owner === owner) {
+        rejectJob(job, createCancelledError(job.cancelMessage));
+        changed = true;
+      }
+    }
+    for (const [jobId, job] of running.entries()) {
+      if (job.owner === owner) {
+        running.delete(jobId);
+        changed = true;
+      }
+    }
+    if (changed) {
+      console.log(`🚦 [Scheduler] 已回收断开连接的任务: ${owner}`);
+      notify();
+      pump();
+    }
+  }
+
+  /**
+   * 在槽位内执行 task，结束（成功 / 失败）后自动归还
+   */
+  async function run(meta, task) {
+    const jobId = await acquire(meta);
+    try {
+      return await task();
+    } finally {
+      release(jobId);
+    }
+  }
+
+  return { acquire, release, releaseOwner, run, snapshot };
+}
+
+function createCancelledError(message) {
+  const error = new Error(message || 'Media job cancelled');
+  error.code = CANCELLED_CODE;
+  return error;
+}
+
+/**
+ * watcher 侧客户端：通过 WebSocket 向 server 调度器申请槽位。
+ * server 未连接或超时未分配时直接执行，保证 server 异常时导入不被卡死。
+ * @param {object} deps
+ * @param {Function} deps.getSocket 返回当前 WebSocket（可能为 null / 未连接）
+ * @param {string} deps.source drive / icloud
+ * @param {object} deps.mediaTuning
+ */
+function createRemoteJobClient({ getSocket, source, mediaTuning }) {
+  const pending = new Map();
+
+  const isOpen = (socket) => socket && socket.readyState === 1;
+
+  const settle = (jobId, reason) => {
+    const entry = pending.get(jobId);
+    if (!entry) return;
+    pending.delete(jobId);
+    clearTimeout(entry.timer);
+    if (entry.poll) clearInterval(entry.poll);
+    if (reason) {
+      console.warn(`⚠️ [Scheduler] ${reason}，直接执行: ${entry.label}`);
+    }
+    entry.resolve();
+  };
+
+  /**
+   * 处理 server 下发的调度消息，返回 true 表示已处理
+   */
+  function handleMessage(message) {
+    if (!message || message.type !== 'media-job-granted' || !message.jobId) return false;
+    settle(message.jobId, null);
+    return true;
+  }
+
+  // 断线：不再等待分配，全部放行
+  function handleDisconnect() {
+    for (const jobId of Array.from(pending.keys())) {
+      settle(jobId, 'server 连接断开');
+    }
+  }
+
+  /**
+   * 在 server 分配的槽位内执行 task；meta.shouldCancel 返回 true 时停止等待，
+   * 由 task 自身的中止检查抛出取消错误
+   */
+  async function run(meta, task) {
+    const socket = getSocket();
+    if (!getSchedulerConfig(mediaTuning).enabled || !isOpen(socket)) {
+      return task();
+    }
+    const jobId = createJobId(source);
+    const label = meta.label || meta.kind;
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => settle(jobId, '等待调度超时'), getSchedulerConfig(mediaTuning).grantTimeoutMs);
+      const poll = typeof meta.shouldCancel === 'function'
+        ? setInterval(() => { if (meta.shouldCancel()) settle(jobId, null); }, POLL_INTERVAL_MS)
+        : null;
+      pending.set(jobId, { resolve, timer, poll, label });
+      try {
+        socket.send(JSON.stringify({ type: 'media-job-request', jobId, kind: normalizeKind(meta.kind), label, source }));
+      } catch (error) {
+        settle(jobId, `调度请求发送失败 (${error.message})`);
+      }
+    });
+    try {
+      return await task();
+    } finally {
+      const current = getSocket();
+      if (isOpen(current)) {
+        try {
+          current.send(JSON.stringify({ type: 'media-job-done', jobId }));
+        } catch (_) {}
+      }
+    }
+  }
+
+  return { run, handleMessage, handleDisconnect };
+}
+
+module.exports = {
+  JOB_PRIORITIES,
+  getJobBudget,
+  createMediaJobScheduler,
+  createRemoteJobClient
+};
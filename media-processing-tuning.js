@@ -22,6 +22,8 @@ function envString(name, defaultValue) {
  * 你后续主要改本文件即可。可选两种方式：
  * 1) 直接改下面 envNumber/envString 的默认值
  * 2) 在运行环境里设置同名环境变量覆盖默认值
+ * 3) 在插件设置「处理预设」中切换/保存预设（tuning-presets.js）：
+ *    以 1)+2) 的结果为基准叠加覆盖项，运行时原地改写本模块导出对象，无需重启
  *
  * A. 极速档触发阈值（是否进入“速度优先”）
  * - ULTRA_SPEED_VIDEO_THRESHOLD_MB
@@ -77,7 +79,7 @@ function envString(name, defaultValue) {
  *   越小 => 越多文件走 URL 快路径（传输更快）
  *   越大 => 越少文件走 URL 快路径（更多走 bytes/base64）
  * - LARGE_VIDEO_THRESHOLD_MB（大文件分界）
- *   越小 => 越多文件进入“大文件单遍”策略（更快）
+ *   越小 => 越多文件进入“大文件单遍”策略（更快），共享链路中同时决定是否分段并行编码
  *   越大 => 越少文件进入该策略（更偏质量）
  * - UPLOAD_COMPRESS_THRESHOLD_MB（上传前压缩阈值）
  *   越小 => 越多文件先压缩（上传更快但前处理更久）
@@ -128,6 +130,19 @@ module.exports = {
       timeoutMs: envNumber('WATCHER_LARGE_SINGLEPASS_TIMEOUT_MS', 300000)
     },
 
+    // 大文件分段并行：超过 LARGE_VIDEO_THRESHOLD_MB 时按时间切段，共用同一调色板并行编码后无损拼接
+    segmentParallel: {
+      // 0 => 关闭，回到单进程 paletteuse
+      enabled: envNumber('WATCHER_SEGMENT_PARALLEL_ENABLED', 1),
+      // 每段目标时长（秒）；越短 => 单段越快、拼接次数越多
+      segmentSec: envNumber('WATCHER_SEGMENT_PARALLEL_SEGMENT_SEC', 15),
+      // 时长不足该值（秒）的视频不分段
+      minDurationSec: envNumber('WATCHER_SEGMENT_PARALLEL_MIN_DURATION_SEC', 20),
+      maxSegments: envNumber('WATCHER_SEGMENT_PARALLEL_MAX_SEGMENTS', 12),
+      // 并发上限（实际并发还会按系统负载下调）
+      maxConcurrency: envNumber('WATCHER_SEGMENT_PARALLEL_MAX_CONCURRENCY', 4)
+    },
+
     // 主策略：小文件两遍
     smallTwoPass: {
       // 非极速档提升帧率还原（默认 15 -> 20），优先保证流畅度
@@ -182,6 +197,39 @@ module.exports = {
       fallbackMinColors: envNumber('ULTRA_SPEED_FALLBACK_MIN_COLORS', 112),
       fallbackTimeoutFloorMs: envNumber('ULTRA_SPEED_FALLBACK_TIMEOUT_FLOOR_MS', 150000),
       fallbackTimeoutReduceMs: envNumber('ULTRA_SPEED_FALLBACK_TIMEOUT_REDUCE_MS', 30000)
+    },
+
+    // 录屏首尾无效片段自动裁剪（控制中心收起动画 / 结束前去点停止按钮 / 首尾静止画面）
+    autoTrim: {
+      // 0 => 关闭自动裁剪
+      enabled: envNumber('WATCHER_AUTO_TRIM_ENABLED', 1),
+      // 开头/结尾多少秒内的大幅画面切换视为控制中心动画
+      leadWindowSec: envNumber('WATCHER_AUTO_TRIM_LEAD_WINDOW_SEC', 1.5),
+      tailWindowSec: envNumber('WATCHER_AUTO_TRIM_TAIL_WINDOW_SEC', 2.5),
+      // 场景切换阈值（0~1），越小 => 越容易判定为控制中心切换
+      sceneThreshold: envNumber('WATCHER_AUTO_TRIM_SCENE_THRESHOLD', 0.35),
+      // 静止画面判定：噪声容差与最短持续时间
+      freezeNoise: envNumber('WATCHER_AUTO_TRIM_FREEZE_NOISE', 0.003),
+      freezeMinSec: envNumber('WATCHER_AUTO_TRIM_FREEZE_MIN_SEC', 0.6),
+      // 单侧最多裁掉的秒数，以及裁剪后至少保留的秒数
+      maxLeadSec: envNumber('WATCHER_AUTO_TRIM_MAX_LEAD_SEC', 4),
+      maxTailSec: envNumber('WATCHER_AUTO_TRIM_MAX_TAIL_SEC', 4),
+      minKeepSec: envNumber('WATCHER_AUTO_TRIM_MIN_KEEP_SEC', 1),
+      timeoutMs: envNumber('WATCHER_AUTO_TRIM_TIMEOUT_MS', 60000)
+    },
+
+    // 长录屏按场景拆分为多个 GIF 章节（需在设置里开启「拆分章节」）
+    chapters: {
+      // 0 => 强制关闭（即使设置里开启）
+      enabled: envNumber('WATCHER_CHAPTERS_ENABLED', 1),
+      // 裁剪后时长不足该值的录屏不拆分
+      minDurationSec: envNumber('WATCHER_CHAPTERS_MIN_DURATION_SEC', 60),
+      // 场景切换阈值（0~1），越大 => 只在画面大幅变化时切分
+      sceneThreshold: envNumber('WATCHER_CHAPTERS_SCENE_THRESHOLD', 0.4),
+      // 单章最短秒数与最多章节数
+      minChapterSec: envNumber('WATCHER_CHAPTERS_MIN_CHAPTER_SEC', 10),
+      maxChapters: envNumber('WATCHER_CHAPTERS_MAX_CHAPTERS', 6),
+      timeoutMs: envNumber('WATCHER_CHAPTERS_TIMEOUT_MS', 90000)
     }
   },
 
@@ -240,6 +288,35 @@ module.exports = {
       paletteGenTimeoutMs: envNumber('COMPOSER_QUALITY_PALETTEGEN_TIMEOUT_MS', 60000),
       paletteUseTimeoutMs: envNumber('COMPOSER_QUALITY_PALETTEUSE_TIMEOUT_MS', 120000),
       gifsicleTimeoutPerMbMs: envNumber('COMPOSER_QUALITY_GIFSICLE_TIMEOUT_PER_MB_MS', 5000)
+    },
+    // 体积预算模式（max size）：按画质从高到低搜索档位，取不超过预算的最高画质结果
+    // extraSteps 越大 => 越可能压进预算（但最差档位画质更低、搜索更久）
+    sizeBudget: {
+      extraSteps: envNumber('SIZE_BUDGET_EXTRA_STEPS', 3),
+      // 每追加一档的尺寸缩放系数，以及最小缩放比例
+      scaleStep: envNumber('SIZE_BUDGET_SCALE_STEP', 0.85),
+      minScale: envNumber('SIZE_BUDGET_MIN_SCALE', 0.4)
+    },
+    // 感知质量评分（SSIM/PSNR，对比标准化后的源视频）：用于在多个档位之间选体积/画质平衡点
+    // enabled=0 或 maxCandidates=1 => 不评分，首个成功档位即返回
+    qualityScoring: {
+      enabled: envNumber('QUALITY_SCORING_ENABLED', 1),
+      // 最多评分几个成功档位（默认 1 => 不评分；调大会在合格时继续编码下一档找更小的结果，转换更久）
+      maxCandidates: envNumber('QUALITY_SCORING_MAX_CANDIDATES', 1),
+      // SSIM 达到该值视为“观感合格”，合格档位中取体积最小者
+      targetSsim: envNumber('QUALITY_SCORING_TARGET_SSIM', 0.95),
+      // 仅对开头 N 秒评分（0 = 全片），控制评分耗时
+      sampleSeconds: envNumber('QUALITY_SCORING_SAMPLE_SECONDS', 10),
+      timeoutMs: envNumber('QUALITY_SCORING_TIMEOUT_MS', 60000)
+    },
+    // 静止帧合并（mpdecimate）：丢弃与上一帧几乎相同的帧，并拉长上一帧延时
+    // hi/lo/frac 越大 => 越多帧被视为“重复”（体积更小，但细微变化可能被吞掉）
+    frameDedup: {
+      hi: envNumber('FRAME_DEDUP_HI', 768),
+      lo: envNumber('FRAME_DEDUP_LO', 320),
+      frac: envNumber('FRAME_DEDUP_FRAC', 0.33),
+      // 最多连续丢弃帧数（0 = 不限制）
+      maxDrop: envNumber('FRAME_DEDUP_MAX_DROP', 0)
     }
   },
 
@@ -267,6 +344,50 @@ module.exports = {
     maxFramesUltraRes: envNumber('COMPOSER_PREVIEW_MAX_FRAMES_ULTRARES', 380)
   },
 
+  // B4. HDR 录屏色调映射（watcher 导入与时间线导出共用，在 normalizeVideoInputForGif 中执行）
+  // iPhone 10-bit HLG / Dolby Vision 录屏直接转 GIF 会发灰，先映射到 SDR BT.709 再生成调色板
+  hdrToneMap: {
+    // 0 => 关闭（HDR 源按原样转换）
+    enabled: envNumber('HDR_TONEMAP_ENABLED', 1),
+    // tonemap 算法：hable / mobius / reinhard / clip
+    algorithm: envString('HDR_TONEMAP_ALGORITHM', 'hable'),
+    // 去饱和强度（0 = 不去饱和，越大高光越偏白）
+    desat: envNumber('HDR_TONEMAP_DESAT', 0),
+    // 标称峰值亮度（nits），越大 => 整体越暗
+    peakNits: envNumber('HDR_TONEMAP_PEAK_NITS', 100)
+  },
+
+  // B5. 分场景调色板（共享转码链路与时间线导出共用）
+  // 画面在亮/暗场景间切换时，每个场景单独生成调色板，避免共用全局调色板两边都出现色带。
+  // 插件「GIF 画质优化」选择 scene_palette 时启用；enabled=1 时对所有 GIF 强制启用（含 watcher 录屏）。
+  scenePalette: {
+    enabled: envNumber('SCENE_PALETTE_ENABLED', 0),
+    // scene => 按场景切换分段；frames => 每 N 帧一张调色板
+    mode: envString('SCENE_PALETTE_MODE', 'scene'),
+    // 场景切换阈值（0~1），越小 => 分段越多
+    sceneThreshold: envNumber('SCENE_PALETTE_SCENE_THRESHOLD', 0.3),
+    minSceneSec: envNumber('SCENE_PALETTE_MIN_SCENE_SEC', 1),
+    framesPerPalette: envNumber('SCENE_PALETTE_FRAMES_PER_PALETTE', 60),
+    // 调色板数量上限（越多 => 色彩越准，但 GIF 局部色表越多、体积越大）
+    maxScenes: envNumber('SCENE_PALETTE_MAX_SCENES', 16),
+    scanTimeoutMs: envNumber('SCENE_PALETTE_SCAN_TIMEOUT_MS', 60000)
+  },
+
+  // B6. 循环播放处理（transcodeVideoToGif 传入乒乓倒放 / 末帧停留时，在标准化之后重编码一次）
+  // 乒乓需要 ffmpeg reverse 缓冲整段视频，预估内存超过上限时跳过乒乓
+  loopShaping: {
+    maxReverseMemoryMB: envNumber('LOOP_SHAPING_MAX_REVERSE_MEMORY_MB', 1536),
+    timeoutMs: envNumber('LOOP_SHAPING_TIMEOUT_MS', 240000)
+  },
+
+  // B7. 时间线字幕轨（composite 导出时由 ImageMagick 渲染为透明叠加层）
+  // fontPath 为空时依次尝试 PingFang / Hiragino / STHeiti 等系统字体
+  captions: {
+    fontPath: envString('CAPTION_FONT_PATH', ''),
+    // 顶部 / 底部字幕距画面边缘的距离（占帧高比例）
+    marginRatio: envNumber('CAPTION_MARGIN_RATIO', 0.06)
+  },
+
   // C. server 侧上传压缩参数
   serverUpload: {
     // 普通分层（50~80 / 80+）
@@ -312,5 +433,19 @@ module.exports = {
     exportFastMinPixels: envNumber('ADAPTIVE_EXPORT_FAST_MIN_PIXELS', 3000000),
     lowCoreExportFastMinFrames: envNumber('ADAPTIVE_LOW_CORE_EXPORT_FAST_MIN_FRAMES', 140),
     lowCoreExportFastMinPixels: envNumber('ADAPTIVE_LOW_CORE_EXPORT_FAST_MIN_PIXELS', 2500000)
+  },
+
+  // E. 全局媒体任务调度（media-job-scheduler.js，server 与 watcher 共用一个并发预算）
+  // 实际槽位 = min(maxSlots, CPU 核数 / 2)，medium 负载 -1，high/critical 或内存不足时只留 1 个
+  scheduler: {
+    // 0 => 关闭调度，各进程直接执行（旧行为）
+    enabled: envNumber('MEDIA_SCHEDULER_ENABLED', 1),
+    maxSlots: envNumber('MEDIA_SCHEDULER_MAX_SLOTS', 2),
+    // 可用内存占比低于该值时只允许 1 个任务
+    minFreeMemRatio: envNumber('MEDIA_SCHEDULER_MIN_FREE_MEM_RATIO', 0.12),
+    // 交互式导出（时间线导出 / 预览帧）可超出预算的槽位数，避免被后台转换长时间阻塞
+    interactiveBurst: envNumber('MEDIA_SCHEDULER_INTERACTIVE_BURST', 1),
+    // watcher 等待 server 分配槽位的上限（ms），超时后直接执行
+    grantTimeoutMs: envNumber('MEDIA_SCHEDULER_GRANT_TIMEOUT_MS', 600000)
   }
 };
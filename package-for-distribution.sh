@@ -172,6 +172,7 @@ echo -e "${YELLOW}🧹 清理临时文件和日志...${NC}"
 rm -f *.log 2>/dev/null || true
 rm -f server-error.log 2>/dev/null || true
 rm -f .user-config.json 2>/dev/null || true
+rm -f .tuning-presets.json 2>/dev/null || true
 rm -f .sync-mode 2>/dev/null || true
 echo "   ✅ 清理完成"
 
@@ -216,6 +217,12 @@ cp video-gif-pipeline.js "$TEMP_DIR/项目文件/"
     cp drive-watcher.js "$TEMP_DIR/项目文件/"
     cp icloud-watcher.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
     cp media-processing-tuning.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
+    cp tuning-presets.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
+    cp media-job-scheduler.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
+    cp gif-cache-archive.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
+    cp annotation-keyframes.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
+    cp layer-playback.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
+    cp timeline-captions.js "$TEMP_DIR/项目文件/" 2>/dev/null || true
     cp com.screensync.server.plist "$TEMP_DIR/项目文件/" 2>/dev/null || true
     
   # 2. 复制配置文件
@@ -333,6 +340,7 @@ package-lock.json
 .env
 .env.local
 .user-config.json
+.tuning-presets.json
 .sync-mode
 *.log
 npm-debug.log*
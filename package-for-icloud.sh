@@ -166,7 +166,7 @@ mkdir -p "$PROJECT_DIR"
 
 # 核心服务器文件（不含 Google Drive 相关）
 echo -e "${YELLOW}📄 复制核心文件...${NC}"
-for f in server.js userConfig.js start.js setup-autostart.js recording-task-store.js gif-composer.js video-gif-pipeline.js image-processor.js adaptive-processing.js icloud-watcher.js; do
+for f in server.js userConfig.js start.js setup-autostart.js recording-task-store.js gif-composer.js video-gif-pipeline.js image-processor.js adaptive-processing.js media-processing-tuning.js tuning-presets.js media-job-scheduler.js gif-cache-archive.js annotation-keyframes.js layer-playback.js timeline-captions.js icloud-watcher.js; do
     if [ -f "$f" ]; then
         cp "$f" "$PROJECT_DIR/"
         echo "   ✅ $f"
@@ -430,6 +430,7 @@ package-lock.json
 .env
 .env.local
 .user-config.json
+.tuning-presets.json
 .sync-mode
 *.log
 .DS_Store
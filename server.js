@@ -29,7 +29,18 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const mediaTuning = require('./media-processing-tuning');
+const tuningPresets = require('./tuning-presets');
+const { createMediaJobScheduler } = require('./media-job-scheduler');
+const gifCacheArchive = require('./gif-cache-archive');
 const { normalizeStillImageToJpeg } = require('./image-processor');
+const {
+  transcodeVideoToGif,
+  probeVideoMeta,
+  copyExtraOutputs,
+  getOutputFormatInfo,
+  normalizeCropRect,
+  toShellPath
+} = require('./video-gif-pipeline');
 
 // Inject bundled runtime/local deps into PATH.
 (() => {
@@ -522,6 +533,9 @@ function serializeRecordingTask(task) {
     imageHeight: task.imageHeight || null,
     keptInIcloud: task.keptInIcloud === true,
     backedUpLocally: task.backedUpLocally === true,
+    autoTrim: task.autoTrim || null,
+    chapters: Array.isArray(task.chapters) ? task.chapters : null,
+    importedChapters: Array.isArray(task.importedChapters) ? task.importedChapters : [],
     importAttempts: Number(task.importAttempts || 0) || 0,
     lastError: task.lastError || null,
     updatedAt: task.updatedAt || null,
@@ -529,6 +543,313 @@ function serializeRecordingTask(task) {
   };
 }
 
+/**
+ * 源视频 / GIF → GIF 并写入 GIF 缓存，默认沿用录屏设置（体积上限、静止帧合并）
+ * @param {string} sourcePath
+ * @param {string} filename - 缓存中的文件名（.gif）
+ * @param {object} [options] - { driveFileId, maxSizeMB, dedupeFrames, gifAlgorithm, scale,
+ *   width, fps, maxColors, clipRange, cropRect, extraFormats }；width 优先于 scale（按裁剪后的画面计算），
+ *   extraFormats 另存到本地 GIF 文件夹
+ */
+async function transcodeSourceToCachedGif(sourcePath, filename, options = {}) {
+  const tempDir = path.join(os.tmpdir(), `screensync-regif-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  fs.mkdirSync(tempDir, { recursive: true });
+  try {
+    const outputPath = path.join(tempDir, 'output.gif');
+    const sourceMeta = await probeVideoMeta(execAsync, 'ffprobe', sourcePath);
+    const cropRect = normalizeCropRect(options.cropRect);
+    const frameWidth = sourceMeta?.width ? Math.round(sourceMeta.width * (cropRect ? cropRect.width : 1)) : 0;
+    const frameHeight = sourceMeta?.height ? Math.round(sourceMeta.height * (cropRect ? cropRect.height : 1)) : 0;
+    const requestedWidth = Math.round(Number(options.width) || 0);
+    const scale = requestedWidth > 0 && frameWidth
+      ? Math.min(1, requestedWidth / frameWidth)
+      : (Number(options.scale) > 0 && Number(options.scale) < 1 ? Number(options.scale) : 1);
+    const extraOutputs = (Array.isArray(options.extraFormats) ? options.extraFormats : [])
+      .map(format => getOutputFormatInfo(format))
+      .filter(info => info.format !== 'gif')
+      .map(info => ({ format: info.format, outputPath: path.join(tempDir, `output${info.ext}`) }));
+    const maxSizeMB = options.maxSizeMB === undefined ? userConfig.getRecordingMaxSizeMB() : Math.max(0, Number(options.maxSizeMB) || 0);
+    await transcodeVideoToGif({
+      execAsync,
+      ffmpegBin: 'ffmpeg',
+      ffprobeBin: 'ffprobe',
+      gifsicleBin: 'gifsicle',
+      sourcePath,
+      outputPath,
+      tempDir,
+      mediaTuning,
+      gifAlgorithm: options.gifAlgorithm || 'smooth_gradient',
+      pixels: Math.max(1, (frameWidth || 1) * (frameHeight || 1)),
+      frameCount: Math.max(0, Math.round(
+        (options.clipRange ? options.clipRange.endSec - options.clipRange.startSec : (sourceMeta?.duration || 0)) * (sourceMeta?.fps || 0)
+      )),
+      targetWidth: scale < 1 && frameWidth ? Math.round(frameWidth * scale) : null,
+      targetHeight: scale < 1 && frameHeight ? Math.round(frameHeight * scale) : null,
+      optimizeOutput: true,
+      enableHalfScalePrepass: true,
+      maxSizeBytes: maxSizeMB * 1024 * 1024,
+      dedupeFrames: options.dedupeFrames === undefined ? userConfig.getRecordingDedupeFrames() : options.dedupeFrames === true,
+      autoTrim: false,
+      clipRange: options.clipRange || null,
+      cropRect,
+      extraOutputs,
+      profileOverrides: options.fps || options.maxColors ? { fps: options.fps, maxColors: options.maxColors } : null,
+      loopOptions: { loopCount: userConfig.getRecordingLoopCount() },
+      conversionCache: userConfig,
+      log: (message) => console.log(message)
+    });
+    const cacheResult = userConfig.saveGifFileToCache(outputPath, filename, options.driveFileId || null);
+    if (!cacheResult) {
+      throw new Error('failed to cache GIF');
+    }
+    const gifMeta = await probeVideoMeta(execAsync, 'ffprobe', outputPath);
+    const extraFilenames = copyExtraOutputs({
+      extraOutputs,
+      targetDir: path.join(userConfig.getLocalDownloadFolder(), 'GIF'),
+      baseName: path.parse(filename).name,
+      log: (message) => console.log(message)
+    });
+    return {
+      filename,
+      gifCacheId: cacheResult.cacheId,
+      imageWidth: gifMeta?.width || null,
+      imageHeight: gifMeta?.height || null,
+      extraFilenames
+    };
+  } finally {
+    removeDirRecursive(tempDir);
+  }
+}
+
+/**
+ * 撤销录屏自动裁剪：用保留的源视频重新转出不裁剪的 GIF 并写入缓存。
+ * 源视频已被清理时抛错（iCloud 录屏会延迟清理源文件，Drive 录屏的源视频挂在 GIF 缓存项下，随 GIF 一起被删除）。
+ */
+async function rebuildRecordingGifWithoutTrim(task) {
+  const sourcePath = [task.sourcePath, task.sourceVideoPath].find(item => item && fs.existsSync(item));
+  if (!sourcePath) {
+    throw new Error('source video no longer available');
+  }
+  const filename = task.filename || `${path.parse(task.originalFilename || 'recording').name}.gif`;
+  return transcodeSourceToCachedGif(sourcePath, filename, { driveFileId: task.driveFileId || null });
+}
+
+const GIF_CACHE_VIDEO_EXTS = new Set(['.mp4', '.mov', '.m4v', '.webm']);
+
+/**
+ * 查找图层 gifCacheId 对应的可重新编码的源：
+ * 缓存项本身是视频 → 直接使用；录屏任务（含章节）仍保留源视频 → 使用源视频并沿用章节 / 自动裁剪区间；
+ * 都没有时退回缓存中的 GIF 本身（只能降低画质，无法恢复已丢失的细节）。
+ * @returns {{ sourcePath: string, clipRange: object|null, fromVideo: boolean, originalFilename: string }|null}
+ */
+function resolveGifCacheSource(cacheId) {
+  const item = cacheId ? userConfig.getGifCacheItem(cacheId) : null;
+  if (item && GIF_CACHE_VIDEO_EXTS.has(String(item.ext || '').toLowerCase())) {
+    return { sourcePath: item.path, clipRange: null, fromVideo: true, originalFilename: item.originalFilename };
+  }
+  for (const task of recordingTaskStore.listTasks({ limit: 200 })) {
+    const chapter = Array.isArray(task.chapters)
+      ? task.chapters.find(entry => entry && entry.gifCacheId === cacheId)
+      : null;
+    if (task.gifCacheId !== cacheId && !chapter) continue;
+    const sourcePath = [task.sourcePath, task.sourceVideoPath].find(entry => entry && fs.existsSync(entry));
+    if (!sourcePath) break;
+    const range = chapter && task.chapters.length > 1 ? chapter : task.autoTrim;
+    return {
+      sourcePath,
+      clipRange: range && Number.isFinite(range.startSec) && Number.isFinite(range.endSec)
+        ? { startSec: range.startSec, endSec: range.endSec }
+        : null,
+      fromVideo: true,
+      originalFilename: task.originalFilename || task.filename || path.basename(sourcePath)
+    };
+  }
+  if (item) {
+    return { sourcePath: item.path, clipRange: null, fromVideo: false, originalFilename: item.originalFilename };
+  }
+  return null;
+}
+
+/**
+ * 图层的非破坏性剪辑参数：入点 / 出点（相对源视频的秒数）+ 裁剪区域（比例）。
+ * 没有任何有效剪辑时返回 null（即还原为原始导入）
+ */
+function sanitizeGifNodeEdit(raw, durationSec = 0) {
+  if (!raw || typeof raw !== 'object') return null;
+  const duration = Number(durationSec) > 0 ? Number(durationSec) : Infinity;
+  const round = value => Math.round(value * 1000) / 1000;
+  const toSec = value => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+  let startSec = toSec(raw.startSec) === null ? null : Math.max(0, toSec(raw.startSec));
+  let endSec = toSec(raw.endSec) === null ? null : Math.min(duration, toSec(raw.endSec));
+  if (startSec !== null || endSec !== null) {
+    startSec = startSec === null ? 0 : startSec;
+    endSec = endSec === null || endSec <= 0 ? (Number.isFinite(duration) ? duration : null) : endSec;
+    if (endSec === null || endSec - startSec < 0.1) {
+      startSec = null;
+      endSec = null;
+    }
+  }
+  const crop = normalizeCropRect(raw.crop);
+  if (startSec === null && !crop) return null;
+  return {
+    startSec: startSec === null ? null : round(startSec),
+    endSec: endSec === null ? null : round(endSec),
+    crop
+  };
+}
+
+// 帧选择器截取的静帧只是一次性中转：写到临时目录，Figma 拉取后即删除，不进入 GIF 缓存
+// （否则会占用缓存容量、参与 LRU 淘汰并出现在缓存面板里）。未被拉取的静帧超时后清理
+const GIF_FRAME_STILL_DIR = path.join(os.tmpdir(), 'screensync-frame-stills');
+const GIF_FRAME_STILL_TTL_MS = 10 * 60 * 1000;
+
+function buildLocalFrameStillUrl(stillName) {
+  const port = Number(process.env.PORT || 8888) || 8888;
+  return `http://localhost:${port}/frame-still/${encodeURIComponent(stillName)}`;
+}
+
+function pruneFrameStills() {
+  try {
+    const now = Date.now();
+    for (const name of fs.readdirSync(GIF_FRAME_STILL_DIR)) {
+      const stillPath = path.join(GIF_FRAME_STILL_DIR, name);
+      try {
+        if (now - fs.statSync(stillPath).mtimeMs > GIF_FRAME_STILL_TTL_MS) fs.unlinkSync(stillPath);
+      } catch (_) {}
+    }
+  } catch (_) {}
+}
+
+/**
+ * 从源视频按原始分辨率截取单帧 PNG（写入临时目录，经 /frame-still 提供给 Figma）。
+ * percent 是相对图层 GIF（即剪辑后的入出点，未剪辑时为源的导入区间）的进度，与时间线预览帧的 percent 一致
+ * @returns {Promise<{ stillName: string, timeSec: number, imageWidth: number|null, imageHeight: number|null }>}
+ */
+async function extractGifCacheSourceFrame(source, { percent = 0, edit: rawEdit = null }) {
+  const meta = await probeVideoMeta(execAsync, 'ffprobe', source.sourcePath);
+  const duration = Number(meta?.duration) || 0;
+  // 图层剪辑过入出点时，percent 相对的是剪辑后的区间
+  const edit = sanitizeGifNodeEdit(rawEdit, duration);
+  const range = edit && edit.startSec !== null
+    ? { startSec: edit.startSec, endSec: edit.endSec }
+    : (source.clipRange || { startSec: 0, endSec: duration });
+  const ratio = Math.max(0, Math.min(100, Number(percent) || 0)) / 100;
+  // 末尾留出一帧，避免 -ss 落在最后一帧之后取不到画面
+  const lastFrameSec = Math.max(0, (range.endSec || duration) - 1 / Math.max(1, meta?.fps || 30));
+  const timeSec = Math.round(Math.min(lastFrameSec, range.startSec + (range.endSec - range.startSec) * ratio) * 1000) / 1000;
+  const cropRect = edit ? edit.crop : null;
+  const cropFilter = cropRect
+    ? ` -vf "crop='trunc(iw*${cropRect.width})':'trunc(ih*${cropRect.height})':'trunc(iw*${cropRect.x})':'trunc(ih*${cropRect.y})'"`
+    : '';
+  fs.mkdirSync(GIF_FRAME_STILL_DIR, { recursive: true });
+  pruneFrameStills();
+  const stillName = `frame-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.png`;
+  const framePath = path.join(GIF_FRAME_STILL_DIR, stillName);
+  try {
+    await execAsync(
+      `ffmpeg -y -v error -ss ${timeSec} -i "${toShellPath(source.sourcePath)}" -frames:v 1${cropFilter} "${toShellPath(framePath)}"`,
+      { timeout: 60000, maxBuffer: 10 * 1024 * 1024 }
+    );
+    if (!fs.existsSync(framePath) || fs.statSync(framePath).size === 0) {
+      throw new Error('frame extraction produced no output');
+    }
+    // probeVideoMeta 失败时返回 null（不会抛出）
+    const frameMeta = await probeVideoMeta(execAsync, 'ffprobe', framePath);
+    return {
+      stillName,
+      timeSec,
+      imageWidth: frameMeta?.width || null,
+      imageHeight: frameMeta?.height || null
+    };
+  } catch (error) {
+    try { fs.unlinkSync(framePath); } catch (_) {}
+    throw error;
+  }
+}
+
+// ScreenSyncImg 下的子文件夹：iCloud 模式在 iCloud 云盘中，其他模式在本地下载目录
+function resolveScreenSyncSubFolder(subFolder) {
+  const currentMode = process.env.SYNC_MODE || 'drive';
+  if (currentMode === 'icloud') {
+    return path.join(
+      os.homedir(),
+      'Library/Mobile Documents/com~apple~CloudDocs/ScreenSyncImg',
+      subFolder
+    );
+  }
+  return path.join(userConfig.getLocalDownloadFolder(), subFolder);
+}
+
+// 弹出 Finder 文件选择框，用户取消时返回 null
+async function chooseFileWithFinder(prompt) {
+  try {
+    const script = `POSIX path of (choose file with prompt "${prompt.replace(/"/g, '\\"')}")`;
+    const { stdout } = await execAsync(`osascript -e '${script}'`, { timeout: 10 * 60 * 1000 });
+    return String(stdout || '').trim() || null;
+  } catch (error) {
+    // -128：用户取消
+    if (/-128/.test(String(error.stderr || error.message))) return null;
+    throw error;
+  }
+}
+
+function buildGifCacheThumbUrl(item) {
+  const port = Number(process.env.PORT || 8888) || 8888;
+  // v 随缓存项内容变化，避免面板沿用浏览器缓存中的旧缩略图
+  return `http://localhost:${port}/gif-cache-thumb/${encodeURIComponent(item.cacheId)}?v=${item.timestamp}-${item.size}`;
+}
+
+function serializeGifCacheItem(item) {
+  return {
+    cacheId: item.cacheId,
+    filename: item.originalFilename,
+    ext: item.ext,
+    kind: GIF_CACHE_VIDEO_EXTS.has(String(item.ext).toLowerCase()) ? 'video' : (String(item.ext).toLowerCase() === '.gif' ? 'gif' : 'image'),
+    size: item.size,
+    timestamp: item.timestamp,
+    lastAccessAt: item.lastAccessAt,
+    referenced: item.referenced,
+    thumbnailUrl: buildGifCacheThumbUrl(item)
+  };
+}
+
+function sendGifCacheItems(group) {
+  return sendToFigma(group, {
+    type: 'gif-cache-items',
+    items: userConfig.listGifCacheItems().map(serializeGifCacheItem),
+    stats: userConfig.getGifCacheStats()
+  });
+}
+
+/**
+ * 缓存面板「导入 / 重新导出」：GIF / 图片直接导入；视频或带自定义设置时先转 GIF。
+ * 图层的 gifCacheId 始终指向原始缓存项，时间线编辑仍使用原始素材
+ * @param {object} item - userConfig.getGifCacheItem 的返回值
+ * @param {object|null} settings - 重新导出设置，null 表示直接导入
+ */
+async function prepareGifCacheItemImport(item, settings) {
+  const ext = String(item.ext || '').toLowerCase();
+  if (!settings && !GIF_CACHE_VIDEO_EXTS.has(ext)) {
+    const meta = await probeVideoMeta(execAsync, 'ffprobe', item.path).catch(() => null);
+    return {
+      filename: item.originalFilename,
+      gifCacheId: item.cacheId,
+      gifUrl: buildLocalGifTempUrl(item.cacheId, item.originalFilename),
+      imageWidth: meta?.width || null,
+      imageHeight: meta?.height || null
+    };
+  }
+  const filename = `${path.parse(item.originalFilename).name}.gif`;
+  const rebuilt = await transcodeSourceToCachedGif(item.path, filename, { driveFileId: item.driveFileId, ...(settings || {}) });
+  return {
+    filename,
+    gifCacheId: item.cacheId,
+    gifUrl: buildLocalGifTempUrl(rebuilt.gifCacheId, filename),
+    imageWidth: rebuilt.imageWidth,
+    imageHeight: rebuilt.imageHeight
+  };
+}
+
 function sendRecordingTaskSnapshot(group, options = {}) {
   const tasks = recordingTaskStore.listTasks({ limit: Number(options.limit || 50) || 50 });
   return sendToFigma(group, {
@@ -944,6 +1265,21 @@ const wss = new WebSocket.Server({
 const connections = new Map();
 const cancelFlags = new Map(); // 跟踪每个连接的取消状态
 
+// 全局媒体任务调度：本进程的导出 / 预览与 watcher 的转换共用并发预算，队列变化节流推送给所有插件
+const MEDIA_JOB_QUEUE_BROADCAST_MS = 500;
+let mediaJobQueueBroadcastTimer = null;
+function broadcastMediaJobQueue() {
+  if (mediaJobQueueBroadcastTimer) return;
+  mediaJobQueueBroadcastTimer = setTimeout(() => {
+    mediaJobQueueBroadcastTimer = null;
+    const snapshot = mediaJobScheduler.snapshot();
+    for (const group of connections.values()) {
+      sendToFigma(group, { type: 'media-job-queue', ...snapshot });
+    }
+  }, MEDIA_JOB_QUEUE_BROADCAST_MS);
+}
+const mediaJobScheduler = createMediaJobScheduler({ mediaTuning, onChange: broadcastMediaJobQueue });
+
 // 用户实例映射（用于单实例限制）
 // Key: connectionId, Value: { figmaWs, instanceId, registeredAt }
 const userInstances = new Map();
@@ -1879,10 +2215,19 @@ try {
   if (gifCacheStats.count > 0) {
     console.log(`   📊 GIF 缓存: ${gifCacheStats.count} 个文件, ${gifCacheStats.sizeMB} MB, 最旧 ${gifCacheStats.oldestDays} 天`);
   }
+  const conversionStats = gifCacheStats.conversions;
+  if (conversionStats && (conversionStats.count > 0 || conversionStats.hits + conversionStats.misses > 0)) {
+    console.log(`   📊 转换缓存: ${conversionStats.count} 条, ${conversionStats.sizeMB} MB, 命中 ${conversionStats.hits} / 未命中 ${conversionStats.misses} (命中率 ${(conversionStats.hitRate * 100).toFixed(1)}%)`);
+  }
+  // 先对账元数据与文件，避免后续按过期 / 损坏的元数据清理
+  userConfig.verifyGifCache();
   const cleaned = userConfig.cleanOldGifCache(30);
   if (cleaned.cleaned > 0) {
     console.log(`   ✅ 清理 GIF 缓存: ${cleaned.cleaned} 个超过 30 天的文件, 释放 ${(cleaned.size / 1024 / 1024).toFixed(2)} MB`);
   }
+  // 启动时没有插件连接，上次的 pin 全部失效；插件连接后会重新上报
+  userConfig.clearGifCachePins();
+  userConfig.enforceGifCacheSizeLimit({ reason: 'startup' });
 } catch (e) {
   // 忽略（userConfig 可能未初始化）
 }
@@ -1894,6 +2239,7 @@ const _cleanupTimer = setInterval(() => {
   try {
     cleanupAllTempFolders();
     userConfig.cleanOldGifCache(30);
+    userConfig.enforceGifCacheSizeLimit({ reason: 'scheduled' });
   } catch (e) {}
 }, CLEANUP_INTERVAL_MS);
 
@@ -1964,6 +2310,53 @@ app.get('/gif-temp/:cacheId', (req, res) => {
   }
 });
 
+// 帧选择器静帧：一次性提供，发送完成后删除
+app.get('/frame-still/:name', (req, res) => {
+  const name = String(req.params.name || '');
+  if (!/^frame-[\w-]+\.png$/.test(name)) {
+    return res.status(400).json({ error: 'invalid frame name' });
+  }
+  const stillPath = path.join(GIF_FRAME_STILL_DIR, name);
+  if (!fs.existsSync(stillPath)) {
+    return res.status(404).json({ error: 'frame not found' });
+  }
+  res.setHeader('Content-Type', 'image/png');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.sendFile(path.resolve(stillPath), () => {
+    fs.unlink(stillPath, () => {});
+  });
+});
+
+// 缓存面板缩略图：取首帧缩放后存到临时目录，按 cacheId + 文件 mtime / 体积复用（缓存项被替换后重新生成）
+const GIF_CACHE_THUMB_DIR = path.join(os.tmpdir(), 'screensync-cache-thumbs');
+app.get('/gif-cache-thumb/:cacheId', async (req, res) => {
+  try {
+    const item = userConfig.getGifCacheItem((req.params.cacheId || '').trim());
+    if (!item) {
+      return res.status(404).json({ error: 'gif cache not found' });
+    }
+    const stat = fs.statSync(item.path);
+    const thumbPrefix = `${item.cacheId}-`;
+    const thumbPath = path.join(GIF_CACHE_THUMB_DIR, `${thumbPrefix}${Math.round(stat.mtimeMs)}-${stat.size}.png`);
+    if (!fs.existsSync(thumbPath)) {
+      fs.mkdirSync(GIF_CACHE_THUMB_DIR, { recursive: true });
+      // 清掉该缓存项的旧缩略图
+      for (const name of fs.readdirSync(GIF_CACHE_THUMB_DIR)) {
+        if (name.startsWith(thumbPrefix)) fs.unlink(path.join(GIF_CACHE_THUMB_DIR, name), () => {});
+      }
+      await mediaJobScheduler.run(
+        { kind: 'interactive', label: item.originalFilename },
+        () => execAsync(`ffmpeg -y -v error -i "${toShellPath(item.path)}" -frames:v 1 -vf "scale=160:-2" "${toShellPath(thumbPath)}"`, { timeout: 15000 })
+      );
+    }
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'max-age=3600');
+    return res.sendFile(path.resolve(thumbPath));
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'internal error' });
+  }
+});
+
 // 根路径也返回健康状态（Cloud Run 健康检查可能使用根路径）
 app.get('/', (req, res) => {
   res.status(200).json({ 
@@ -3525,6 +3918,264 @@ wss.on('connection', (ws, req) => {
       return;
     }
 
+    // 全局媒体任务调度：watcher 转换前申请槽位，结束后归还
+    if (data.type === 'media-job-request' && clientType === 'mac') {
+      if (!data.jobId) return;
+      mediaJobScheduler.acquire({
+        jobId: data.jobId,
+        kind: data.kind,
+        label: data.label,
+        source: data.source || 'mac',
+        owner: `mac:${connectionId}`
+      }).then(() => {
+        wsSend(ws, { type: 'media-job-granted', jobId: data.jobId });
+      }).catch(() => {});
+      return;
+    }
+
+    if (data.type === 'media-job-done' && clientType === 'mac') {
+      if (data.jobId) mediaJobScheduler.release(data.jobId);
+      return;
+    }
+
+    if (data.type === 'get-media-job-queue' && clientType === 'figma') {
+      sendToFigma(targetGroup, { type: 'media-job-queue', ...mediaJobScheduler.snapshot() });
+      return;
+    }
+
+    // 缓存面板：列表 / 删除 / 导入 / 重新导出
+    if (data.type === 'get-gif-cache-items' && clientType === 'figma') {
+      sendGifCacheItems(targetGroup);
+      return;
+    }
+
+    if (data.type === 'delete-gif-cache-item' && clientType === 'figma') {
+      const success = userConfig.deleteGifCacheItem(data.cacheId);
+      sendToFigma(targetGroup, {
+        type: 'gif-cache-item-deleted',
+        cacheId: data.cacheId || null,
+        success,
+        error: success ? null : 'gif cache not found'
+      });
+      sendGifCacheItems(targetGroup);
+      return;
+    }
+
+    // 缓存导出：按 cacheId（缓存面板勾选 / 选中画板内图层引用）打包到「缓存包」文件夹
+    if (data.type === 'export-gif-cache' && clientType === 'figma') {
+      try {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 13);
+        const label = String(data.label || '').replace(/[\\/:*?"<>|$`]/g, '_').slice(0, 40);
+        const outputPath = path.join(
+          resolveScreenSyncSubFolder('缓存包'),
+          `ScreenSync-缓存${label ? `-${label}` : ''}-${stamp}${gifCacheArchive.ARCHIVE_EXT}`
+        );
+        const result = await gifCacheArchive.exportGifCacheArchive({
+          userConfig,
+          cacheIds: data.cacheIds,
+          outputPath
+        });
+        sendToFigma(targetGroup, { type: 'gif-cache-export-result', success: true, ...result });
+        exec(`open -R "${result.outputPath}"`, () => {});
+      } catch (error) {
+        console.warn(`   ⚠️  缓存导出失败: ${error.message}`);
+        sendToFigma(targetGroup, { type: 'gif-cache-export-result', success: false, error: error.message });
+      }
+      return;
+    }
+
+    // 缓存导入：只接受 Finder 中选择的缓存包，不信任插件消息里的路径
+    if (data.type === 'import-gif-cache' && clientType === 'figma') {
+      try {
+        const archivePath = await chooseFileWithFinder('选择 ScreenSync 缓存包 (.tar)');
+        if (!archivePath) {
+          sendToFigma(targetGroup, { type: 'gif-cache-import-result', success: false, cancelled: true });
+          return;
+        }
+        const result = await gifCacheArchive.importGifCacheArchive({ userConfig, archivePath });
+        sendToFigma(targetGroup, {
+          type: 'gif-cache-import-result',
+          success: true,
+          imported: result.imported.length,
+          skipped: result.skipped.length,
+          invalid: result.invalid.length
+        });
+        sendGifCacheItems(targetGroup);
+      } catch (error) {
+        console.warn(`   ⚠️  缓存导入失败: ${error.message}`);
+        sendToFigma(targetGroup, { type: 'gif-cache-import-result', success: false, error: error.message });
+      }
+      return;
+    }
+
+    // 插件手动触发完整性检查：修复缓存后报告源文件已不存在的图层
+    if (data.type === 'verify-gif-cache' && clientType === 'figma') {
+      const report = userConfig.verifyGifCache();
+      const available = new Set(userConfig.listGifCacheItems().map(item => item.cacheId));
+      const layers = Array.isArray(data.layers) ? data.layers : [];
+      const missingLayers = layers.filter(layer => layer && layer.cacheId && !available.has(layer.cacheId));
+      sendToFigma(targetGroup, {
+        type: 'gif-cache-verify-result',
+        checked: report.checked,
+        ok: report.ok,
+        repaired: report.repaired.length,
+        rebuilt: report.rebuilt.length,
+        removed: report.removed.length,
+        missing: report.missing,
+        freedBytes: report.freedBytes,
+        missingLayers
+      });
+      sendGifCacheItems(targetGroup);
+      return;
+    }
+
+    if ((data.type === 'reimport-gif-cache-item' || data.type === 'reexport-gif-cache-item') && clientType === 'figma') {
+      const item = userConfig.getGifCacheItem(data.cacheId);
+      if (!item) {
+        sendToFigma(targetGroup, {
+          type: 'gif-cache-item-import-result',
+          cacheId: data.cacheId || null,
+          success: false,
+          error: 'gif cache not found'
+        });
+        return;
+      }
+      const raw = data.type === 'reexport-gif-cache-item' ? (data.settings || {}) : null;
+      const settings = raw ? {
+        gifAlgorithm: typeof raw.gifAlgorithm === 'string' ? raw.gifAlgorithm : 'smooth_gradient',
+        maxSizeMB: Math.max(0, Number(raw.maxSizeMB) || 0),
+        dedupeFrames: raw.dedupeFrames === true,
+        scale: Number(raw.scale) || 1
+      } : null;
+      try {
+        console.log(`🗂️  [GIF Cache] ${settings ? '重新导出' : '重新导入'}: ${item.originalFilename}`);
+        const prepared = await mediaJobScheduler.run(
+          { kind: 'interactive', label: item.originalFilename, owner: connectionId },
+          () => prepareGifCacheItemImport(item, settings)
+        );
+        sendToFigma(targetGroup, { type: 'gif-cache-import-request', ...prepared });
+        sendToFigma(targetGroup, { type: 'gif-cache-item-import-result', cacheId: item.cacheId, success: true });
+      } catch (error) {
+        console.warn(`   ⚠️  缓存项导入失败: ${error.message}`);
+        sendToFigma(targetGroup, {
+          type: 'gif-cache-item-import-result',
+          cacheId: item.cacheId,
+          success: false,
+          error: error.message
+        });
+      }
+      return;
+    }
+
+    // 选中的 GIF 图层按用户指定的帧率 / 宽度 / 颜色数重新编码，插件原地替换图片填充
+    // 剪辑面板需要源视频时长 / 尺寸，以及默认区间（章节 / 自动裁剪）
+    if (data.type === 'get-gif-node-source' && clientType === 'figma') {
+      const source = resolveGifCacheSource(data.gifCacheId);
+      const meta = source ? await probeVideoMeta(execAsync, 'ffprobe', source.sourcePath).catch(() => null) : null;
+      sendToFigma(targetGroup, {
+        type: 'gif-node-source-info',
+        layerId: data.layerId || null,
+        success: !!(source && meta),
+        fromVideo: source ? source.fromVideo : false,
+        durationSec: meta?.duration || null,
+        width: meta?.width || null,
+        height: meta?.height || null,
+        clipRange: source ? source.clipRange : null,
+        error: source ? (meta ? null : 'failed to probe source') : 'gif cache not found'
+      });
+      return;
+    }
+
+    // 帧选择器：把选中时刻按源视频原始分辨率导出为 PNG，插件插入到 GIF 图层旁边
+    if (data.type === 'extract-gif-node-frame' && clientType === 'figma') {
+      const layerId = data.layerId || null;
+      const source = resolveGifCacheSource(data.gifCacheId);
+      if (!source) {
+        sendToFigma(targetGroup, { type: 'gif-node-frame-extracted', layerId, success: false, error: 'gif cache not found' });
+        return;
+      }
+      const baseName = path.parse(data.filename || source.originalFilename || 'recording').name;
+      const percent = Math.max(0, Math.min(100, Number(data.percent) || 0));
+      try {
+        console.log(`🖼️  [Frame] ${baseName} @ ${percent.toFixed(1)}%${source.fromVideo ? '' : '（源视频不可用，基于 GIF）'}`);
+        const frame = await mediaJobScheduler.run(
+          { kind: 'interactive', label: baseName, owner: connectionId },
+          () => extractGifCacheSourceFrame(source, {
+            percent,
+            edit: data.edit
+          })
+        );
+        sendToFigma(targetGroup, {
+          type: 'gif-node-frame-extracted',
+          layerId,
+          success: true,
+          fromVideo: source.fromVideo,
+          timeSec: frame.timeSec,
+          imageUrl: buildLocalFrameStillUrl(frame.stillName),
+          imageWidth: frame.imageWidth,
+          imageHeight: frame.imageHeight
+        });
+      } catch (error) {
+        console.warn(`   ⚠️  截取帧失败: ${error.message}`);
+        sendToFigma(targetGroup, { type: 'gif-node-frame-extracted', layerId, success: false, error: error.message });
+      }
+      return;
+    }
+
+    if (data.type === 'reencode-gif-node' && clientType === 'figma') {
+      const layerId = data.layerId || null;
+      const source = resolveGifCacheSource(data.gifCacheId);
+      if (!source) {
+        sendToFigma(targetGroup, { type: 'gif-node-reencoded', layerId, success: false, error: 'gif cache not found' });
+        return;
+      }
+      const raw = data.settings || {};
+      const format = getOutputFormatInfo(raw.format).format;
+      const settings = {
+        fps: Math.max(0, Math.min(60, Math.round(Number(raw.fps) || 0))),
+        width: Math.max(0, Math.round(Number(raw.width) || 0)),
+        maxColors: Math.max(0, Math.min(256, Math.round(Number(raw.colors) || 0)))
+      };
+      const filename = `${path.parse(data.filename || source.originalFilename || 'recording').name}.gif`;
+      try {
+        // 剪辑（入出点 / 裁剪）与编码设置一起下发，二者互不覆盖；edit 为 null 时还原为原始导入区间
+        const sourceMeta = data.edit ? await probeVideoMeta(execAsync, 'ffprobe', source.sourcePath).catch(() => null) : null;
+        const edit = sanitizeGifNodeEdit(data.edit, sourceMeta?.duration);
+        const clipRange = edit && edit.startSec !== null ? { startSec: edit.startSec, endSec: edit.endSec } : source.clipRange;
+        console.log(`🎞️  [Re-encode] ${filename} (fps ${settings.fps || 'auto'}, 宽 ${settings.width || '原始'}, 颜色 ${settings.maxColors || 'auto'}, ${format}${source.fromVideo ? '' : '，源视频不可用，基于 GIF'})`);
+        if (edit) {
+          console.log(`   ✂️  剪辑: ${clipRange ? `${clipRange.startSec}s → ${clipRange.endSec}s` : '完整时长'}${edit.crop ? `，裁剪 ${JSON.stringify(edit.crop)}` : ''}`);
+        }
+        const rebuilt = await mediaJobScheduler.run(
+          { kind: 'interactive', label: filename, owner: connectionId },
+          () => transcodeSourceToCachedGif(source.sourcePath, filename, {
+            ...settings,
+            maxSizeMB: 0,
+            clipRange,
+            cropRect: edit ? edit.crop : null,
+            extraFormats: format === 'gif' ? [] : [format]
+          })
+        );
+        sendToFigma(targetGroup, {
+          type: 'gif-node-reencoded',
+          layerId,
+          success: true,
+          fromVideo: source.fromVideo,
+          settings: { ...settings, format },
+          edit,
+          gifCacheId: rebuilt.gifCacheId,
+          gifUrl: buildLocalGifTempUrl(rebuilt.gifCacheId, filename),
+          imageWidth: rebuilt.imageWidth,
+          imageHeight: rebuilt.imageHeight,
+          extraFilenames: rebuilt.extraFilenames
+        });
+      } catch (error) {
+        console.warn(`   ⚠️  重新编码失败: ${error.message}`);
+        sendToFigma(targetGroup, { type: 'gif-node-reencoded', layerId, success: false, error: error.message });
+      }
+      return;
+    }
+
     if (data.type === 'request-recording-import' && clientType === 'figma') {
       const task = recordingTaskStore.readTask(data.taskId);
       if (!task) {
@@ -3547,21 +4198,42 @@ wss.on('connection', (ws, req) => {
         filename: task.filename
       });
       sendRecordingTaskUpdate(targetGroup, requested.taskId);
+      // 拆分章节的录屏按顺序逐章导入：每次只请求第一个尚未导入的章节
+      const chapters = Array.isArray(requested.chapters) && requested.chapters.length > 1 ? requested.chapters : null;
+      const imported = new Set(Array.isArray(requested.importedChapters) ? requested.importedChapters : []);
+      const chapter = chapters ? chapters.find(item => !imported.has(item.index)) : null;
+      const artifact = chapter || requested;
       sendToFigma(targetGroup, {
         type: 'recording-import-request',
         taskId: requested.taskId,
-        filename: requested.filename,
-        gifCacheId: requested.gifCacheId,
-        gifUrl: buildLocalGifTempUrl(requested.gifCacheId, requested.filename),
-        imageWidth: requested.imageWidth || null,
-        imageHeight: requested.imageHeight || null
+        filename: artifact.filename,
+        gifCacheId: artifact.gifCacheId,
+        gifUrl: buildLocalGifTempUrl(artifact.gifCacheId, artifact.filename),
+        imageWidth: artifact.imageWidth || null,
+        imageHeight: artifact.imageHeight || null,
+        chapterIndex: chapter ? chapter.index : null,
+        chapterCount: chapters ? chapters.length : null
       });
       return;
     }
 
     if (data.type === 'recording-import-result' && clientType === 'figma') {
       if (!data.taskId) return;
-      if (data.success) {
+      const task = recordingTaskStore.readTask(data.taskId);
+      const chapters = task && Array.isArray(task.chapters) && task.chapters.length > 1 ? task.chapters : null;
+      if (data.success && chapters && Number.isInteger(data.chapterIndex)) {
+        const importedChapters = Array.from(new Set([...(task.importedChapters || []), data.chapterIndex]));
+        if (chapters.some(item => !importedChapters.includes(item.index))) {
+          // 还有章节未导入：回到 import-requested，插件收到更新后请求下一章
+          recordingTaskStore.updateStage(data.taskId, 'import-requested', { importedChapters, importAttempts: 0 });
+          sendRecordingTaskUpdate(targetGroup, data.taskId);
+          return;
+        }
+        recordingTaskStore.markImportSucceeded(data.taskId, {
+          importedChapters,
+          importedAt: new Date().toISOString()
+        });
+      } else if (data.success) {
         recordingTaskStore.markImportSucceeded(data.taskId, {
           importedAt: new Date().toISOString()
         });
@@ -3571,6 +4243,61 @@ wss.on('connection', (ws, req) => {
       sendRecordingTaskUpdate(targetGroup, data.taskId);
       return;
     }
+
+    if (data.type === 'undo-recording-auto-trim' && clientType === 'figma') {
+      const task = recordingTaskStore.readTask(data.taskId);
+      if (!task || !task.autoTrim || task.autoTrim.undone) {
+        sendToFigma(targetGroup, {
+          type: 'recording-auto-trim-undone',
+          taskId: data.taskId || null,
+          success: false,
+          error: 'no auto trim to undo'
+        });
+        return;
+      }
+      try {
+        console.log(`✂️  撤销自动裁剪: ${task.filename || task.taskId}`);
+        const rebuilt = await mediaJobScheduler.run(
+          { kind: 'interactive', label: task.filename || task.taskId, owner: connectionId },
+          () => rebuildRecordingGifWithoutTrim(task)
+        );
+        recordingTaskStore.updateStage(task.taskId, 'gif-ready', {
+          filename: rebuilt.filename,
+          gifCacheId: rebuilt.gifCacheId,
+          imageWidth: rebuilt.imageWidth,
+          imageHeight: rebuilt.imageHeight,
+          autoTrim: { ...task.autoTrim, undone: true, trimmedGifCacheId: task.gifCacheId || null },
+          // 撤销后重新生成的是完整单个 GIF，不再按章节导入
+          chapters: null,
+          importedChapters: []
+        });
+        const requested = recordingTaskStore.markImportRequested(task.taskId, { filename: rebuilt.filename });
+        sendRecordingTaskUpdate(targetGroup, requested.taskId);
+        sendToFigma(targetGroup, {
+          type: 'recording-auto-trim-undone',
+          taskId: requested.taskId,
+          success: true
+        });
+        sendToFigma(targetGroup, {
+          type: 'recording-import-request',
+          taskId: requested.taskId,
+          filename: requested.filename,
+          gifCacheId: requested.gifCacheId,
+          gifUrl: buildLocalGifTempUrl(requested.gifCacheId, requested.filename),
+          imageWidth: requested.imageWidth || null,
+          imageHeight: requested.imageHeight || null
+        });
+      } catch (error) {
+        console.warn(`   ⚠️  撤销自动裁剪失败: ${error.message}`);
+        sendToFigma(targetGroup, {
+          type: 'recording-auto-trim-undone',
+          taskId: task.taskId,
+          success: false,
+          error: error.message
+        });
+      }
+      return;
+    }
     
     // 控制消息处理
     if (data.type === 'start-realtime' ||
@@ -3625,23 +4352,8 @@ wss.on('connection', (ws, req) => {
     
     // 打开文件夹
     if (data.type === 'open-folder') {
-      let targetFolder;
       const subFolder = data.targetFolder || 'GIF-导出'; // 默认打开 GIF-导出 文件夹
-      
-      // 根据当前模式决定打开哪个文件夹
-      const currentMode = process.env.SYNC_MODE || 'drive';
-      if (currentMode === 'icloud') {
-        // iCloud 模式：打开 ScreenSyncImg 下的子文件夹
-        targetFolder = path.join(
-          os.homedir(),
-          'Library/Mobile Documents/com~apple~CloudDocs/ScreenSyncImg',
-          subFolder
-        );
-      } else {
-        // Google Drive 或其他模式：打开 ScreenSyncImg 下的子文件夹
-        const baseFolder = userConfig.getLocalDownloadFolder();
-        targetFolder = path.join(baseFolder, subFolder);
-      }
+      const targetFolder = resolveScreenSyncSubFolder(subFolder);
       
       if (fs.existsSync(targetFolder)) {
         exec(`open "${targetFolder}"`, (err) => {
@@ -4246,83 +4958,94 @@ wss.on('connection', (ws, req) => {
         const extractTimeoutMs = Math.max(60000, Math.min(180000, 60000 + actualFrameCount * 220));
         console.log(`   🎞️ 预览帧策略: requested=${requestedFrames}, adaptive=${durationAdaptiveFrames}, final=${actualFrameCount}, max=${effectiveMaxPreviewFrames}, targetFps=${targetPreviewFps}, source=${sourceWidth}x${sourceHeight}, height=${previewScaleHeight}`);
         
-        if (isGifFile) {
-          // GIF：先用 -vsync 0 提取所有原始帧（保留逐帧延迟），再均匀采样
-          const allFramesDir = path.join(tempDir, 'all');
-          fs.mkdirSync(allFramesDir, { recursive: true });
-          const extractGifCmd = `ffmpeg -y -i "${videoPath}" -vsync 0 -vf "${previewScaleFilter}" "${allFramesDir}/f_%04d.png"`;
-          await execAsync(extractGifCmd, { timeout: extractTimeoutMs });
+        // 抽帧属于交互式任务，优先于后台转换获得槽位
+        const previewJobId = await mediaJobScheduler.acquire({
+          kind: 'interactive',
+          label: layerName,
+          owner: connectionId,
+          shouldCancel: () => ws.readyState !== WebSocket.OPEN
+        });
+        try {
+          if (isGifFile) {
+            // GIF：先用 -vsync 0 提取所有原始帧（保留逐帧延迟），再均匀采样
+            const allFramesDir = path.join(tempDir, 'all');
+            fs.mkdirSync(allFramesDir, { recursive: true });
+            const extractGifCmd = `ffmpeg -y -i "${videoPath}" -vsync 0 -vf "${previewScaleFilter}" "${allFramesDir}/f_%04d.png"`;
+            await execAsync(extractGifCmd, { timeout: extractTimeoutMs });
           
-          const allFiles = fs.readdirSync(allFramesDir).filter(f => f.endsWith('.png')).sort();
-          const totalGifFrames = allFiles.length;
+            const allFiles = fs.readdirSync(allFramesDir).filter(f => f.endsWith('.png')).sort();
+            const totalGifFrames = allFiles.length;
           
-          if (totalGifFrames === 0) throw new Error('GIF 帧提取为空');
+            if (totalGifFrames === 0) throw new Error('GIF 帧提取为空');
           
-          // 均匀采样到 actualFrameCount 帧
-          const step = totalGifFrames <= actualFrameCount
-            ? 1
-            : totalGifFrames / actualFrameCount;
-          const sampleIndices = [];
-          for (let i = 0; i < Math.min(totalGifFrames, actualFrameCount); i++) {
-            sampleIndices.push(Math.min(Math.round(i * step), totalGifFrames - 1));
-          }
-          // 确保最后一帧
-          if (sampleIndices[sampleIndices.length - 1] !== totalGifFrames - 1) {
-            sampleIndices.push(totalGifFrames - 1);
-          }
+            // 均匀采样到 actualFrameCount 帧
+            const step = totalGifFrames <= actualFrameCount
+              ? 1
+              : totalGifFrames / actualFrameCount;
+            const sampleIndices = [];
+            for (let i = 0; i < Math.min(totalGifFrames, actualFrameCount); i++) {
+              sampleIndices.push(Math.min(Math.round(i * step), totalGifFrames - 1));
+            }
+            // 确保最后一帧
+            if (sampleIndices[sampleIndices.length - 1] !== totalGifFrames - 1) {
+              sampleIndices.push(totalGifFrames - 1);
+            }
           
-          for (let si = 0; si < sampleIndices.length; si++) {
-            const idx = sampleIndices[si];
-            const framePath = path.join(allFramesDir, allFiles[idx]);
-            const percent = totalGifFrames > 1 ? (idx / (totalGifFrames - 1)) * 100 : 0;
-            if (fs.existsSync(framePath)) {
-              frames.push({
-                percent,
-                data: fs.readFileSync(framePath).toString('base64')
-              });
+            for (let si = 0; si < sampleIndices.length; si++) {
+              const idx = sampleIndices[si];
+              const framePath = path.join(allFramesDir, allFiles[idx]);
+              const percent = totalGifFrames > 1 ? (idx / (totalGifFrames - 1)) * 100 : 0;
+              if (fs.existsSync(framePath)) {
+                frames.push({
+                  percent,
+                  data: fs.readFileSync(framePath).toString('base64')
+                });
+              }
             }
-          }
           
-          // 清理 all frames 目录
-          for (const f of allFiles) {
-            try { fs.unlinkSync(path.join(allFramesDir, f)); } catch (_) {}
-          }
-          try { fs.rmdirSync(allFramesDir); } catch (_) {}
-        } else {
-          // 视频：按目标帧率提取
-          const targetFps = actualFrameCount / duration;
-          const extractAllCmd = `ffmpeg -y -i "${videoPath}" -vf "fps=${targetFps},${previewScaleFilter}" "${tempDir}/frame_%03d.png"`;
+            // 清理 all frames 目录
+            for (const f of allFiles) {
+              try { fs.unlinkSync(path.join(allFramesDir, f)); } catch (_) {}
+            }
+            try { fs.rmdirSync(allFramesDir); } catch (_) {}
+          } else {
+            // 视频：按目标帧率提取
+            const targetFps = actualFrameCount / duration;
+            const extractAllCmd = `ffmpeg -y -i "${videoPath}" -vf "fps=${targetFps},${previewScaleFilter}" "${tempDir}/frame_%03d.png"`;
           
-          try {
-            await execAsync(extractAllCmd, { timeout: extractTimeoutMs });
-          } catch (e) {
-            console.warn(`   ⚠️  批量提取失败，回退到逐帧提取: ${e.message}`);
-            for (let i = 0; i < actualFrameCount; i++) {
-              const timestamp = (duration * i) / (actualFrameCount - 1);
-              const framePath = path.join(tempDir, `frame_${i.toString().padStart(3, '0')}.png`);
-              const extractCmd = `ffmpeg -y -ss ${timestamp.toFixed(3)} -i "${videoPath}" -vframes 1 -vf "${previewScaleFilter}" "${framePath}"`;
-              await execAsync(extractCmd);
+            try {
+              await execAsync(extractAllCmd, { timeout: extractTimeoutMs });
+            } catch (e) {
+              console.warn(`   ⚠️  批量提取失败，回退到逐帧提取: ${e.message}`);
+              for (let i = 0; i < actualFrameCount; i++) {
+                const timestamp = (duration * i) / (actualFrameCount - 1);
+                const framePath = path.join(tempDir, `frame_${i.toString().padStart(3, '0')}.png`);
+                const extractCmd = `ffmpeg -y -ss ${timestamp.toFixed(3)} -i "${videoPath}" -vframes 1 -vf "${previewScaleFilter}" "${framePath}"`;
+                await execAsync(extractCmd);
+              }
             }
-          }
           
-          const frameFiles = fs.readdirSync(tempDir)
-            .filter(f => f.startsWith('frame_') && f.endsWith('.png'))
-            .sort();
+            const frameFiles = fs.readdirSync(tempDir)
+              .filter(f => f.startsWith('frame_') && f.endsWith('.png'))
+              .sort();
           
-          const totalFrames = frameFiles.length;
+            const totalFrames = frameFiles.length;
           
-          for (let i = 0; i < totalFrames; i++) {
-            const framePath = path.join(tempDir, frameFiles[i]);
-            const percent = totalFrames > 1 ? (i / (totalFrames - 1)) * 100 : 0;
+            for (let i = 0; i < totalFrames; i++) {
+              const framePath = path.join(tempDir, frameFiles[i]);
+              const percent = totalFrames > 1 ? (i / (totalFrames - 1)) * 100 : 0;
             
-            if (fs.existsSync(framePath)) {
-              frames.push({
-                percent,
-                data: fs.readFileSync(framePath).toString('base64')
-              });
-              fs.unlinkSync(framePath);
+              if (fs.existsSync(framePath)) {
+                frames.push({
+                  percent,
+                  data: fs.readFileSync(framePath).toString('base64')
+                });
+                fs.unlinkSync(framePath);
+              }
             }
           }
+        } finally {
+          mediaJobScheduler.release(previewJobId);
         }
         
         // 清理临时目录（可能含嵌套子目录）
@@ -4408,41 +5131,56 @@ wss.on('connection', (ws, req) => {
         const exportStartTime = Date.now();
         const receivedAlgorithm = data.gifAlgorithm || 'smooth_gradient';
         
-        const result = await composeAnnotatedGif({
-          frameName: data.frameName,
-          bottomLayerBytes: data.bottomLayerBytes,      // ✅ Bottom Layer（最底层 GIF 下面）
-          staticLayers: data.staticLayers,              // ✅ 静态图层（按 z-index 排序）
-          annotationLayers: data.annotationLayers,      // ✅ 标注图层（GIF 之上，支持时间线）
-          annotationBytes: data.annotationBytes,
-          frameBounds: data.frameBounds,
-          frameBackground: data.frameBackground,        // ✅ Frame 背景色
-          gifInfos: data.gifInfos,
-          timelineData: data.timelineData, // ✅ Pass timeline data
-          gifAlgorithm: data.gifAlgorithm || 'smooth_gradient', // ✅ GIF 算法设置
-          exportMode: data.exportMode || 'auto', // auto: 按阈值切换 fast/quality
-          // 🔍 验证: 确保从 UI 正确接收算法设置
-          connectionId: connectionId,
+        const result = await mediaJobScheduler.run({
+          kind: 'interactive',
+          label: data.frameName || 'GIF export',
+          owner: connectionId,
           shouldCancel: () => isExportSessionCancelled(connectionId, exportTraceId),
-          onProgress: (percent, message) => {
-            try {
-              sendToFigma(targetGroup, {
-                type: 'gif-compose-progress',
-                progress: percent,
-                message: message,
-                exportTraceId,
-                batchIndex: data.batchIndex,
-                batchTotal: data.batchTotal
-              });
-            } catch (progressSendErr) {
-              console.warn(`   ⚠️  进度推送失败 (${percent}%): ${progressSendErr.message}`);
+          cancelMessage: 'GIF_EXPORT_CANCELLED'
+        }, () => composeAnnotatedGif({
+            frameName: data.frameName,
+            bottomLayerBytes: data.bottomLayerBytes,      // ✅ Bottom Layer（最底层 GIF 下面）
+            staticLayers: data.staticLayers,              // ✅ 静态图层（按 z-index 排序）
+            annotationLayers: data.annotationLayers,      // ✅ 标注图层（GIF 之上，支持时间线）
+            annotationBytes: data.annotationBytes,
+            frameBounds: data.frameBounds,
+            frameBackground: data.frameBackground,        // ✅ Frame 背景色
+            gifInfos: data.gifInfos,
+            timelineData: data.timelineData, // ✅ Pass timeline data
+            captions: data.captions, // 💬 时间线字幕轨
+            playbackSpeed: Number(data.playbackSpeed) || 1, // ⏩ 整体播放速度（与 GIF 图层倍速相乘）
+            gifAlgorithm: data.gifAlgorithm || 'smooth_gradient', // ✅ GIF 算法设置
+            exportMode: data.exportMode || 'auto', // auto: 按阈值切换 fast/quality
+            outputFormat: data.outputFormat || 'gif', // gif / webp / apng / mp4
+            maxSizeBytes: Number(data.maxSizeMB) > 0 ? Math.round(Number(data.maxSizeMB) * 1024 * 1024) : 0, // 体积预算，0 = 不限
+            dedupeFrames: data.dedupeFrames === true, // 静止帧合并（可变帧时长）
+            loopOptions: data.loopOptions || null, // 🔁 本次导出的循环次数 / 乒乓 / 末帧停留
+            // 🔍 验证: 确保从 UI 正确接收算法设置
+            connectionId: connectionId,
+            shouldCancel: () => isExportSessionCancelled(connectionId, exportTraceId),
+            onProgress: (percent, message) => {
+              try {
+                sendToFigma(targetGroup, {
+                  type: 'gif-compose-progress',
+                  progress: percent,
+                  message: message,
+                  exportTraceId,
+                  batchIndex: data.batchIndex,
+                  batchTotal: data.batchTotal
+                });
+              } catch (progressSendErr) {
+                console.warn(`   ⚠️  进度推送失败 (${percent}%): ${progressSendErr.message}`);
+              }
             }
-          }
-        });
+        }));
         
         const exportDuration = Date.now() - exportStartTime;
         const durationSeconds = (exportDuration / 1000).toFixed(1);
         const usedAlgorithm = data.gifAlgorithm || 'smooth_gradient';
-        console.log(`✅ GIF 导出完成 (${durationSeconds}s, 算法=${usedAlgorithm}): ${result.outputPath}`);
+        console.log(`✅ GIF 导出完成 (${durationSeconds}s, 算法=${usedAlgorithm}, 格式=${result.outputFormat || 'gif'}): ${result.outputPath}`);
+        if (result.sizeBudget) {
+          console.log(`   📏 体积预算 ${(result.sizeBudget.maxSizeBytes / 1024 / 1024).toFixed(1)}MB → 档位 ${result.sizeBudget.winningProfile} (${result.sizeBudget.withinBudget ? '满足' : '超出'})`);
+        }
         
         // ✅ 关键：立即发送成功消息给 Figma（不要等清理操作完成）
         // 用户已经可以在文件夹里看到 GIF 了，进度条应该立即完成
@@ -4454,6 +5192,8 @@ wss.on('connection', (ws, req) => {
           outputPath: result.outputPath,
           filename: data.frameName || data.originalFilename,
           skipped: result.skipped || false,
+          outputFormat: result.outputFormat || 'gif',
+          sizeBudget: result.sizeBudget || null,
           exportModeLog: result.exportModeLog || null,
           exportModeEvaluated: !!result.exportModeEvaluated,
           exportTraceId,
@@ -4818,6 +5558,139 @@ wss.on('connection', (ws, req) => {
       return;
     }
     
+    // 录屏附加输出格式（GIF 始终生成用于导入，另存 WebP/APNG/MP4 到本地）
+    if (data.type === 'get-recording-output-format' || data.type === 'update-recording-output-format') {
+      if (data.type === 'get-recording-output-format') {
+        sendToFigma(targetGroup, { type: 'recording-output-format-info', format: userConfig.getRecordingOutputFormat() });
+      } else {
+        const format = ['gif', 'webp', 'apng', 'mp4'].includes(data.format) ? data.format : 'gif';
+        userConfig.updateRecordingOutputFormat(format);
+        const payload = { type: 'recording-output-format-updated', success: true, format };
+        sendToFigma(targetGroup, payload);
+        sendToMac(targetGroup, payload);
+      }
+      return;
+    }
+    
+    // 录屏 GIF 体积上限（MB，0 = 不限）
+    if (data.type === 'get-recording-max-size' || data.type === 'update-recording-max-size') {
+      if (data.type === 'get-recording-max-size') {
+        sendToFigma(targetGroup, { type: 'recording-max-size-info', maxSizeMB: userConfig.getRecordingMaxSizeMB() });
+      } else {
+        userConfig.updateRecordingMaxSizeMB(data.maxSizeMB);
+        const payload = { type: 'recording-max-size-updated', success: true, maxSizeMB: userConfig.getRecordingMaxSizeMB() };
+        sendToFigma(targetGroup, payload);
+        sendToMac(targetGroup, payload);
+      }
+      return;
+    }
+    
+    // GIF 缓存容量上限（MB，0 = 不限），超出后按 LRU 淘汰
+    if (data.type === 'get-gif-cache-max-size' || data.type === 'update-gif-cache-max-size') {
+      let lastEviction = userConfig.getGifCacheEvictionReports()[0] || null;
+      if (data.type === 'update-gif-cache-max-size') {
+        userConfig.updateGifCacheMaxSizeMB(data.maxSizeMB);
+        const report = userConfig.enforceGifCacheSizeLimit({ reason: 'limit-changed' });
+        if (report.evicted.length > 0) lastEviction = report;
+      }
+      const payload = {
+        type: data.type === 'get-gif-cache-max-size' ? 'gif-cache-max-size-info' : 'gif-cache-max-size-updated',
+        success: true,
+        maxSizeMB: userConfig.getGifCacheMaxSizeMB(),
+        stats: userConfig.getGifCacheStats(),
+        lastEviction
+      };
+      sendToFigma(targetGroup, payload);
+      if (data.type === 'update-gif-cache-max-size') sendToMac(targetGroup, payload);
+      return;
+    }
+    
+    // 插件上报当前文件中图层引用的缓存 ID，这些源文件不参与 LRU 淘汰
+    if (data.type === 'update-gif-cache-pins') {
+      if (clientType === 'figma') {
+        userConfig.updateGifCachePins(`figma:${connectionId}`, data.cacheIds);
+        userConfig.enforceGifCacheSizeLimit({ reason: 'pins-updated' });
+      }
+      return;
+    }
+    
+    // 录屏静止帧合并开关
+    if (data.type === 'get-recording-dedupe-frames' || data.type === 'update-recording-dedupe-frames') {
+      if (data.type === 'get-recording-dedupe-frames') {
+        sendToFigma(targetGroup, { type: 'recording-dedupe-frames-info', enabled: userConfig.getRecordingDedupeFrames() });
+      } else {
+        userConfig.updateRecordingDedupeFrames(data.enabled === true);
+        const payload = { type: 'recording-dedupe-frames-updated', success: true, enabled: userConfig.getRecordingDedupeFrames() };
+        sendToFigma(targetGroup, payload);
+        sendToMac(targetGroup, payload);
+      }
+      return;
+    }
+    
+    // 录屏自动裁剪首尾开关
+    if (data.type === 'get-recording-auto-trim' || data.type === 'update-recording-auto-trim') {
+      if (data.type === 'get-recording-auto-trim') {
+        sendToFigma(targetGroup, { type: 'recording-auto-trim-info', enabled: userConfig.getRecordingAutoTrim() });
+      } else {
+        userConfig.updateRecordingAutoTrim(data.enabled === true);
+        const payload = { type: 'recording-auto-trim-updated', success: true, enabled: userConfig.getRecordingAutoTrim() };
+        sendToFigma(targetGroup, payload);
+        sendToMac(targetGroup, payload);
+      }
+      return;
+    }
+
+    // 录屏按场景拆分章节开关
+    if (data.type === 'get-recording-split-chapters' || data.type === 'update-recording-split-chapters') {
+      if (data.type === 'get-recording-split-chapters') {
+        sendToFigma(targetGroup, { type: 'recording-split-chapters-info', enabled: userConfig.getRecordingSplitChapters() });
+      } else {
+        userConfig.updateRecordingSplitChapters(data.enabled === true);
+        const payload = { type: 'recording-split-chapters-updated', success: true, enabled: userConfig.getRecordingSplitChapters() };
+        sendToFigma(targetGroup, payload);
+        sendToMac(targetGroup, payload);
+      }
+      return;
+    }
+
+    // 录屏转换 GIF 循环次数（导出的循环设置随 compose-annotated-gif 传入，不保存在这里）
+    if (data.type === 'get-recording-loop-count' || data.type === 'update-recording-loop-count') {
+      if (data.type === 'get-recording-loop-count') {
+        sendToFigma(targetGroup, { type: 'recording-loop-count-info', loopCount: userConfig.getRecordingLoopCount() });
+      } else {
+        userConfig.updateRecordingLoopCount(data.loopCount);
+        const payload = { type: 'recording-loop-count-updated', success: true, loopCount: userConfig.getRecordingLoopCount() };
+        sendToFigma(targetGroup, payload);
+        sendToMac(targetGroup, payload);
+      }
+      return;
+    }
+
+    // 媒体处理调参预设（切换后 server 立即生效，watcher 通过预设文件同步）
+    if (data.type === 'get-media-tuning-presets') {
+      sendToFigma(targetGroup, { type: 'media-tuning-presets-info', ...tuningPresets.listTuningPresets() });
+      return;
+    }
+    if (data.type === 'set-media-tuning-preset' || data.type === 'save-media-tuning-preset' || data.type === 'delete-media-tuning-preset') {
+      let ignored = [];
+      try {
+        if (data.type === 'set-media-tuning-preset') {
+          tuningPresets.setActiveTuningPreset(data.name);
+        } else if (data.type === 'save-media-tuning-preset') {
+          const saved = tuningPresets.saveCustomTuningPreset(data.name, data.overrides, data.label);
+          ignored = saved.ignored;
+          if (data.activate === true) tuningPresets.setActiveTuningPreset(saved.preset.name);
+        } else {
+          tuningPresets.deleteCustomTuningPreset(data.name);
+        }
+        sendToFigma(targetGroup, { type: 'media-tuning-presets-updated', success: true, ignored, ...tuningPresets.listTuningPresets() });
+      } catch (error) {
+        console.warn(`⚠️ [Tuning] ${data.type} 失败: ${error.message}`);
+        sendToFigma(targetGroup, { type: 'media-tuning-presets-updated', success: false, error: error.message, ...tuningPresets.listTuningPresets() });
+      }
+      return;
+    }
+    
     // 截图消息
     if (data.type === 'screenshot') {
       sendToFigma(targetGroup, data);
@@ -4929,6 +5802,10 @@ wss.on('connection', (ws, req) => {
   });
   
   ws.on('close', () => {
+    if (clientType === 'mac') {
+      // watcher 断开：归还其占用 / 排队的调度槽位
+      mediaJobScheduler.releaseOwner(`mac:${connectionId}`);
+    }
     const group = connections.get(connectionId);
     if (group) {
       const isActiveSocket = group[clientType] === ws;
@@ -4944,6 +5821,11 @@ wss.on('connection', (ws, req) => {
       
       // 清理单实例映射
       if (clientType === 'figma') {
+        if (isActiveSocket) {
+          userConfig.updateGifCachePins(`figma:${connectionId}`, []);
+          // 插件断开：归还其导出 / 抽帧 / 重编码占用与排队的调度槽位
+          mediaJobScheduler.releaseOwner(connectionId);
+        }
         const instance = userInstances.get(connectionId);
         if (instance && instance.figmaWs === ws) {
           userInstances.delete(connectionId);
@@ -5006,6 +5888,9 @@ const { checkAndNotifyUpdates, getCurrentServerVersion, handlePluginUpdate, hand
 const PORT = process.env.PORT || 8888;
 const HOST = process.env.HOST || '0.0.0.0';
 
+// 调参预设：加载当前预设，并在预设文件变化时重新应用
+tuningPresets.startTuningPresetSync();
+
 // 启动服务器，添加错误处理
 try {
 server.listen(PORT, HOST, () => {
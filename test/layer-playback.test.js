@@ -0,0 +1,66 @@
+// layer-playback 纯函数单测
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizePlaybackSpeed,
+  hasLayerPlaybackEdits,
+  resolveLayerPlayback,
+  mapPlaybackTime,
+  buildPlaybackFilter
+} = require('../layer-playback');
+
+test('normalizePlaybackSpeed: 空值为 1x，超出范围时限制到 0.5-4x', () => {
+  assert.equal(normalizePlaybackSpeed(undefined), 1);
+  assert.equal(normalizePlaybackSpeed(''), 1);
+  assert.equal(normalizePlaybackSpeed('abc'), 1);
+  assert.equal(normalizePlaybackSpeed(0.1), 0.5);
+  assert.equal(normalizePlaybackSpeed(8), 4);
+  assert.equal(normalizePlaybackSpeed('2'), 2);
+});
+
+test('hasLayerPlaybackEdits: 仅倍速或偏移非默认时视为有编辑', () => {
+  assert.equal(hasLayerPlaybackEdits(null), false);
+  assert.equal(hasLayerPlaybackEdits({ start: 0, end: 100 }), false);
+  assert.equal(hasLayerPlaybackEdits({ speed: 1, offset: 0 }), false);
+  assert.equal(hasLayerPlaybackEdits({ speed: 2 }), true);
+  assert.equal(hasLayerPlaybackEdits({ offset: -1.5 }), true);
+});
+
+test('resolveLayerPlayback: 图层倍速与整体导出倍速相乘，偏移按导出倍速换算', () => {
+  assert.deepEqual(resolveLayerPlayback({ speed: 2, offset: 1 }, 4, 2), {
+    speed: 4,
+    offset: 0.5,
+    sourceSec: 4,
+    durationSec: 1.5
+  });
+});
+
+test('resolveLayerPlayback: 负偏移最多跳到源末尾前一帧', () => {
+  const playback = resolveLayerPlayback({ offset: -100 }, 3);
+  assert.equal(playback.offset, -2.99);
+  assert.ok(playback.durationSec > 0);
+});
+
+test('mapPlaybackTime: 延后段停在首帧，超出源时长后循环', () => {
+  const delayed = { speed: 2, offset: 1, sourceSec: 3 };
+  assert.equal(mapPlaybackTime(delayed, 0.5), 0);
+  assert.equal(mapPlaybackTime(delayed, 2), 2);
+  assert.equal(mapPlaybackTime(delayed, 3), 1);
+  assert.equal(mapPlaybackTime({ speed: 1, offset: 0, sourceSec: 0 }, 5), 0);
+});
+
+test('buildPlaybackFilter: 无需重定时返回空字符串', () => {
+  assert.equal(buildPlaybackFilter({ speed: 1, offset: 0 }), '');
+});
+
+test('buildPlaybackFilter: 负偏移裁掉源开头，正偏移克隆首帧延后', () => {
+  assert.equal(
+    buildPlaybackFilter({ speed: 2, offset: -0.5 }),
+    'trim=start=1.000000,setpts=(PTS-STARTPTS)/2'
+  );
+  assert.equal(
+    buildPlaybackFilter({ speed: 1, offset: 1.25 }),
+    'tpad=start_duration=1.250000:start_mode=clone'
+  );
+});
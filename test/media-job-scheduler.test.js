@@ -0,0 +1,150 @@
+// media-job-scheduler 单测：并发预算、优先级出队、交互式超额、取消与归还
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+
+const {
+  getJobBudget,
+  createMediaJobScheduler,
+  createRemoteJobClient
+} = require('../media-job-scheduler');
+
+// 调度日志与断言无关，静默避免干扰测试输出
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+// 固定单槽位且不受内存影响，保证结果与运行机器无关
+const buildTuning = (scheduler = {}) => ({
+  scheduler: { maxSlots: 1, minFreeMemRatio: 0, interactiveBurst: 0, ...scheduler }
+});
+
+const pressure = (level, cpuCount = 8) => ({ level, cpuCount });
+
+const isSettled = async (promise) => {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  return settled;
+};
+
+test('getJobBudget: 按 CPU 核数与负载计算槽位，最少 1 个', () => {
+  const tuning = { scheduler: { maxSlots: 4, minFreeMemRatio: 0 } };
+  assert.equal(getJobBudget(tuning, { pressure: pressure('low') }).slots, 4);
+  assert.equal(getJobBudget(tuning, { pressure: pressure('low', 4) }).slots, 2);
+  assert.equal(getJobBudget(tuning, { pressure: pressure('medium') }).slots, 3);
+  assert.equal(getJobBudget(tuning, { pressure: pressure('high') }).slots, 1);
+  assert.equal(getJobBudget(tuning, { pressure: pressure('critical') }).slots, 1);
+  assert.equal(getJobBudget(tuning, { pressure: pressure('medium', 1) }).slots, 1);
+});
+
+test('getJobBudget: 可用内存低于阈值时降为单槽位', (t) => {
+  t.mock.method(os, 'freemem', () => 0);
+  const budget = getJobBudget({ scheduler: { maxSlots: 4, minFreeMemRatio: 0.12 } }, { pressure: pressure('low') });
+  assert.equal(budget.slots, 1);
+  assert.equal(budget.memoryLow, true);
+});
+
+test('createMediaJobScheduler: 按优先级出队，同优先级先来后到', async () => {
+  const scheduler = createMediaJobScheduler({ mediaTuning: buildTuning() });
+  const first = await scheduler.acquire({ kind: 'backfill', label: 'first' });
+
+  const order = [];
+  const waiting = [
+    ['backfill', 'backfill-a'],
+    ['realtime', 'realtime'],
+    ['backfill', 'backfill-b'],
+    ['interactive', 'interactive']
+  ].map(([kind, label]) => scheduler.acquire({ kind, label }).then(jobId => {
+    order.push(label);
+    return jobId;
+  }));
+
+  assert.deepEqual(scheduler.snapshot().queued.map(job => job.label), ['interactive', 'realtime', 'backfill-a', 'backfill-b']);
+
+  let current = first;
+  for (let i = 0; i < waiting.length; i++) {
+    scheduler.release(current);
+    await new Promise(resolve => setImmediate(resolve));
+    current = scheduler.snapshot().running[0].jobId;
+  }
+  scheduler.release(current);
+  await Promise.all(waiting);
+  assert.deepEqual(order, ['interactive', 'realtime', 'backfill-a', 'backfill-b']);
+  assert.equal(scheduler.snapshot().running.length, 0);
+});
+
+test('createMediaJobScheduler: 交互式导出可超出预算 interactiveBurst 个槽位', async () => {
+  const scheduler = createMediaJobScheduler({ mediaTuning: buildTuning({ interactiveBurst: 1 }) });
+  const background = await scheduler.acquire({ kind: 'backfill' });
+  const interactive = scheduler.acquire({ kind: 'interactive' });
+  const secondInteractive = scheduler.acquire({ kind: 'interactive' });
+
+  assert.equal(await isSettled(interactive), true);
+  assert.equal(await isSettled(secondInteractive), false);
+
+  scheduler.release(background);
+  scheduler.release(await interactive);
+  scheduler.release(await secondInteractive);
+  assert.equal(scheduler.snapshot().running.length, 0);
+});
+
+test('createMediaJobScheduler: 归还排队中的任务会以取消错误拒绝', async () => {
+  const scheduler = createMediaJobScheduler({ mediaTuning: buildTuning() });
+  const running = await scheduler.acquire({ kind: 'manual' });
+  const queued = scheduler.acquire({ kind: 'backfill', jobId: 'queued-job', cancelMessage: 'cancelled by test' });
+
+  assert.equal(scheduler.release('queued-job'), true);
+  await assert.rejects(queued, { code: 'MEDIA_JOB_CANCELLED', message: 'cancelled by test' });
+  assert.equal(scheduler.release('missing-job'), false);
+  scheduler.release(running);
+});
+
+test('createMediaJobScheduler: releaseOwner 回收断开连接的运行与排队任务', async () => {
+  const scheduler = createMediaJobScheduler({ mediaTuning: buildTuning() });
+  await scheduler.acquire({ kind: 'realtime', owner: 'drive' });
+  const queued = scheduler.acquire({ kind: 'realtime', owner: 'drive' });
+  const other = scheduler.acquire({ kind: 'backfill', owner: 'icloud' });
+
+  scheduler.releaseOwner('drive');
+  await assert.rejects(queued, { code: 'MEDIA_JOB_CANCELLED' });
+  scheduler.release(await other);
+  const snapshot = scheduler.snapshot();
+  assert.equal(snapshot.running.length, 0);
+  assert.equal(snapshot.queued.length, 0);
+});
+
+test('createMediaJobScheduler: run 在任务失败时也会归还槽位', async () => {
+  const changes = [];
+  const scheduler = createMediaJobScheduler({ mediaTuning: buildTuning(), onChange: snapshot => changes.push(snapshot) });
+  await assert.rejects(scheduler.run({ kind: 'manual' }, async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await scheduler.run({ kind: 'manual' }, async () => 'ok'), 'ok');
+  assert.equal(scheduler.snapshot().running.length, 0);
+  assert.ok(changes.length > 0);
+});
+
+test('createMediaJobScheduler: 关闭调度时直接放行', async () => {
+  const scheduler = createMediaJobScheduler({ mediaTuning: buildTuning({ enabled: 0 }) });
+  const first = await scheduler.acquire({ kind: 'backfill' });
+  const second = scheduler.acquire({ kind: 'backfill' });
+  assert.equal(await isSettled(second), true);
+  scheduler.release(first);
+  scheduler.release(await second);
+});
+
+test('createRemoteJobClient: server 未连接时直接执行任务', async () => {
+  const client = createRemoteJobClient({ getSocket: () => null, source: 'drive', mediaTuning: buildTuning() });
+  assert.equal(await client.run({ kind: 'realtime' }, async () => 'done'), 'done');
+});
+
+test('createRemoteJobClient: 收到 media-job-granted 后执行并回报完成', async () => {
+  const sent = [];
+  const socket = { readyState: 1, send: (raw) => sent.push(JSON.parse(raw)) };
+  const client = createRemoteJobClient({ getSocket: () => socket, source: 'icloud', mediaTuning: buildTuning() });
+
+  const result = client.run({ kind: 'realtime', label: 'clip.mov' }, async () => 'converted');
+  assert.equal(sent[0].type, 'media-job-request');
+  assert.equal(sent[0].source, 'icloud');
+  assert.equal(client.handleMessage({ type: 'media-job-granted', jobId: sent[0].jobId }), true);
+  assert.equal(await result, 'converted');
+  assert.deepEqual(sent[1], { type: 'media-job-done', jobId: sent[0].jobId });
+});
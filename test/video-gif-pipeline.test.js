@@ -0,0 +1,214 @@
+// video-gif-pipeline 纯函数单测
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildFrameDedupFilter,
+  searchProfilesWithinBudget,
+  computeDeadTimeTrim,
+  computeSceneChapters,
+  planVideoSegments,
+  normalizeCropRect
+} = require('../video-gif-pipeline');
+
+test('buildFrameDedupFilter: 未配置时使用默认阈值', () => {
+  assert.equal(buildFrameDedupFilter(), 'mpdecimate=hi=768:lo=320:frac=0.33');
+  assert.equal(buildFrameDedupFilter({ composerExport: {} }), 'mpdecimate=hi=768:lo=320:frac=0.33');
+});
+
+test('buildFrameDedupFilter: 读取 composerExport.frameDedup 并限制取值范围', () => {
+  const filter = buildFrameDedupFilter({
+    composerExport: { frameDedup: { hi: 1000.4, lo: 200, frac: 5, maxDrop: 8 } }
+  });
+  assert.equal(filter, 'mpdecimate=hi=1000:lo=200:frac=1:max=8');
+});
+
+test('buildFrameDedupFilter: maxDrop 为 0 时不限制连续丢帧', () => {
+  const filter = buildFrameDedupFilter({ composerExport: { frameDedup: { maxDrop: 0, frac: 0.5 } } });
+  assert.equal(filter, 'mpdecimate=hi=768:lo=320:frac=0.5');
+});
+
+test.describe('searchProfilesWithinBudget', () => {
+  let tempDir;
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screensync-budget-test-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // 档位按画质从高到低排列，编码结果体积依次减小
+  const runSearch = (sizes, budgetBytes, { failing = [] } = {}) => {
+    const outputPath = path.join(tempDir, 'out.gif');
+    const encodedLabels = [];
+    const errors = [];
+    const profiles = sizes.map((size, index) => ({ label: `p${index}`, size }));
+    const promise = searchProfilesWithinBudget({
+      profiles,
+      budgetBytes,
+      outputPath,
+      tempDir,
+      encode: async (profile) => {
+        encodedLabels.push(profile.label);
+        if (failing.includes(profile.label)) throw new Error(`encode failed: ${profile.label}`);
+        fs.writeFileSync(outputPath, Buffer.alloc(profile.size));
+        return { label: profile.label };
+      },
+      onError: (error, profile) => errors.push(profile.label)
+    });
+    return promise.then(result => ({ result, outputPath, encodedLabels, errors }));
+  };
+
+  test('二分查找预算内画质最高的档位，并清理其它候选', async () => {
+    const { result, outputPath, encodedLabels } = await runSearch([500, 300, 200, 100], 250);
+    assert.equal(result.index, 2);
+    assert.equal(result.withinBudget, true);
+    assert.deepEqual(result.encoded, { label: 'p2' });
+    assert.deepEqual(encodedLabels, ['p1', 'p2']);
+    assert.equal(fs.statSync(outputPath).size, 200);
+    assert.deepEqual(fs.readdirSync(tempDir), ['out.gif']);
+  });
+
+  test('全部超出预算时返回体积最小的结果', async () => {
+    const { result, outputPath } = await runSearch([500, 300, 200, 100], 50);
+    assert.equal(result.index, 3);
+    assert.equal(result.withinBudget, false);
+    assert.equal(fs.statSync(outputPath).size, 100);
+    assert.equal(result.attempts.every(item => item.fits === false), true);
+  });
+
+  test('编码失败的档位交给 onError 并继续搜索', async () => {
+    const { result, errors } = await runSearch([500, 300, 200, 100], 250, { failing: ['p1'] });
+    assert.deepEqual(errors, ['p1']);
+    assert.equal(result.index, 2);
+    assert.equal(result.attempts[0].error, 'encode failed: p1');
+  });
+
+  test('全部档位失败时返回 null', async () => {
+    const { result } = await runSearch([500, 300], 250, { failing: ['p0', 'p1'] });
+    assert.equal(result, null);
+  });
+});
+
+test('computeDeadTimeTrim: 无静止片段与场景切换时不裁剪', () => {
+  assert.equal(computeDeadTimeTrim({ durationSec: 10 }), null);
+  assert.equal(computeDeadTimeTrim({ durationSec: 0, freezes: [{ start: 0, end: 1 }] }), null);
+});
+
+test('computeDeadTimeTrim: 裁掉首尾静止片段', () => {
+  const trim = computeDeadTimeTrim({
+    durationSec: 10,
+    freezes: [{ start: 0, end: 1.2 }, { start: 8.5, end: null }]
+  });
+  assert.deepEqual(trim, {
+    startSec: 1.2,
+    endSec: 8.5,
+    sourceDurationSec: 10,
+    trimmedLeadSec: 1.2,
+    trimmedTailSec: 1.5,
+    reasons: ['static-lead', 'static-tail']
+  });
+});
+
+test('computeDeadTimeTrim: 整段静止交给静止帧合并，不裁剪', () => {
+  assert.equal(computeDeadTimeTrim({ durationSec: 10, freezes: [{ start: 0, end: null }] }), null);
+});
+
+test('computeDeadTimeTrim: 开头窗口内的场景切换视为控制中心入场', () => {
+  const trim = computeDeadTimeTrim({ durationSec: 10, sceneCuts: [1, 5] });
+  assert.equal(trim.startSec, 1);
+  assert.equal(trim.endSec, 10);
+  assert.deepEqual(trim.reasons, ['control-center-lead']);
+});
+
+test('computeDeadTimeTrim: 首尾裁剪量受 maxLeadSec / maxTailSec 限制', () => {
+  const trim = computeDeadTimeTrim({
+    durationSec: 20,
+    freezes: [{ start: 0, end: 6 }, { start: 12, end: null }]
+  });
+  assert.equal(trim.startSec, 4);
+  assert.equal(trim.endSec, 16);
+});
+
+test('computeDeadTimeTrim: 裁剪后短于 minKeepSec 时放弃', () => {
+  const trim = computeDeadTimeTrim({
+    durationSec: 3,
+    freezes: [{ start: 0, end: 1.5 }, { start: 2, end: null }],
+    config: { minKeepSec: 1 }
+  });
+  assert.equal(trim, null);
+});
+
+test('computeSceneChapters: 时长不足 minDurationSec 时不拆分', () => {
+  assert.equal(computeSceneChapters({ rangeEndSec: 50, sceneCuts: [20, 30] }), null);
+});
+
+test('computeSceneChapters: 按场景切换拆分并丢弃过短章节', () => {
+  const chapters = computeSceneChapters({
+    rangeStartSec: 0,
+    rangeEndSec: 120,
+    sceneCuts: [115, 5, 30, 35, 70]
+  });
+  assert.deepEqual(chapters, [
+    { startSec: 0, endSec: 30 },
+    { startSec: 30, endSec: 70 },
+    { startSec: 70, endSec: 120 }
+  ]);
+});
+
+test('computeSceneChapters: 没有可用切换点时返回 null', () => {
+  assert.equal(computeSceneChapters({ rangeEndSec: 120, sceneCuts: [2, 118] }), null);
+});
+
+test('computeSceneChapters: 只使用范围内的切换点', () => {
+  const chapters = computeSceneChapters({
+    rangeStartSec: 10,
+    rangeEndSec: 100,
+    sceneCuts: [5, 50, 105],
+    config: { minDurationSec: 60 }
+  });
+  assert.deepEqual(chapters, [
+    { startSec: 10, endSec: 50 },
+    { startSec: 50, endSec: 100 }
+  ]);
+});
+
+test('planVideoSegments: 时长不足时不分段', () => {
+  assert.equal(planVideoSegments({ durationSec: 10 }), null);
+  assert.equal(planVideoSegments({ durationSec: 0 }), null);
+});
+
+test('planVideoSegments: 按目标段长均分，最后一段不限时长', () => {
+  assert.deepEqual(planVideoSegments({ durationSec: 45 }), [
+    { startSec: 0, durationSec: 15 },
+    { startSec: 15, durationSec: 15 },
+    { startSec: 30, durationSec: null }
+  ]);
+});
+
+test('planVideoSegments: 段数受 maxSegments 限制', () => {
+  const segments = planVideoSegments({ durationSec: 600, config: { maxSegments: 12 } });
+  assert.equal(segments.length, 12);
+  assert.equal(segments[1].startSec, 50);
+  assert.equal(segments[11].durationSec, null);
+});
+
+test('normalizeCropRect: 空值、过小或覆盖整个画面时返回 null', () => {
+  assert.equal(normalizeCropRect(null), null);
+  assert.equal(normalizeCropRect({ x: 0, y: 0, width: 1, height: 1 }), null);
+  assert.equal(normalizeCropRect({ x: 0.2, y: 0.2, width: 0.005, height: 0.5 }), null);
+});
+
+test('normalizeCropRect: 宽高限制在画面内并保留四位小数', () => {
+  assert.deepEqual(normalizeCropRect({ x: 0.5, y: '0.25', width: 0.8, height: 0.123456 }), {
+    x: 0.5,
+    y: 0.25,
+    width: 0.5,
+    height: 0.1235
+  });
+});
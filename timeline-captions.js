@@ -0,0 +1,145 @@
+// timeline-captions.js
+// 时间线字幕轨：时间线编辑器为每个 Frame 记录一组字幕 / 步骤标签，保存在 Frame 的 pluginData 中，
+// 导出时随 compose-annotated-gif 的 captions 传入合成器。
+// 字段约定：{ id, text, start, end, position, background, fontSize, kind }
+// start / end 为时间线百分比 (0-100)；position 为 top / center / bottom；background 为是否绘制圆角底板；
+// fontSize 为导出分辨率下的像素字号（code.js 已按 exportScale 换算）；kind=step 时按开始时间自动编号。
+// 每条字幕渲染为整帧透明 PNG，作为带时间范围的标注图层参与合成（与普通标注图层共用时间线逻辑）。
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_CAPTIONS = 50;
+const MAX_CAPTION_LENGTH = 200;
+const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+const DEFAULT_CAPTION_FONT_SIZE = 24;
+const MIN_CAPTION_FONT_SIZE = 8;
+const MAX_CAPTION_FONT_SIZE = 200;
+const MIN_CAPTION_RANGE = 0.5;
+
+// 未指定字体时依次尝试的系统字体（需覆盖中文）
+const DEFAULT_FONT_CANDIDATES = [
+  '/System/Library/Fonts/PingFang.ttc',
+  '/System/Library/Fonts/Hiragino Sans GB.ttc',
+  '/System/Library/Fonts/STHeiti Medium.ttc',
+  '/Library/Fonts/Arial Unicode.ttf'
+];
+
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, num));
+}
+
+/**
+ * 规范化字幕列表：丢弃空文本 / 无效区间，按开始时间排序；步骤标签生成带序号的 label
+ * @returns {Array<object>}
+ */
+function normalizeCaptions(raw) {
+  if (!Array.isArray(raw)) return [];
+  const captions = [];
+  for (const item of raw) {
+    if (!item || typeof item !== 'object') continue;
+    const text = String(item.text || '').replace(/\r\n?/g, '\n').trim().slice(0, MAX_CAPTION_LENGTH);
+    if (!text) continue;
+    const start = clampNumber(item.start, 0, 100, 0);
+    const end = clampNumber(item.end, 0, 100, 100);
+    if (end - start < MIN_CAPTION_RANGE) continue;
+    captions.push({
+      id: String(item.id || `caption_${captions.length}`),
+      text,
+      start,
+      end,
+      position: CAPTION_POSITIONS.includes(item.position) ? item.position : 'bottom',
+      background: item.background !== false,
+      fontSize: Math.round(clampNumber(item.fontSize, MIN_CAPTION_FONT_SIZE, MAX_CAPTION_FONT_SIZE, DEFAULT_CAPTION_FONT_SIZE)),
+      kind: item.kind === 'step' ? 'step' : 'caption'
+    });
+    if (captions.length >= MAX_CAPTIONS) break;
+  }
+  captions.sort((a, b) => a.start - b.start);
+  let step = 0;
+  return captions.map(caption => ({
+    ...caption,
+    label: caption.kind === 'step' ? `${++step}. ${caption.text}` : caption.text
+  }));
+}
+
+function resolveCaptionFont(fontPath) {
+  if (fontPath && fs.existsSync(fontPath)) return fontPath;
+  return DEFAULT_FONT_CANDIDATES.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// magick caption: 的文本放在双引号里：转义 shell 特殊字符，% 与开头的 @ 会被 ImageMagick 当作格式 / 文件引用
+function escapeCaptionText(text) {
+  return String(text)
+    .replace(/[\\"$`]/g, '\\$&')
+    .replace(/%/g, '%%')
+    .replace(/^@/, '\\@');
+}
+
+/**
+ * 渲染字幕为整帧透明 PNG
+ * @param {object} options
+ * @param {Function} options.execAsync
+ * @param {string} options.magickBin
+ * @param {Array<object>} options.captions - normalizeCaptions 的结果
+ * @param {number} options.frameW
+ * @param {number} options.frameH
+ * @param {string} options.workDir
+ * @param {object} [options.config] - mediaTuning.captions
+ * @returns {Promise<Array<{ id, path, label, start, end }>>}
+ */
+async function renderCaptionLayers({ execAsync, magickBin, captions, frameW, frameH, workDir, config = {} }) {
+  if (!Array.isArray(captions) || captions.length === 0) return [];
+  fs.mkdirSync(workDir, { recursive: true });
+  const font = resolveCaptionFont(config.fontPath);
+  const fontArg = font ? `-font "${font}"` : '';
+  const marginRatio = clampNumber(config.marginRatio, 0, 0.4, 0.06);
+  const results = [];
+
+  for (let i = 0; i < captions.length; i++) {
+    const caption = captions[i];
+    const textPath = path.join(workDir, `caption_${i}_text.png`);
+    const outputPath = path.join(workDir, `caption_${i}.png`);
+    const padX = caption.background ? Math.round(caption.fontSize * 0.6) : 0;
+    const padY = caption.background ? Math.round(caption.fontSize * 0.35) : 0;
+    const maxTextW = Math.max(caption.fontSize, Math.round(frameW * 0.9) - padX * 2);
+    // 无底板时加柔和阴影，保证浅色画面上也可读
+    const shadowArgs = caption.background
+      ? ''
+      : ` \\( +clone -background "rgba(0,0,0,0.75)" -shadow 80x${Math.max(1, Math.round(caption.fontSize / 12))}+0+1 \\) +swap -background none -layers merge +repage`;
+    await execAsync(
+      `${magickBin} -background none -fill "#FFFFFF" ${fontArg} -pointsize ${caption.fontSize} -size ${maxTextW}x -gravity center caption:"${escapeCaptionText(caption.label)}" -trim +repage${shadowArgs} "${textPath}"`,
+      { timeout: 30000, maxBuffer: 10 * 1024 * 1024 }
+    );
+    const { stdout } = await execAsync(`${magickBin} identify -format "%w %h" "${textPath}"`, { timeout: 15000 });
+    const [textW, textH] = String(stdout).trim().split(/\s+/).map(value => Math.max(1, Math.round(Number(value) || 1)));
+
+    const boxW = Math.min(frameW, textW + padX * 2);
+    const boxH = Math.min(frameH, textH + padY * 2);
+    const margin = Math.round(frameH * marginRatio);
+    const boxX = Math.round((frameW - boxW) / 2);
+    const boxY = caption.position === 'top'
+      ? margin
+      : caption.position === 'center'
+        ? Math.round((frameH - boxH) / 2)
+        : frameH - margin - boxH;
+    const radius = Math.round(boxH / 2);
+    const pillArgs = caption.background
+      ? `-fill "rgba(0,0,0,0.62)" -draw "roundrectangle ${boxX},${boxY} ${boxX + boxW - 1},${boxY + boxH - 1} ${radius},${radius}"`
+      : '';
+    await execAsync(
+      `${magickBin} -size ${frameW}x${frameH} xc:none ${pillArgs} "${textPath}" -geometry +${boxX + Math.round((boxW - textW) / 2)}+${boxY + Math.round((boxH - textH) / 2)} -composite "${outputPath}"`,
+      { timeout: 30000, maxBuffer: 10 * 1024 * 1024 }
+    );
+    try { fs.unlinkSync(textPath); } catch (_) {}
+    results.push({ id: caption.id, path: outputPath, label: caption.label, start: caption.start, end: caption.end });
+  }
+  return results;
+}
+
+module.exports = {
+  normalizeCaptions,
+  renderCaptionLayers
+};
@@ -0,0 +1,322 @@
+// tuning-presets.js
+// 媒体处理调参预设：内置「画质优先 / 均衡 / 速度优先」+ 用户自定义预设
+// 预设只记录相对默认值（环境变量/代码默认）的覆盖项，切换时原地改写 media-processing-tuning 导出对象，
+// server 与 watcher 进程通过监听预设文件同步生效，无需重启。
+
+const fs = require('fs');
+const path = require('path');
+const mediaTuning = require('./media-processing-tuning');
+
+const PRESETS_FILE = path.join(__dirname, '.tuning-presets.json');
+const DEFAULT_PRESET = 'balanced';
+const WATCH_INTERVAL_MS = 2000;
+
+// 启动期即被读取的参数（分块上传路由等），切换预设不生效，需重启
+const RESTART_ONLY_KEYS = new Set([
+  'thresholds.chunkRecommendedMb',
+  'thresholds.chunkMaxMb'
+]);
+
+const BUILTIN_PRESETS = {
+  quality: {
+    label: '画质优先',
+    overrides: {
+      thresholds: { ultraSpeedVideoMb: 250, largeVideoMb: 50 },
+      watcher: {
+        largeSinglePass: { fps: 20, scaleDivisor: 3, maxColors: 256, dither: 'sierra2_4a' },
+        smallTwoPass: { fps: 24, scaleDivisor: 3 },
+        ultra: { fps: 18, maxColors: 192, dither: 'bayer:bayer_scale=2' }
+      },
+      composerExport: {
+        ultraTrigger: { minVideoMb: 250 },
+        quality: { lossyBase: 60, lossyMedium: 70, lossyLarge: 80, lossyXLarge: 90 },
+        qualityScoring: { targetSsim: 0.97, maxCandidates: 3 }
+      }
+    }
+  },
+  balanced: {
+    label: '均衡',
+    overrides: {}
+  },
+  speed: {
+    label: '速度优先',
+    overrides: {
+      thresholds: { ultraSpeedVideoMb: 80, largeVideoMb: 20 },
+      watcher: {
+        largeSinglePass: { fps: 12, scaleDivisor: 5, maxColors: 128, dither: 'bayer:bayer_scale=4' },
+        smallTwoPass: { fps: 15, scaleDivisor: 5 },
+        ultra: { fps: 12, scaleDivisor: 5, maxColors: 128 }
+      },
+      composerExport: {
+        ultraTrigger: { minVideoMb: 80, minFrames: 160 },
+        qualityScoring: { enabled: 0 }
+      },
+      scenePalette: { enabled: 0 }
+    }
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneDeep(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// 进程启动时的取值（已包含环境变量覆盖），作为所有预设的基准
+const DEFAULT_TUNING = cloneDeep(mediaTuning);
+
+/**
+ * 过滤覆盖项：只保留默认配置中存在、类型一致的键
+ * @returns {{ overrides: Object, ignored: string[] }}
+ */
+function sanitizeOverrides(overrides, base = DEFAULT_TUNING, prefix = '') {
+  const result = {};
+  const ignored = [];
+  if (!isPlainObject(overrides)) return { overrides: result, ignored };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(base, key) || RESTART_ONLY_KEYS.has(keyPath)) {
+      ignored.push(keyPath);
+      continue;
+    }
+    const baseValue = base[key];
+    if (isPlainObject(baseValue)) {
+      const nested = sanitizeOverrides(value, baseValue, keyPath);
+      ignored.push(...nested.ignored);
+      if (Object.keys(nested.overrides).length > 0) result[key] = nested.overrides;
+    } else if (typeof baseValue === 'number') {
+      const num = Number(value);
+      if (value !== '' && value !== null && Number.isFinite(num)) result[key] = num;
+      else ignored.push(keyPath);
+    } else if (typeof baseValue === 'string' && typeof value === 'string' && value.trim()) {
+      result[key] = value.trim();
+    } else {
+      ignored.push(keyPath);
+    }
+  }
+  return { overrides: result, ignored };
+}
+
+function applyInPlace(target, defaults, overrides = {}) {
+  for (const [key, defaultValue] of Object.entries(defaults)) {
+    const override = overrides[key];
+    if (isPlainObject(defaultValue)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      applyInPlace(target[key], defaultValue, isPlainObject(override) ? override : {});
+    } else {
+      target[key] = override !== undefined ? override : defaultValue;
+    }
+  }
+}
+
+function readPresetStore() {
+  try {
+    if (fs.existsSync(PRESETS_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(PRESETS_FILE, 'utf8'));
+      return {
+        active: typeof parsed.active === 'string' ? parsed.active : DEFAULT_PRESET,
+        custom: isPlainObject(parsed.custom) ? parsed.custom : {}
+      };
+    }
+  } catch (error) {
+    console.warn('⚠️ 读取调参预设失败:', error.message);
+  }
+  return { active: DEFAULT_PRESET, custom: {} };
+}
+
+function writePresetStore(store) {
+  try {
+    store.updatedAt = new Date().toISOString();
+    fs.writeFileSync(PRESETS_FILE, JSON.stringify(store, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error('❌ 写入调参预设失败:', error.message);
+    return false;
+  }
+}
+
+function resolvePreset(name, store = readPresetStore()) {
+  if (BUILTIN_PRESETS[name]) {
+    return { name, label: BUILTIN_PRESETS[name].label, builtin: true, overrides: BUILTIN_PRESETS[name].overrides };
+  }
+  const custom = store.custom[name];
+  if (custom) {
+    return {
+      name,
+      label: custom.label || name,
+      builtin: false,
+      overrides: sanitizeOverrides(custom.overrides).overrides
+    };
+  }
+  return null;
+}
+
+let appliedPreset = DEFAULT_PRESET;
+
+function applyPresetToRuntime(preset) {
+  applyInPlace(mediaTuning, DEFAULT_TUNING, preset ? preset.overrides : {});
+  appliedPreset = preset ? preset.name : DEFAULT_PRESET;
+}
+
+/**
+ * 列出全部预设（内置在前）及当前生效的预设名
+ */
+function listTuningPresets() {
+  const store = readPresetStore();
+  const presets = Object.keys(BUILTIN_PRESETS).map(name => ({
+    name,
+    label: BUILTIN_PRESETS[name].label,
+    builtin: true,
+    overrides: BUILTIN_PRESETS[name].overrides
+  }));
+  for (const [name, custom] of Object.entries(store.custom)) {
+    if (BUILTIN_PRESETS[name]) continue;
+    presets.push({
+      name,
+      label: custom.label || name,
+      builtin: false,
+      overrides: sanitizeOverrides(custom.overrides).overrides,
+      updatedAt: custom.updatedAt || null
+    });
+  }
+  const active = resolvePreset(store.active, store) ? store.active : DEFAULT_PRESET;
+  return { active, presets };
+}
+
+/**
+ * 切换当前预设并立即应用到本进程（其他进程通过文件监听同步）
+ * @param {string} name
+ */
+function setActiveTuningPreset(name) {
+  const store = readPresetStore();
+  const preset = resolvePreset(name, store);
+  if (!preset) {
+    throw new Error(`预设不存在: ${name}`);
+  }
+  store.active = name;
+  if (!writePresetStore(store)) {
+    throw new Error('写入调参预设失败');
+  }
+  applyPresetToRuntime(preset);
+  console.log(`🎛️  [Tuning] 已切换预设: ${preset.label} (${name})`);
+  return preset;
+}
+
+/**
+ * 保存自定义预设（同名覆盖）；若该预设正在使用则立即重新应用
+ * @param {string} name
+ * @param {Object} overrides 相对默认值的覆盖项，结构同 media-processing-tuning
+ * @param {string} [label]
+ * @returns {{ preset: Object, ignored: string[] }}
+ */
+function saveCustomTuningPreset(name, overrides, label) {
+  const presetName = String(name || '').trim();
+  if (!presetName) {
+    throw new Error('预设名称不能为空');
+  }
+  if (BUILTIN_PRESETS[presetName]) {
+    throw new Error(`不能覆盖内置预设: ${presetName}`);
+  }
+  const { overrides: cleaned, ignored } = sanitizeOverrides(overrides);
+  const store = readPresetStore();
+  store.custom[presetName] = {
+    label: String(label || presetName).trim() || presetName,
+    overrides: cleaned,
+    updatedAt: new Date().toISOString()
+  };
+  if (!writePresetStore(store)) {
+    throw new Error('写入调参预设失败');
+  }
+  if (store.active === presetName) {
+    applyPresetToRuntime(resolvePreset(presetName, store));
+  }
+  if (ignored.length > 0) {
+    console.warn(`⚠️ [Tuning] 预设 ${presetName} 忽略了无效/需重启的参数: ${ignored.join(', ')}`);
+  }
+  return { preset: resolvePreset(presetName, store), ignored };
+}
+
+/**
+ * 删除自定义预设；若正在使用则回到默认预设
+ * @param {string} name
+ */
+function deleteCustomTuningPreset(name) {
+  if (BUILTIN_PRESETS[name]) {
+    throw new Error(`不能删除内置预设: ${name}`);
+  }
+  const store = readPresetStore();
+  if (!store.custom[name]) {
+    throw new Error(`预设不存在: ${name}`);
+  }
+  delete store.custom[name];
+  if (store.active === name) {
+    store.active = DEFAULT_PRESET;
+  }
+  if (!writePresetStore(store)) {
+    throw new Error('写入调参预设失败');
+  }
+  applyPresetToRuntime(resolvePreset(store.active, store));
+}
+
+/**
+ * 仅在本进程应用预设，不写入预设文件（基准测试等离线场景使用）
+ * @param {string} name
+ */
+function applyTuningPreset(name) {
+  const preset = resolvePreset(name);
+  if (!preset) {
+    throw new Error(`预设不存在: ${name}`);
+  }
+  applyPresetToRuntime(preset);
+  return preset;
+}
+
+function reloadActiveTuningPreset() {
+  const store = readPresetStore();
+  const preset = resolvePreset(store.active, store) || resolvePreset(DEFAULT_PRESET, store);
+  const changed = preset.name !== appliedPreset;
+  applyPresetToRuntime(preset);
+  if (changed) {
+    console.log(`🎛️  [Tuning] 已应用预设: ${preset.label} (${preset.name})`);
+  }
+  return preset;
+}
+
+let syncStarted = false;
+
+/**
+ * 加载当前预设并监听预设文件：插件切换预设后 server / watcher 进程自动重新应用
+ */
+function startTuningPresetSync() {
+  reloadActiveTuningPreset();
+  if (syncStarted) return;
+  syncStarted = true;
+  const watcher = fs.watchFile(PRESETS_FILE, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      reloadActiveTuningPreset();
+    } catch (error) {
+      console.warn('⚠️ [Tuning] 重新应用预设失败:', error.message);
+    }
+  });
+  // 不阻止进程退出
+  if (watcher && typeof watcher.unref === 'function') watcher.unref();
+}
+
+function getActiveTuningPresetName() {
+  return appliedPreset;
+}
+
+module.exports = {
+  BUILTIN_PRESETS,
+  listTuningPresets,
+  setActiveTuningPreset,
+  saveCustomTuningPreset,
+  deleteCustomTuningPreset,
+  applyTuningPreset,
+  startTuningPresetSync,
+  getActiveTuningPresetName
+};
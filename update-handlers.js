@@ -1437,6 +1437,12 @@ async function handleFullUpdate(targetGroup, connectionId) {
         'server.js',
         'start.js',
         'media-processing-tuning.js',
+        'tuning-presets.js',
+        'media-job-scheduler.js',
+        'gif-cache-archive.js',
+        'annotation-keyframes.js',
+        'layer-playback.js',
+        'timeline-captions.js',
         'gif-composer.js',
         'video-gif-pipeline.js',
         'image-processor.js',
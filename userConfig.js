@@ -337,6 +337,168 @@ function updateBackupGif(enabled) {
   return config;
 }
 
+/**
+ * 获取录屏附加输出格式（GIF 始终生成，用于导入 Figma）
+ * @returns {string} 'gif' | 'webp' | 'apng' | 'mp4'
+ */
+function getRecordingOutputFormat() {
+  const config = getOrCreateUserConfig();
+  if (['gif', 'webp', 'apng', 'mp4'].includes(config.recordingOutputFormat)) {
+    return config.recordingOutputFormat;
+  }
+  return 'gif';
+}
+
+/**
+ * 更新录屏附加输出格式
+ * @param {string} format 'gif' | 'webp' | 'apng' | 'mp4'
+ */
+function updateRecordingOutputFormat(format) {
+  const config = getOrCreateUserConfig();
+  if (['gif', 'webp', 'apng', 'mp4'].includes(format)) {
+    config.recordingOutputFormat = format;
+    config.updatedAt = new Date().toISOString();
+    writeUserConfig(config);
+  }
+  return config;
+}
+
+/**
+ * 获取录屏 GIF 体积上限（MB）
+ * @returns {number} 0 表示不限制
+ */
+function getRecordingMaxSizeMB() {
+  const config = getOrCreateUserConfig();
+  const value = Number(config.recordingMaxSizeMB);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * 更新录屏 GIF 体积上限
+ * @param {number} maxSizeMB 0 表示不限制
+ */
+function updateRecordingMaxSizeMB(maxSizeMB) {
+  const config = getOrCreateUserConfig();
+  const value = Number(maxSizeMB);
+  config.recordingMaxSizeMB = Number.isFinite(value) && value > 0 ? value : 0;
+  config.updatedAt = new Date().toISOString();
+  writeUserConfig(config);
+  return config;
+}
+
+/**
+ * 获取录屏静止帧合并开关（丢弃重复帧并拉长上一帧延时）
+ * @returns {boolean} 默认关闭
+ */
+function getRecordingDedupeFrames() {
+  const config = getOrCreateUserConfig();
+  return config.recordingDedupeFrames === true;
+}
+
+/**
+ * 更新录屏静止帧合并开关
+ * @param {boolean} enabled
+ */
+function updateRecordingDedupeFrames(enabled) {
+  const config = getOrCreateUserConfig();
+  config.recordingDedupeFrames = Boolean(enabled);
+  config.updatedAt = new Date().toISOString();
+  writeUserConfig(config);
+  return config;
+}
+
+/**
+ * 获取录屏自动裁剪首尾无效片段开关（默认关闭）
+ * @returns {boolean}
+ */
+function getRecordingAutoTrim() {
+  const config = getOrCreateUserConfig();
+  return config.recordingAutoTrim === true;
+}
+
+/**
+ * 更新录屏自动裁剪首尾开关
+ * @param {boolean} enabled
+ */
+function updateRecordingAutoTrim(enabled) {
+  const config = getOrCreateUserConfig();
+  config.recordingAutoTrim = Boolean(enabled);
+  config.updatedAt = new Date().toISOString();
+  writeUserConfig(config);
+  return config;
+}
+
+/**
+ * 获取录屏按场景拆分章节开关（默认关闭）
+ * @returns {boolean}
+ */
+function getRecordingSplitChapters() {
+  const config = getOrCreateUserConfig();
+  return config.recordingSplitChapters === true;
+}
+
+/**
+ * 更新录屏按场景拆分章节开关
+ * @param {boolean} enabled
+ */
+function updateRecordingSplitChapters(enabled) {
+  const config = getOrCreateUserConfig();
+  config.recordingSplitChapters = Boolean(enabled);
+  config.updatedAt = new Date().toISOString();
+  writeUserConfig(config);
+  return config;
+}
+
+/**
+ * 获取录屏转换 GIF 的循环次数（watcher 导入与缓存重新编码使用）。
+ * 只写入封装参数，不改变帧序列：这些 GIF 还会作为图层源进入合成器，乒乓 / 末帧停留只在导出时处理
+ * @returns {number} 总播放次数，0 = 无限循环
+ */
+function getRecordingLoopCount() {
+  const config = getOrCreateUserConfig();
+  return Math.min(100, Math.max(0, Math.round(Number(config.recordingLoopCount) || 0)));
+}
+
+/**
+ * 更新录屏转换 GIF 的循环次数
+ * @param {number} loopCount 0 = 无限循环
+ */
+function updateRecordingLoopCount(loopCount) {
+  const config = getOrCreateUserConfig();
+  config.recordingLoopCount = Math.min(100, Math.max(0, Math.round(Number(loopCount) || 0)));
+  config.updatedAt = new Date().toISOString();
+  writeUserConfig(config);
+  return config;
+}
+
+const DEFAULT_GIF_CACHE_MAX_SIZE_MB = 2048;
+
+/**
+ * 获取 GIF 缓存容量上限（MB），超出后按最近最少使用淘汰
+ * @returns {number} 0 表示不限制
+ */
+function getGifCacheMaxSizeMB() {
+  const config = getOrCreateUserConfig();
+  if (config.gifCacheMaxSizeMB === undefined || config.gifCacheMaxSizeMB === null) {
+    return DEFAULT_GIF_CACHE_MAX_SIZE_MB;
+  }
+  const value = Number(config.gifCacheMaxSizeMB);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * 更新 GIF 缓存容量上限
+ * @param {number} maxSizeMB 0 表示不限制
+ */
+function updateGifCacheMaxSizeMB(maxSizeMB) {
+  const config = getOrCreateUserConfig();
+  const value = Number(maxSizeMB);
+  config.gifCacheMaxSizeMB = Number.isFinite(value) && value > 0 ? value : 0;
+  config.updatedAt = new Date().toISOString();
+  writeUserConfig(config);
+  return config;
+}
+
 
 // ============================================
 // GIF 缓存管理（用于导出带标注的 GIF 功能）
@@ -386,17 +548,29 @@ function generateCacheId(filename, driveFileId, timestamp) {
 
 function writeGifCacheMetadata(cachePath, cacheId, originalFilename, driveFileId, size, ext) {
   const metaPath = path.join(cachePath, `${cacheId}.meta.json`);
+  const now = Date.now();
   const metadata = {
     cacheId,
     originalFilename,
     driveFileId,
-    timestamp: Date.now(),
+    timestamp: now,
+    lastAccessAt: now,
     size,
     ext
   };
   fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
 }
 
+// 记录最近访问时间（LRU 淘汰依据）
+function touchGifCacheMetadata(cachePath, cacheId, metadata = null) {
+  const metaPath = path.join(cachePath, `${cacheId}.meta.json`);
+  try {
+    const current = metadata || JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    current.lastAccessAt = Date.now();
+    fs.writeFileSync(metaPath, JSON.stringify(current, null, 2));
+  } catch (_) {}
+}
+
 /**
  * 保存 GIF 到缓存目录
  * @param {Buffer} buffer - 文件 buffer
@@ -420,6 +594,7 @@ function saveGifToCache(buffer, originalFilename, driveFileId) {
     writeGifCacheMetadata(cachePath, cacheId, originalFilename, driveFileId, buffer.length, ext);
     
     console.log(`✅ [GIF Cache] 已缓存: ${originalFilename} → ${cacheId}${ext} (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
+    enforceGifCacheSizeLimit({ reason: 'save' });
     
     return {
       cacheId,
@@ -456,6 +631,7 @@ function saveGifFileToCache(sourcePath, originalFilename, driveFileId) {
     writeGifCacheMetadata(cachePath, cacheId, originalFilename, driveFileId, size, ext);
 
     console.log(`✅ [GIF Cache] 已按文件缓存: ${originalFilename} → ${cacheId}${ext} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+    enforceGifCacheSizeLimit({ reason: 'save' });
     return {
       cacheId,
       cachePath: cacheFilePath,
@@ -485,6 +661,7 @@ function getGifFromCache(originalFilename, cacheId) {
       if (cacheFile) {
         const filePath = path.join(cachePath, cacheFile);
         console.log(`✅ [GIF Cache] 通过 cacheId 找到: ${cacheFile}`);
+        touchGifCacheMetadata(cachePath, cacheId);
         return {
           path: filePath,
           buffer: fs.readFileSync(filePath)
@@ -509,6 +686,7 @@ function getGifFromCache(originalFilename, cacheId) {
             const cacheFilePath = path.join(cachePath, `${metadata.cacheId}${metadata.ext}`);
             if (fs.existsSync(cacheFilePath)) {
               console.log(`✅ [GIF Cache] 通过文件名找到: ${originalFilename} → ${metadata.cacheId}${metadata.ext}`);
+              touchGifCacheMetadata(cachePath, metadata.cacheId, metadata);
               return {
                 path: cacheFilePath,
                 buffer: fs.readFileSync(cacheFilePath),
@@ -614,6 +792,19 @@ function cleanOldGifCache(days = 30) {
       } catch (e) {}
     }
     
+    cleanedSize += pruneGifSourceVideos();
+
+    // 转换结果缓存：按最近访问时间清理；损坏 / 写入中断的条目直接删除
+    for (const entry of listConversionCacheEntries()) {
+      const lastAccessAt = entry.metadata ? Number(entry.metadata.lastAccessAt || entry.metadata.createdAt) || 0 : 0;
+      if (entry.metadata && (now - lastAccessAt) <= maxAge) continue;
+      try {
+        fs.rmSync(entry.dir, { recursive: true, force: true });
+        cleanedSize += entry.metadata ? Number(entry.metadata.size) || 0 : 0;
+        cleanedCount++;
+      } catch (e) {}
+    }
+    
     if (cleanedCount > 0) {
       console.log(`✅ [GIF Cache] 清理完成: ${cleanedCount} 个文件, ${(cleanedSize / 1024 / 1024).toFixed(2)} MB`);
     }
@@ -625,6 +816,812 @@ function cleanOldGifCache(days = 30) {
   }
 }
 
+// ============================================
+// 转换结果缓存（内容寻址：源文件内容哈希 + 生效档位 + 输出参数）
+// 与 GIF 缓存共用目录，放在隐藏子目录中，cleanOldGifCache 的孤儿扫描会跳过
+// ============================================
+
+const CONVERSION_CACHE_DIRNAME = '.conversions';
+const CONVERSION_STATS_FILENAME = 'stats.json';
+// 同一进程内按 路径+大小+mtime 记住内容哈希，避免重复读取大视频
+const contentHashMemo = new Map();
+
+function getConversionCachePath() {
+  return path.join(getGifCachePath(), CONVERSION_CACHE_DIRNAME);
+}
+
+/**
+ * 计算文件内容哈希（sha256，流式读取）
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+function computeFileContentHash(filePath) {
+  const stats = fs.statSync(filePath);
+  const memoKey = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+  if (contentHashMemo.has(memoKey)) {
+    return Promise.resolve(contentHashMemo.get(memoKey));
+  }
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => {
+        const digest = hash.digest('hex');
+        contentHashMemo.set(memoKey, digest);
+        resolve(digest);
+      });
+  });
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 生成转换缓存 key：源内容哈希 + 参数（对象键顺序无关）
+ * @param {string} contentHash - computeFileContentHash 的结果
+ * @param {object} params - 生效档位与输出参数
+ */
+function buildConversionCacheKey(contentHash, params) {
+  return crypto.createHash('sha256')
+    .update(`${contentHash}:${stableStringify(params)}`)
+    .digest('hex');
+}
+
+function readConversionCacheCounters() {
+  try {
+    const statsPath = path.join(getConversionCachePath(), CONVERSION_STATS_FILENAME);
+    if (fs.existsSync(statsPath)) {
+      const parsed = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+      return { hits: Number(parsed.hits) || 0, misses: Number(parsed.misses) || 0 };
+    }
+  } catch (_) {}
+  return { hits: 0, misses: 0 };
+}
+
+// 命中/未命中计数落盘：server 与 watcher 是不同进程，统计需要跨进程汇总
+function recordConversionCacheLookup(hit) {
+  try {
+    const cachePath = getConversionCachePath();
+    fs.mkdirSync(cachePath, { recursive: true });
+    const counters = readConversionCacheCounters();
+    if (hit) counters.hits++;
+    else counters.misses++;
+    fs.writeFileSync(path.join(cachePath, CONVERSION_STATS_FILENAME), JSON.stringify({ ...counters, updatedAt: Date.now() }));
+  } catch (_) {}
+}
+
+/**
+ * 查询转换缓存（会计入命中/未命中统计）
+ * @param {string} key - buildConversionCacheKey 的结果
+ * @returns {object|null} - { key, files: { role: path }, result }
+ */
+function getConversionFromCache(key) {
+  try {
+    const entryDir = path.join(getConversionCachePath(), key);
+    const metaPath = path.join(entryDir, 'meta.json');
+    if (!fs.existsSync(metaPath)) {
+      recordConversionCacheLookup(false);
+      return null;
+    }
+    const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    const files = {};
+    for (const [role, filename] of Object.entries(metadata.files || {})) {
+      const filePath = path.join(entryDir, filename);
+      if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
+        // 条目不完整：删除后按未命中处理
+        fs.rmSync(entryDir, { recursive: true, force: true });
+        recordConversionCacheLookup(false);
+        return null;
+      }
+      files[role] = filePath;
+    }
+    metadata.lastAccessAt = Date.now();
+    try {
+      fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+    } catch (_) {}
+    recordConversionCacheLookup(true);
+    console.log(`⚡ [Conversion Cache] 命中: ${metadata.label || key.slice(0, 12)}`);
+    return { key, files, result: metadata.result || {} };
+  } catch (error) {
+    console.error(`❌ [Conversion Cache] 查找失败:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 保存转换结果：先写入临时目录再整体改名，避免其他进程读到半成品
+ * @param {string} key
+ * @param {object} files - { role: 源文件路径 }，如 { output, 'extra-webp' }
+ * @param {object} result - 可 JSON 序列化的转换结果摘要
+ * @param {string} [label] - 日志展示名
+ * @returns {boolean}
+ */
+function saveConversionToCache(key, files, result, label) {
+  const cachePath = getConversionCachePath();
+  const entryDir = path.join(cachePath, key);
+  const stagingDir = path.join(cachePath, `.staging-${key}-${process.pid}`);
+  try {
+    if (fs.existsSync(entryDir)) return true;
+    fs.mkdirSync(stagingDir, { recursive: true });
+    const storedFiles = {};
+    let size = 0;
+    for (const [role, sourcePath] of Object.entries(files)) {
+      if (!sourcePath || !fs.existsSync(sourcePath)) continue;
+      const filename = `${role}${path.extname(sourcePath)}`;
+      fs.copyFileSync(sourcePath, path.join(stagingDir, filename));
+      size += fs.statSync(sourcePath).size;
+      storedFiles[role] = filename;
+    }
+    if (!storedFiles.output) {
+      throw new Error('缺少主输出文件');
+    }
+    const now = Date.now();
+    fs.writeFileSync(path.join(stagingDir, 'meta.json'), JSON.stringify({
+      key,
+      label: label || null,
+      files: storedFiles,
+      size,
+      result,
+      createdAt: now,
+      lastAccessAt: now
+    }, null, 2));
+    fs.renameSync(stagingDir, entryDir);
+    console.log(`✅ [Conversion Cache] 已缓存: ${label || key.slice(0, 12)} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+    enforceGifCacheSizeLimit({ reason: 'save' });
+    return true;
+  } catch (error) {
+    try { fs.rmSync(stagingDir, { recursive: true, force: true }); } catch (_) {}
+    // 并发写入同一 key 时另一进程已完成，视为成功
+    if (fs.existsSync(path.join(entryDir, 'meta.json'))) return true;
+    console.error(`❌ [Conversion Cache] 保存失败:`, error.message);
+    return false;
+  }
+}
+
+function listConversionCacheEntries() {
+  const cachePath = getConversionCachePath();
+  if (!fs.existsSync(cachePath)) return [];
+  const entries = [];
+  for (const name of fs.readdirSync(cachePath)) {
+    if (name.startsWith('.') || name === CONVERSION_STATS_FILENAME) continue;
+    const entryDir = path.join(cachePath, name);
+    try {
+      const metadata = JSON.parse(fs.readFileSync(path.join(entryDir, 'meta.json'), 'utf8'));
+      entries.push({ dir: entryDir, metadata });
+    } catch (_) {
+      entries.push({ dir: entryDir, metadata: null });
+    }
+  }
+  return entries;
+}
+
+function getConversionCacheStats() {
+  const counters = readConversionCacheCounters();
+  let count = 0;
+  let size = 0;
+  try {
+    for (const entry of listConversionCacheEntries()) {
+      if (!entry.metadata) continue;
+      count++;
+      size += Number(entry.metadata.size) || 0;
+    }
+  } catch (_) {}
+  const lookups = counters.hits + counters.misses;
+  return {
+    count,
+    size,
+    sizeMB: (size / 1024 / 1024).toFixed(2),
+    hits: counters.hits,
+    misses: counters.misses,
+    hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0
+  };
+}
+
+// ============================================
+// 容量上限 + LRU 淘汰
+// 源文件缓存与转换缓存共用一个容量预算；打开的 Figma 文件中仍被图层引用的源文件（pin）不淘汰
+// ============================================
+
+const GIF_CACHE_PINS_FILENAME = '.pins.json';
+const GIF_CACHE_EVICTION_REPORT_FILENAME = '.eviction-report.json';
+const MAX_EVICTION_REPORTS = 10;
+
+function readGifCachePins() {
+  try {
+    const pinsPath = path.join(getGifCachePath(), GIF_CACHE_PINS_FILENAME);
+    if (fs.existsSync(pinsPath)) {
+      const parsed = JSON.parse(fs.readFileSync(pinsPath, 'utf8'));
+      return parsed && typeof parsed.owners === 'object' && parsed.owners ? parsed : { owners: {} };
+    }
+  } catch (_) {}
+  return { owners: {} };
+}
+
+/**
+ * 更新某个插件连接引用的缓存 ID（空数组 = 移除该连接的 pin）
+ * @param {string} owner - 连接标识
+ * @param {string[]} cacheIds
+ */
+function updateGifCachePins(owner, cacheIds) {
+  if (!owner) return;
+  try {
+    const cachePath = ensureGifCacheDir();
+    if (!cachePath) return;
+    const pins = readGifCachePins();
+    const ids = Array.from(new Set((Array.isArray(cacheIds) ? cacheIds : []).filter(id => typeof id === 'string' && id)));
+    if (ids.length > 0) {
+      pins.owners[owner] = { cacheIds: ids, updatedAt: Date.now() };
+    } else {
+      delete pins.owners[owner];
+    }
+    fs.writeFileSync(path.join(cachePath, GIF_CACHE_PINS_FILENAME), JSON.stringify(pins, null, 2));
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 更新 pin 失败:`, error.message);
+  }
+}
+
+// server 启动时没有插件连接，旧 pin 全部失效
+function clearGifCachePins() {
+  try {
+    const pinsPath = path.join(getGifCachePath(), GIF_CACHE_PINS_FILENAME);
+    if (fs.existsSync(pinsPath)) fs.unlinkSync(pinsPath);
+  } catch (_) {}
+}
+
+function getPinnedGifCacheIds() {
+  const pinned = new Set();
+  for (const entry of Object.values(readGifCachePins().owners)) {
+    for (const id of (entry && entry.cacheIds) || []) pinned.add(id);
+  }
+  return pinned;
+}
+
+function listGifCacheSourceEntries(cachePath) {
+  const entries = [];
+  const lastAccessById = new Map();
+  for (const metaFile of fs.readdirSync(cachePath).filter(f => f.endsWith('.meta.json'))) {
+    const metaPath = path.join(cachePath, metaFile);
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      const filePath = path.join(cachePath, `${metadata.cacheId}${metadata.ext}`);
+      if (!fs.existsSync(filePath)) continue;
+      const lastAccessAt = Number(metadata.lastAccessAt || metadata.timestamp) || 0;
+      lastAccessById.set(metadata.cacheId, lastAccessAt);
+      entries.push({
+        kind: 'source',
+        id: metadata.cacheId,
+        cacheIds: [metadata.cacheId],
+        label: metadata.originalFilename || metadata.cacheId,
+        size: fs.statSync(filePath).size,
+        lastAccessAt,
+        remove: () => {
+          fs.unlinkSync(filePath);
+          fs.unlinkSync(metaPath);
+        }
+      });
+    } catch (_) {
+      continue;
+    }
+  }
+  // 录屏源视频随所属 GIF 计算访问时间；所属 GIF 都已不在缓存中时最先淘汰
+  for (const source of listGifSourceVideos()) {
+    const ownerAccess = source.cacheIds.filter(id => lastAccessById.has(id)).map(id => lastAccessById.get(id));
+    entries.push({
+      kind: 'source-video',
+      id: source.sourceId,
+      cacheIds: source.cacheIds,
+      label: source.label,
+      size: source.size,
+      lastAccessAt: ownerAccess.length > 0 ? Math.max(...ownerAccess) : 0,
+      remove: source.remove
+    });
+  }
+  return entries;
+}
+
+// ============================================
+// 录屏源视频：开启自动裁剪 / 拆分章节的录屏保留源视频，供撤销裁剪与重新剪辑使用。
+// 放在隐藏子目录中，不出现在缓存浏览里；与所属 GIF 一起 pin，所属 GIF 被删除后一并清理
+// ============================================
+
+const GIF_SOURCE_VIDEO_DIRNAME = '.sources';
+
+function getGifSourceVideoPath() {
+  return path.join(getGifCachePath(), GIF_SOURCE_VIDEO_DIRNAME);
+}
+
+function listGifSourceVideos() {
+  const dir = getGifSourceVideoPath();
+  if (!fs.existsSync(dir)) return [];
+  const sources = [];
+  for (const metaFile of fs.readdirSync(dir).filter(f => f.endsWith('.meta.json'))) {
+    const metaPath = path.join(dir, metaFile);
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      const filePath = path.join(dir, `${metadata.sourceId}${metadata.ext}`);
+      if (!fs.existsSync(filePath)) {
+        fs.unlinkSync(metaPath);
+        continue;
+      }
+      sources.push({
+        sourceId: metadata.sourceId,
+        cacheIds: Array.isArray(metadata.cacheIds) ? metadata.cacheIds : [],
+        label: metadata.originalFilename || metadata.sourceId,
+        path: filePath,
+        size: fs.statSync(filePath).size,
+        remove: () => {
+          fs.unlinkSync(filePath);
+          fs.unlinkSync(metaPath);
+        }
+      });
+    } catch (_) {
+      continue;
+    }
+  }
+  return sources;
+}
+
+/**
+ * 为录屏 GIF 保留源视频
+ * @param {string} sourcePath - 源视频（通常位于即将删除的临时目录）
+ * @param {string[]} cacheIds - 共用该源视频的 GIF 缓存项（主 GIF 与各章节）
+ * @param {string} [originalFilename]
+ * @returns {string|null} 保留后的源视频路径
+ */
+function saveGifSourceVideo(sourcePath, cacheIds, originalFilename) {
+  const ids = Array.from(new Set((Array.isArray(cacheIds) ? cacheIds : []).filter(id => CACHE_ID_PATTERN.test(String(id || '')))));
+  if (ids.length === 0) return null;
+  try {
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error('源文件不存在');
+    }
+    const dir = getGifSourceVideoPath();
+    fs.mkdirSync(dir, { recursive: true });
+    const sourceId = ids[0];
+    const ext = path.extname(sourcePath) || '.mp4';
+    const filePath = path.join(dir, `${sourceId}${ext}`);
+    fs.copyFileSync(sourcePath, filePath);
+    const size = fs.statSync(filePath).size;
+    fs.writeFileSync(path.join(dir, `${sourceId}.meta.json`), JSON.stringify({
+      sourceId,
+      cacheIds: ids,
+      originalFilename: originalFilename || null,
+      timestamp: Date.now(),
+      size,
+      ext
+    }, null, 2));
+    console.log(`✅ [GIF Cache] 已保留录屏源视频: ${originalFilename || sourceId} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+    enforceGifCacheSizeLimit({ reason: 'save' });
+    return fs.existsSync(filePath) ? filePath : null;
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 保留源视频失败:`, error.message);
+    return null;
+  }
+}
+
+// 删除所属 GIF 都已不在缓存中的源视频
+function pruneGifSourceVideos() {
+  const cachePath = getGifCachePath();
+  let freedBytes = 0;
+  for (const source of listGifSourceVideos()) {
+    if (source.cacheIds.some(id => fs.existsSync(path.join(cachePath, `${id}.meta.json`)))) continue;
+    try {
+      source.remove();
+      freedBytes += source.size;
+    } catch (_) {}
+  }
+  return freedBytes;
+}
+
+function readGifCacheEvictionReports() {
+  try {
+    const reportPath = path.join(getGifCachePath(), GIF_CACHE_EVICTION_REPORT_FILENAME);
+    if (fs.existsSync(reportPath)) {
+      const parsed = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+      return Array.isArray(parsed) ? parsed : [];
+    }
+  } catch (_) {}
+  return [];
+}
+
+/**
+ * 最近几次淘汰记录（新的在前）
+ * @returns {object[]}
+ */
+function getGifCacheEvictionReports() {
+  return readGifCacheEvictionReports();
+}
+
+/**
+ * 缓存总量超过上限时按最近访问时间从旧到新淘汰，pin 住的源文件跳过
+ * @param {object} [options]
+ * @param {number} [options.maxSizeMB] - 默认读取用户设置，0 = 不限制
+ * @param {string} [options.reason] - 触发原因（写入报告）
+ * @returns {object} 淘汰报告 { evicted, freedBytes, totalBefore, totalAfter, limitBytes, pinnedSkipped, overLimit }
+ */
+function enforceGifCacheSizeLimit({ maxSizeMB = getGifCacheMaxSizeMB(), reason = 'manual' } = {}) {
+  const limitBytes = Number(maxSizeMB) > 0 ? Math.round(Number(maxSizeMB) * 1024 * 1024) : 0;
+  const report = {
+    at: Date.now(),
+    reason,
+    limitBytes,
+    totalBefore: 0,
+    totalAfter: 0,
+    freedBytes: 0,
+    pinnedSkipped: 0,
+    overLimit: false,
+    evicted: []
+  };
+  try {
+    const cachePath = getGifCachePath();
+    if (!limitBytes || !fs.existsSync(cachePath)) return report;
+
+    const conversionEntries = listConversionCacheEntries()
+      .filter(entry => entry.metadata)
+      .map(entry => ({
+        kind: 'conversion',
+        id: entry.metadata.key,
+        label: entry.metadata.label || entry.metadata.key,
+        size: Number(entry.metadata.size) || 0,
+        lastAccessAt: Number(entry.metadata.lastAccessAt || entry.metadata.createdAt) || 0,
+        remove: () => fs.rmSync(entry.dir, { recursive: true, force: true })
+      }));
+    const entries = listGifCacheSourceEntries(cachePath).concat(conversionEntries);
+    report.totalBefore = entries.reduce((sum, entry) => sum + entry.size, 0);
+    report.totalAfter = report.totalBefore;
+    if (report.totalBefore <= limitBytes) return report;
+
+    const pinned = getPinnedGifCacheIds();
+    entries.sort((a, b) => a.lastAccessAt - b.lastAccessAt);
+    for (const entry of entries) {
+      if (report.totalAfter <= limitBytes) break;
+      if (entry.cacheIds && entry.cacheIds.some(id => pinned.has(id))) {
+        report.pinnedSkipped++;
+        continue;
+      }
+      try {
+        entry.remove();
+      } catch (_) {
+        continue;
+      }
+      report.totalAfter -= entry.size;
+      report.freedBytes += entry.size;
+      report.evicted.push({ kind: entry.kind, id: entry.id, label: entry.label, size: entry.size, lastAccessAt: entry.lastAccessAt });
+      console.log(`🧹 [GIF Cache] LRU 淘汰: ${entry.label} (${(entry.size / 1024 / 1024).toFixed(2)} MB, ${entry.kind})`);
+    }
+    report.overLimit = report.totalAfter > limitBytes;
+
+    console.log(`✅ [GIF Cache] 容量上限 ${(limitBytes / 1024 / 1024).toFixed(0)} MB：淘汰 ${report.evicted.length} 项，释放 ${(report.freedBytes / 1024 / 1024).toFixed(2)} MB${report.pinnedSkipped ? `，跳过 ${report.pinnedSkipped} 个被引用的源文件` : ''}`);
+    if (report.overLimit) {
+      console.warn(`⚠️  [GIF Cache] 被引用的源文件仍超出上限 (${(report.totalAfter / 1024 / 1024).toFixed(2)} MB)`);
+    }
+    const reports = [report].concat(readGifCacheEvictionReports()).slice(0, MAX_EVICTION_REPORTS);
+    fs.writeFileSync(path.join(cachePath, GIF_CACHE_EVICTION_REPORT_FILENAME), JSON.stringify(reports, null, 2));
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 容量淘汰失败:`, error.message);
+  }
+  return report;
+}
+
+// ============================================
+// 缓存浏览（插件缓存面板）：只读元数据，不更新访问时间
+// ============================================
+
+function readGifCacheItem(cachePath, metadata, pinned) {
+  const filePath = path.join(cachePath, `${metadata.cacheId}${metadata.ext}`);
+  if (!fs.existsSync(filePath)) return null;
+  return {
+    cacheId: metadata.cacheId,
+    originalFilename: metadata.originalFilename || `${metadata.cacheId}${metadata.ext}`,
+    ext: metadata.ext,
+    path: filePath,
+    size: fs.statSync(filePath).size,
+    timestamp: Number(metadata.timestamp) || 0,
+    lastAccessAt: Number(metadata.lastAccessAt || metadata.timestamp) || 0,
+    driveFileId: metadata.driveFileId || null,
+    referenced: pinned.has(metadata.cacheId)
+  };
+}
+
+/**
+ * 列出源文件缓存（最近访问的在前）
+ * @returns {object[]} [{ cacheId, originalFilename, ext, path, size, timestamp, lastAccessAt, driveFileId, referenced }]
+ */
+function listGifCacheItems() {
+  try {
+    const cachePath = getGifCachePath();
+    if (!fs.existsSync(cachePath)) return [];
+    const pinned = getPinnedGifCacheIds();
+    const items = [];
+    for (const metaFile of fs.readdirSync(cachePath).filter(f => f.endsWith('.meta.json'))) {
+      try {
+        const metadata = JSON.parse(fs.readFileSync(path.join(cachePath, metaFile), 'utf8'));
+        const item = readGifCacheItem(cachePath, metadata, pinned);
+        if (item) items.push(item);
+      } catch (_) {
+        continue;
+      }
+    }
+    return items.sort((a, b) => b.lastAccessAt - a.lastAccessAt);
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 列出缓存失败:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * 按 cacheId 读取单个缓存项（不读文件内容、不更新访问时间）
+ * @param {string} cacheId
+ */
+function getGifCacheItem(cacheId) {
+  if (!cacheId || /[\\/]/.test(cacheId)) return null;
+  try {
+    const cachePath = getGifCachePath();
+    const metaPath = path.join(cachePath, `${cacheId}.meta.json`);
+    if (!fs.existsSync(metaPath)) return null;
+    const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    return readGifCacheItem(cachePath, metadata, getPinnedGifCacheIds());
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 删除单个缓存项（文件 + 元数据）
+ * @param {string} cacheId
+ * @returns {boolean}
+ */
+function deleteGifCacheItem(cacheId) {
+  const item = getGifCacheItem(cacheId);
+  if (!item) return false;
+  try {
+    fs.unlinkSync(item.path);
+    fs.unlinkSync(path.join(getGifCachePath(), `${cacheId}.meta.json`));
+    pruneGifSourceVideos();
+    console.log(`🗑️  [GIF Cache] 已删除: ${item.originalFilename} (${cacheId})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 删除失败:`, error.message);
+    return false;
+  }
+}
+
+const CACHE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * 按原 cacheId 导入缓存项（跨机器迁移），已有图层的 gifCacheId 因此仍能解析
+ * @param {string} sourcePath - 待导入文件
+ * @param {object} metadata - { cacheId, originalFilename, driveFileId, timestamp, ext }
+ * @returns {'imported'|'exists'|'invalid'}
+ */
+function importGifCacheEntry(sourcePath, metadata) {
+  if (!metadata || !CACHE_ID_PATTERN.test(String(metadata.cacheId || '')) || !/^\.[A-Za-z0-9]+$/.test(String(metadata.ext || ''))) {
+    return 'invalid';
+  }
+  try {
+    if (!sourcePath || !fs.existsSync(sourcePath)) return 'invalid';
+    if (getGifCacheItem(metadata.cacheId)) return 'exists';
+    const cachePath = ensureGifCacheDir();
+    if (!cachePath) return 'invalid';
+    const cacheFilePath = path.join(cachePath, `${metadata.cacheId}${metadata.ext}`);
+    fs.copyFileSync(sourcePath, cacheFilePath);
+    const size = fs.statSync(cacheFilePath).size;
+    const entry = {
+      cacheId: metadata.cacheId,
+      originalFilename: metadata.originalFilename || `${metadata.cacheId}${metadata.ext}`,
+      driveFileId: metadata.driveFileId || null,
+      timestamp: Number(metadata.timestamp) || Date.now(),
+      // 导入即视为最近访问，避免刚导入就被 LRU 淘汰
+      lastAccessAt: Date.now(),
+      size,
+      ext: metadata.ext
+    };
+    fs.writeFileSync(path.join(cachePath, `${metadata.cacheId}.meta.json`), JSON.stringify(entry, null, 2));
+    return 'imported';
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 导入失败 (${metadata.cacheId}):`, error.message);
+    return 'invalid';
+  }
+}
+
+// ============================================
+// 完整性检查与修复：元数据 ↔ 文件对账（进程崩溃 / 手动清理后两者可能不一致）
+// ============================================
+
+const STALE_STAGING_MS = 60 * 60 * 1000;
+
+// 按文件头识别类型，返回扩展名；无法识别返回 null
+function detectCacheFileExt(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(16);
+    const bytesRead = fs.readSync(fd, header, 0, 16, 0);
+    if (bytesRead < 12) return null;
+    if (header.toString('ascii', 0, 4) === 'GIF8') return '.gif';
+    if (header[0] === 0x89 && header.toString('ascii', 1, 4) === 'PNG') return '.png';
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return '.jpg';
+    if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') return '.webp';
+    if (header[0] === 0x1a && header[1] === 0x45 && header[2] === 0xdf && header[3] === 0xa3) return '.webm';
+    const box = header.toString('ascii', 4, 8);
+    if (box === 'ftyp') {
+      const brand = header.toString('ascii', 8, 12);
+      if (brand === 'qt  ') return '.mov';
+      if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return '.heic';
+      return '.mp4';
+    }
+    if (box === 'moov' || box === 'mdat' || box === 'wide' || box === 'free') return '.mov';
+    return null;
+  } catch (_) {
+    return null;
+  } finally {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch (_) {}
+    }
+  }
+}
+
+/**
+ * 检查并修复 GIF 缓存：
+ * - 元数据指向的文件不存在 → 记为丢失并删除元数据
+ * - 元数据损坏 / 缺失但文件完好 → 按文件头重建元数据
+ * - 大小 / 扩展名与实际文件不符 → 修正元数据
+ * - 空文件、没有元数据且无法识别的文件、中断的转换缓存写入 → 删除
+ * @param {object} [options]
+ * @param {boolean} [options.repair=true] - false 时只检查不修改
+ * @returns {object} 报告 { checked, ok, repaired, rebuilt, removed, missing, freedBytes }
+ */
+function verifyGifCache({ repair = true } = {}) {
+  const report = {
+    at: Date.now(),
+    repair,
+    checked: 0,
+    ok: 0,
+    repaired: [],
+    rebuilt: [],
+    removed: [],
+    missing: [],
+    freedBytes: 0
+  };
+  try {
+    const cachePath = getGifCachePath();
+    if (!fs.existsSync(cachePath)) return report;
+
+    const allFiles = fs.readdirSync(cachePath);
+    const dataFiles = new Map();
+    for (const file of allFiles) {
+      if (file.startsWith('.') || file.endsWith('.meta.json')) continue;
+      try {
+        if (fs.statSync(path.join(cachePath, file)).isFile()) dataFiles.set(file, path.parse(file).name);
+      } catch (_) {}
+    }
+    const claimed = new Set();
+    const findDataFile = (cacheId) => Array.from(dataFiles.keys()).find(file => dataFiles.get(file) === cacheId && !claimed.has(file));
+
+    const removeFile = (filePath, label) => {
+      try {
+        const size = fs.statSync(filePath).size;
+        if (repair) fs.unlinkSync(filePath);
+        report.freedBytes += size;
+        report.removed.push(label);
+      } catch (_) {}
+    };
+
+    const rebuildMetadata = (file, previous = {}) => {
+      let filePath = path.join(cachePath, file);
+      const cacheId = dataFiles.get(file);
+      let ext = path.extname(file);
+      if (!ext) {
+        // 无扩展名的文件按文件头补全，否则 getGifFromCache 无法按类型提供
+        ext = detectCacheFileExt(filePath) || '';
+        if (ext && repair) {
+          const renamed = path.join(cachePath, `${cacheId}${ext}`);
+          fs.renameSync(filePath, renamed);
+          filePath = renamed;
+        }
+      }
+      const stats = fs.statSync(filePath);
+      const metadata = {
+        cacheId,
+        originalFilename: previous.originalFilename || file,
+        driveFileId: previous.driveFileId || null,
+        timestamp: Number(previous.timestamp) || Math.round(stats.mtimeMs),
+        lastAccessAt: Number(previous.lastAccessAt) || Math.round(stats.mtimeMs),
+        size: stats.size,
+        ext
+      };
+      if (repair) fs.writeFileSync(path.join(cachePath, `${cacheId}.meta.json`), JSON.stringify(metadata, null, 2));
+      return metadata;
+    };
+
+    for (const metaFile of allFiles.filter(f => f.endsWith('.meta.json'))) {
+      report.checked++;
+      const metaPath = path.join(cachePath, metaFile);
+      const cacheIdFromName = metaFile.slice(0, -'.meta.json'.length);
+      let metadata = null;
+      try {
+        metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      } catch (_) {}
+
+      const cacheId = metadata && metadata.cacheId ? metadata.cacheId : cacheIdFromName;
+      const expectedFile = metadata && metadata.ext ? `${cacheId}${metadata.ext}` : null;
+      const file = expectedFile && dataFiles.has(expectedFile) ? expectedFile : findDataFile(cacheId);
+
+      if (!file) {
+        report.missing.push({ cacheId, originalFilename: (metadata && metadata.originalFilename) || null });
+        removeFile(metaPath, metaFile);
+        continue;
+      }
+      claimed.add(file);
+
+      const filePath = path.join(cachePath, file);
+      const size = fs.statSync(filePath).size;
+      if (size === 0) {
+        // 写入中断的空文件：源已不可用
+        report.missing.push({ cacheId, originalFilename: (metadata && metadata.originalFilename) || null });
+        removeFile(filePath, file);
+        removeFile(metaPath, metaFile);
+        continue;
+      }
+
+      if (!metadata) {
+        rebuildMetadata(file);
+        report.rebuilt.push(cacheId);
+      } else if (metadata.cacheId !== cacheIdFromName || file !== expectedFile || Number(metadata.size) !== size) {
+        rebuildMetadata(file, metadata);
+        report.repaired.push(cacheId);
+      } else {
+        report.ok++;
+      }
+    }
+
+    // 没有元数据的文件：能识别文件头的重建元数据，否则删除
+    for (const [file, cacheId] of dataFiles.entries()) {
+      if (claimed.has(file)) continue;
+      report.checked++;
+      const filePath = path.join(cachePath, file);
+      let size = 0;
+      try { size = fs.statSync(filePath).size; } catch (_) {}
+      if (size > 0 && detectCacheFileExt(filePath)) {
+        rebuildMetadata(file);
+        report.rebuilt.push(cacheId);
+      } else {
+        removeFile(filePath, file);
+      }
+    }
+
+    // 转换缓存：进程崩溃遗留的 staging 目录
+    const conversionPath = getConversionCachePath();
+    if (fs.existsSync(conversionPath)) {
+      for (const name of fs.readdirSync(conversionPath)) {
+        if (!name.startsWith('.staging-')) continue;
+        const stagingDir = path.join(conversionPath, name);
+        try {
+          if (Date.now() - fs.statSync(stagingDir).mtimeMs < STALE_STAGING_MS) continue;
+          if (repair) fs.rmSync(stagingDir, { recursive: true, force: true });
+          report.removed.push(`.conversions/${name}`);
+        } catch (_) {}
+      }
+    }
+
+    const changed = report.repaired.length + report.rebuilt.length + report.removed.length + report.missing.length;
+    if (changed > 0) {
+      console.log(`🩺 [GIF Cache] 完整性检查${repair ? '并修复' : ''}: 检查 ${report.checked} 项，修正 ${report.repaired.length}，重建元数据 ${report.rebuilt.length}，删除 ${report.removed.length}，源文件丢失 ${report.missing.length}`);
+    }
+  } catch (error) {
+    console.error(`❌ [GIF Cache] 完整性检查失败:`, error.message);
+  }
+  return report;
+}
+
 /**
  * 获取缓存统计信息
  */
@@ -632,7 +1629,7 @@ function getGifCacheStats() {
   try {
     const cachePath = getGifCachePath();
     if (!fs.existsSync(cachePath)) {
-      return { count: 0, size: 0, oldestDays: 0 };
+      return { count: 0, size: 0, oldestDays: 0, conversions: getConversionCacheStats() };
     }
     
     const metaFiles = fs.readdirSync(cachePath).filter(f => f.endsWith('.meta.json'));
@@ -658,17 +1655,22 @@ function getGifCacheStats() {
       }
     }
     
+    // 录屏源视频随所属 GIF 计入缓存容量
+    totalSize += listGifSourceVideos().reduce((sum, source) => sum + source.size, 0);
+
     const oldestDays = Math.floor((Date.now() - oldestTimestamp) / 1000 / 60 / 60 / 24);
     
     return {
       count: metaFiles.length,
       size: totalSize,
       sizeMB: (totalSize / 1024 / 1024).toFixed(2),
-      oldestDays
+      oldestDays,
+      maxSizeMB: getGifCacheMaxSizeMB(),
+      conversions: getConversionCacheStats()
     };
   } catch (error) {
     console.error(`❌ [GIF Cache] 获取统计失败:`, error.message);
-    return { count: 0, size: 0, sizeMB: '0.00', oldestDays: 0 };
+    return { count: 0, size: 0, sizeMB: '0.00', oldestDays: 0, conversions: getConversionCacheStats() };
   }
 }
 
@@ -693,12 +1695,41 @@ module.exports = {
   updateBackupGif,
   getBackupMode,
   updateBackupMode,
+  getRecordingOutputFormat,
+  updateRecordingOutputFormat,
+  getRecordingMaxSizeMB,
+  updateRecordingMaxSizeMB,
+  getRecordingDedupeFrames,
+  updateRecordingDedupeFrames,
+  getRecordingAutoTrim,
+  updateRecordingAutoTrim,
+  getRecordingSplitChapters,
+  updateRecordingSplitChapters,
+  getRecordingLoopCount,
+  updateRecordingLoopCount,
+  getGifCacheMaxSizeMB,
+  updateGifCacheMaxSizeMB,
   // GIF 缓存管理
   getGifCachePath,
   saveGifToCache,
   saveGifFileToCache,
+  saveGifSourceVideo,
   getGifFromCache,
   cleanOldGifCache,
-  getGifCacheStats
+  getGifCacheStats,
+  enforceGifCacheSizeLimit,
+  getGifCacheEvictionReports,
+  updateGifCachePins,
+  clearGifCachePins,
+  listGifCacheItems,
+  getGifCacheItem,
+  deleteGifCacheItem,
+  importGifCacheEntry,
+  verifyGifCache,
+  // 转换结果缓存
+  computeFileContentHash,
+  buildConversionCacheKey,
+  getConversionFromCache,
+  saveConversionToCache
 };
 
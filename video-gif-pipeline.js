@@ -2,7 +2,7 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 
-const { buildComposerAttemptProfiles } = require('./adaptive-processing');
+const { buildComposerAttemptProfiles, extendProfilesForSizeBudget, getSegmentEncodeConcurrency } = require('./adaptive-processing');
 
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
@@ -37,6 +37,364 @@ function parseRate(raw) {
   return Number.isFinite(value) ? value : 0;
 }
 
+// 动图输出格式：GIF 走调色板链路，其余格式直接由 ffmpeg 编码
+const ANIMATED_OUTPUT_FORMATS = {
+  gif: { format: 'gif', ext: '.gif', mimeType: 'image/gif' },
+  webp: { format: 'webp', ext: '.webp', mimeType: 'image/webp' },
+  apng: { format: 'apng', ext: '.png', mimeType: 'image/apng' },
+  mp4: { format: 'mp4', ext: '.mp4', mimeType: 'video/mp4' }
+};
+
+function normalizeOutputFormat(format) {
+  const key = String(format || '').trim().toLowerCase().replace(/^\./, '');
+  if (key === 'png') return 'apng';
+  if (key === 'h264') return 'mp4';
+  return Object.prototype.hasOwnProperty.call(ANIMATED_OUTPUT_FORMATS, key) ? key : 'gif';
+}
+
+function getOutputFormatInfo(format) {
+  return ANIMATED_OUTPUT_FORMATS[normalizeOutputFormat(format)];
+}
+
+// 循环播放选项：loopCount 为总播放次数（0 = 无限循环），pingPong 正放后倒放，holdSec 循环前停留在末帧
+const MAX_LOOP_COUNT = 100;
+const MAX_LOOP_HOLD_SEC = 10;
+
+function normalizeLoopOptions(options) {
+  const source = options || {};
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    loopCount: clamp(Math.round(Number(source.loopCount) || 0), 0, MAX_LOOP_COUNT),
+    pingPong: Boolean(source.pingPong),
+    holdSec: round(clamp(Number(source.holdSec) || 0, 0, MAX_LOOP_HOLD_SEC))
+  };
+}
+
+function isDefaultLoop(options) {
+  const loop = normalizeLoopOptions(options);
+  return loop.loopCount === 0 && !loop.pingPong && loop.holdSec <= 0;
+}
+
+function hasLoopShaping(options) {
+  const loop = normalizeLoopOptions(options);
+  return loop.pingPong || loop.holdSec > 0;
+}
+
+/**
+ * 各格式的循环次数参数。GIF 的 NETSCAPE 扩展记录的是“重复次数”：
+ * ffmpeg -loop -1 = 只播放一次，N = 重复 N 次（共播放 N+1 次）；WebP / APNG 直接记录总播放次数。
+ */
+function buildLoopMuxerArgs(format, loopCount = 0) {
+  const count = normalizeLoopOptions({ loopCount }).loopCount;
+  if (format === 'gif') {
+    return `-loop ${count === 0 ? 0 : count === 1 ? -1 : count - 1}`;
+  }
+  if (format === 'webp') return `-loop ${count}`;
+  if (format === 'apng') return `-plays ${count}`;
+  return '';
+}
+
+/**
+ * 乒乓 / 末帧停留滤镜：正放后接倒放（去掉折返处的重复帧，回到首帧），再用 tpad 克隆末帧。
+ * reverse 需要缓冲整段视频，调用方负责控制输入规模。
+ */
+function buildLoopFilter(options) {
+  const loop = normalizeLoopOptions(options);
+  const parts = [];
+  if (loop.pingPong) {
+    parts.push('split[lpf][lpb];[lpb]reverse,trim=start_frame=1,setpts=PTS-STARTPTS[lpr];[lpf][lpr]concat=n=2:v=1:a=0');
+  }
+  if (loop.holdSec > 0) {
+    parts.push(`tpad=stop_mode=clone:stop_duration=${loop.holdSec}`);
+  }
+  return parts.join(',');
+}
+
+/**
+ * 对 frame_%04d.png 序列原地追加乒乓倒放帧和末帧停留帧（硬链接，不占额外磁盘）。
+ * @returns {number} 处理后的总帧数
+ */
+function applyLoopToFrameSequence({ framesDir, fps, loopOptions }) {
+  const loop = normalizeLoopOptions(loopOptions);
+  const frameName = index => path.join(framesDir, `frame_${String(index).padStart(4, '0')}.png`);
+  let count = 0;
+  while (fs.existsSync(frameName(count))) count++;
+  if (count < 2 || (!loop.pingPong && loop.holdSec <= 0)) return count;
+
+  const appendFrame = (sourceIndex) => {
+    const target = frameName(count);
+    try {
+      fs.linkSync(frameName(sourceIndex), target);
+    } catch (_) {
+      fs.copyFileSync(frameName(sourceIndex), target);
+    }
+    count++;
+  };
+  if (loop.pingPong) {
+    const forwardCount = count;
+    for (let index = forwardCount - 2; index >= 0; index--) appendFrame(index);
+  }
+  const holdFrames = Math.round(loop.holdSec * Math.max(1, Number(fps) || 1));
+  const lastIndex = count - 1;
+  for (let index = 0; index < holdFrames; index++) appendFrame(lastIndex);
+  return count;
+}
+
+/**
+ * 非 GIF 格式的编码参数。lossy 沿用 gifsicle 的取值范围（约 60~130），
+ * 数值越大体积越小，这样同一套降档档位对所有格式都生效。
+ */
+function buildAnimatedCodecArgs(format, lossy = 88, loopCount = 0) {
+  const strength = clamp((Number(lossy) || 88) - 60, 0, 70) / 70;
+  if (format === 'webp') {
+    const quality = Math.round(90 - strength * 35);
+    return `-c:v libwebp -lossless 0 -q:v ${quality} -compression_level 4 -preset picture ${buildLoopMuxerArgs('webp', loopCount)} -an`;
+  }
+  if (format === 'apng') {
+    return `-c:v apng -pred mixed ${buildLoopMuxerArgs('apng', loopCount)} -f apng`;
+  }
+  if (format === 'mp4') {
+    const crf = Math.round(18 + strength * 12);
+    return `-c:v libx264 -preset veryfast -crf ${crf} -pix_fmt yuv420p -movflags +faststart -an`;
+  }
+  return '';
+}
+
+/**
+ * 静止帧合并滤镜：mpdecimate 丢弃与上一帧几乎相同的帧，配合 -vsync vfr / -vsync 0
+ * 由时间戳把上一帧的延时拉长（可变帧时长），录屏里的阅读停顿不再重复编码。
+ */
+function buildFrameDedupFilter(mediaTuning) {
+  const config = mediaTuning?.composerExport?.frameDedup || {};
+  const hi = Math.max(1, Math.round(Number(config.hi) || 768));
+  const lo = Math.max(1, Math.round(Number(config.lo) || 320));
+  const frac = clamp(Number(config.frac) || 0.33, 0.01, 1);
+  const maxDrop = Math.max(0, Math.round(Number(config.maxDrop) || 0));
+  return `mpdecimate=hi=${hi}:lo=${lo}:frac=${frac}${maxDrop > 0 ? `:max=${maxDrop}` : ''}`;
+}
+
+async function encodeAnimatedOutput({
+  execAsync,
+  ffmpegBin,
+  inputArgs,
+  filter = '',
+  outputPath,
+  outputFormat,
+  lossy = 88,
+  timeoutMs = 180000,
+  variableFrameRate = false,
+  loopCount = 0
+}) {
+  const format = normalizeOutputFormat(outputFormat);
+  if (format === 'gif') {
+    throw new Error('encodeAnimatedOutput 不处理 GIF，请走调色板链路');
+  }
+  const filters = [filter];
+  if (format === 'mp4') {
+    // yuv420p 要求宽高为偶数
+    filters.push("scale='trunc(iw/2)*2':'trunc(ih/2)*2'");
+  }
+  const filterChain = filters.filter(Boolean).join(',');
+  const filterArg = filterChain ? `-vf "${filterChain}"` : '';
+  const vsyncArg = variableFrameRate ? '-vsync vfr' : '';
+  const cmd = `"${toShellPath(ffmpegBin)}" -threads 0 ${inputArgs} ${filterArg} ${vsyncArg} ${buildAnimatedCodecArgs(format, lossy, loopCount)} -threads 0 -y "${toShellPath(outputPath)}"`;
+
+  await execAsync(cmd, {
+    maxBuffer: 200 * 1024 * 1024,
+    timeout: Math.max(60000, Math.round(timeoutMs) || 0)
+  });
+
+  if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size < 100) {
+    throw new Error(`FFmpeg ${format.toUpperCase()} 输出为空或过小`);
+  }
+  return outputPath;
+}
+
+/**
+ * 把 transcodeVideoToGif 产出的附加格式复制到目标目录，与 GIF 同名不同扩展名。
+ * @returns {string[]} 实际写入的文件名
+ */
+function copyExtraOutputs({ extraOutputs, targetDir, baseName, log = () => {} }) {
+  if (!Array.isArray(extraOutputs) || extraOutputs.length === 0 || !targetDir) return [];
+  const saved = [];
+  try {
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+    for (const extra of extraOutputs) {
+      if (!extra || !extra.outputPath || !fs.existsSync(extra.outputPath)) continue;
+      const ext = getOutputFormatInfo(extra.format).ext;
+      let targetName = `${baseName}${ext}`;
+      let suffix = 1;
+      while (fs.existsSync(path.join(targetDir, targetName))) {
+        targetName = `${baseName}_${suffix++}${ext}`;
+      }
+      fs.copyFileSync(extra.outputPath, path.join(targetDir, targetName));
+      saved.push(targetName);
+      log(`   💾 已保存附加格式 ${String(extra.format).toUpperCase()}: ${targetName}`);
+    }
+  } catch (error) {
+    log(`   ⚠️  保存附加格式失败: ${error.message}`);
+  }
+  return saved;
+}
+
+/**
+ * 体积预算搜索：profiles 按画质从高到低排列（体积大致单调递减），
+ * 二分查找体积不超过 budgetBytes 的最高画质档位，尽量少跑几次编码。
+ * encode(profile, index) 负责把结果写到 outputPath；每次结果先暂存到 tempDir，
+ * 全部超预算时退而返回体积最小的一个（withinBudget=false）。
+ * onError 可抛出错误以中止搜索（例如取消）。
+ * @returns {Promise<object|null>} 全部档位都失败时返回 null
+ */
+async function searchProfilesWithinBudget({
+  profiles,
+  budgetBytes,
+  outputPath,
+  tempDir,
+  encode,
+  onError = null,
+  log = () => {}
+}) {
+  const attempts = [];
+  const kept = new Map();
+  const ext = path.extname(outputPath) || '.out';
+  const budgetMB = (budgetBytes / 1024 / 1024).toFixed(2);
+  let lo = 0;
+  let hi = profiles.length - 1;
+  let bestFitIndex = -1;
+  let smallestIndex = -1;
+
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const profile = profiles[mid];
+    try {
+      const encoded = await encode(profile, mid);
+      const sizeBytes = fs.statSync(outputPath).size;
+      const keptPath = path.join(tempDir, `budget-candidate-${mid}${ext}`);
+      fs.renameSync(outputPath, keptPath);
+      kept.set(mid, { path: keptPath, sizeBytes, encoded });
+
+      const fits = sizeBytes <= budgetBytes;
+      attempts.push({ label: profile.label, sizeBytes, fits });
+      log(`   📏 体积预算 ${profile.label}: ${(sizeBytes / 1024 / 1024).toFixed(2)}MB ${fits ? '≤' : '>'} ${budgetMB}MB`);
+
+      if (smallestIndex < 0 || sizeBytes < kept.get(smallestIndex).sizeBytes) smallestIndex = mid;
+      if (fits) {
+        bestFitIndex = mid;
+        hi = mid - 1;
+      } else {
+        lo = mid + 1;
+      }
+    } catch (error) {
+      attempts.push({ label: profile.label, error: error.message });
+      if (onError) onError(error, profile, mid);
+      lo = mid + 1;
+    }
+  }
+
+  const winnerIndex = bestFitIndex >= 0 ? bestFitIndex : smallestIndex;
+  try {
+    if (winnerIndex < 0) return null;
+    const winner = kept.get(winnerIndex);
+    fs.renameSync(winner.path, outputPath);
+    if (bestFitIndex < 0) {
+      log(`   ⚠️  所有档位均超出体积预算 ${budgetMB}MB，返回最小结果 ${profiles[winnerIndex].label}`);
+    }
+    return {
+      index: winnerIndex,
+      profile: profiles[winnerIndex],
+      encoded: winner.encoded,
+      sizeBytes: winner.sizeBytes,
+      withinBudget: bestFitIndex >= 0,
+      attempts
+    };
+  } finally {
+    for (const [index, item] of kept) {
+      if (index === winnerIndex) continue;
+      try { if (fs.existsSync(item.path)) fs.unlinkSync(item.path); } catch (_) {}
+    }
+  }
+}
+
+/**
+ * 用 ffmpeg ssim/psnr 滤镜对比候选输出与参考视频（参考视频先走同一份 filterBase，保证帧率/尺寸一致）
+ * @returns {Promise<{ssim: number, psnr: number|null}|null>} 失败返回 null（评分失败不影响转换）
+ */
+async function measurePerceptualQuality({
+  execAsync,
+  ffmpegBin,
+  referencePath,
+  candidatePath,
+  referenceFilter = '',
+  sampleSeconds = 0,
+  timeoutMs = 60000
+}) {
+  const limitArg = Number(sampleSeconds) > 0 ? `-t ${Number(sampleSeconds)} ` : '';
+  const referenceChain = [referenceFilter, 'format=yuv420p'].filter(Boolean).join(',');
+  const graph = `[0:v]${referenceChain}[ref];[1:v]format=yuv420p[cand];` +
+    '[cand][ref]scale2ref=flags=bicubic[c][r];[r]split[r1][r2];[c][r1]ssim[cs];[cs][r2]psnr';
+  const cmd = `"${toShellPath(ffmpegBin)}" -hide_banner -nostats ${limitArg}-i "${toShellPath(referencePath)}" ${limitArg}-i "${toShellPath(candidatePath)}" -lavfi "${graph}" -f null -`;
+
+  try {
+    const { stdout, stderr } = await execAsync(cmd, { timeout: timeoutMs, maxBuffer: 20 * 1024 * 1024 });
+    const output = `${stdout || ''}\n${stderr || ''}`;
+    const ssimMatch = output.match(/SSIM[^\n]*All:([\d.]+)/);
+    const psnrMatch = output.match(/PSNR[^\n]*average:([\d.]+|inf)/);
+    if (!ssimMatch) return null;
+    const ssim = Number(ssimMatch[1]);
+    if (!Number.isFinite(ssim)) return null;
+    let psnr = null;
+    if (psnrMatch) {
+      psnr = psnrMatch[1] === 'inf' ? 100 : Number(psnrMatch[1]);
+      if (!Number.isFinite(psnr)) psnr = null;
+    }
+    return {
+      ssim: Math.round(ssim * 10000) / 10000,
+      psnr: psnr === null ? null : Math.round(psnr * 100) / 100
+    };
+  } catch (error) {
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    return null;
+  }
+}
+
+// 从已评分候选中选体积/画质平衡点：SSIM 合格者取最小体积；都不合格取 SSIM 最高者
+function selectQualityCandidate(candidates, targetSsim) {
+  const scored = candidates.filter(item => item.quality);
+  if (scored.length === 0) return candidates[0] || null;
+  const acceptable = scored.filter(item => item.quality.ssim >= targetSsim);
+  if (acceptable.length > 0) {
+    return acceptable.reduce((best, item) => (item.sizeBytes < best.sizeBytes ? item : best));
+  }
+  return scored.reduce((best, item) => (item.quality.ssim > best.quality.ssim ? item : best));
+}
+
+// ffprobe color_transfer → HDR 类型
+const HDR_TRANSFERS = new Map([['arib-std-b67', 'hlg'], ['smpte2084', 'pq']]);
+
+/**
+ * 从 ffprobe 视频流信息判断 HDR 类型：Dolby Vision（DOVI 配置记录）、HLG 或 PQ，SDR 返回 null。
+ */
+function detectHdrFormat(stream = {}) {
+  const sideData = Array.isArray(stream.side_data_list) ? stream.side_data_list : [];
+  if (sideData.some(item => /dovi|dolby vision/i.test(String(item.side_data_type || '')))) {
+    return 'dolby-vision';
+  }
+  return HDR_TRANSFERS.get(stream.color_transfer) || null;
+}
+
+/**
+ * HDR → SDR BT.709 色调映射滤镜：线性化 → 浮点 RGB → BT.709 原色 → tonemap → BT.709 传输特性。
+ * 依赖 ffmpeg 的 zscale（libzimg），不可用时由调用方回退普通标准化。
+ */
+function buildHdrToneMapFilter(config = {}) {
+  const algorithm = ['hable', 'mobius', 'reinhard', 'clip'].includes(config.algorithm) ? config.algorithm : 'hable';
+  const desat = Math.max(0, Number(config.desat) || 0);
+  const peakNits = Math.max(1, Number(config.peakNits) || 100);
+  return `zscale=t=linear:npl=${peakNits},format=gbrpf32le,zscale=p=bt709,tonemap=tonemap=${algorithm}:desat=${desat},zscale=t=bt709:m=bt709:r=tv`;
+}
+
 async function probeVideoMeta(execAsync, ffprobeBin, videoPath) {
   try {
     const { stdout } = await execAsync(
@@ -51,7 +409,12 @@ async function probeVideoMeta(execAsync, ffprobeBin, videoPath) {
       fps: Number.isFinite(fps) ? fps : 0,
       width: Number(stream.width) || 0,
       height: Number(stream.height) || 0,
-      duration: parseFloat(info.format?.duration || stream.duration || '0') || 0
+      duration: parseFloat(info.format?.duration || stream.duration || '0') || 0,
+      pixFmt: stream.pix_fmt || null,
+      colorTransfer: stream.color_transfer || null,
+      colorPrimaries: stream.color_primaries || null,
+      colorSpace: stream.color_space || null,
+      hdrFormat: detectHdrFormat(stream)
     };
   } catch (_) {
     return null;
@@ -85,15 +448,18 @@ function normalizeAttemptProfile(profile, ditherMode) {
     paletteGenTimeoutMs: Number.isFinite(profile.paletteGenTimeoutMs) ? profile.paletteGenTimeoutMs : 45000,
     paletteUseTimeoutMs: Number.isFinite(profile.paletteUseTimeoutMs) ? profile.paletteUseTimeoutMs : 120000,
     gifsicleTimeoutPerMbMs: Number.isFinite(profile.gifsicleTimeoutPerMbMs) ? profile.gifsicleTimeoutPerMbMs : 4000,
-    scaleDivisor: Number.isFinite(profile.scaleDivisor) ? profile.scaleDivisor : 4
+    scaleDivisor: Number.isFinite(profile.scaleDivisor) ? profile.scaleDivisor : 4,
+    budgetScale: Number.isFinite(profile.budgetScale) ? clamp(profile.budgetScale, 0.1, 1) : 1
   };
 }
 
-function buildTargetDimensions({ sourceMeta, targetWidth, targetHeight, scaleDivisor, sourceScaleFactor }) {
+function buildTargetDimensions({ sourceMeta, targetWidth, targetHeight, scaleDivisor, sourceScaleFactor, budgetScale = 1 }) {
+  // budgetScale：体积预算模式追加档位的额外缩放（1 = 不缩放）
+  const extraScale = clamp(Number(budgetScale) || 1, 0.1, 1);
   if (Number.isFinite(targetWidth) && Number.isFinite(targetHeight) && targetWidth > 0 && targetHeight > 0) {
     return {
-      width: evenDimension(targetWidth),
-      height: evenDimension(targetHeight)
+      width: evenDimension(targetWidth * extraScale),
+      height: evenDimension(targetHeight * extraScale)
     };
   }
 
@@ -103,7 +469,7 @@ function buildTargetDimensions({ sourceMeta, targetWidth, targetHeight, scaleDiv
 
   const desiredFactorFromOriginal = clamp(2 / Math.max(1, scaleDivisor || 4), 0.1, 1);
   const currentFactorFromOriginal = clamp(sourceScaleFactor || 1, 0.1, 1);
-  const relativeFactor = clamp(desiredFactorFromOriginal / currentFactorFromOriginal, 0.1, 1);
+  const relativeFactor = clamp((desiredFactorFromOriginal / currentFactorFromOriginal) * extraScale, 0.1, 1);
 
   if (relativeFactor >= 0.98) {
     return null;
@@ -161,32 +527,540 @@ async function maybeHalfScaleVideo({
   };
 }
 
+/**
+ * 乒乓 / 末帧停留：把标准化后的视频重新编码为最终播放顺序，后续档位、附加格式、评分共用。
+ * reverse 会缓冲全部帧，预估内存超过 loopShaping.maxReverseMemoryMB 时跳过乒乓（末帧停留照常）。
+ * @returns {Promise<string|null>} 处理后的视频路径；无需处理或失败时返回 null
+ */
+async function shapeVideoLoop({
+  execAsync,
+  ffmpegBin,
+  sourcePath,
+  sourceMeta,
+  tempDir,
+  loopOptions,
+  config = {},
+  log
+}) {
+  const loop = normalizeLoopOptions(loopOptions);
+  if (loop.pingPong && sourceMeta) {
+    const frames = Math.max(1, Math.round((sourceMeta.duration || 0) * (sourceMeta.fps || 30)));
+    const estimatedMB = (sourceMeta.width * sourceMeta.height * 1.5 * frames) / (1024 * 1024);
+    const limitMB = Math.max(64, Number(config.maxReverseMemoryMB) || 1536);
+    if (estimatedMB > limitMB) {
+      log(`   ⚠️  视频过长，跳过乒乓循环（倒放预计占用 ${Math.round(estimatedMB)}MB > ${limitMB}MB）`);
+      loop.pingPong = false;
+    }
+  }
+  const filter = buildLoopFilter(loop);
+  if (!filter) return null;
+
+  const loopPath = path.join(tempDir, 'loop-shaped.mp4');
+  const cmd = `"${toShellPath(ffmpegBin)}" -threads 0 -i "${toShellPath(sourcePath)}" -filter_complex "[0:v]${filter}" -c:v libx264 -preset veryfast -crf 18 -pix_fmt yuv420p -an -movflags +faststart -y "${toShellPath(loopPath)}"`;
+  try {
+    await execAsync(cmd, { timeout: Math.max(60000, Number(config.timeoutMs) || 240000), maxBuffer: 120 * 1024 * 1024 });
+    if (fs.existsSync(loopPath) && fs.statSync(loopPath).size > 0) {
+      log(`   🔁 循环处理完成: ${loop.pingPong ? '乒乓' : ''}${loop.pingPong && loop.holdSec > 0 ? ' + ' : ''}${loop.holdSec > 0 ? `末帧停留 ${loop.holdSec}s` : ''}`);
+      return loopPath;
+    }
+  } catch (error) {
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    log(`   ⚠️  循环处理失败，按原播放顺序转换: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * 由静止片段与场景切换计算首尾裁剪点（纯函数，便于调参验证）。
+ * freezes: [{ start, end|null }]（end 为 null 表示静止持续到结尾）；sceneCuts: 切换时间点（秒）
+ * @returns {object|null} 无需裁剪或裁剪后过短时返回 null
+ */
+function computeDeadTimeTrim({ durationSec, freezes = [], sceneCuts = [], config = {} }) {
+  const duration = Number(durationSec) || 0;
+  if (duration <= 0) return null;
+  const leadWindowSec = Number(config.leadWindowSec) || 1.5;
+  const tailWindowSec = Number(config.tailWindowSec) || 2.5;
+  const maxLeadSec = Number(config.maxLeadSec) || 4;
+  const maxTailSec = Number(config.maxTailSec) || 4;
+  const minKeepSec = Number(config.minKeepSec) || 1;
+  const edgeEpsilon = 0.1;
+  const reasons = [];
+
+  let startSec = 0;
+  const leadFreeze = freezes.find(item => item.start <= edgeEpsilon);
+  if (leadFreeze) {
+    // 整段静止：不裁，交给静止帧合并处理
+    if (leadFreeze.end === null || leadFreeze.end >= duration - edgeEpsilon) return null;
+    startSec = leadFreeze.end;
+    reasons.push('static-lead');
+  }
+  const leadCuts = sceneCuts.filter(time => time <= leadWindowSec && time > startSec);
+  if (leadCuts.length > 0) {
+    startSec = Math.max(...leadCuts);
+    reasons.push('control-center-lead');
+  }
+
+  let endSec = duration;
+  const tailFreeze = freezes.find(item =>
+    item.start > startSec && (item.end === null || item.end >= duration - edgeEpsilon));
+  if (tailFreeze) {
+    endSec = tailFreeze.start;
+    reasons.push('static-tail');
+  }
+  const tailCuts = sceneCuts.filter(time => time >= duration - tailWindowSec && time > startSec && time < endSec);
+  if (tailCuts.length > 0) {
+    endSec = Math.min(...tailCuts);
+    reasons.push('stop-gesture-tail');
+  }
+
+  startSec = Math.min(startSec, maxLeadSec);
+  endSec = Math.max(endSec, duration - maxTailSec);
+  if (startSec < 0.05 && duration - endSec < 0.05) return null;
+  if (endSec - startSec < minKeepSec) return null;
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    startSec: round(startSec),
+    endSec: round(endSec),
+    sourceDurationSec: round(duration),
+    trimmedLeadSec: round(startSec),
+    trimmedTailSec: round(duration - endSec),
+    reasons
+  };
+}
+
+/**
+ * 低分辨率扫描一遍源视频：freezedetect 找静止片段，scene 选帧找大幅画面切换。
+ * inputArgs 可替代 sourcePath（例如 PNG 帧序列 `-framerate 20 -i frame_%04d.png`）。
+ * @returns {Promise<{durationSec: number, freezes: Array, sceneCuts: number[]}|null>}
+ */
+async function scanVideoActivity({ execAsync, ffmpegBin, sourcePath, inputArgs = null, sceneThreshold = 0.35, freezeNoise = 0.003, freezeMinSec = 0.6, timeoutMs = 60000 }) {
+  const threshold = clamp(Number(sceneThreshold) || 0.35, 0.05, 0.95);
+  const filter = `scale=160:-2,freezedetect=n=${Number(freezeNoise) || 0.003}:d=${Number(freezeMinSec) || 0.6},select='gt(scene,${threshold})',showinfo`;
+  const cmd = `"${toShellPath(ffmpegBin)}" -hide_banner -nostats ${inputArgs || `-i "${toShellPath(sourcePath)}"`} -an -vf "${filter}" -f null -`;
+
+  const { stdout, stderr } = await execAsync(cmd, {
+    timeout: Math.max(15000, Number(timeoutMs) || 60000),
+    maxBuffer: 20 * 1024 * 1024
+  });
+  const output = `${stdout || ''}\n${stderr || ''}`;
+  const durationMatch = output.match(/Duration:\s*(\d+):(\d+):([\d.]+)/);
+  if (!durationMatch) return null;
+  const durationSec = Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + Number(durationMatch[3]);
+
+  const freezes = [];
+  for (const match of output.matchAll(/freeze_(start|end):\s*([\d.]+)/g)) {
+    const time = Number(match[2]);
+    if (match[1] === 'start') {
+      freezes.push({ start: time, end: null });
+    } else if (freezes.length > 0 && freezes[freezes.length - 1].end === null) {
+      freezes[freezes.length - 1].end = time;
+    }
+  }
+  const sceneCuts = [];
+  for (const match of output.matchAll(/Parsed_showinfo[^\n]*pts_time:\s*([\d.]+)/g)) {
+    sceneCuts.push(Number(match[1]));
+  }
+  return { durationSec, freezes, sceneCuts };
+}
+
+/**
+ * 检测录屏首尾无效片段，检测失败不影响转换（返回 null）。
+ */
+async function detectDeadTimeTrim({ execAsync, ffmpegBin, sourcePath, config = {}, log = () => {} }) {
+  try {
+    const activity = await scanVideoActivity({
+      execAsync,
+      ffmpegBin,
+      sourcePath,
+      sceneThreshold: config.sceneThreshold,
+      freezeNoise: config.freezeNoise,
+      freezeMinSec: config.freezeMinSec,
+      timeoutMs: config.timeoutMs
+    });
+    if (!activity) return null;
+
+    const trim = computeDeadTimeTrim({ ...activity, config });
+    if (trim) {
+      log(`   ✂️  自动裁剪首尾: ${trim.startSec}s → ${trim.endSec}s / ${trim.sourceDurationSec}s (${trim.reasons.join(', ')})`);
+    }
+    return trim;
+  } catch (error) {
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    log(`   ⚠️  自动裁剪检测失败，保留完整视频: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 按场景切换把 [rangeStart, rangeEnd] 切成若干章节（纯函数）。
+ * 每章至少 max(minChapterSec, 总时长 / maxChapters) 秒，保证章节数不超过上限。
+ * @returns {Array<{startSec, endSec}>|null} 不足两章时返回 null
+ */
+function computeSceneChapters({ rangeStartSec = 0, rangeEndSec, sceneCuts = [], config = {} }) {
+  const start = Math.max(0, Number(rangeStartSec) || 0);
+  const end = Number(rangeEndSec) || 0;
+  const span = end - start;
+  if (span <= 0 || span < (Number(config.minDurationSec) || 60)) return null;
+  const maxChapters = Math.max(2, Math.round(Number(config.maxChapters) || 6));
+  const minLength = Math.max(Number(config.minChapterSec) || 10, span / maxChapters);
+
+  const boundaries = [start];
+  const cuts = sceneCuts.filter(time => time > start && time < end).sort((a, b) => a - b);
+  for (const cut of cuts) {
+    const last = boundaries[boundaries.length - 1];
+    if (cut - last >= minLength && end - cut >= minLength) {
+      boundaries.push(cut);
+    }
+  }
+  if (boundaries.length < 2) return null;
+  boundaries.push(end);
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const chapters = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    chapters.push({ startSec: round(boundaries[i]), endSec: round(boundaries[i + 1]) });
+  }
+  return chapters;
+}
+
+/**
+ * 按目标段长把视频时间轴均分成若干段（纯函数），段数受 maxSegments 限制。
+ * @returns {Array<{startSec, durationSec}>|null} 时长不足或只有一段时返回 null
+ */
+function planVideoSegments({ durationSec, config = {} }) {
+  const duration = Number(durationSec) || 0;
+  if (duration <= 0 || duration < (Number(config.minDurationSec) || 20)) return null;
+  const segmentSec = Math.max(5, Number(config.segmentSec) || 15);
+  const maxSegments = Math.max(2, Math.round(Number(config.maxSegments) || 12));
+  const count = Math.min(maxSegments, Math.ceil(duration / segmentSec));
+  if (count < 2) return null;
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const step = duration / count;
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const startSec = round(step * i);
+    // 最后一段不限时长，避免浮点误差丢掉尾帧
+    segments.push({ startSec, durationSec: i === count - 1 ? null : round(round(step * (i + 1)) - startSec) });
+  }
+  return segments;
+}
+
+function buildSeekArgs(segment) {
+  if (!segment) return '';
+  return `-ss ${segment.startSec} ${segment.durationSec ? `-t ${segment.durationSec} ` : ''}`;
+}
+
+/**
+ * 分段并行执行 paletteuse，再用 gifsicle --merge 无损拼接为完整 GIF。
+ * 各段默认共用 palettePath，段上带 palettePath 时改用该段自己的调色板（分场景调色板）。
+ * buildInputArgs(segment) 返回该段的 ffmpeg 输入参数（含 -ss/-t），默认按 sourcePath 生成。
+ * 每批最多 concurrency 个 ffmpeg 进程；任一段失败即抛错，由调用方回退单进程编码。
+ */
+async function encodeGifSegmentsParallel({
+  execAsync,
+  ffmpegBin,
+  gifsicleBin,
+  sourcePath,
+  buildInputArgs = segment => `${buildSeekArgs(segment)}-i "${toShellPath(sourcePath)}"`,
+  palettePath,
+  paletteUseFilter,
+  outputArgs = '-vsync 0 ',
+  segments,
+  concurrency,
+  threadsPerSegment,
+  segmentDir,
+  outputPath,
+  timeoutMs,
+  checkCancelled = () => {}
+}) {
+  fs.mkdirSync(segmentDir, { recursive: true });
+  const segmentPaths = segments.map((_, index) => path.join(segmentDir, `segment-${String(index).padStart(3, '0')}.gif`));
+  try {
+    for (let batchStart = 0; batchStart < segments.length; batchStart += concurrency) {
+      checkCancelled();
+      const batch = [];
+      for (let index = batchStart; index < Math.min(segments.length, batchStart + concurrency); index++) {
+        const segment = segments[index];
+        const segmentPalette = segment.palettePath || palettePath;
+        const cmd = `"${toShellPath(ffmpegBin)}" -threads ${threadsPerSegment} ${buildInputArgs(segment)} -i "${toShellPath(segmentPalette)}" -lavfi "${paletteUseFilter}" ${outputArgs}-threads ${threadsPerSegment} "${toShellPath(segmentPaths[index])}" -y`;
+        batch.push(execAsync(cmd, { maxBuffer: 200 * 1024 * 1024, timeout: timeoutMs }));
+      }
+      await Promise.all(batch);
+    }
+    checkCancelled();
+
+    const emptySegment = segmentPaths.findIndex(item => !fs.existsSync(item) || fs.statSync(item).size < 100);
+    if (emptySegment >= 0) {
+      throw new Error(`分段 ${emptySegment + 1} 输出为空`);
+    }
+    const mergeTimeout = Math.max(60000, Math.ceil(segmentPaths.reduce((sum, item) => sum + fs.statSync(item).size, 0) / (1024 * 1024)) * 2000);
+    await execAsync(
+      `"${toShellPath(gifsicleBin)}" --merge --no-warnings ${segmentPaths.map(item => `"${toShellPath(item)}"`).join(' ')} -o "${toShellPath(outputPath)}"`,
+      { maxBuffer: 200 * 1024 * 1024, timeout: mergeTimeout }
+    );
+  } finally {
+    try { fs.rmSync(segmentDir, { recursive: true, force: true }); } catch (_) {}
+  }
+}
+
+/**
+ * 分场景调色板的分段（纯函数）。
+ * mode=scene：在场景切换点切分，每段至少 minSceneSec 秒；mode=frames：每 framesPerPalette 帧一段。
+ * 段数受 maxScenes 限制（frames 模式按比例放大段长）。
+ * @returns {Array<{startSec, durationSec}>|null} 不足两段时返回 null
+ */
+function planScenePaletteSegments({ durationSec, fps = 0, sceneCuts = [], config = {} }) {
+  const duration = Number(durationSec) || 0;
+  if (duration <= 0) return null;
+  const maxScenes = Math.max(2, Math.round(Number(config.maxScenes) || 16));
+  const round = value => Math.round(value * 1000) / 1000;
+
+  let boundaries = [0];
+  if (config.mode === 'frames') {
+    const framesPerPalette = Math.max(2, Math.round(Number(config.framesPerPalette) || 60));
+    const step = Math.max(framesPerPalette / Math.max(1, Number(fps) || 20), duration / maxScenes);
+    for (let time = step; time < duration - step * 0.25; time += step) {
+      boundaries.push(time);
+    }
+  } else {
+    const minSceneSec = Math.max(0.2, Number(config.minSceneSec) || 1);
+    const cuts = sceneCuts.filter(time => time > 0 && time < duration).sort((a, b) => a - b);
+    for (const cut of cuts) {
+      if (boundaries.length >= maxScenes) break;
+      if (cut - boundaries[boundaries.length - 1] >= minSceneSec && duration - cut >= minSceneSec) {
+        boundaries.push(cut);
+      }
+    }
+  }
+  if (boundaries.length < 2) return null;
+  boundaries = boundaries.map(round);
+
+  return boundaries.map((startSec, index) => ({
+    startSec,
+    // 最后一段不限时长，避免浮点误差丢掉尾帧
+    durationSec: index === boundaries.length - 1 ? null : round(boundaries[index + 1] - startSec)
+  }));
+}
+
+/**
+ * 检测分场景调色板的分段：scene 模式先扫描场景切换，frames 模式直接按帧数切分。
+ * 检测失败或不足两段时返回 null（调用方回退全局调色板）。
+ */
+async function detectScenePaletteSegments({ execAsync, ffmpegBin, inputArgs, durationSec = 0, fps = 0, config = {}, log = () => {} }) {
+  try {
+    let duration = Number(durationSec) || 0;
+    let sceneCuts = [];
+    if (config.mode !== 'frames') {
+      const activity = await scanVideoActivity({
+        execAsync,
+        ffmpegBin,
+        inputArgs,
+        sceneThreshold: config.sceneThreshold,
+        timeoutMs: config.scanTimeoutMs
+      });
+      if (!activity) return null;
+      duration = activity.durationSec || duration;
+      sceneCuts = activity.sceneCuts;
+    }
+    return planScenePaletteSegments({ durationSec: duration, fps, sceneCuts, config });
+  } catch (error) {
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    log(`   ⚠️  场景检测失败，使用全局调色板: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 分场景调色板编码：每段单独 palettegen，再按段 paletteuse 并用 gifsicle --merge 拼接，
+ * 亮/暗画面各用各的调色板，避免共用全局调色板造成色带。
+ * buildInputArgs(segment) 返回该段的 ffmpeg 输入参数（含 -ss/-t）；filter 为调色板前的滤镜链。
+ */
+async function encodeGifWithScenePalettes({
+  execAsync,
+  ffmpegBin,
+  gifsicleBin,
+  buildInputArgs,
+  segments,
+  filter = '',
+  maxColors = 256,
+  dither = 'sierra2_4a',
+  outputArgs = '-vsync 0 ',
+  workDir,
+  outputPath,
+  concurrency = 1,
+  threadsPerSegment = 0,
+  paletteGenTimeoutMs = 60000,
+  paletteUseTimeoutMs = 120000,
+  checkCancelled = () => {}
+}) {
+  fs.mkdirSync(workDir, { recursive: true });
+  const withPalettes = segments.map((segment, index) => ({
+    ...segment,
+    palettePath: path.join(workDir, `palette-${String(index).padStart(3, '0')}.png`)
+  }));
+  const paletteGenFilter = [filter, `palettegen=max_colors=${maxColors}:stats_mode=full`].filter(Boolean).join(',');
+  const paletteUseFilter = filter
+    ? `[0:v]${filter}[v];[v][1:v]paletteuse=dither=${dither}:diff_mode=rectangle`
+    : `[0:v][1:v]paletteuse=dither=${dither}:diff_mode=rectangle`;
+  try {
+    for (let batchStart = 0; batchStart < withPalettes.length; batchStart += concurrency) {
+      checkCancelled();
+      const batch = [];
+      for (let index = batchStart; index < Math.min(withPalettes.length, batchStart + concurrency); index++) {
+        const segment = withPalettes[index];
+        batch.push(execAsync(
+          `"${toShellPath(ffmpegBin)}" -threads ${threadsPerSegment} ${buildInputArgs(segment)} -vf "${paletteGenFilter}" -threads ${threadsPerSegment} -y "${toShellPath(segment.palettePath)}"`,
+          { maxBuffer: 50 * 1024 * 1024, timeout: Math.max(30000, paletteGenTimeoutMs) }
+        ));
+      }
+      await Promise.all(batch);
+    }
+    await encodeGifSegmentsParallel({
+      execAsync,
+      ffmpegBin,
+      gifsicleBin,
+      buildInputArgs,
+      paletteUseFilter,
+      outputArgs,
+      segments: withPalettes,
+      concurrency,
+      threadsPerSegment,
+      segmentDir: path.join(workDir, 'segments'),
+      outputPath,
+      timeoutMs: Math.max(60000, paletteUseTimeoutMs),
+      checkCancelled
+    });
+  } finally {
+    try { fs.rmSync(workDir, { recursive: true, force: true }); } catch (_) {}
+  }
+}
+
+/**
+ * 规范化裁剪区域：{ x, y, width, height } 均为相对源画面的比例（0~1），
+ * 非法或覆盖整个画面时返回 null
+ */
+function normalizeCropRect(cropRect) {
+  if (!cropRect) return null;
+  const x = clamp(Number(cropRect.x) || 0, 0, 1);
+  const y = clamp(Number(cropRect.y) || 0, 0, 1);
+  const width = clamp(Number(cropRect.width) || 0, 0, 1 - x);
+  const height = clamp(Number(cropRect.height) || 0, 0, 1 - y);
+  if (width < 0.01 || height < 0.01) return null;
+  if (x < 0.001 && y < 0.001 && width > 0.999 && height > 0.999) return null;
+  const round = value => Math.round(value * 10000) / 10000;
+  return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
+
+function buildCropFilter(cropRect) {
+  const crop = normalizeCropRect(cropRect);
+  if (!crop) return '';
+  return `crop='trunc(iw*${crop.width}/2)*2':'trunc(ih*${crop.height}/2)*2':'trunc(iw*${crop.x})':'trunc(ih*${crop.y})'`;
+}
+
 async function normalizeVideoInputForGif({
   execAsync,
   ffmpegBin,
   sourcePath,
   tempDir,
   sourceSizeMB,
+  sourceMeta = null,
+  hdrToneMap = null,
+  autoTrim = null,
+  clipRange = null,
+  cropRect = null,
   log
 }) {
   const normalizedPath = path.join(tempDir, 'normalized-input.mp4');
   const timeoutMs = Math.max(90000, Math.min(10 * 60 * 1000, Math.ceil(Math.max(1, sourceSizeMB || 1)) * 6000));
-  const normalizeCmd = `"${toShellPath(ffmpegBin)}" -threads 0 -fflags +genpts -i "${toShellPath(sourcePath)}" -map 0:v:0 -an -sn -dn -vf "scale='trunc(iw/2)*2':'trunc(ih/2)*2':flags=bicubic" -c:v libx264 -preset veryfast -crf 18 -pix_fmt yuv420p -movflags +faststart -video_track_timescale 600 -y "${toShellPath(normalizedPath)}"`;
+  // clipRange 由调用方指定（章节拆分），优先于自动裁剪检测
+  const trim = autoTrim && !clipRange
+    ? await detectDeadTimeTrim({ execAsync, ffmpegBin, sourcePath, config: autoTrim, log })
+    : null;
+  const range = clipRange || trim;
+  const trimArgs = range
+    ? { before: `-ss ${range.startSec} `, after: `-t ${Math.round((range.endSec - range.startSec) * 1000) / 1000} ` }
+    : { before: '', after: '' };
+  // 裁剪在色调映射之后、偶数对齐之前，后续档位按裁剪后的画面计算尺寸
+  const cropFilter = buildCropFilter(cropRect);
+  const evenScaleFilter = `${cropFilter ? `${cropFilter},` : ''}scale='trunc(iw/2)*2':'trunc(ih/2)*2':flags=bicubic`;
+  const buildNormalizeCmd = (videoFilter, colorArgs = '') => `"${toShellPath(ffmpegBin)}" -threads 0 -fflags +genpts ${trimArgs.before}-i "${toShellPath(sourcePath)}" ${trimArgs.after}-map 0:v:0 -an -sn -dn -vf "${videoFilter}" -c:v libx264 -preset veryfast -crf 18 -pix_fmt yuv420p ${colorArgs}-movflags +faststart -video_track_timescale 600 -y "${toShellPath(normalizedPath)}"`;
 
-  await execAsync(normalizeCmd, {
-    timeout: timeoutMs,
-    maxBuffer: 120 * 1024 * 1024
-  });
+  // HDR（HLG/PQ/Dolby Vision）源先色调映射到 SDR BT.709，否则调色板基于 HDR 数值生成，GIF 会发灰
+  const hdrFormat = sourceMeta && sourceMeta.hdrFormat;
+  let toneMapped = false;
+  if (hdrFormat && hdrToneMap && Number(hdrToneMap.enabled ?? 1) !== 0) {
+    try {
+      await execAsync(
+        buildNormalizeCmd(`${buildHdrToneMapFilter(hdrToneMap)},format=yuv420p,${evenScaleFilter}`, '-color_primaries bt709 -color_trc bt709 -colorspace bt709 '),
+        { timeout: timeoutMs, maxBuffer: 120 * 1024 * 1024 }
+      );
+      toneMapped = true;
+      log(`   🌈 HDR 源 (${hdrFormat}, ${sourceMeta.colorTransfer || 'n/a'}/${sourceMeta.colorPrimaries || 'n/a'}) 已映射到 SDR BT.709`);
+    } catch (error) {
+      log(`   ⚠️  HDR 色调映射失败（ffmpeg 可能缺少 zscale），按原色彩转换: ${error.message}`);
+    }
+  }
+
+  if (!toneMapped) {
+    await execAsync(buildNormalizeCmd(evenScaleFilter), {
+      timeout: timeoutMs,
+      maxBuffer: 120 * 1024 * 1024
+    });
+  }
 
   if (!fs.existsSync(normalizedPath) || fs.statSync(normalizedPath).size <= 0) {
     throw new Error('Normalized video output is empty');
   }
 
   log(`   ✅ 输入视频已统一为标准 MP4: ${path.basename(normalizedPath)}`);
-  return normalizedPath;
+  return { normalizedPath, trim, hdr: hdrFormat ? { format: hdrFormat, toneMapped } : null };
+}
+
+// 用户指定的帧率 / 颜色数覆盖所有档位（重新编码已导入的 GIF 时使用）
+function applyProfileOverrides(profiles, profileOverrides) {
+  if (!profileOverrides) return profiles;
+  const fps = Number(profileOverrides.fps);
+  const maxColors = Number(profileOverrides.maxColors);
+  return profiles.map(profile => ({
+    ...profile,
+    ...(fps > 0 ? { videoFpsCap: clamp(Math.round(fps), 1, 60) } : {}),
+    ...(maxColors > 0 ? { paletteMaxColors: clamp(Math.round(maxColors), 2, 256) } : {})
+  }));
+}
+
+// 生成本次转换的档位计划（转换与缓存 key 共用同一套输入）
+function buildTranscodePlan({
+  sourcePath,
+  mediaTuning,
+  requestedMode = 'auto',
+  gifAlgorithm = 'smooth_gradient',
+  decisionSizeMB = null,
+  pixels = 0,
+  frameCount = 0,
+  hasVideoLayers = true,
+  maxSizeBytes = 0,
+  profileOverrides = null
+}) {
+  const sourceSizeMB = fs.statSync(sourcePath).size / 1024 / 1024;
+  const plan = buildComposerAttemptProfiles(mediaTuning, {
+    requestedMode,
+    preSizeMB: sourceSizeMB,
+    decisionSizeMB: Number.isFinite(decisionSizeMB) ? decisionSizeMB : sourceSizeMB,
+    frameCount: Math.max(0, Math.round(frameCount || 0)),
+    pixels: Math.max(1, Math.round(pixels || 0)),
+    hasVideoLayers,
+    gifAlgorithm
+  });
+  const attemptProfiles = applyProfileOverrides(
+    Number(maxSizeBytes) > 0 ? extendProfilesForSizeBudget(mediaTuning, plan.profiles) : plan.profiles,
+    profileOverrides
+  );
+  return { plan, attemptProfiles, sourceSizeMB };
 }
 
-async function transcodeVideoToGif({
+async function runTranscodeVideoToGif({
   execAsync,
   ffmpegBin,
   ffprobeBin,
@@ -209,6 +1083,15 @@ async function transcodeVideoToGif({
   onProgress = null,
   progressBase = 30,
   progressSpan = 50,
+  outputFormat = 'gif',
+  extraOutputs = [],
+  maxSizeBytes = 0,
+  dedupeFrames = false,
+  autoTrim = false,
+  clipRange = null,
+  cropRect = null,
+  profileOverrides = null,
+  loopOptions = null,
   log = () => {}
 }) {
   const checkCancelled = () => {
@@ -219,25 +1102,42 @@ async function transcodeVideoToGif({
     }
   };
 
-  const ditherMode = gifAlgorithm === 'smooth_gradient' ? 'sierra2_4a' : 'none';
-  const stats = fs.statSync(sourcePath);
-  const sourceSizeMB = stats.size / 1024 / 1024;
-  const plan = buildComposerAttemptProfiles(mediaTuning, {
+  const ditherMode = gifAlgorithm === 'smooth_gradient' || gifAlgorithm === 'scene_palette' ? 'sierra2_4a' : 'none';
+  const formatInfo = getOutputFormatInfo(outputFormat);
+  const isGifOutput = formatInfo.format === 'gif';
+  const sizeBudgetBytes = Number(maxSizeBytes) > 0 ? Math.round(Number(maxSizeBytes)) : 0;
+  const loop = normalizeLoopOptions(loopOptions);
+  const gifLoopArg = `${buildLoopMuxerArgs('gif', loop.loopCount)} `;
+  const { plan, attemptProfiles, sourceSizeMB } = buildTranscodePlan({
+    sourcePath,
+    mediaTuning,
     requestedMode,
-    preSizeMB: sourceSizeMB,
-    decisionSizeMB: Number.isFinite(decisionSizeMB) ? decisionSizeMB : sourceSizeMB,
-    frameCount: Math.max(0, Math.round(frameCount || 0)),
-    pixels: Math.max(1, Math.round(pixels || 0)),
+    gifAlgorithm,
+    decisionSizeMB,
+    pixels,
+    frameCount,
     hasVideoLayers,
-    gifAlgorithm
+    maxSizeBytes: sizeBudgetBytes,
+    profileOverrides
   });
+  const dedupFilter = dedupeFrames ? buildFrameDedupFilter(mediaTuning) : '';
+  const scoringConfig = mediaTuning?.composerExport?.qualityScoring || {};
+  const maxScoringCandidates = Math.max(1, Math.round(Number(scoringConfig.maxCandidates) || 1));
+  const qualityScoring = {
+    // 只有一个候选时无从挑选，跳过评分避免多跑一遍 SSIM
+    enabled: Number(scoringConfig.enabled ?? 1) !== 0 && maxScoringCandidates > 1,
+    maxCandidates: maxScoringCandidates,
+    targetSsim: Number.isFinite(Number(scoringConfig.targetSsim)) ? Number(scoringConfig.targetSsim) : 0.95,
+    sampleSeconds: Math.max(0, Number(scoringConfig.sampleSeconds) || 0),
+    timeoutMs: Math.max(10000, Number(scoringConfig.timeoutMs) || 60000)
+  };
 
   const progressStart = Math.max(0, Math.min(95, progressBase));
   const progressEnd = Math.max(progressStart + 1, Math.min(99, progressBase + progressSpan));
   let maxReportedProgress = progressStart;
   const palettePath = path.join(tempDir, 'palette.png');
-  const tempGifPath = optimizeOutput ? path.join(tempDir, 'encoded.gif') : outputPath;
-  const optimizedGifPath = optimizeOutput ? outputPath : tempGifPath;
+  const tempGifPath = optimizeOutput && isGifOutput ? path.join(tempDir, 'encoded.gif') : outputPath;
+  const optimizedGifPath = optimizeOutput && isGifOutput ? outputPath : tempGifPath;
   const darwinMajor = getDarwinMajorVersion();
   const isLegacyIntelMac = process.platform === 'darwin' && process.arch === 'x64' && darwinMajor > 0 && darwinMajor <= 22;
   const isLowCoreMachine = plan.pressure && plan.pressure.cpuCount <= plan.pressure.lowCoreCount;
@@ -288,14 +1188,24 @@ async function transcodeVideoToGif({
   if (enableHalfScalePrepass && !shouldRunHalfScalePrepass) {
     log('   ℹ️  大文件兼容模式：跳过预缩放，减少额外转码开销');
   }
+  if (dedupFilter) {
+    log(`   ℹ️  静止帧合并已开启：${dedupFilter}`);
+  }
 
-  const normalizedSourcePath = await runPulse(
+  const autoTrimConfig = mediaTuning?.watcher?.autoTrim || {};
+  const originalMeta = await probeVideoMeta(execAsync, ffprobeBin, sourcePath);
+  const { normalizedPath: normalizedSourcePath, trim: autoTrimResult, hdr: hdrResult } = await runPulse(
     () => normalizeVideoInputForGif({
       execAsync,
       ffmpegBin,
       sourcePath,
       tempDir,
       sourceSizeMB,
+      sourceMeta: originalMeta,
+      hdrToneMap: mediaTuning?.hdrToneMap || null,
+      autoTrim: autoTrim && Number(autoTrimConfig.enabled ?? 1) !== 0 ? autoTrimConfig : null,
+      clipRange,
+      cropRect,
       log
     }),
     {
@@ -316,13 +1226,66 @@ async function transcodeVideoToGif({
     log
   });
 
-  const conversionSourcePath = halfScaleResult.sourcePath;
-  const sourceMeta = await probeVideoMeta(execAsync, ffprobeBin, conversionSourcePath);
+  let conversionSourcePath = halfScaleResult.sourcePath;
+  let sourceMeta = await probeVideoMeta(execAsync, ffprobeBin, conversionSourcePath);
+  const loopShapedPath = hasLoopShaping(loop)
+    ? await shapeVideoLoop({
+        execAsync,
+        ffmpegBin,
+        sourcePath: conversionSourcePath,
+        sourceMeta,
+        tempDir,
+        loopOptions: loop,
+        config: mediaTuning?.loopShaping || {},
+        log
+      })
+    : null;
+  if (loopShapedPath) {
+    conversionSourcePath = loopShapedPath;
+    sourceMeta = await probeVideoMeta(execAsync, ffprobeBin, conversionSourcePath);
+  }
+  checkCancelled();
   const sourceFps = sourceMeta?.fps || 20;
-  const totalFrames = Math.max(0, Math.round(frameCount || (sourceMeta?.duration ? sourceMeta.duration * sourceFps : 0)));
+  // 循环处理后帧数变化，调用方给的 frameCount 不再适用
+  const totalFrames = Math.max(0, Math.round((!loopShapedPath && frameCount) || (sourceMeta?.duration ? sourceMeta.duration * sourceFps : 0)));
+
+  // 大文件：按时间分段、共用调色板并行 paletteuse，替代单进程长时间编码（需要 gifsicle 拼接）
+  const segmentConfig = mediaTuning?.watcher?.segmentParallel || {};
+  const largeVideoMb = Number(mediaTuning?.thresholds?.largeVideoMb) || 30;
+  const segmentPlan = isGifOutput && gifsicleBin && Number(segmentConfig.enabled ?? 1) !== 0 && sourceSizeMB >= largeVideoMb
+    ? planVideoSegments({ durationSec: sourceMeta?.duration, config: segmentConfig })
+    : null;
+  const segmentConcurrency = segmentPlan ? getSegmentEncodeConcurrency(mediaTuning, { pressure: plan.pressure }) : 1;
+  const segmentThreads = plan.pressure
+    ? Math.max(1, Math.floor(plan.pressure.cpuCount / segmentConcurrency))
+    : 1;
+  if (segmentPlan) {
+    log(`   🧩 大文件分段并行: ${segmentPlan.length} 段，并发 ${segmentConcurrency}（${plan.pressure ? plan.pressure.label : 'n/a'}）`);
+  }
+
+  // 分场景调色板：插件选择 scene_palette 或调参强制开启时，按场景分段各自生成调色板（需要 gifsicle 拼接）
+  const scenePaletteConfig = mediaTuning?.scenePalette || {};
+  const scenePaletteSegments = isGifOutput && gifsicleBin && (gifAlgorithm === 'scene_palette' || Number(scenePaletteConfig.enabled) === 1)
+    ? await detectScenePaletteSegments({
+        execAsync,
+        ffmpegBin,
+        inputArgs: `-i "${toShellPath(conversionSourcePath)}"`,
+        durationSec: sourceMeta?.duration,
+        fps: sourceFps,
+        config: scenePaletteConfig,
+        log
+      })
+    : null;
+  const scenePaletteConcurrency = scenePaletteSegments
+    ? (segmentPlan ? segmentConcurrency : getSegmentEncodeConcurrency(mediaTuning, { pressure: plan.pressure }))
+    : 1;
+  if (scenePaletteSegments) {
+    log(`   🎨 分场景调色板: ${scenePaletteSegments.length} 段 (${scenePaletteConfig.mode === 'frames' ? 'frames' : 'scene'})`);
+  }
+  checkCancelled();
 
   let lastError = null;
-  let lastProfile = normalizeAttemptProfile(plan.profiles[plan.profiles.length - 1] || {}, ditherMode);
+  let lastProfile = normalizeAttemptProfile(attemptProfiles[attemptProfiles.length - 1] || {}, ditherMode);
 
   const encodeWithProfile = async (profile) => {
     checkCancelled();
@@ -334,7 +1297,8 @@ async function transcodeVideoToGif({
       targetWidth,
       targetHeight,
       scaleDivisor: normalizedProfile.scaleDivisor,
-      sourceScaleFactor: halfScaleResult.scaleFactorFromOriginal
+      sourceScaleFactor: halfScaleResult.scaleFactorFromOriginal,
+      budgetScale: normalizedProfile.budgetScale
     });
 
     const filters = ['setpts=PTS'];
@@ -345,56 +1309,153 @@ async function transcodeVideoToGif({
         (targetDims.width !== sourceMeta.width || targetDims.height !== sourceMeta.height)) {
       filters.push(`scale=${targetDims.width}:${targetDims.height}:flags=lanczos`);
     }
+    if (dedupFilter) filters.push(dedupFilter);
 
     const filterBase = filters.join(',');
+
+    if (!isGifOutput) {
+      log(`   ⚙️  共享档位 ${normalizedProfile.label}: 输出 ${formatInfo.format.toUpperCase()} fpsCap=${normalizedProfile.videoFpsCap} lossy=${normalizedProfile.lossy}`);
+      await runPulse(
+        () => encodeAnimatedOutput({
+          execAsync,
+          ffmpegBin,
+          inputArgs: `-i "${toShellPath(conversionSourcePath)}"`,
+          filter: filterBase,
+          outputPath,
+          outputFormat: formatInfo.format,
+          lossy: normalizedProfile.lossy,
+          timeoutMs: normalizedProfile.paletteUseTimeoutMs,
+          variableFrameRate: Boolean(dedupFilter),
+          loopCount: loop.loopCount
+        }),
+        {
+          startPercent: progressStart + Math.max(8, Math.round(progressSpan * 0.16)),
+          endPercent: progressEnd,
+          stageDetail: `encode-${formatInfo.format}:${normalizedProfile.label}`,
+          approxDurationMs: normalizedProfile.paletteUseTimeoutMs
+        }
+      );
+      checkCancelled();
+      return { profile: normalizedProfile, filterBase };
+    }
+
     const effectiveDither = normalizedProfile.effectiveDither || ditherMode;
+    let encodedWithScenePalettes = false;
+    if (scenePaletteSegments) {
+      try {
+        await runPulse(
+          () => encodeGifWithScenePalettes({
+            execAsync,
+            ffmpegBin,
+            gifsicleBin,
+            buildInputArgs: segment => `${buildSeekArgs(segment)}-i "${toShellPath(conversionSourcePath)}"`,
+            segments: scenePaletteSegments,
+            filter: filterBase,
+            maxColors: normalizedProfile.paletteMaxColors,
+            dither: effectiveDither,
+            workDir: path.join(tempDir, 'scene-palettes'),
+            outputPath: tempGifPath,
+            concurrency: scenePaletteConcurrency,
+            threadsPerSegment: plan.pressure ? Math.max(1, Math.floor(plan.pressure.cpuCount / scenePaletteConcurrency)) : 1,
+            paletteGenTimeoutMs: normalizedProfile.paletteGenTimeoutMs,
+            paletteUseTimeoutMs: normalizedProfile.paletteUseTimeoutMs,
+            outputArgs: `-vsync 0 ${gifLoopArg}`,
+            checkCancelled
+          }),
+          {
+            startPercent: progressStart,
+            endPercent: progressStart + Math.max(24, Math.round(progressSpan * 0.78)),
+            stageDetail: `scene-palette:${normalizedProfile.label}`,
+            approxDurationMs: normalizedProfile.paletteGenTimeoutMs + normalizedProfile.paletteUseTimeoutMs
+          }
+        );
+        encodedWithScenePalettes = true;
+      } catch (error) {
+        if (error && error.code === 'CONVERSION_ABORTED') throw error;
+        log(`   ⚠️  分场景调色板编码失败，回退全局调色板: ${error.message}`);
+      }
+    }
+
     const paletteGenCmd = `"${toShellPath(ffmpegBin)}" -threads 0 -i "${toShellPath(conversionSourcePath)}" -vf "${filterBase},palettegen=max_colors=${normalizedProfile.paletteMaxColors}:stats_mode=full" -y "${toShellPath(palettePath)}"`;
     const paletteUseFilter = `${filterBase}[v];[v][1:v]paletteuse=dither=${effectiveDither}:diff_mode=rectangle`;
-    const ffmpegCmdHwAccel = `"${toShellPath(ffmpegBin)}" -hwaccel videotoolbox -vsync 0 -threads 0 -i "${toShellPath(conversionSourcePath)}" -i "${toShellPath(palettePath)}" -lavfi "${paletteUseFilter}" -threads 0 "${toShellPath(tempGifPath)}" -y`;
-    const ffmpegCmdSoftware = `"${toShellPath(ffmpegBin)}" -vsync 0 -threads 0 -i "${toShellPath(conversionSourcePath)}" -i "${toShellPath(palettePath)}" -lavfi "${paletteUseFilter}" -threads 0 "${toShellPath(tempGifPath)}" -y`;
-
-    log(`   ⚙️  共享档位 ${normalizedProfile.label}: fpsCap=${normalizedProfile.videoFpsCap} colors=${normalizedProfile.paletteMaxColors} dither=${effectiveDither} lossy=${normalizedProfile.lossy}`);
-
-    await runPulse(
-      () => execAsync(paletteGenCmd, {
-        maxBuffer: 50 * 1024 * 1024,
-        timeout: Math.max(30000, normalizedProfile.paletteGenTimeoutMs)
-      }),
-      {
-        startPercent: progressStart,
-        endPercent: progressStart + Math.max(10, Math.round(progressSpan * 0.35)),
-        stageDetail: `palettegen:${normalizedProfile.label}`,
-        approxDurationMs: normalizedProfile.paletteGenTimeoutMs
-      }
-    );
-    checkCancelled();
+    const ffmpegCmdHwAccel = `"${toShellPath(ffmpegBin)}" -hwaccel videotoolbox -vsync 0 -threads 0 -i "${toShellPath(conversionSourcePath)}" -i "${toShellPath(palettePath)}" -lavfi "${paletteUseFilter}" ${gifLoopArg}-threads 0 "${toShellPath(tempGifPath)}" -y`;
+    const ffmpegCmdSoftware = `"${toShellPath(ffmpegBin)}" -vsync 0 -threads 0 -i "${toShellPath(conversionSourcePath)}" -i "${toShellPath(palettePath)}" -lavfi "${paletteUseFilter}" ${gifLoopArg}-threads 0 "${toShellPath(tempGifPath)}" -y`;
 
-    const paletteUseStage = {
-      startPercent: progressStart + Math.max(12, Math.round(progressSpan * 0.38)),
-      endPercent: progressStart + Math.max(24, Math.round(progressSpan * 0.78)),
-      stageDetail: `paletteuse:${normalizedProfile.label}`,
-      approxDurationMs: normalizedProfile.paletteUseTimeoutMs
-    };
+    log(`   ⚙️  共享档位 ${normalizedProfile.label}: fpsCap=${normalizedProfile.videoFpsCap} colors=${normalizedProfile.paletteMaxColors} dither=${effectiveDither} lossy=${normalizedProfile.lossy}${encodedWithScenePalettes ? ` palettes=${scenePaletteSegments.length}` : ''}`);
 
-    try {
-      if (shouldPreferSoftwareOnly) {
-        throw Object.assign(new Error('Skip videotoolbox for compatibility'), { code: 'SKIP_HWACCEL' });
-      }
-      await runPulse(
-        () => execAsync(ffmpegCmdHwAccel, {
-          maxBuffer: 200 * 1024 * 1024,
-          timeout: Math.max(60000, normalizedProfile.paletteUseTimeoutMs)
-        }),
-        paletteUseStage
-      );
-    } catch (_) {
+    if (!encodedWithScenePalettes) {
       await runPulse(
-        () => execAsync(ffmpegCmdSoftware, {
-          maxBuffer: 200 * 1024 * 1024,
-          timeout: Math.max(60000, normalizedProfile.paletteUseTimeoutMs)
+        () => execAsync(paletteGenCmd, {
+          maxBuffer: 50 * 1024 * 1024,
+          timeout: Math.max(30000, normalizedProfile.paletteGenTimeoutMs)
         }),
-        paletteUseStage
+        {
+          startPercent: progressStart,
+          endPercent: progressStart + Math.max(10, Math.round(progressSpan * 0.35)),
+          stageDetail: `palettegen:${normalizedProfile.label}`,
+          approxDurationMs: normalizedProfile.paletteGenTimeoutMs
+        }
       );
+      checkCancelled();
+
+      const paletteUseStage = {
+        startPercent: progressStart + Math.max(12, Math.round(progressSpan * 0.38)),
+        endPercent: progressStart + Math.max(24, Math.round(progressSpan * 0.78)),
+        stageDetail: `paletteuse:${normalizedProfile.label}`,
+        approxDurationMs: normalizedProfile.paletteUseTimeoutMs
+      };
+
+      let encodedInSegments = false;
+      if (segmentPlan) {
+        try {
+          await runPulse(
+            () => encodeGifSegmentsParallel({
+              execAsync,
+              ffmpegBin,
+              gifsicleBin,
+              sourcePath: conversionSourcePath,
+              palettePath,
+              paletteUseFilter,
+              outputArgs: `-vsync 0 ${gifLoopArg}`,
+              segments: segmentPlan,
+              concurrency: segmentConcurrency,
+              threadsPerSegment: segmentThreads,
+              segmentDir: path.join(tempDir, 'segments'),
+              outputPath: tempGifPath,
+              timeoutMs: Math.max(60000, normalizedProfile.paletteUseTimeoutMs),
+              checkCancelled
+            }),
+            { ...paletteUseStage, stageDetail: `paletteuse-segments:${normalizedProfile.label}` }
+          );
+          encodedInSegments = true;
+        } catch (error) {
+          if (error && error.code === 'CONVERSION_ABORTED') throw error;
+          log(`   ⚠️  分段并行编码失败，回退单进程: ${error.message}`);
+        }
+      }
+
+      if (!encodedInSegments) {
+        try {
+          if (shouldPreferSoftwareOnly) {
+            throw Object.assign(new Error('Skip videotoolbox for compatibility'), { code: 'SKIP_HWACCEL' });
+          }
+          await runPulse(
+            () => execAsync(ffmpegCmdHwAccel, {
+              maxBuffer: 200 * 1024 * 1024,
+              timeout: Math.max(60000, normalizedProfile.paletteUseTimeoutMs)
+            }),
+            paletteUseStage
+          );
+        } catch (_) {
+          await runPulse(
+            () => execAsync(ffmpegCmdSoftware, {
+              maxBuffer: 200 * 1024 * 1024,
+              timeout: Math.max(60000, normalizedProfile.paletteUseTimeoutMs)
+            }),
+            paletteUseStage
+          );
+        }
+      }
     }
 
     checkCancelled();
@@ -404,6 +1465,12 @@ async function transcodeVideoToGif({
 
     const animatedFrameCount = await getAnimatedFrameCount(execAsync, ffprobeBin, tempGifPath);
     if (animatedFrameCount <= 1) {
+      if (encodedWithScenePalettes) {
+        await execAsync(paletteGenCmd, {
+          maxBuffer: 50 * 1024 * 1024,
+          timeout: Math.max(30000, normalizedProfile.paletteGenTimeoutMs)
+        });
+      }
       await execAsync(ffmpegCmdSoftware, {
         maxBuffer: 200 * 1024 * 1024,
         timeout: Math.max(60000, normalizedProfile.paletteUseTimeoutMs)
@@ -440,31 +1507,194 @@ async function transcodeVideoToGif({
       fs.copyFileSync(tempGifPath, optimizedGifPath);
     }
 
-    return normalizedProfile;
+    return { profile: normalizedProfile, filterBase };
   };
 
-  try {
-    for (const profile of plan.profiles) {
-      const normalizedProfile = normalizeAttemptProfile(profile, ditherMode);
-      lastProfile = normalizedProfile;
+  // 主输出成功后，用同一份标准化输入和命中的档位额外编码其它格式（失败不影响主输出）
+  const encodeExtraOutputs = async (sourceForExtras, profile, filterBase) => {
+    const results = [];
+    for (const extra of Array.isArray(extraOutputs) ? extraOutputs : []) {
+      if (!extra || !extra.outputPath) continue;
+      const extraInfo = getOutputFormatInfo(extra.format);
+      if (extraInfo.format === 'gif' || extraInfo.format === formatInfo.format) continue;
+      checkCancelled();
       try {
-        const usedProfile = await encodeWithProfile(normalizedProfile);
-        const finalStats = fs.statSync(optimizedGifPath);
+        await encodeAnimatedOutput({
+          execAsync,
+          ffmpegBin,
+          inputArgs: `-i "${toShellPath(sourceForExtras)}"`,
+          filter: filterBase,
+          outputPath: extra.outputPath,
+          outputFormat: extraInfo.format,
+          lossy: profile.lossy,
+          timeoutMs: profile.paletteUseTimeoutMs,
+          variableFrameRate: Boolean(dedupFilter),
+          loopCount: loop.loopCount
+        });
+        results.push({
+          format: extraInfo.format,
+          mimeType: extraInfo.mimeType,
+          outputPath: extra.outputPath,
+          sizeBytes: fs.statSync(extra.outputPath).size
+        });
+      } catch (error) {
+        if (error && error.code === 'CONVERSION_ABORTED') throw error;
+        log(`   ⚠️  附加格式 ${extraInfo.format.toUpperCase()} 编码失败: ${error.message}`);
+      }
+    }
+    return results;
+  };
+
+  const handleAttemptError = (error, normalizedProfile) => {
+    lastError = error;
+    try { if (fs.existsSync(palettePath)) fs.unlinkSync(palettePath); } catch (_) {}
+    try { if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath); } catch (_) {}
+    try { if (optimizeOutput && fs.existsSync(optimizedGifPath)) fs.unlinkSync(optimizedGifPath); } catch (_) {}
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    log(`   ⚠️  档位失败，降档重试: ${normalizedProfile.label} (${error.message})`);
+  };
+
+  const scoreOutput = async (candidatePath, referencePath, filterBase) => {
+    if (!qualityScoring.enabled) return null;
+    checkCancelled();
+    const quality = await measurePerceptualQuality({
+      execAsync,
+      ffmpegBin,
+      referencePath,
+      candidatePath,
+      referenceFilter: filterBase,
+      sampleSeconds: qualityScoring.sampleSeconds,
+      timeoutMs: qualityScoring.timeoutMs
+    });
+    checkCancelled();
+    return quality;
+  };
+
+  const buildQualityReport = (selected, candidates = []) => {
+    if (!qualityScoring.enabled || !selected) return null;
+    return {
+      metric: 'ssim',
+      targetSsim: qualityScoring.targetSsim,
+      selectedProfile: selected.label,
+      ssim: selected.quality ? selected.quality.ssim : null,
+      psnr: selected.quality ? selected.quality.psnr : null,
+      candidates: candidates.map(item => ({
+        label: item.label,
+        sizeBytes: item.sizeBytes,
+        ssim: item.quality ? item.quality.ssim : null,
+        psnr: item.quality ? item.quality.psnr : null
+      }))
+    };
+  };
+
+  const logQuality = (label, sizeBytes, quality) => {
+    if (!qualityScoring.enabled) return;
+    log(quality
+      ? `   🔬 质量评分 ${label}: SSIM=${quality.ssim} PSNR=${quality.psnr === null ? 'n/a' : quality.psnr}dB (${(sizeBytes / 1024 / 1024).toFixed(2)}MB)`
+      : `   ⚠️  质量评分失败 ${label}，按档位顺序处理`);
+  };
+
+  const buildSizeBudgetReport = (sizeBytes, winningLabel, attempts = []) => {
+    if (!sizeBudgetBytes) return null;
+    return {
+      maxSizeBytes: sizeBudgetBytes,
+      withinBudget: sizeBytes <= sizeBudgetBytes,
+      winningProfile: winningLabel,
+      attempts
+    };
+  };
+
+  try {
+    if (sizeBudgetBytes > 0) {
+      log(`   📏 体积预算模式: ≤ ${(sizeBudgetBytes / 1024 / 1024).toFixed(2)}MB，候选档位 ${attemptProfiles.length} 个`);
+      const budgetResult = await searchProfilesWithinBudget({
+        profiles: attemptProfiles.map(profile => normalizeAttemptProfile(profile, ditherMode)),
+        budgetBytes: sizeBudgetBytes,
+        outputPath: optimizedGifPath,
+        tempDir,
+        encode: (normalizedProfile) => {
+          lastProfile = normalizedProfile;
+          return encodeWithProfile(normalizedProfile);
+        },
+        onError: handleAttemptError,
+        log
+      });
+      if (budgetResult) {
+        log(`   📏 体积预算命中档位: ${budgetResult.profile.label} (${(budgetResult.sizeBytes / 1024 / 1024).toFixed(2)}MB${budgetResult.withinBudget ? '' : '，仍超出预算'})`);
+        const budgetQuality = await scoreOutput(optimizedGifPath, conversionSourcePath, budgetResult.encoded.filterBase);
+        logQuality(budgetResult.profile.label, budgetResult.sizeBytes, budgetQuality);
+        const budgetCandidate = { label: budgetResult.profile.label, sizeBytes: budgetResult.sizeBytes, quality: budgetQuality };
+        const extras = await encodeExtraOutputs(conversionSourcePath, budgetResult.encoded.profile, budgetResult.encoded.filterBase);
         return {
           outputPath: optimizedGifPath,
-          sizeBytes: finalStats.size,
+          sizeBytes: budgetResult.sizeBytes,
+          outputFormat: formatInfo.format,
+          mimeType: formatInfo.mimeType,
+          extraOutputs: extras,
           plan,
-          profile: usedProfile,
+          profile: budgetResult.encoded.profile,
+          sizeBudget: buildSizeBudgetReport(budgetResult.sizeBytes, budgetResult.profile.label, budgetResult.attempts),
+          quality: buildQualityReport(budgetCandidate, [budgetCandidate]),
           sourceMeta,
-          totalFrames
+          totalFrames,
+          autoTrim: autoTrimResult,
+          hdr: hdrResult
         };
-      } catch (error) {
-        lastError = error;
-        try { if (fs.existsSync(palettePath)) fs.unlinkSync(palettePath); } catch (_) {}
-        try { if (fs.existsSync(tempGifPath)) fs.unlinkSync(tempGifPath); } catch (_) {}
-        try { if (optimizeOutput && fs.existsSync(optimizedGifPath)) fs.unlinkSync(optimizedGifPath); } catch (_) {}
-        if (error && error.code === 'CONVERSION_ABORTED') throw error;
-        log(`   ⚠️  档位失败，降档重试: ${normalizedProfile.label} (${error.message})`);
+      }
+    } else {
+      // 逐档编码并评分：当前档位 SSIM 合格且未达 maxCandidates 时再试下一档（可能更小且仍合格），不合格或评分失败即停止
+      const candidates = [];
+      try {
+        for (const profile of attemptProfiles) {
+          const normalizedProfile = normalizeAttemptProfile(profile, ditherMode);
+          lastProfile = normalizedProfile;
+          try {
+            const encoded = await encodeWithProfile(normalizedProfile);
+            const sizeBytes = fs.statSync(optimizedGifPath).size;
+            const quality = await scoreOutput(optimizedGifPath, conversionSourcePath, encoded.filterBase);
+            logQuality(normalizedProfile.label, sizeBytes, quality);
+            const keptPath = path.join(tempDir, `quality-candidate-${candidates.length}${formatInfo.ext}`);
+            fs.renameSync(optimizedGifPath, keptPath);
+            candidates.push({ label: normalizedProfile.label, path: keptPath, sizeBytes, quality, encoded });
+            if (!quality || quality.ssim < qualityScoring.targetSsim || candidates.length >= qualityScoring.maxCandidates) {
+              break;
+            }
+          } catch (error) {
+            if (candidates.length > 0 && !(error && error.code === 'CONVERSION_ABORTED')) {
+              log(`   ⚠️  评分候选档位失败，使用已有候选: ${normalizedProfile.label} (${error.message})`);
+              break;
+            }
+            handleAttemptError(error, normalizedProfile);
+          }
+        }
+
+        if (candidates.length > 0) {
+          const selected = selectQualityCandidate(candidates, qualityScoring.targetSsim);
+          fs.renameSync(selected.path, optimizedGifPath);
+          if (candidates.length > 1) {
+            log(`   🔬 质量评分选中档位: ${selected.label} (${candidates.length} 个候选)`);
+          }
+          const extras = await encodeExtraOutputs(conversionSourcePath, selected.encoded.profile, selected.encoded.filterBase);
+          return {
+            outputPath: optimizedGifPath,
+            sizeBytes: selected.sizeBytes,
+            outputFormat: formatInfo.format,
+            mimeType: formatInfo.mimeType,
+            extraOutputs: extras,
+            plan,
+            profile: selected.encoded.profile,
+            sizeBudget: null,
+            quality: buildQualityReport(selected, candidates),
+            sourceMeta,
+            totalFrames,
+            autoTrim: autoTrimResult,
+            hdr: hdrResult
+          };
+        }
+      } finally {
+        for (const item of candidates) {
+          try { if (fs.existsSync(item.path)) fs.unlinkSync(item.path); } catch (_) {}
+        }
       }
     }
 
@@ -499,7 +1729,8 @@ async function transcodeVideoToGif({
           targetWidth,
           targetHeight,
           scaleDivisor: normalizedProfile.scaleDivisor,
-          sourceScaleFactor: halfScaleResult.applied ? halfScaleResult.scaleFactorFromOriginal : 1
+          sourceScaleFactor: halfScaleResult.applied ? halfScaleResult.scaleFactorFromOriginal : 1,
+          budgetScale: normalizedProfile.budgetScale
         });
 
         const filters = ['setpts=PTS'];
@@ -509,13 +1740,29 @@ async function transcodeVideoToGif({
         if (localTargetDims && compressedSourceMeta && (localTargetDims.width !== compressedSourceMeta.width || localTargetDims.height !== compressedSourceMeta.height)) {
           filters.push(`scale=${localTargetDims.width}:${localTargetDims.height}:flags=lanczos`);
         }
+        if (dedupFilter) filters.push(dedupFilter);
         const filterBase = filters.join(',');
+        if (!isGifOutput) {
+          await encodeAnimatedOutput({
+            execAsync,
+            ffmpegBin,
+            inputArgs: `-i "${toShellPath(compressedSourcePath)}"`,
+            filter: filterBase,
+            outputPath,
+            outputFormat: formatInfo.format,
+            lossy: normalizedProfile.lossy,
+            timeoutMs: normalizedProfile.paletteUseTimeoutMs,
+            variableFrameRate: Boolean(dedupFilter),
+            loopCount: loop.loopCount
+          });
+          return { profile: normalizedProfile, filterBase };
+        }
         const localPalette = path.join(tempDir, 'fallback-palette.png');
         const localTempGif = optimizeOutput ? path.join(tempDir, 'fallback-encoded.gif') : outputPath;
         const localOutputGif = optimizeOutput ? outputPath : localTempGif;
         const paletteGenCmd = `"${toShellPath(ffmpegBin)}" -threads 0 -i "${toShellPath(compressedSourcePath)}" -vf "${filterBase},palettegen=max_colors=${normalizedProfile.paletteMaxColors}:stats_mode=full" -y "${toShellPath(localPalette)}"`;
         const paletteUseFilter = `${filterBase}[v];[v][1:v]paletteuse=dither=${normalizedProfile.effectiveDither}:diff_mode=rectangle`;
-        const ffmpegCmdSoftware = `"${toShellPath(ffmpegBin)}" -vsync 0 -threads 0 -i "${toShellPath(compressedSourcePath)}" -i "${toShellPath(localPalette)}" -lavfi "${paletteUseFilter}" -threads 0 "${toShellPath(localTempGif)}" -y`;
+        const ffmpegCmdSoftware = `"${toShellPath(ffmpegBin)}" -vsync 0 -threads 0 -i "${toShellPath(compressedSourcePath)}" -i "${toShellPath(localPalette)}" -lavfi "${paletteUseFilter}" ${gifLoopArg}-threads 0 "${toShellPath(localTempGif)}" -y`;
 
         await execAsync(paletteGenCmd, { timeout: normalizedProfile.paletteGenTimeoutMs, maxBuffer: 50 * 1024 * 1024 });
         await execAsync(ffmpegCmdSoftware, { timeout: normalizedProfile.paletteUseTimeoutMs, maxBuffer: 200 * 1024 * 1024 });
@@ -530,17 +1777,28 @@ async function transcodeVideoToGif({
         if (!fs.existsSync(localOutputGif)) {
           fs.copyFileSync(localTempGif, localOutputGif);
         }
-        return normalizedProfile;
+        return { profile: normalizedProfile, filterBase };
       })();
 
       const finalStats = fs.statSync(optimizedGifPath);
+      const fallbackQuality = await scoreOutput(optimizedGifPath, compressedSourcePath, compressedResult.filterBase);
+      logQuality(compressedResult.profile.label, finalStats.size, fallbackQuality);
+      const fallbackCandidate = { label: compressedResult.profile.label, sizeBytes: finalStats.size, quality: fallbackQuality };
+      const extras = await encodeExtraOutputs(compressedSourcePath, compressedResult.profile, compressedResult.filterBase);
       return {
         outputPath: optimizedGifPath,
         sizeBytes: finalStats.size,
+        outputFormat: formatInfo.format,
+        mimeType: formatInfo.mimeType,
+        extraOutputs: extras,
         plan,
-        profile: compressedResult,
+        profile: compressedResult.profile,
+        sizeBudget: buildSizeBudgetReport(finalStats.size, compressedResult.profile.label),
+        quality: buildQualityReport(fallbackCandidate, [fallbackCandidate]),
         sourceMeta: compressedMeta || sourceMeta,
-        totalFrames
+        totalFrames,
+        autoTrim: autoTrimResult,
+        hdr: hdrResult
       };
     } catch (fallbackError) {
       if (fallbackError && fallbackError.code === 'CONVERSION_ABORTED') throw fallbackError;
@@ -552,7 +1810,214 @@ async function transcodeVideoToGif({
   }
 }
 
+// 转换链路产物变化时递增，使旧的转换缓存条目失效
+const CONVERSION_CACHE_VERSION = 1;
+
+// 档位签名只保留编码参数，去掉随负载浮动的超时字段，避免同一内容因负载不同而未命中
+function getProfileCacheSignature(profile = {}) {
+  const signature = {};
+  for (const [key, value] of Object.entries(profile)) {
+    if (/Ms$/.test(key) || typeof value === 'function') continue;
+    signature[key] = value;
+  }
+  return signature;
+}
+
+function buildTranscodeCacheParams(options, plan) {
+  const { scheduler, ...tuning } = options.mediaTuning || {};
+  return {
+    version: CONVERSION_CACHE_VERSION,
+    baseMode: plan.plan.baseMode,
+    profiles: plan.attemptProfiles.map(getProfileCacheSignature),
+    gifAlgorithm: options.gifAlgorithm || 'smooth_gradient',
+    outputFormat: getOutputFormatInfo(options.outputFormat).format,
+    extraFormats: (Array.isArray(options.extraOutputs) ? options.extraOutputs : [])
+      .filter(extra => extra && extra.outputPath)
+      .map(extra => getOutputFormatInfo(extra.format).format),
+    targetWidth: options.targetWidth || null,
+    targetHeight: options.targetHeight || null,
+    optimizeOutput: Boolean(options.optimizeOutput),
+    enableHalfScalePrepass: options.enableHalfScalePrepass !== false,
+    maxSizeBytes: Number(options.maxSizeBytes) > 0 ? Math.round(Number(options.maxSizeBytes)) : 0,
+    dedupeFrames: Boolean(options.dedupeFrames),
+    autoTrim: Boolean(options.autoTrim),
+    clipRange: options.clipRange || null,
+    cropRect: normalizeCropRect(options.cropRect),
+    // 默认无限循环时不写入，已有缓存项保持命中
+    ...(isDefaultLoop(options.loopOptions) ? {} : { loop: normalizeLoopOptions(options.loopOptions) }),
+    tuning
+  };
+}
+
+/**
+ * 共享视频 -> GIF 转换。传入 conversionCache（userConfig 的转换缓存接口）时，
+ * 先按「源内容哈希 + 生效档位 + 输出参数」查缓存，命中则直接复制产物，不启动 ffmpeg。
+ * 其余参数见 runTranscodeVideoToGif。
+ */
+async function transcodeVideoToGif({ conversionCache = null, ...options }) {
+  if (!conversionCache) {
+    return runTranscodeVideoToGif(options);
+  }
+  const { sourcePath, outputPath, extraOutputs = [], onProgress = null, progressBase = 30, progressSpan = 50, log = () => {} } = options;
+
+  let cacheKey = null;
+  let plannedProfiles = null;
+  try {
+    plannedProfiles = buildTranscodePlan(options);
+    const contentHash = await conversionCache.computeFileContentHash(sourcePath);
+    cacheKey = conversionCache.buildConversionCacheKey(contentHash, buildTranscodeCacheParams(options, plannedProfiles));
+    const cached = conversionCache.getConversionFromCache(cacheKey);
+    if (cached) {
+      fs.copyFileSync(cached.files.output, outputPath);
+      const cachedExtras = [];
+      for (const extra of Array.isArray(extraOutputs) ? extraOutputs : []) {
+        if (!extra || !extra.outputPath) continue;
+        const extraInfo = getOutputFormatInfo(extra.format);
+        const cachedExtraPath = cached.files[`extra-${extraInfo.format}`];
+        if (!cachedExtraPath) continue;
+        fs.copyFileSync(cachedExtraPath, extra.outputPath);
+        cachedExtras.push({
+          format: extraInfo.format,
+          mimeType: extraInfo.mimeType,
+          outputPath: extra.outputPath,
+          sizeBytes: fs.statSync(extra.outputPath).size
+        });
+      }
+      log(`   ⚡ 转换缓存命中，跳过 ffmpeg: ${path.basename(sourcePath)}`);
+      if (onProgress) {
+        onProgress(Math.min(99, progressBase + progressSpan), { stageDetail: 'conversion-cache-hit' });
+      }
+      return {
+        ...cached.result,
+        outputPath,
+        sizeBytes: fs.statSync(outputPath).size,
+        extraOutputs: cachedExtras,
+        plan: plannedProfiles.plan,
+        cacheHit: true
+      };
+    }
+  } catch (error) {
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    log(`   ⚠️  转换缓存不可用，按正常流程转换: ${error.message}`);
+    cacheKey = null;
+  }
+
+  const result = await runTranscodeVideoToGif(options);
+  if (cacheKey) {
+    const files = { output: result.outputPath };
+    for (const extra of result.extraOutputs || []) {
+      files[`extra-${extra.format}`] = extra.outputPath;
+    }
+    // 只缓存可序列化的结果摘要；路径与计划在命中时按本次调用重新填充
+    const { outputPath: _outputPath, extraOutputs: _extraOutputs, plan: _plan, ...summary } = result;
+    conversionCache.saveConversionToCache(cacheKey, files, JSON.parse(JSON.stringify(summary)), path.basename(sourcePath));
+  }
+  return { ...result, cacheHit: false };
+}
+
+/**
+ * 长录屏按场景切换拆成多个 GIF 章节。第 1 章写到 outputPath / extraOutputs（与单文件结果同形），
+ * 其余章节写到 tempDir/chapter-N/ 下。时长不足或切换点不够时返回 null，由调用方走单文件转换。
+ * 参数与 transcodeVideoToGif 相同。
+ */
+async function transcodeVideoToGifChapters(options) {
+  const {
+    execAsync,
+    ffmpegBin,
+    sourcePath,
+    outputPath,
+    tempDir,
+    mediaTuning,
+    extraOutputs = [],
+    autoTrim = false,
+    onProgress = null,
+    progressBase = 30,
+    progressSpan = 50,
+    log = () => {}
+  } = options;
+  const config = mediaTuning?.watcher?.chapters || {};
+  if (Number(config.enabled ?? 1) === 0) return null;
+
+  const autoTrimConfig = mediaTuning?.watcher?.autoTrim || {};
+  const trim = autoTrim && Number(autoTrimConfig.enabled ?? 1) !== 0
+    ? await detectDeadTimeTrim({ execAsync, ffmpegBin, sourcePath, config: autoTrimConfig, log })
+    : null;
+
+  let chapters = null;
+  try {
+    const activity = await scanVideoActivity({
+      execAsync,
+      ffmpegBin,
+      sourcePath,
+      sceneThreshold: config.sceneThreshold,
+      timeoutMs: config.timeoutMs
+    });
+    if (activity) {
+      chapters = computeSceneChapters({
+        rangeStartSec: trim ? trim.startSec : 0,
+        rangeEndSec: trim ? trim.endSec : activity.durationSec,
+        sceneCuts: activity.sceneCuts,
+        config
+      });
+    }
+  } catch (error) {
+    if (error && error.code === 'CONVERSION_ABORTED') throw error;
+    log(`   ⚠️  章节检测失败，按单个 GIF 转换: ${error.message}`);
+    return null;
+  }
+  if (!chapters) return null;
+
+  log(`   📚 按场景拆分为 ${chapters.length} 个章节: ${chapters.map(item => `${item.startSec}-${item.endSec}s`).join(', ')}`);
+  const results = [];
+  const chapterSpan = progressSpan / chapters.length;
+  for (let index = 0; index < chapters.length; index++) {
+    const chapter = chapters[index];
+    const chapterTempDir = path.join(tempDir, `chapter-${index + 1}`);
+    fs.mkdirSync(chapterTempDir, { recursive: true });
+    const chapterOutputPath = index === 0 ? outputPath : path.join(chapterTempDir, path.basename(outputPath));
+    const chapterExtras = index === 0
+      ? extraOutputs
+      : (Array.isArray(extraOutputs) ? extraOutputs : []).map(extra => ({
+          ...extra,
+          outputPath: path.join(chapterTempDir, path.basename(extra.outputPath))
+        }));
+    const result = await transcodeVideoToGif({
+      ...options,
+      outputPath: chapterOutputPath,
+      tempDir: chapterTempDir,
+      extraOutputs: chapterExtras,
+      autoTrim: false,
+      clipRange: chapter,
+      progressBase: Math.round(progressBase + chapterSpan * index),
+      progressSpan: Math.max(1, Math.round(chapterSpan)),
+      onProgress
+    });
+    results.push({ ...result, chapterIndex: index, startSec: chapter.startSec, endSec: chapter.endSec });
+  }
+  return { chapters: results, autoTrim: trim };
+}
+
 module.exports = {
+  ANIMATED_OUTPUT_FORMATS,
+  normalizeOutputFormat,
+  getOutputFormatInfo,
+  encodeAnimatedOutput,
+  buildFrameDedupFilter,
+  normalizeLoopOptions,
+  buildLoopMuxerArgs,
+  applyLoopToFrameSequence,
+  copyExtraOutputs,
+  normalizeCropRect,
+  toShellPath,
+  searchProfilesWithinBudget,
+  measurePerceptualQuality,
+  computeDeadTimeTrim,
+  computeSceneChapters,
+  planVideoSegments,
+  planScenePaletteSegments,
+  detectScenePaletteSegments,
+  encodeGifWithScenePalettes,
   transcodeVideoToGif,
+  transcodeVideoToGifChapters,
   probeVideoMeta
 };